@@ -1,10 +1,12 @@
 /**
  * GitHub OAuth: redirect URL, token exchange, user fetch, callback/me/logout handlers.
+ * Endpoints default to github.com; pass GitHubEndpoints for a GitHub Enterprise Server host.
  */
 
-const GITHUB_AUTH = "https://github.com/login/oauth/authorize";
-const GITHUB_TOKEN = "https://github.com/login/oauth/access_token";
-const GITHUB_USER = "https://api.github.com/user";
+import { githubEndpoints, type GitHubEndpoints } from "./github-hosts.js";
+import type { GitHubConnection } from "./session-store.js";
+
+const DOTCOM = githubEndpoints();
 
 const SCOPES: Record<string, string> = {
   public: "read:user public_repo",
@@ -15,7 +17,8 @@ export function getAuthRedirectUrl(
   scope: string,
   state: string,
   redirectUri: string,
-  clientId: string
+  clientId: string,
+  endpoints: GitHubEndpoints = DOTCOM
 ): string {
   const s = SCOPES[scope] || SCOPES.public;
   const params = new URLSearchParams({
@@ -24,7 +27,7 @@ export function getAuthRedirectUrl(
     scope: s,
     state,
   });
-  return `${GITHUB_AUTH}?${params.toString()}`;
+  return `${endpoints.authorizeUrl}?${params.toString()}`;
 }
 
 export async function exchangeCodeForToken(
@@ -32,9 +35,10 @@ export async function exchangeCodeForToken(
   redirectUri: string,
   clientId: string,
   clientSecret: string,
-  fetchFn: typeof fetch
+  fetchFn: typeof fetch,
+  endpoints: GitHubEndpoints = DOTCOM
 ): Promise<string> {
-  const res = await fetchFn(GITHUB_TOKEN, {
+  const res = await fetchFn(endpoints.tokenUrl, {
     method: "POST",
     headers: { Accept: "application/json", "Content-Type": "application/json" },
     body: JSON.stringify({
@@ -53,9 +57,10 @@ export async function exchangeCodeForToken(
 
 export async function getGitHubUser(
   accessToken: string,
-  fetchFn: typeof fetch
+  fetchFn: typeof fetch,
+  endpoints: GitHubEndpoints = DOTCOM
 ): Promise<{ login: string }> {
-  const res = await fetchFn(GITHUB_USER, {
+  const res = await fetchFn(endpoints.userUrl, {
     headers: { Authorization: `Bearer ${accessToken}`, Accept: "application/json" },
   });
   if (!res.ok) throw new Error(`User fetch failed: ${res.status}`);
@@ -101,6 +106,13 @@ interface CallbackDeps {
   cookieOpts?: { secure?: boolean };
   scope?: string;
   log?: (event: string, detail?: string) => void;
+  /** Base URL of the host being signed in to; stored on the session (github.com when unset). */
+  githubUrl?: string;
+  /** Set for a secondary host (GHES): attach the token to the signed-in session instead of replacing it. */
+  connect?: {
+    getSessionIdFromRequest: (req: CallbackRequest) => string | null;
+    addSessionConnection: (id: string, connection: GitHubConnection) => boolean;
+  };
 }
 
 export async function handleCallback(
@@ -152,10 +164,23 @@ export async function handleCallback(
     return;
   }
   const user = await deps.getGitHubUser(access_token);
+  const existingId = deps.connect?.getSessionIdFromRequest(req);
+  if (existingId && deps.githubUrl && deps.connect!.addSessionConnection(existingId, {
+    github_url: deps.githubUrl,
+    access_token,
+    login: user.login,
+  })) {
+    log("auth_connected", deps.githubUrl);
+    deps.clearStateCookie(res);
+    res.writeHead(302, { Location: "/generate" });
+    res.end();
+    return;
+  }
   const sessionId = deps.createSession({
     access_token,
     login: user.login,
     scope,
+    ...(deps.githubUrl ? { github_url: deps.githubUrl } : {}),
   });
   deps.clearStateCookie(res);
   deps.setSessionCookie(res, sessionId, deps.sessionSecret, deps.cookieOpts || {});
@@ -171,7 +196,11 @@ interface MeResponse {
 
 interface MeDeps {
   getSessionIdFromRequest: (req: unknown) => string | null;
-  getSession: (id: string) => { login: string; scope?: string } | undefined;
+  getSession: (
+    id: string
+  ) => { login: string; scope?: string; github_url?: string; connections?: GitHubConnection[] } | undefined;
+  /** GHES base URL the user may additionally connect, when the server is configured for one. */
+  ghesUrl?: string;
 }
 
 export function handleMe(req: unknown, res: MeResponse, deps: MeDeps): void {
@@ -183,7 +212,17 @@ export function handleMe(req: unknown, res: MeResponse, deps: MeDeps): void {
     return;
   }
   res.writeHead(200, { "Content-Type": "application/json" });
-  res.end(JSON.stringify({ login: session.login, scope: session.scope }));
+  res.end(
+    JSON.stringify({
+      login: session.login,
+      scope: session.scope,
+      github_url: session.github_url,
+      connections: session.connections?.length
+        ? session.connections.map(({ github_url, login }) => ({ github_url, login }))
+        : undefined,
+      ghes_url: deps.ghesUrl,
+    })
+  );
 }
 
 interface LogoutResponse {
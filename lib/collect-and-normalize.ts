@@ -1,26 +1,126 @@
 import type { Evidence } from "../types/evidence.js";
 
-export interface CollectOptions {
+/** A further GitHub host to collect from in the same run (e.g. a GHES instance next to github.com). */
+export interface CollectConnection {
+  token: string;
+  github_url: string;
+}
+
+/** A GitLab account to collect from in the same run (gitlab.com or a self-managed instance). */
+export interface CollectGitLab {
   token: string;
+  /** Instance base URL; gitlab.com when unset. */
+  gitlab_url?: string;
+}
+
+export interface CollectOptions {
+  /** GitHub token; may be omitted when only GitLab is collected. */
+  token?: string;
   start_date: string;
   end_date: string;
+  /** Base URL of the host `token` belongs to; github.com when unset. */
+  github_url?: string;
+  /** Additional hosts; their evidence is merged in with host-qualified IDs. */
+  connections?: CollectConnection[];
+  /** Also collect merge requests, reviews and releases from GitLab (IDs like gitlab:group/project!123). */
+  gitlab?: CollectGitLab;
+  /** Fetch issues the user opened (default true). */
+  include_issues?: boolean;
+  /** Fetch substantive comments the user left on issues (default true). */
+  include_issue_comments?: boolean;
+  /** Fetch releases the user published (default true). */
+  include_releases?: boolean;
+  /** Only collect from these repos (owner/name; GitLab group/project) and/or those under `orgs`; all when empty. */
+  repos?: string[];
+  /** Never collect from these repos. */
+  exclude_repos?: string[];
+  /** Only collect from repos owned by these users/orgs (GitLab: groups). */
+  orgs?: string[];
+  /** Progress messages, e.g. how many search windows were needed to get past the 1,000-result cap. */
+  onProgress?: (message: string) => void;
 }
 
 /**
  * Fetch GitHub data for the authenticated user and return evidence JSON.
  * Uses GraphQL collector (batched) + normalize (evidence contract).
+ * With connections (and gitlab), each host is collected in turn and the contributions concatenated.
+ * COMPONENTS_CONFIG (path to a glob → component JSON file) names the components PRs touch.
  * Token is used in-memory only; never stored or logged.
  */
-export async function collectAndNormalize({ token, start_date, end_date }: CollectOptions): Promise<Evidence> {
+export async function collectAndNormalize({
+  token,
+  start_date,
+  end_date,
+  github_url,
+  connections = [],
+  gitlab,
+  include_issues = true,
+  include_issue_comments = true,
+  include_releases = true,
+  repos,
+  exclude_repos,
+  orgs,
+  onProgress,
+}: CollectOptions): Promise<Evidence> {
   const { collectRawGraphQL } = await import("../scripts/collect-github.ts");
   const { normalize } = await import("../scripts/normalize.ts");
+  const { loadComponentRules } = await import("./pr-areas.js");
+  const componentRules = process.env.COMPONENTS_CONFIG ? loadComponentRules(process.env.COMPONENTS_CONFIG) : [];
 
-  const raw = await collectRawGraphQL({
-    start: start_date,
-    end: end_date,
-    noReviews: false,
-    token,
-  });
+  const hosts = token ? [{ token, github_url }, ...connections] : connections;
+  let evidence: Evidence | undefined;
+  for (const host of hosts) {
+    const raw = await collectRawGraphQL({
+      start: start_date,
+      end: end_date,
+      noReviews: false,
+      noIssues: !include_issues,
+      noIssueComments: !include_issue_comments,
+      noReleases: !include_releases,
+      token: host.token,
+      githubUrl: host.github_url,
+      repos,
+      excludeRepos: exclude_repos,
+      orgs,
+      onProgress,
+    });
+    const normalized = normalize(raw, start_date, end_date, { componentRules }) as unknown as Evidence;
+    evidence = evidence
+      ? { ...evidence, contributions: [...evidence.contributions, ...normalized.contributions] }
+      : normalized;
+  }
+
+  if (gitlab) {
+    const { collectRawGitLab } = await import("../scripts/collect-gitlab.ts");
+    const raw = await collectRawGitLab({
+      token: gitlab.token,
+      start: start_date,
+      end: end_date,
+      gitlabUrl: gitlab.gitlab_url,
+      noReleases: !include_releases,
+      repos,
+      excludeRepos: exclude_repos,
+      orgs,
+      onProgress,
+    });
+    const normalized = normalize(raw, start_date, end_date) as unknown as Evidence;
+    evidence = evidence
+      ? { ...evidence, contributions: [...evidence.contributions, ...normalized.contributions] }
+      : normalized;
+  }
+  if (!evidence) throw new Error("No GitHub or GitLab token to collect with");
+  return evidence;
+}
+
+export interface DiscoverOptions {
+  token: string;
+  start_date: string;
+  end_date: string;
+  github_url?: string;
+}
 
-  return normalize(raw, start_date, end_date) as unknown as Evidence;
+/** Repos the user opened PRs in during the range, with PR counts (most first), for choosing what to collect. */
+export async function discoverRepos({ token, start_date, end_date, github_url }: DiscoverOptions) {
+  const { discoverRepos: discover } = await import("../scripts/collect-github.ts");
+  return discover({ token, start: start_date, end: end_date, githubUrl: github_url });
 }
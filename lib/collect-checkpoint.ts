@@ -0,0 +1,62 @@
+/**
+ * On-disk checkpoint cache for the GitHub collector. One JSON file per login + query window holds every page
+ * fetched so far and the cursor to resume from, so a collection that dies halfway picks up where it stopped.
+ * The collector clears them once a run succeeds: PR state changes, so a later run must fetch it fresh.
+ */
+
+import { createHash } from "crypto";
+import { mkdirSync, readFileSync, renameSync, rmSync, writeFileSync } from "fs";
+import { join } from "path";
+
+export const DEFAULT_CHECKPOINT_DIR = ".collect-cache";
+
+export interface PageCheckpoint<N = unknown> {
+  /** Nodes of each page fetched so far, in order. */
+  pages: N[][];
+  /** Cursor for the next page; null before the first page. */
+  cursor: string | null;
+  /** No more pages to fetch. */
+  complete: boolean;
+  /** Search issueCount reported by the first page. */
+  total?: number;
+  /** The window was over the search cap and was split; its sub-windows have their own checkpoints. */
+  split?: boolean;
+}
+
+export interface CheckpointStore {
+  get<N>(key: string): PageCheckpoint<N> | undefined;
+  set<N>(key: string, checkpoint: PageCheckpoint<N>): void;
+  /** Remove every checkpoint for the login (after a successful run). */
+  clear(): void;
+}
+
+function fileName(key: string): string {
+  return `${createHash("sha256").update(key).digest("hex").slice(0, 24)}.json`;
+}
+
+/** Checkpoints for one login live in `<dir>/<login>/`; keys are the query windows (e.g. the search string). */
+export function openCheckpointStore(dir: string, login: string): CheckpointStore {
+  const loginDir = join(dir, login);
+  mkdirSync(loginDir, { recursive: true });
+
+  return {
+    get<N>(key: string): PageCheckpoint<N> | undefined {
+      let stored: { key?: string; checkpoint?: PageCheckpoint<N> };
+      try {
+        stored = JSON.parse(readFileSync(join(loginDir, fileName(key)), "utf8"));
+      } catch {
+        return undefined;
+      }
+      return stored.key === key ? stored.checkpoint : undefined;
+    },
+    set<N>(key: string, checkpoint: PageCheckpoint<N>): void {
+      // Write then rename so a crash mid-write never leaves a truncated checkpoint behind.
+      const path = join(loginDir, fileName(key));
+      writeFileSync(`${path}.tmp`, JSON.stringify({ key, checkpoint }));
+      renameSync(`${path}.tmp`, path);
+    },
+    clear(): void {
+      rmSync(loginDir, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * The "Add context → regenerate" loop: every step may ask missing_info_questions (what a metric was, who the
+ * stakeholders were); the person's answers are stored in the evidence as `context_answers` and passed to every
+ * step on the next run. Browser-safe: the app's form and the CLI prompt share these helpers.
+ */
+
+import type { ContextAnswer } from "../types/evidence.js";
+import type { StepOutputKey } from "./validate-step-output.js";
+
+export interface MissingInfoQuestion {
+  question: string;
+  /** The step that asked (the first, when several asked the same thing). */
+  step: StepOutputKey;
+  /** What the question is about when the step says, e.g. the story title. */
+  context?: string;
+}
+
+/** Outputs as returned by the pipeline; only the missing_info_questions fields are read. */
+export interface QuestionSources {
+  themes?: unknown;
+  bullets?: unknown;
+  stories?: unknown;
+  self_eval?: unknown;
+}
+
+/** Questions are matched ignoring case and spacing, so a reworded-by-whitespace repeat counts as the same. */
+export function questionKey(question: string): string {
+  return question.trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+function strings(value: unknown): string[] {
+  return Array.isArray(value) ? value.filter((q): q is string => typeof q === "string" && !!q.trim()) : [];
+}
+
+/** Every missing_info_question from the four steps, in step order, without duplicates. */
+export function collectMissingInfoQuestions(outputs: QuestionSources): MissingInfoQuestion[] {
+  const found: MissingInfoQuestion[] = [];
+  const add = (questions: unknown, step: StepOutputKey, context?: string) => {
+    for (const q of strings(questions)) found.push({ question: q.trim(), step, ...(context ? { context } : {}) });
+  };
+  add((outputs.themes as { missing_info_questions?: unknown })?.missing_info_questions, "themes");
+  add((outputs.bullets as { missing_info_questions?: unknown })?.missing_info_questions, "bullets");
+  const stories = (outputs.stories as { stories?: Array<{ title?: string; missing_info_questions?: unknown }> })?.stories;
+  for (const s of Array.isArray(stories) ? stories : []) add(s?.missing_info_questions, "stories", s?.title);
+  add((outputs.self_eval as { missing_info_questions?: unknown })?.missing_info_questions, "self_eval");
+
+  const seen = new Set<string>();
+  return found.filter((q) => {
+    const key = questionKey(q.question);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/** Questions that have no answer yet. */
+export function unansweredQuestions(questions: MissingInfoQuestion[], answers: ContextAnswer[] = []): MissingInfoQuestion[] {
+  const answered = new Set(answers.filter((a) => a.answer.trim()).map((a) => questionKey(a.question)));
+  return questions.filter((q) => !answered.has(questionKey(q.question)));
+}
+
+/**
+ * Apply `updates` to `existing`: a non-empty answer adds or replaces the answer to that question, an empty one
+ * removes it. Order is kept, new questions go last.
+ */
+export function mergeContextAnswers(existing: ContextAnswer[] = [], updates: ContextAnswer[] = []): ContextAnswer[] {
+  const byKey = new Map(existing.map((a) => [questionKey(a.question), a]));
+  for (const u of updates) {
+    const key = questionKey(u.question);
+    const answer = u.answer.trim();
+    if (answer) byKey.set(key, { question: byKey.get(key)?.question ?? u.question.trim(), answer });
+    else byKey.delete(key);
+  }
+  return [...byKey.values()];
+}
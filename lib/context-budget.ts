@@ -15,10 +15,20 @@ export function estimateTokens(str: unknown): number {
 const SLIM_KEYS: (keyof Contribution)[] = [
   "id",
   "type",
+  "source",
   "title",
   "url",
   "repo",
   "merged_at",
+  "state",
+  "created_at",
+  "closed_at",
+  "superseded_by",
+  "channel",
+  "project",
+  "status",
+  "category",
+  "pinned",
   "labels",
   "files_changed",
   "additions",
@@ -26,13 +36,37 @@ const SLIM_KEYS: (keyof Contribution)[] = [
   "linked_issues",
   "review_comments_count",
   "approvals_count",
+  "changes_requested_count",
+  "reviewers_count",
+  "hours_to_first_review",
+  "hours_to_merge",
+  "directories",
+  "languages",
+  "components",
+  "meta",
 ];
 
 /** Smallest set needed for clustering + citations. */
-const MINIMAL_KEYS: (keyof Contribution)[] = ["id", "type", "title", "url", "repo", "merged_at"];
+const MINIMAL_KEYS: (keyof Contribution)[] = ["id", "type", "source", "title", "url", "repo", "merged_at", "state", "pinned"];
 
 const MAX_LABELS = 8;
 const MAX_LINKED_ISSUES = 5;
+/** Areas are ranked by files touched; the top few carry the signal. changed_paths is never sent. */
+const MAX_AREAS = 3;
+const AREA_KEYS = new Set<keyof Contribution>(["directories", "languages", "components"]);
+
+/** meta is free-form; only a few short scalar entries are worth sending. */
+const MAX_META_KEYS = 6;
+const MAX_META_CHARS = 80;
+
+function slimMeta(meta: Record<string, unknown> | undefined): Record<string, unknown> | undefined {
+  if (!meta || typeof meta !== "object") return undefined;
+  const entries = Object.entries(meta)
+    .filter(([, v]) => v == null || ["string", "number", "boolean"].includes(typeof v))
+    .slice(0, MAX_META_KEYS)
+    .map(([k, v]) => [k, typeof v === "string" && v.length > MAX_META_CHARS ? v.slice(0, MAX_META_CHARS) + "..." : v]);
+  return entries.length ? Object.fromEntries(entries) : undefined;
+}
 
 function capArray<T>(arr: T[] | undefined, max: number): T[] | undefined {
   if (!Array.isArray(arr) || arr.length <= max) return arr;
@@ -57,6 +91,11 @@ export function slimContributions(
       if (c[k] === undefined) continue;
       if (k === "labels") out[k] = capArray(c[k] as string[], MAX_LABELS);
       else if (k === "linked_issues") out[k] = capArray(c[k] as string[], MAX_LINKED_ISSUES);
+      else if (AREA_KEYS.has(k)) out[k] = capArray(c[k] as string[], MAX_AREAS);
+      else if (k === "meta") {
+        const meta = slimMeta(c.meta);
+        if (meta) out[k] = meta;
+      }
       else out[k] = c[k];
     }
     const sumLen = minimal ? 200 : summaryChars;
@@ -112,17 +151,17 @@ export function fitEvidenceToBudget(
     return { ...evidence, contributions };
   }
 
-  // Aggressive: minimal view (id, type, title, url, repo, merged_at, short summary only)
+  // Aggressive: minimal view (id, type, source, title, url, repo, merged_at, short summary only)
   contributions = slimContributions(evidence.contributions, { minimal: true }) as unknown as Contribution[];
   payload = getPayload({ ...evidence, contributions });
   if (estimateTokens(payload) <= maxTokens) {
     return { ...evidence, contributions };
   }
 
-  // Last resort: binary search on contribution count by recency
+  // Last resort: binary search on contribution count by recency, pinned contributions first
   const original = evidence.contributions;
   const byDate = [...original].sort((a, b) =>
-    (b.merged_at || "").localeCompare(a.merged_at || "")
+    Number(!!b.pinned) - Number(!!a.pinned) || (b.merged_at || "").localeCompare(a.merged_at || "")
   );
   let low = 1;
   let high = byDate.length;
@@ -0,0 +1,64 @@
+/**
+ * Minimal RFC 4180 CSV parser for export files: quoted fields, doubled quotes, embedded newlines, CRLF, BOM.
+ * Runs in the browser too (no Node APIs).
+ */
+
+export function parseCsv(text: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = "";
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+/**
+ * Rows as objects keyed by header. Repeated headers (Jira exports one "Labels" column per label) collect
+ * every non-empty value under the header name in `multi`.
+ */
+export function csvRecords(text: string): { values: Record<string, string>; multi: Record<string, string[]> }[] {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const names = header.map((h) => h.trim());
+  return rows.map((row) => {
+    const values: Record<string, string> = {};
+    const multi: Record<string, string[]> = {};
+    names.forEach((name, i) => {
+      const cell = (row[i] ?? "").trim();
+      if (!(name in values) || (!values[name] && cell)) values[name] = cell;
+      if (cell) (multi[name] ??= []).push(cell);
+    });
+    return { values, multi };
+  });
+}
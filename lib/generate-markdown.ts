@@ -3,7 +3,8 @@
  * No LLM calls; pure templating.
  */
 
-import type { Timeframe } from "../types/evidence.js";
+import { collectMissingInfoQuestions, unansweredQuestions } from "./context-answers.js";
+import type { ContextAnswer, Timeframe } from "../types/evidence.js";
 
 interface EvidenceRef {
   id?: string;
@@ -19,11 +20,13 @@ interface ThemeEntry {
   confidence?: string;
   notes_or_assumptions?: string;
   anchor_evidence?: EvidenceRef[];
+  unverified?: boolean;
 }
 
 interface Bullet {
   text?: string;
   evidence?: EvidenceRef[];
+  unverified?: boolean;
 }
 
 interface BulletsByTheme {
@@ -39,11 +42,13 @@ interface Story {
   results?: string[];
   evidence?: EvidenceRef[];
   confidence?: string;
+  unverified?: boolean;
 }
 
 interface SelfEvalSection {
   text?: string;
   evidence?: EvidenceRef[];
+  unverified?: boolean;
 }
 
 interface SelfEvalSections {
@@ -80,6 +85,13 @@ interface GenerateMarkdownInput {
 
 interface GenerateMarkdownOptions {
   timeframe?: Timeframe;
+  /** Answers already given (evidence.context_answers); those questions are left out of Open Questions. */
+  contextAnswers?: ContextAnswer[];
+}
+
+/** Appended to claims that citation verification left without any valid evidence. */
+function unverifiedNote(item: { unverified?: boolean } | undefined): string {
+  return item?.unverified ? " *(unverified: no matching evidence)*" : "";
 }
 
 function evidenceLinks(evidence: EvidenceRef[] = []): string {
@@ -89,7 +101,7 @@ function evidenceLinks(evidence: EvidenceRef[] = []): string {
 
 export function generateMarkdown(
   { themes, bullets, stories, self_eval }: GenerateMarkdownInput,
-  { timeframe }: GenerateMarkdownOptions = {}
+  { timeframe, contextAnswers }: GenerateMarkdownOptions = {}
 ): string {
   const lines = [];
 
@@ -103,7 +115,7 @@ export function generateMarkdown(
   // ── Summary ─────────────────────────────────────────────────────────────────
   const summary = self_eval?.sections?.summary;
   if (summary?.text) {
-    lines.push("---", "", "## Summary", "", summary.text);
+    lines.push("---", "", "## Summary", "", summary.text + unverifiedNote(summary));
     if (summary.evidence?.length) lines.push("", `*Sources: ${evidenceLinks(summary.evidence)}*`);
     lines.push("");
   }
@@ -113,7 +125,7 @@ export function generateMarkdown(
   if (themeList.length) {
     lines.push("---", "", "## Themes", "");
     themeList.forEach((t, i) => {
-      lines.push(`### ${i + 1}. ${t.theme_name}`);
+      lines.push(`### ${i + 1}. ${t.theme_name}${unverifiedNote(t)}`);
       if (t.one_liner) lines.push("", `> ${t.one_liner}`);
       if (t.why_it_matters) lines.push("", `**Why it matters:** ${t.why_it_matters}`);
       if (t.confidence) lines.push("", `*Confidence: ${t.confidence}*`);
@@ -134,7 +146,7 @@ export function generateMarkdown(
       lines.push("### Top 10 Bullets", "");
       top10.forEach((b) => {
         const refs = b.evidence?.length ? ` (${evidenceLinks(b.evidence)})` : "";
-        lines.push(`- ${b.text}${refs}`);
+        lines.push(`- ${b.text}${refs}${unverifiedNote(b)}`);
       });
       lines.push("");
     }
@@ -145,7 +157,7 @@ export function generateMarkdown(
         lines.push(`### ${name}`, "");
         (bt.bullets ?? []).forEach((b) => {
           const refs = b.evidence?.length ? ` (${evidenceLinks(b.evidence)})` : "";
-          lines.push(`- ${b.text}${refs}`);
+          lines.push(`- ${b.text}${refs}${unverifiedNote(b)}`);
         });
         lines.push("");
       });
@@ -157,7 +169,7 @@ export function generateMarkdown(
   if (storyList.length) {
     lines.push("---", "", "## STAR Stories", "");
     storyList.forEach((s) => {
-      lines.push(`### ${s.title}`);
+      lines.push(`### ${s.title}${unverifiedNote(s)}`);
       if (s.situation) lines.push("", `**Situation:** ${s.situation}`);
       if (s.task) lines.push("", `**Task:** ${s.task}`);
       if (s.actions?.length) {
@@ -188,13 +200,13 @@ export function generateMarkdown(
       lines.push("### Key Accomplishments", "");
       sections.key_accomplishments.forEach((item) => {
         const refs = item.evidence?.length ? ` (${evidenceLinks(item.evidence)})` : "";
-        lines.push(`- ${item.text}${refs}`);
+        lines.push(`- ${item.text}${refs}${unverifiedNote(item)}`);
       });
       lines.push("");
     }
 
     if (sections.how_i_worked?.text) {
-      lines.push("### How I Worked", "", sections.how_i_worked.text);
+      lines.push("### How I Worked", "", sections.how_i_worked.text + unverifiedNote(sections.how_i_worked));
       if (sections.how_i_worked.evidence?.length) {
         lines.push("", `*Sources: ${evidenceLinks(sections.how_i_worked.evidence)}*`);
       }
@@ -202,7 +214,7 @@ export function generateMarkdown(
     }
 
     if (sections.growth?.text) {
-      lines.push("### Growth", "", sections.growth.text);
+      lines.push("### Growth", "", sections.growth.text + unverifiedNote(sections.growth));
       if (sections.growth.evidence?.length) {
         lines.push("", `*Sources: ${evidenceLinks(sections.growth.evidence)}*`);
       }
@@ -219,6 +231,18 @@ export function generateMarkdown(
     }
   }
 
+  // ── Open Questions ──────────────────────────────────────────────────────────
+  const questions = unansweredQuestions(
+    collectMissingInfoQuestions({ themes, bullets, stories, self_eval }),
+    contextAnswers
+  );
+  if (questions.length) {
+    lines.push("---", "", "## Open Questions", "");
+    lines.push("*Answer these (as `context_answers` in the evidence) and regenerate to firm up the claims marked for confirmation.*", "");
+    questions.forEach((q) => lines.push(`- ${q.question}${q.context ? ` *(${q.context})*` : ""}`));
+    lines.push("");
+  }
+
   // ── Evidence Appendix ───────────────────────────────────────────────────────
   // Collect all unique evidence items referenced across all sections
   const seen = new Set<string>();
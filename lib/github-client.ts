@@ -0,0 +1,192 @@
+/**
+ * GitHub GraphQL client that survives rate limits and transient failures.
+ * Reads Retry-After / X-RateLimit-* headers and the GraphQL `rateLimit` object, waits until the limit resets,
+ * and retries 5xx / network errors with exponential backoff. Auth failures are thrown at once as GitHubAuthError.
+ */
+
+const GITHUB_GRAPHQL = "https://api.github.com/graphql";
+
+const DEFAULT_MAX_RETRIES = 5;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 60_000;
+/** GitHub asks clients to wait at least a minute on a secondary rate limit that sends no reset hint. */
+const SECONDARY_RATE_LIMIT_WAIT_MS = 60_000;
+
+/** Bad credentials, revoked token or missing scope: retrying will not help. */
+export class GitHubAuthError extends Error {
+  status: number;
+  constructor(message: string, status: number) {
+    super(message);
+    this.name = "GitHubAuthError";
+    this.status = status;
+  }
+}
+
+export interface GitHubClientOptions {
+  token: string;
+  /** GraphQL endpoint; github.com unless a GHES host's is given (see githubEndpoints). */
+  graphqlUrl?: string;
+  fetchFn?: typeof fetch;
+  /** Human-readable progress, e.g. "waiting for rate limit (resets in 42s)". */
+  onProgress?: (message: string) => void;
+  /** Retries per request (rate-limit waits included) before giving up. */
+  maxRetries?: number;
+  /** Injectable for tests. */
+  sleep?: (ms: number) => Promise<void>;
+  /** Injectable for tests. */
+  now?: () => number;
+}
+
+export interface GitHubClient {
+  graphql(query: string, variables?: Record<string, unknown>): Promise<{ data: unknown }>;
+}
+
+interface GraphQLError {
+  type?: string;
+  message: string;
+}
+
+interface GraphQLRateLimit {
+  remaining?: number;
+  resetAt?: string;
+}
+
+function defaultSleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function header(res: Response, name: string): string | null {
+  return res.headers?.get?.(name) ?? null;
+}
+
+function backoffMs(attempt: number): number {
+  return Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+}
+
+/**
+ * How long to wait before retrying a rate-limited response, or null when the response is not rate limited.
+ * Retry-After wins; an exhausted primary limit waits until X-RateLimit-Reset; otherwise a minute.
+ */
+function rateLimitWaitMs(res: Response, bodyText: string, now: number): number | null {
+  const retryAfter = header(res, "retry-after");
+  if (retryAfter && Number.isFinite(Number(retryAfter))) return Number(retryAfter) * 1000;
+  const remaining = header(res, "x-ratelimit-remaining");
+  const reset = header(res, "x-ratelimit-reset");
+  if (remaining === "0" && reset) return Math.max(0, Number(reset) * 1000 - now);
+  if (res.status === 429 || /rate limit/i.test(bodyText)) return SECONDARY_RATE_LIMIT_WAIT_MS;
+  return null;
+}
+
+/** Time until an exhausted limit resets, from headers or the GraphQL rateLimit object; 0 when budget remains. */
+function exhaustedUntilMs(res: Response, rateLimit: GraphQLRateLimit | undefined, now: number): number {
+  if (rateLimit?.remaining === 0 && rateLimit.resetAt) {
+    return Math.max(0, Date.parse(rateLimit.resetAt) - now);
+  }
+  const reset = header(res, "x-ratelimit-reset");
+  if (header(res, "x-ratelimit-remaining") === "0" && reset) {
+    return Math.max(0, Number(reset) * 1000 - now);
+  }
+  return 0;
+}
+
+function formatWait(ms: number): string {
+  return `${Math.ceil(ms / 1000)}s`;
+}
+
+/** Result of one request: data, or how long to wait before retrying. */
+type Attempt =
+  | { kind: "ok"; data: unknown; exhaustedForMs: number }
+  | { kind: "rate_limited"; waitMs: number; message: string }
+  | { kind: "transient"; message: string };
+
+async function attemptRequest(
+  graphqlUrl: string,
+  fetchFn: typeof fetch,
+  token: string,
+  query: string,
+  variables: Record<string, unknown>,
+  now: number
+): Promise<Attempt> {
+  let res: Response;
+  try {
+    res = await fetchFn(graphqlUrl, {
+      method: "POST",
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ query, variables }),
+    });
+  } catch (e) {
+    return { kind: "transient", message: `${graphqlUrl}: ${(e as Error).message || "network error"}` };
+  }
+
+  if (!res.ok) {
+    const text = await res.text();
+    // The body is only read for rate-limit hints: error messages reach API callers, so they carry the status alone.
+    const message = `${graphqlUrl} ${res.status}${res.statusText ? ` ${res.statusText}` : ""}`;
+    const waitMs = res.status === 403 || res.status === 429 ? rateLimitWaitMs(res, text, now) : null;
+    if (waitMs != null) return { kind: "rate_limited", waitMs, message };
+    if (res.status === 401 || res.status === 403) throw new GitHubAuthError(message, res.status);
+    if (res.status >= 500) return { kind: "transient", message };
+    throw new Error(message);
+  }
+
+  const json = (await res.json()) as {
+    data?: { rateLimit?: GraphQLRateLimit } & Record<string, unknown>;
+    errors?: GraphQLError[];
+  };
+  const exhaustedForMs = exhaustedUntilMs(res, json.data?.rateLimit, now);
+  if (json.errors?.length) {
+    const message = json.errors.map((e) => e.message).join("; ");
+    if (!json.errors.some((e) => e.type === "RATE_LIMITED")) throw new Error(message);
+    return { kind: "rate_limited", waitMs: exhaustedForMs || SECONDARY_RATE_LIMIT_WAIT_MS, message };
+  }
+  return { kind: "ok", data: json.data, exhaustedForMs };
+}
+
+export function createGitHubClient({
+  token,
+  graphqlUrl = GITHUB_GRAPHQL,
+  fetchFn = fetch,
+  onProgress = () => {},
+  maxRetries = DEFAULT_MAX_RETRIES,
+  sleep = defaultSleep,
+  now = Date.now,
+}: GitHubClientOptions): GitHubClient {
+  // Set when a response says the budget is spent; the next request waits instead of burning a 403.
+  let pausedUntil = 0;
+
+  async function waitForRateLimit(ms: number): Promise<void> {
+    onProgress(`waiting for rate limit (resets in ${formatWait(ms)})`);
+    await sleep(ms);
+  }
+
+  async function graphql(
+    query: string,
+    variables: Record<string, unknown> = {}
+  ): Promise<{ data: unknown }> {
+    for (let attempt = 0; ; attempt++) {
+      const paused = pausedUntil - now();
+      pausedUntil = 0;
+      if (paused > 0) await waitForRateLimit(paused);
+
+      const result = await attemptRequest(graphqlUrl, fetchFn, token, query, variables, now());
+      if (result.kind === "ok") {
+        if (result.exhaustedForMs > 0) pausedUntil = now() + result.exhaustedForMs;
+        return { data: result.data };
+      }
+      if (attempt >= maxRetries) throw new Error(result.message);
+      if (result.kind === "rate_limited") {
+        await waitForRateLimit(result.waitMs);
+      } else {
+        const delay = backoffMs(attempt);
+        onProgress(`GitHub request failed; retrying in ${formatWait(delay)} (attempt ${attempt + 2}/${maxRetries + 1})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  return { graphql };
+}
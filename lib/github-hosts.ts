@@ -0,0 +1,42 @@
+/**
+ * GitHub endpoints for github.com or a GitHub Enterprise Server (GHES) instance, from its base URL.
+ * github.com splits the API onto api.github.com; GHES serves it from <base>/api/v3 and <base>/api/graphql.
+ */
+
+export const GITHUB_DOTCOM_URL = "https://github.com";
+
+export interface GitHubEndpoints {
+  /** Web base URL, e.g. https://github.com or https://ghes.example.com */
+  baseUrl: string;
+  /** Hostname, e.g. github.com or ghes.example.com */
+  host: string;
+  authorizeUrl: string;
+  tokenUrl: string;
+  userUrl: string;
+  graphqlUrl: string;
+}
+
+export function githubEndpoints(baseUrl: string = GITHUB_DOTCOM_URL): GitHubEndpoints {
+  const url = new URL(baseUrl.includes("://") ? baseUrl : `https://${baseUrl}`);
+  const base = `${url.protocol}//${url.host}`;
+  const dotcom = url.host === "github.com" || url.host === "api.github.com";
+  const api = dotcom ? "https://api.github.com" : `${base}/api/v3`;
+  return {
+    baseUrl: dotcom ? GITHUB_DOTCOM_URL : base,
+    host: dotcom ? "github.com" : url.host,
+    authorizeUrl: `${dotcom ? GITHUB_DOTCOM_URL : base}/login/oauth/authorize`,
+    tokenUrl: `${dotcom ? GITHUB_DOTCOM_URL : base}/login/oauth/access_token`,
+    userUrl: `${api}/user`,
+    graphqlUrl: dotcom ? "https://api.github.com/graphql" : `${base}/api/graphql`,
+  };
+}
+
+/**
+ * Host to qualify evidence IDs with, or undefined for github.com (whose IDs stay `owner/repo#123` so
+ * existing evidence files keep working). GHES IDs become `ghes.example.com/owner/repo#123`.
+ */
+export function evidenceHost(baseUrl?: string): string | undefined {
+  if (!baseUrl) return undefined;
+  const { host } = githubEndpoints(baseUrl);
+  return host === "github.com" ? undefined : host;
+}
@@ -0,0 +1,152 @@
+/**
+ * GitLab REST (v4) client for gitlab.com or a self-managed instance. Follows X-Next-Page pagination,
+ * waits out 429s (Retry-After / RateLimit-Reset) and retries 5xx / network errors with exponential backoff,
+ * like the GitHub client. A rejected token is thrown at once as GitLabAuthError.
+ */
+
+export const GITLAB_DOTCOM_URL = "https://gitlab.com";
+
+const DEFAULT_MAX_RETRIES = 5;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 60_000;
+/** Wait used for a 429 that carries no reset hint. */
+const RATE_LIMIT_WAIT_MS = 60_000;
+const PER_PAGE = 100;
+
+/** Bad, expired or revoked token: retrying will not help. */
+export class GitLabAuthError extends Error {
+  status: number;
+  constructor(message: string, status: number) {
+    super(message);
+    this.name = "GitLabAuthError";
+    this.status = status;
+  }
+}
+
+/** Any other non-success response (403 on a feature the tier lacks, 404, …). */
+export class GitLabRequestError extends Error {
+  status: number;
+  constructor(message: string, status: number) {
+    super(message);
+    this.name = "GitLabRequestError";
+    this.status = status;
+  }
+}
+
+export interface GitLabClientOptions {
+  token: string;
+  /** Instance base URL, e.g. https://gitlab.example.com; gitlab.com when unset. */
+  baseUrl?: string;
+  fetchFn?: typeof fetch;
+  /** Human-readable progress, e.g. "waiting for GitLab rate limit (resets in 42s)". */
+  onProgress?: (message: string) => void;
+  maxRetries?: number;
+  /** Injectable for tests. */
+  sleep?: (ms: number) => Promise<void>;
+  /** Injectable for tests. */
+  now?: () => number;
+}
+
+export type GitLabParams = Record<string, string | number | boolean | undefined>;
+
+export interface GitLabClient {
+  /** Web base URL of the instance, without trailing slash. */
+  baseUrl: string;
+  /** Hostname, e.g. gitlab.com */
+  host: string;
+  get<T>(path: string, params?: GitLabParams): Promise<T>;
+  /** Every page of a list endpoint, up to maxPages. */
+  getAll<T>(path: string, params?: GitLabParams, maxPages?: number): Promise<T[]>;
+}
+
+function defaultSleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function backoffMs(attempt: number): number {
+  return Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+}
+
+function formatWait(ms: number): string {
+  return `${Math.ceil(ms / 1000)}s`;
+}
+
+function rateLimitWaitMs(res: Response, now: number): number {
+  const retryAfter = res.headers?.get?.("retry-after");
+  if (retryAfter && Number.isFinite(Number(retryAfter))) return Number(retryAfter) * 1000;
+  const reset = res.headers?.get?.("ratelimit-reset");
+  if (reset && Number.isFinite(Number(reset))) return Math.max(0, Number(reset) * 1000 - now);
+  return RATE_LIMIT_WAIT_MS;
+}
+
+export function normalizeGitLabUrl(baseUrl: string = GITLAB_DOTCOM_URL): { baseUrl: string; host: string } {
+  const url = new URL(baseUrl.includes("://") ? baseUrl : `https://${baseUrl}`);
+  // Self-managed instances may live under a relative path (https://example.com/gitlab).
+  const path = url.pathname.replace(/\/+$/, "");
+  return { baseUrl: `${url.protocol}//${url.host}${path}`, host: url.host };
+}
+
+export function createGitLabClient({
+  token,
+  baseUrl = GITLAB_DOTCOM_URL,
+  fetchFn = fetch,
+  onProgress = () => {},
+  maxRetries = DEFAULT_MAX_RETRIES,
+  sleep = defaultSleep,
+  now = Date.now,
+}: GitLabClientOptions): GitLabClient {
+  const instance = normalizeGitLabUrl(baseUrl);
+  const apiBase = `${instance.baseUrl}/api/v4`;
+
+  function buildUrl(path: string, params: GitLabParams): string {
+    const url = new URL(`${apiBase}${path}`);
+    for (const [k, v] of Object.entries(params)) if (v !== undefined) url.searchParams.set(k, String(v));
+    return url.toString();
+  }
+
+  async function request(url: string): Promise<Response> {
+    for (let attempt = 0; ; attempt++) {
+      let res: Response | undefined;
+      let message: string;
+      try {
+        res = await fetchFn(url, { headers: { Accept: "application/json", Authorization: `Bearer ${token}` } });
+        if (res.ok) return res;
+        // Status only: error messages reach API callers, and the body could be any page on the instance.
+        message = `${url} ${res.status}${res.statusText ? ` ${res.statusText}` : ""}`;
+        if (res.status === 401) throw new GitLabAuthError(message, res.status);
+        if (res.status !== 429 && res.status < 500) throw new GitLabRequestError(message, res.status);
+      } catch (e) {
+        if (e instanceof GitLabAuthError || e instanceof GitLabRequestError) throw e;
+        message = `${url}: ${(e as Error).message || "network error"}`;
+      }
+      if (attempt >= maxRetries) throw new Error(message);
+      if (res?.status === 429) {
+        const wait = rateLimitWaitMs(res, now());
+        onProgress(`waiting for GitLab rate limit (resets in ${formatWait(wait)})`);
+        await sleep(wait);
+      } else {
+        const delay = backoffMs(attempt);
+        onProgress(`GitLab request failed; retrying in ${formatWait(delay)} (attempt ${attempt + 2}/${maxRetries + 1})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  async function get<T>(path: string, params: GitLabParams = {}): Promise<T> {
+    const res = await request(buildUrl(path, params));
+    return (await res.json()) as T;
+  }
+
+  async function getAll<T>(path: string, params: GitLabParams = {}, maxPages = Infinity): Promise<T[]> {
+    const items: T[] = [];
+    let page: string | null = "1";
+    for (let n = 0; page && n < maxPages; n++) {
+      const res = await request(buildUrl(path, { per_page: PER_PAGE, ...params, page }));
+      items.push(...((await res.json()) as T[]));
+      page = res.headers?.get?.("x-next-page") || null;
+    }
+    return items;
+  }
+
+  return { baseUrl: instance.baseUrl, host: instance.host, get, getAll };
+}
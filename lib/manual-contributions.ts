@@ -0,0 +1,133 @@
+/**
+ * Manual contributions: work that never touches a code host (talks, design docs, mentoring, interviewing,
+ * on-call). Each dated entry becomes a `manual` contribution with a stable ID so the pipeline can cite it like
+ * a PR. Entries come from the /generate editor or a YAML/JSON file passed to the CLI (a list of
+ * `{ date, title, category, url?, description? }`).
+ * Browser-safe: the editor builds contributions client-side.
+ */
+
+import type { Contribution, Evidence, ManualCategory } from "../types/evidence.js";
+
+export const MANUAL_CATEGORIES: ManualCategory[] = [
+  "talk",
+  "design_doc",
+  "mentoring",
+  "interviewing",
+  "on_call",
+  "other",
+];
+
+export const MANUAL_CATEGORY_LABELS: Record<ManualCategory, string> = {
+  talk: "Talk or presentation",
+  design_doc: "Design doc or writing",
+  mentoring: "Mentoring",
+  interviewing: "Interviewing",
+  on_call: "On-call",
+  other: "Other",
+};
+
+export interface ManualEntry {
+  /** YYYY-MM-DD */
+  date: string;
+  title: string;
+  category: ManualCategory;
+  url?: string;
+  description?: string;
+}
+
+function slug(title: string): string {
+  return title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40) || "entry";
+}
+
+function isDate(value: string): boolean {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Checks a parsed file or editor state and returns its entries. Throws with every problem, one per line,
+ * e.g. "entry 2: date must be YYYY-MM-DD".
+ */
+export function parseManualEntries(data: unknown): ManualEntry[] {
+  if (!Array.isArray(data)) throw new Error("Manual entries must be a list");
+  const errors: string[] = [];
+  const entries = data.map((item, i) => {
+    const where = `entry ${i + 1}`;
+    if (!item || typeof item !== "object") {
+      errors.push(`${where}: must be an object`);
+      return null;
+    }
+    const e = item as Record<string, unknown>;
+    // YAML reads unquoted dates as strings, JSON users may write full timestamps.
+    const date = String(e.date ?? "").slice(0, 10);
+    const title = typeof e.title === "string" ? e.title.trim() : "";
+    const category = e.category ?? "other";
+    if (!isDate(date)) errors.push(`${where}: date must be YYYY-MM-DD`);
+    if (!title) errors.push(`${where}: title is required`);
+    if (!MANUAL_CATEGORIES.includes(category as ManualCategory)) {
+      errors.push(`${where}: category must be one of ${MANUAL_CATEGORIES.join(", ")}`);
+    }
+    if (e.url != null && typeof e.url !== "string") errors.push(`${where}: url must be a string`);
+    if (e.description != null && typeof e.description !== "string") errors.push(`${where}: description must be a string`);
+    return {
+      date,
+      title,
+      category: category as ManualCategory,
+      ...(typeof e.url === "string" && e.url.trim() ? { url: e.url.trim() } : {}),
+      ...(typeof e.description === "string" && e.description.trim() ? { description: e.description.trim() } : {}),
+    };
+  });
+  if (errors.length) throw new Error(errors.join("\n"));
+  return entries as ManualEntry[];
+}
+
+/** Contribution for one entry; the ID is `manual#<date>-<title slug>`. */
+export function manualContribution(entry: ManualEntry): Contribution {
+  const description = entry.description ?? "";
+  return {
+    id: `manual#${entry.date}-${slug(entry.title)}`,
+    type: "manual",
+    source: "manual",
+    category: entry.category,
+    title: entry.title,
+    url: entry.url ?? "",
+    repo: "",
+    merged_at: `${entry.date}T00:00:00Z`,
+    summary: description.slice(0, 500),
+    body: description,
+  };
+}
+
+/** Entry back from a contribution, for editing. */
+export function manualEntryFrom(c: Contribution): ManualEntry {
+  return {
+    date: (c.merged_at ?? "").slice(0, 10),
+    title: c.title,
+    category: c.category ?? "other",
+    ...(c.url ? { url: c.url } : {}),
+    ...(c.body ? { description: c.body } : {}),
+  };
+}
+
+/**
+ * Evidence with the entries added as contributions. An entry with the same ID as an existing contribution
+ * replaces it; two entries on the same day with the same title get numbered IDs.
+ */
+export function addManualContributions(evidence: Evidence, entries: ManualEntry[]): Evidence {
+  const contributions = [...evidence.contributions];
+  const index = new Map(contributions.map((c, i) => [c.id, i]));
+  const seen = new Set<string>();
+  for (const entry of entries) {
+    const c = manualContribution(entry);
+    const base = c.id;
+    for (let n = 2; seen.has(c.id); n++) c.id = `${base}-${n}`;
+    seen.add(c.id);
+    const i = index.get(c.id);
+    if (i === undefined) {
+      index.set(c.id, contributions.length);
+      contributions.push(c);
+    } else {
+      contributions[i] = c;
+    }
+  }
+  return { ...evidence, contributions };
+}
@@ -0,0 +1,220 @@
+/**
+ * Combine evidence files from several feeders (two GitHub accounts, a GHES host, a local clone, tracker or
+ * Slack imports) into one. Inputs are migrated to the current schema first. The timeframe is the union of the
+ * inputs unless one is given, in which case dated contributions outside it are dropped. Contributions are
+ * de-duplicated by ID, then by URL, keeping the richer copy and filling its gaps from the other. Commits that
+ * belong to a PR in the merged set (listed in the PR's meta.commits, or referenced as "(#12)",
+ * "Merge pull request #12" or "See merge request group/project!12") are folded into that PR.
+ * Browser-safe: /generate merges multiple uploads with it.
+ */
+
+import { mergeContextAnswers } from "./context-answers.js";
+import { migrateEvidence, SCHEMA_VERSION } from "./migrate-evidence.js";
+import type { ContextAnswer, Contribution, Evidence, Timeframe } from "../types/evidence.js";
+
+export interface EvidenceInput {
+  /** File name or label used in the report. */
+  name: string;
+  evidence: Evidence;
+}
+
+export interface MergeOptions {
+  /** Use this timeframe instead of the union of the inputs; dated contributions outside it are dropped. */
+  timeframe?: Timeframe;
+}
+
+export interface MergeReport {
+  inputs: { name: string; contributions: number }[];
+  timeframe: Timeframe;
+  /** The inputs disagreed on the timeframe, or an explicit one replaced theirs. */
+  timeframe_changed: boolean;
+  /** Contributions in the merged evidence. */
+  total: number;
+  /** Dropped copies: the ID of the contribution kept, where the copy came from and how it matched. */
+  duplicates: { id: string; from: string; reason: "id" | "url" }[];
+  /** Commits folded into the PR that contains them. */
+  linked_commits: { commit: string; pull_request: string }[];
+  /** IDs dropped for falling outside an explicit timeframe. */
+  out_of_timeframe: string[];
+}
+
+export interface MergeResult {
+  evidence: Evidence;
+  report: MergeReport;
+}
+
+function isEmpty(value: unknown): boolean {
+  return value == null || value === "" || value === 0 || (Array.isArray(value) && value.length === 0);
+}
+
+/** Number of filled-in fields; normalizers default counts to 0 and lists to [], so those do not count. */
+function richness(c: Contribution): number {
+  return Object.values(c).filter((v) => !isEmpty(v)).length;
+}
+
+function union(a: string[] | undefined, b: string[] | undefined): string[] | undefined {
+  if (!a?.length) return b;
+  if (!b?.length) return a;
+  return [...new Set([...a, ...b])];
+}
+
+/**
+ * The richer of two copies, with empty fields filled from the other, list fields unioned and meta combined.
+ * The first copy's ID is kept so references to it stay valid.
+ */
+function combine(a: Contribution, b: Contribution): Contribution {
+  const [kept, other] = richness(b) > richness(a) ? [b, a] : [a, b];
+  const out: Record<string, unknown> = { ...kept, id: a.id };
+  for (const [key, value] of Object.entries(other)) {
+    if (isEmpty(out[key]) && !isEmpty(value)) out[key] = value;
+  }
+  const merged = out as unknown as Contribution;
+  merged.labels = union(kept.labels, other.labels);
+  merged.linked_issues = union(kept.linked_issues, other.linked_issues);
+  if (kept.meta || other.meta) merged.meta = { ...other.meta, ...kept.meta };
+  for (const key of ["labels", "linked_issues", "meta"] as const) {
+    if (merged[key] === undefined) delete merged[key];
+  }
+  return merged;
+}
+
+/** URLs compare without case, trailing slashes or a query string (anchors distinguish comments). */
+function urlKey(url: string | undefined): string | null {
+  const u = (url ?? "").trim();
+  if (!u) return null;
+  return u.replace(/\?[^#]*/, "").replace(/\/+(#|$)/, "$1").toLowerCase();
+}
+
+function commitSha(c: Contribution): string | null {
+  const sha = typeof c.meta?.sha === "string" ? c.meta.sha : c.id.split("@").pop() ?? "";
+  return /^[0-9a-f]{7,40}$/i.test(sha) ? sha.toLowerCase() : null;
+}
+
+/** IDs of the PRs a commit message points at, in the ID shapes the GitHub and GitLab normalizers use. */
+function referencedPrIds(c: Contribution): string[] {
+  const text = `${c.title}\n${c.body ?? ""}`;
+  const ids: string[] = [];
+  const github = text.match(/Merge pull request #(\d+)/) ?? text.match(/\(#(\d+)\)\s*$/m);
+  if (github) ids.push(`${c.repo}#${github[1]}`);
+  const gitlab = text.match(/See merge request (\S+)!(\d+)/);
+  if (gitlab) ids.push(`gitlab:${gitlab[1]}!${gitlab[2]}`, `gitlab:${c.repo}!${gitlab[2]}`);
+  return ids;
+}
+
+function inTimeframe(c: Contribution, tf: Timeframe): boolean {
+  if (!c.merged_at) return true;
+  const day = c.merged_at.slice(0, 10);
+  return day >= tf.start_date && day <= tf.end_date;
+}
+
+export function mergeEvidence(inputs: EvidenceInput[], opts: MergeOptions = {}): MergeResult {
+  if (!inputs.length) throw new Error("Nothing to merge: no evidence inputs");
+  const migrated = inputs.map(({ name, evidence }) => {
+    if (!evidence?.timeframe || !Array.isArray(evidence.contributions)) {
+      throw new Error(`${name} is not evidence: timeframe and contributions are required`);
+    }
+    return { name, evidence: migrateEvidence(evidence) };
+  });
+
+  const frames = migrated.map((i) => i.evidence.timeframe);
+  const timeframe = opts.timeframe ?? {
+    start_date: frames.map((t) => t.start_date).sort()[0],
+    end_date: frames.map((t) => t.end_date).sort().reverse()[0],
+  };
+  const report: MergeReport = {
+    inputs: migrated.map((i) => ({ name: i.name, contributions: i.evidence.contributions.length })),
+    timeframe,
+    timeframe_changed: frames.some((t) => t.start_date !== timeframe.start_date || t.end_date !== timeframe.end_date),
+    total: 0,
+    duplicates: [],
+    linked_commits: [],
+    out_of_timeframe: [],
+  };
+
+  let contributions: Contribution[] = [];
+  const byId = new Map<string, number>();
+  const byUrl = new Map<string, number>();
+  for (const { name, evidence } of migrated) {
+    for (const c of evidence.contributions) {
+      if (opts.timeframe && !inTimeframe(c, timeframe)) {
+        report.out_of_timeframe.push(c.id);
+        continue;
+      }
+      const url = urlKey(c.url);
+      const idMatch = byId.get(c.id);
+      const index = idMatch ?? (url ? byUrl.get(url) : undefined);
+      if (index === undefined) {
+        byId.set(c.id, contributions.length);
+        if (url) byUrl.set(url, contributions.length);
+        contributions.push(c);
+        continue;
+      }
+      const merged = combine(contributions[index], c);
+      report.duplicates.push({ id: merged.id, from: name, reason: idMatch !== undefined ? "id" : "url" });
+      contributions[index] = merged;
+      byId.set(c.id, index);
+    }
+  }
+
+  // PRs get their meta.commits extended below; copy them so the inputs stay untouched.
+  contributions = contributions.map((c) => (c.type === "pull_request" ? { ...c } : c));
+  const prs = new Map(contributions.filter((c) => c.type === "pull_request").map((c) => [c.id, c]));
+  const prBySha = new Map<string, Contribution>();
+  for (const pr of prs.values()) {
+    const shas = Array.isArray(pr.meta?.commits) ? (pr.meta.commits as unknown[]) : [];
+    for (const sha of shas) if (typeof sha === "string") prBySha.set(sha.toLowerCase().slice(0, 7), pr);
+  }
+  contributions = contributions.filter((c) => {
+    if (c.type !== "commit") return true;
+    const sha = commitSha(c);
+    const pr =
+      (sha ? prBySha.get(sha.slice(0, 7)) : undefined) ??
+      referencedPrIds(c).map((id) => prs.get(id)).find(Boolean);
+    if (!pr) return true;
+    const commits = Array.isArray(pr.meta?.commits) ? (pr.meta.commits as string[]) : [];
+    if (sha && !commits.some((s) => s.toLowerCase().startsWith(sha.slice(0, 7)))) {
+      pr.meta = { ...pr.meta, commits: [...commits, sha] };
+    }
+    report.linked_commits.push({ commit: c.id, pull_request: pr.id });
+    return false;
+  });
+  report.total = contributions.length;
+
+  const roleContext = migrated.map((i) => i.evidence.role_context_optional).find((r) => r != null);
+  const goals = [...new Set(migrated.map((i) => i.evidence.goals?.trim()).filter(Boolean))].join("\n");
+  const contextAnswers = migrated.reduce<ContextAnswer[]>((all, i) => mergeContextAnswers(all, i.evidence.context_answers), []);
+  return {
+    evidence: {
+      schema_version: SCHEMA_VERSION,
+      timeframe,
+      ...(roleContext ? { role_context_optional: roleContext } : {}),
+      ...(goals ? { goals } : {}),
+      ...(contextAnswers.length ? { context_answers: contextAnswers } : {}),
+      contributions,
+    },
+    report,
+  };
+}
+
+/** Human-readable summary of a merge, one line per fact. */
+export function formatMergeReport(report: MergeReport): string {
+  const byId = report.duplicates.filter((d) => d.reason === "id").length;
+  const lines = [
+    `Merged ${report.inputs.map((i) => `${i.name} (${i.contributions})`).join(", ")} into ${report.total} contributions.`,
+    `Timeframe ${report.timeframe.start_date} to ${report.timeframe.end_date}${
+      report.timeframe_changed ? " (inputs differed; adjusted)" : ""
+    }.`,
+  ];
+  if (report.duplicates.length) {
+    lines.push(
+      `Dropped ${report.duplicates.length} duplicates (${byId} by ID, ${report.duplicates.length - byId} by URL).`
+    );
+  }
+  if (report.linked_commits.length) {
+    lines.push(`Folded ${report.linked_commits.length} commits into their PRs.`);
+  }
+  if (report.out_of_timeframe.length) {
+    lines.push(`Dropped ${report.out_of_timeframe.length} contributions outside the timeframe.`);
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,37 @@
+/**
+ * Evidence contract versions. v1 (no schema_version) had four GitHub-centric types, so collectors stored
+ * commits as `issue` (commit IDs like "org/repo#abc1234" could collide with issue numbers) and Slack threads
+ * kept their channel only in `repo`. v2 adds `commit` / `comment` types, `channel`, `meta`
+ * and an explicit `schema_version`. Browser-safe.
+ */
+
+import type { Contribution, Evidence } from "../types/evidence.js";
+
+export const SCHEMA_VERSION = 2;
+
+const COMMIT_URL = /\/commit\/([0-9a-f]{7,40})\b/i;
+
+function migrateContributionV1(c: Contribution): Contribution {
+  if (c.type === "issue") {
+    const commit = (c.url ?? "").match(COMMIT_URL);
+    if (commit) return { ...c, type: "commit", id: `${c.repo}@${commit[1].slice(0, 7)}` };
+  }
+  if (c.source === "slack" && c.type === "discussion" && !c.channel) return { ...c, channel: c.repo };
+  return c;
+}
+
+/**
+ * Upgrade evidence to the current schema_version; returns a new object and leaves current evidence as is.
+ * Anything that is not evidence-shaped is returned unchanged so validation can report it.
+ */
+export function migrateEvidence<T>(data: T): T {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return data;
+  const evidence = data as unknown as Evidence;
+  const version = evidence.schema_version ?? 1;
+  if (version >= SCHEMA_VERSION || !Array.isArray(evidence.contributions)) return data;
+  return {
+    ...evidence,
+    schema_version: SCHEMA_VERSION,
+    contributions: evidence.contributions.map((c) => (c && typeof c === "object" ? migrateContributionV1(c) : c)),
+  } as unknown as T;
+}
@@ -0,0 +1,168 @@
+/**
+ * Noise filtering between normalize() and runPipeline: dependency bumps, typo fixes, automated release PRs,
+ * tiny PRs and revert/re-land churn dilute themes and waste context budget. filterNoise drops or collapses
+ * them by configurable rules and reports each removal with its reason, so the CLI and the web app can show
+ * what was filtered before generating. Pinned contributions are never filtered or collapsed.
+ * Browser-safe: /generate filters client-side.
+ */
+
+import type { Contribution, Evidence } from "../types/evidence.js";
+
+export type NoiseReason = "size" | "label" | "title" | "revert" | "unmerged";
+
+export interface NoiseRules {
+  /** PRs changing fewer lines (additions + deletions) are dropped; 0 keeps all. PRs without line counts are kept. */
+  minLines?: number;
+  /** Labels (case-insensitive) that exclude a PR or commit. */
+  excludeLabels?: string[];
+  /** Title regexes (case-insensitive) that exclude a PR or commit. */
+  excludeTitles?: string[];
+  /** Collapse a change, its revert and any re-land into one contribution. */
+  collapseReverts?: boolean;
+  /**
+   * Keep PRs closed without merging. Open and draft PRs are always kept as work in progress; in evidence
+   * without PR state, every PR lacking merged_at counts as closed.
+   */
+  includeUnmerged?: boolean;
+}
+
+export const DEFAULT_NOISE_RULES: Required<NoiseRules> = {
+  minLines: 3,
+  excludeLabels: ["dependencies"],
+  excludeTitles: [
+    // Dependabot / Renovate / conventional-commit dependency bumps.
+    "^(chore|build|ci|fix)\\(deps(-dev)?\\)",
+    "^bump \\S+ from \\S+ to \\S+",
+    "^(update|upgrade) (dependency|module) ",
+    // release-please and hand-made release PRs.
+    "^(chore(\\([^)]*\\))?: )?release v?\\d+\\.\\d+",
+    "\\bfix(es|ed)? (a |some )?typos?\\b",
+    "^typos?\\b",
+  ],
+  collapseReverts: true,
+  includeUnmerged: false,
+};
+
+export interface NoiseRemoval {
+  id: string;
+  title: string;
+  reason: NoiseReason;
+  /** e.g. the matching label or pattern, or the contribution a revert was collapsed into. */
+  detail: string;
+}
+
+export interface NoiseReport {
+  total: number;
+  kept: number;
+  removed: NoiseRemoval[];
+}
+
+export interface NoiseResult {
+  evidence: Evidence;
+  report: NoiseReport;
+}
+
+const FILTERABLE = new Set(["pull_request", "commit"]);
+
+const REVERT_PREFIX = /^(revert|reapply|re-?land)(?::\s*|\s+)(?:"(.*)"|(.*))$/i;
+
+/** The change a title is about: `Revert "Reapply "Add X (#12)"" (#14)` → `add x`. */
+function baseTitle(title: string): { base: string; reverts: number } {
+  let t = title.trim();
+  let reverts = 0;
+  for (;;) {
+    t = t.replace(/\s*\(#\d+\)$/, "").trim();
+    const m = t.match(REVERT_PREFIX);
+    if (!m) break;
+    if (m[1].toLowerCase() === "revert") reverts++;
+    else reverts = Math.max(0, reverts - 1);
+    t = (m[2] ?? m[3]).trim();
+  }
+  return { base: t.toLowerCase(), reverts };
+}
+
+function lines(c: Contribution): number | null {
+  const total = (c.additions ?? 0) + (c.deletions ?? 0);
+  return total > 0 || (c.files_changed ?? 0) > 0 ? total : null;
+}
+
+/** Keeps one contribution per change that was reverted: the last re-land if there is one, else the original. */
+function collapseReverts(contributions: Contribution[], removed: NoiseRemoval[]): Contribution[] {
+  const groups = new Map<string, Contribution[]>();
+  for (const c of contributions) {
+    if (!FILTERABLE.has(c.type) || c.pinned) continue;
+    const key = `${c.repo}\n${baseTitle(c.title).base}`;
+    groups.set(key, [...(groups.get(key) ?? []), c]);
+  }
+  const replaced = new Map<Contribution, Contribution | null>();
+  for (const group of groups.values()) {
+    if (group.length < 2 || !group.some((c) => baseTitle(c.title).reverts % 2 === 1)) continue;
+    const sorted = [...group].sort((a, b) => (a.merged_at ?? "").localeCompare(b.merged_at ?? ""));
+    const last = sorted[sorted.length - 1];
+    const reverted = baseTitle(last.title).reverts % 2 === 1;
+    const keep = reverted ? sorted.find((c) => baseTitle(c.title).reverts === 0) ?? sorted[0] : last;
+    const others = sorted.filter((c) => c !== keep);
+    replaced.set(keep, {
+      ...keep,
+      meta: { ...keep.meta, reverted, collapsed_ids: others.map((c) => c.id).join(", ") },
+    });
+    for (const c of others) {
+      replaced.set(c, null);
+      removed.push({ id: c.id, title: c.title, reason: "revert", detail: `collapsed into ${keep.id}` });
+    }
+  }
+  return contributions
+    .map((c) => (replaced.has(c) ? replaced.get(c) : c))
+    .filter((c): c is Contribution => c != null);
+}
+
+export function filterNoise(evidence: Evidence, rules: NoiseRules = {}): NoiseResult {
+  const r = { ...DEFAULT_NOISE_RULES, ...rules };
+  const labels = new Set(r.excludeLabels.map((l) => l.toLowerCase()));
+  const titles = r.excludeTitles.map((p) => ({ source: p, re: new RegExp(p, "i") }));
+  const removed: NoiseRemoval[] = [];
+
+  const reasonFor = (c: Contribution): Omit<NoiseRemoval, "id" | "title"> | null => {
+    if (!FILTERABLE.has(c.type) || c.pinned) return null;
+    if (c.type === "pull_request" && !r.includeUnmerged && (c.state ? c.state === "closed" : !c.merged_at)) {
+      const detail = c.superseded_by ? `superseded by ${c.superseded_by}` : c.state ? "closed without merging" : "not merged";
+      return { reason: "unmerged", detail };
+    }
+    const label = (c.labels ?? []).find((l) => labels.has(l.toLowerCase()));
+    if (label) return { reason: "label", detail: label };
+    const title = titles.find((t) => t.re.test(c.title));
+    if (title) return { reason: "title", detail: title.source };
+    const n = c.type === "pull_request" ? lines(c) : null;
+    if (n !== null && n < r.minLines) return { reason: "size", detail: `${n} changed lines` };
+    return null;
+  };
+
+  let contributions = evidence.contributions.filter((c) => {
+    const why = reasonFor(c);
+    if (why) removed.push({ id: c.id, title: c.title, ...why });
+    return !why;
+  });
+  if (r.collapseReverts) contributions = collapseReverts(contributions, removed);
+
+  return {
+    evidence: { ...evidence, contributions },
+    report: { total: evidence.contributions.length, kept: contributions.length, removed },
+  };
+}
+
+const REASON_LABELS: Record<NoiseReason, string> = {
+  unmerged: "PRs closed without merging",
+  label: "excluded by label",
+  title: "excluded by title (bumps, releases, typos)",
+  size: "below the size threshold",
+  revert: "reverts and re-lands collapsed",
+};
+
+/** One-line summary, e.g. "Filtered 5 of 40 contributions: 3 excluded by label, 2 PRs closed without merging." */
+export function formatNoiseReport(report: NoiseReport): string {
+  if (!report.removed.length) return `No noise filtered (${report.total} contributions).`;
+  const counts = new Map<NoiseReason, number>();
+  for (const item of report.removed) counts.set(item.reason, (counts.get(item.reason) ?? 0) + 1);
+  const parts = [...counts].map(([reason, n]) => `${n} ${REASON_LABELS[reason]}`);
+  return `Filtered ${report.removed.length} of ${report.total} contributions: ${parts.join(", ")}.`;
+}
@@ -6,6 +6,8 @@ export interface FlagSpec {
 
 export interface PositionalSpec {
   name: string;
+  /** Collect this and all remaining positionals into an array (last positional only). */
+  rest?: boolean;
 }
 
 export interface ParseArgsSchema {
@@ -46,7 +48,7 @@ export function parseArgs(
 
   for (let j = 0; j < (schema.positionals ?? []).length; j++) {
     const p = schema.positionals![j];
-    result[p.name] = positionals[j] ?? null;
+    result[p.name] = p.rest ? positionals.slice(j) : positionals[j] ?? null;
   }
 
   for (const [key, val] of Object.entries(schema.defaults ?? {})) {
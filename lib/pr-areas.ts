@@ -0,0 +1,156 @@
+/**
+ * Where in the codebase a PR landed: top-level directories (or package roots in monorepos), languages by
+ * file extension, and named components from a path-glob config. Gives theme clustering signal beyond
+ * terse PR titles.
+ *
+ * Component config (JSON), first matching glob wins per path:
+ *   { "services/billing/**": "Billing", "web/src/checkout/**": "Checkout", "infra/**": "Infrastructure" }
+ */
+
+import { readFileSync } from "fs";
+
+/** Most areas/languages/components kept per contribution, by number of files touched. */
+export const MAX_AREAS = 5;
+
+/** Monorepo container directories whose children are the real units (packages/foo, services/bar). */
+const CONTAINER_DIRS = new Set(["packages", "services", "apps", "libs", "modules", "plugins", "crates", "cmd", "components"]);
+
+const LANGUAGES: Record<string, string> = {
+  ts: "TypeScript",
+  tsx: "TypeScript",
+  js: "JavaScript",
+  jsx: "JavaScript",
+  mjs: "JavaScript",
+  cjs: "JavaScript",
+  py: "Python",
+  rb: "Ruby",
+  go: "Go",
+  rs: "Rust",
+  java: "Java",
+  kt: "Kotlin",
+  swift: "Swift",
+  m: "Objective-C",
+  c: "C",
+  h: "C",
+  cc: "C++",
+  cpp: "C++",
+  hpp: "C++",
+  cs: "C#",
+  php: "PHP",
+  scala: "Scala",
+  ex: "Elixir",
+  exs: "Elixir",
+  erl: "Erlang",
+  clj: "Clojure",
+  dart: "Dart",
+  lua: "Lua",
+  sh: "Shell",
+  bash: "Shell",
+  sql: "SQL",
+  css: "CSS",
+  scss: "CSS",
+  sass: "CSS",
+  less: "CSS",
+  html: "HTML",
+  vue: "Vue",
+  svelte: "Svelte",
+  tf: "Terraform",
+  hcl: "Terraform",
+  proto: "Protocol Buffers",
+  graphql: "GraphQL",
+  md: "Markdown",
+  mdx: "Markdown",
+  yml: "YAML",
+  yaml: "YAML",
+};
+
+const FILE_LANGUAGES: Record<string, string> = {
+  Dockerfile: "Dockerfile",
+  Makefile: "Makefile",
+};
+
+export interface ComponentRule {
+  glob: string;
+  name: string;
+  pattern: RegExp;
+}
+
+export interface PrAreas {
+  directories: string[];
+  languages: string[];
+  components: string[];
+}
+
+/** `**` matches across directories, `*` and `?` within one path segment. */
+export function globToRegExp(glob: string): RegExp {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === "*" && glob[i + 1] === "*") {
+      // "**/x" also matches "x" at the root.
+      if (glob[i + 2] === "/") {
+        re += "(?:.*/)?";
+        i += 2;
+      } else {
+        re += ".*";
+        i += 1;
+      }
+    } else if (ch === "*") {
+      re += "[^/]*";
+    } else if (ch === "?") {
+      re += "[^/]";
+    } else {
+      re += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+export function parseComponentRules(config: Record<string, string>): ComponentRule[] {
+  return Object.entries(config).map(([glob, name]) => ({ glob, name, pattern: globToRegExp(glob) }));
+}
+
+/** Read a component config file; throws with the path in the message when it is missing or not a JSON object. */
+export function loadComponentRules(path: string): ComponentRule[] {
+  let config: unknown;
+  try {
+    config = JSON.parse(readFileSync(path, "utf8"));
+  } catch (e) {
+    throw new Error(`Could not read component config ${path}: ${(e as Error).message}`);
+  }
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`Component config ${path} must be a JSON object of "glob": "Component name"`);
+  }
+  return parseComponentRules(config as Record<string, string>);
+}
+
+function directoryOf(path: string): string | null {
+  const parts = path.split("/");
+  if (parts.length < 2) return null;
+  if (CONTAINER_DIRS.has(parts[0]) && parts.length > 2) return `${parts[0]}/${parts[1]}`;
+  return parts[0];
+}
+
+function languageOf(path: string): string | null {
+  const file = path.slice(path.lastIndexOf("/") + 1);
+  if (FILE_LANGUAGES[file]) return FILE_LANGUAGES[file];
+  const dot = file.lastIndexOf(".");
+  return dot > 0 ? LANGUAGES[file.slice(dot + 1).toLowerCase()] ?? null : null;
+}
+
+function ranked(values: (string | null)[]): string[] {
+  const counts = new Map<string, number>();
+  for (const v of values) if (v) counts.set(v, (counts.get(v) ?? 0) + 1);
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_AREAS)
+    .map(([v]) => v);
+}
+
+export function deriveAreas(paths: string[], rules: ComponentRule[] = []): PrAreas {
+  return {
+    directories: ranked(paths.map(directoryOf)),
+    languages: ranked(paths.map(languageOf)),
+    components: ranked(paths.map((p) => rules.find((r) => r.pattern.test(p))?.name ?? null)),
+  };
+}
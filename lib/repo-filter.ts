@@ -0,0 +1,50 @@
+/**
+ * Repository scope for a collection run: only these repos and/or orgs, never these repos. Names are
+ * `owner/name` (GitLab: `group/sub/project`) and compared case-insensitively, like the code hosts do.
+ * Browser-safe: the collect form parses the same lists it sends.
+ */
+
+export interface RepoSelection {
+  /** Collect only these repos (together with `orgs`); everything when both are empty. */
+  repos?: string[];
+  /** Never collect these repos, even when listed in `repos` or under one of `orgs`. */
+  excludeRepos?: string[];
+  /** Collect only repos owned by these users or orgs (GitLab: groups, including subgroups). */
+  orgs?: string[];
+}
+
+/** Longest scope appended to a search; GitHub rejects queries over 256 characters, the rest is the base query. */
+const MAX_SEARCH_SCOPE_CHARS = 120;
+
+/** "a/b, c/d" or "a/b c/d" → ["a/b", "c/d"] */
+export function parseRepoList(value: string | null | undefined): string[] {
+  return (value ?? "").split(/[\s,]+/).map((s) => s.trim()).filter(Boolean);
+}
+
+/** Predicate for a repo name under the selection: excluded repos lose, then the include lists (if any) must match. */
+export function repoMatcher(selection: RepoSelection = {}): (repo: string) => boolean {
+  const lower = (list: string[] | undefined) => new Set((list ?? []).map((s) => s.toLowerCase()));
+  const repos = lower(selection.repos);
+  const excluded = lower(selection.excludeRepos);
+  const orgs = [...lower(selection.orgs)];
+  const restricted = repos.size > 0 || orgs.length > 0;
+  return (repo) => {
+    const name = repo.toLowerCase();
+    if (excluded.has(name)) return false;
+    if (!restricted) return true;
+    return repos.has(name) || orgs.some((org) => name.startsWith(`${org}/`));
+  };
+}
+
+/**
+ * GitHub search qualifiers for the include lists (" repo:a/b user:c"), so searches skip out-of-scope results
+ * instead of paging through them (`user:` matches orgs too). Excluded repos are left to the caller's
+ * repoMatcher filter, as are lists too long for one query (then this is empty).
+ */
+export function searchScope(selection: RepoSelection = {}): string {
+  const scope = [
+    ...(selection.repos ?? []).map((r) => `repo:${r}`),
+    ...(selection.orgs ?? []).map((o) => `user:${o}`),
+  ].join(" ");
+  return scope && scope.length <= MAX_SEARCH_SCOPE_CHARS ? ` ${scope}` : "";
+}
@@ -1,9 +1,14 @@
 /**
  * Four-step pipeline: evidence JSON → themes → bullets → STAR stories → self_eval.
  * Each step uses one prompt from prompts/ and passes previous outputs forward. Needs OPENAI_API_KEY.
+ * Every step's output is checked against schemas/<step>.json; an invalid reply is sent back to the model with
+ * the errors (up to MAX_REPAIR_ATTEMPTS times) before the run fails with a StepOutputError naming the step.
+ * Citations in the final outputs are then verified against the evidence (see verify-citations.ts).
+ * Validated step outputs are cached in SQLite (see step-cache.ts), so a rerun only calls the model for steps
+ * whose prompt, model or input changed; `fromStep` forces that step and the ones after it to run again.
+ * regenerateSection reruns one step (or one theme's bullets, or one story) with the user's feedback.
  */
 
-import { createHash } from "crypto";
 import { readFileSync } from "fs";
 import { join, dirname } from "path";
 import { fileURLToPath } from "url";
@@ -11,6 +16,10 @@ import OpenAI from "openai";
 import { OpenAI as PostHogOpenAI } from "@posthog/ai/openai";
 import { PostHog } from "posthog-node";
 import { fitEvidenceToBudget, estimateTokens, slimContributions } from "./context-budget.js";
+import { migrateEvidence } from "./migrate-evidence.js";
+import { clearStepCache, getCachedStep, setCachedStep, stepCacheKey } from "./step-cache.js";
+import { formatValidationErrors, validateStepOutput, STEP_OUTPUT_KEYS, type StepOutputKey } from "./validate-step-output.js";
+import { verifyCitations, type CitationReport } from "./verify-citations.js";
 import type { Evidence } from "../types/evidence.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -22,17 +31,15 @@ function loadPrompt(name: string): string {
 
 const SYSTEM_PROMPT = loadPrompt("00_system.md");
 
-const RESULT_CACHE_MAX = 50;
-const resultCache = new Map<string, PipelineResult>();
+/** Repair round-trips per step when a reply is not JSON or does not match the step's schema. */
+const MAX_REPAIR_ATTEMPTS = 2;
 
-/** Clear result cache (for tests). */
-export function clearPipelineCache(): void {
-  resultCache.clear();
-}
+/** Errors quoted in a StepOutputError message (the repair prompt gets all of them). */
+const MAX_ERRORS_IN_MESSAGE = 5;
 
-function cacheKey(evidence: unknown, model: string): string {
-  const str = JSON.stringify({ evidence, model });
-  return createHash("sha256").update(str).digest("hex");
+/** Clear the step cache (for tests). */
+export function clearPipelineCache(): void {
+  clearStepCache();
 }
 
 /** Pull first {...} from LLM response text and parse as JSON. */
@@ -43,6 +50,42 @@ export function extractJson(text: string): unknown {
   return JSON.parse(text.slice(start, end));
 }
 
+/** A step whose output was still unparseable or off-schema after every repair attempt. */
+export class StepOutputError extends Error {
+  step: string;
+  problems: string[];
+  constructor(step: string, label: string, problems: string[], repairAttempts: number) {
+    const shown = problems.slice(0, MAX_ERRORS_IN_MESSAGE).join("; ");
+    const more = problems.length > MAX_ERRORS_IN_MESSAGE ? ` (+${problems.length - MAX_ERRORS_IN_MESSAGE} more)` : "";
+    super(
+      `${label} step failed: the model's output was invalid after ${repairAttempts} repair attempt${repairAttempts === 1 ? "" : "s"}: ${shown}${more}`
+    );
+    this.name = "StepOutputError";
+    this.step = step;
+    this.problems = problems;
+  }
+}
+
+/** Parse a step's reply and check it against the step's schema; problems is empty when it can be used. */
+export function checkStepOutput(step: StepOutputKey, content: string): { data: unknown; problems: string[] } {
+  let data: unknown;
+  try {
+    data = extractJson(content);
+  } catch (e) {
+    return { data: undefined, problems: [`reply is not a JSON object (${(e as Error).message})`] };
+  }
+  const result = validateStepOutput(step, data);
+  return { data, problems: result.valid ? [] : formatValidationErrors(result.errors) };
+}
+
+function repairPrompt(problems: string[]): string {
+  return [
+    "Your reply does not match the OUTPUT schema:",
+    ...problems.map((p) => `- ${p}`),
+    "Reply with the corrected JSON object only, keeping everything that was valid.",
+  ].join("\n");
+}
+
 /** Collect all evidence ids referenced in themes and bullets (and optional stories). */
 function collectEvidenceIds(
   themes: Record<string, unknown> | null,
@@ -79,7 +122,7 @@ function contributionsForPayload(
 }
 
 interface PipelineStep {
-  key: string;
+  key: StepOutputKey;
   label: string;
   promptFile: string;
   buildInput: (evidence: Evidence, prev: Record<string, unknown>) => string;
@@ -93,7 +136,13 @@ const STEPS: PipelineStep[] = [
     promptFile: "10_theme_cluster.md",
     buildInput(evidence) {
       return JSON.stringify(
-        { timeframe: evidence.timeframe, role_context_optional: evidence.role_context_optional, goals: evidence.goals, contributions: evidence.contributions },
+        {
+          timeframe: evidence.timeframe,
+          role_context_optional: evidence.role_context_optional,
+          goals: evidence.goals,
+          context_answers: evidence.context_answers,
+          contributions: evidence.contributions,
+        },
         null,
         2
       );
@@ -106,7 +155,7 @@ const STEPS: PipelineStep[] = [
     buildInput(evidence, prev) {
       const slimmed = slimContributions(evidence.contributions, { bodyChars: 400, summaryChars: 500 });
       return JSON.stringify(
-        { timeframe: evidence.timeframe, goals: evidence.goals, themes: prev.themes, contributions: slimmed },
+        { timeframe: evidence.timeframe, goals: evidence.goals, context_answers: evidence.context_answers, themes: prev.themes, contributions: slimmed },
         null,
         2
       );
@@ -126,6 +175,7 @@ const STEPS: PipelineStep[] = [
         {
           timeframe: evidence.timeframe,
           goals: evidence.goals,
+          context_answers: evidence.context_answers,
           themes: prev.themes,
           bullets_by_theme: (prev.bullets as { bullets_by_theme?: unknown })?.bullets_by_theme,
           contributions: contribs,
@@ -150,6 +200,7 @@ const STEPS: PipelineStep[] = [
         {
           timeframe: evidence.timeframe,
           goals: evidence.goals,
+          context_answers: evidence.context_answers,
           role_context_optional: evidence.role_context_optional,
           themes: prev.themes,
           top_10_bullets_overall: (prev.bullets as { top_10_bullets_overall?: unknown[] })?.top_10_bullets_overall ?? [],
@@ -168,6 +219,8 @@ export interface PipelineResult {
   bullets: unknown;
   stories: unknown;
   self_eval: unknown;
+  /** What citation verification corrected, removed or flagged in the outputs above. */
+  verification?: CitationReport;
 }
 
 export interface PipelineOptions {
@@ -187,46 +240,54 @@ export interface PipelineOptions {
   }) => void;
   posthogTraceId?: string;
   posthogDistinctId?: string;
+  /** Reuse and store step outputs in the step cache (default true). */
+  cache?: boolean;
+  /** Run this step and every later one even when cached; earlier steps still come from the cache. */
+  fromStep?: StepOutputKey;
 }
 
-export async function runPipeline(
-  evidence: Evidence,
-  {
-    apiKey = process.env.OPENROUTER_API_KEY ?? process.env.OPENAI_API_KEY,
-    model,
-    baseURL = process.env.OPENROUTER_API_KEY ? "https://openrouter.ai/api/v1" : undefined,
-    premium = false,
-    onProgress,
-    posthogTraceId,
-    posthogDistinctId,
-  }: PipelineOptions = {}
-): Promise<PipelineResult> {
-  if (!apiKey) throw new Error("OPENAI_API_KEY or OPENROUTER_API_KEY required");
+/** Which part of a previous result to regenerate: a whole step, one theme's bullets, or one story. */
+export interface SectionTarget {
+  step: StepOutputKey;
+  /** With step "bullets": only this theme's group in bullets_by_theme. */
+  theme_id?: string;
+  /** With step "stories": only this story (index into stories). */
+  story_index?: number;
+}
+
+/** Longest feedback passed to the model when regenerating a section. */
+export const MAX_FEEDBACK_CHARS = 2000;
+
+/** Evidence as the steps see it: migrated, without excluded items, trimmed to the context budget. */
+function prepareEvidence(evidence: Evidence): { evidence: Evidence; sourceContributions: Evidence["contributions"] } {
+  evidence = migrateEvidence(evidence);
+  evidence = { ...evidence, contributions: evidence.contributions.filter((c) => !c.excluded) };
+  // Citations are checked against everything the user kept, not just what fit in the first prompt.
+  const sourceContributions = evidence.contributions;
+  return { evidence: fitEvidenceToBudget(evidence, (ev) => STEPS[0].buildInput(ev, {})), sourceContributions };
+}
 
-  // Resolve model: explicit > env override > premium/free defaults based on provider
+/** Model: explicit > env override > premium/free defaults based on provider. */
+function resolveModel(model: string | undefined, premium: boolean): string {
   const useOpenRouter = !!process.env.OPENROUTER_API_KEY;
-  const resolvedModel = model ?? (
+  return model ?? (
     premium
       ? (process.env.PREMIUM_LLM_MODEL ?? (useOpenRouter ? "anthropic/claude-3.5-sonnet" : "gpt-4o"))
       : (process.env.LLM_MODEL ?? (useOpenRouter ? "anthropic/claude-3-haiku" : "gpt-4o-mini"))
   );
+}
 
-  const key = cacheKey(evidence, resolvedModel);
-  const cached = resultCache.get(key);
-  if (cached) {
-    if (typeof onProgress === "function") {
-      for (let i = 1; i <= STEPS.length; i++) {
-        onProgress({
-          stepIndex: i,
-          total: STEPS.length,
-          step: STEPS[i - 1].key,
-          label: STEPS[i - 1].label,
-        });
-      }
-    }
-    return cached;
-  }
+interface LlmClient {
+  openai: OpenAI;
+  /** Flushed by the caller when done. */
+  phClient: PostHog | null;
+  posthogOpts: Record<string, string | boolean>;
+}
 
+function createClient(
+  apiKey: string,
+  { baseURL, posthogTraceId, posthogDistinctId }: Pick<PipelineOptions, "baseURL" | "posthogTraceId" | "posthogDistinctId">
+): LlmClient {
   const phKey = process.env.POSTHOG_API_KEY;
   const phClient = phKey
     ? new PostHog(phKey, { host: process.env.POSTHOG_HOST || "https://us.i.posthog.com" })
@@ -243,12 +304,67 @@ export async function runPipeline(
     ? new PostHogOpenAI({ ...clientOpts, posthog: phClient }) as unknown as OpenAI
     : new OpenAI(clientOpts);
 
-  const total = STEPS.length;
   const posthogOpts: Record<string, string | boolean> = {};
   if (posthogTraceId != null) posthogOpts.posthogTraceId = posthogTraceId;
   if (posthogDistinctId != null) posthogOpts.posthogDistinctId = posthogDistinctId;
   if (phClient) posthogOpts.posthogCaptureImmediate = true; // send each generation immediately so we don't rely on shutdown flush
   if (phClient && baseURL?.includes("openrouter.ai")) posthogOpts.posthogProviderOverride = "openrouter"; // correct $ai_provider in PostHog LLM analytics
+  return { openai, phClient, posthogOpts };
+}
+
+/** One step's conversation: ask, then send schema problems back until the reply validates or repairs run out. */
+async function completeStep(
+  { openai, posthogOpts }: LlmClient,
+  model: string,
+  step: PipelineStep,
+  userContent: string,
+  onRepair: (attempt: number) => void
+): Promise<unknown> {
+  const messages: OpenAI.Chat.ChatCompletionMessageParam[] = [
+    { role: "system", content: SYSTEM_PROMPT },
+    { role: "user", content: userContent },
+  ];
+  for (let attempt = 0; ; attempt++) {
+    const res = await openai.chat.completions.create({ model, messages: [...messages], ...posthogOpts });
+    const content = res.choices[0]?.message?.content ?? "";
+    const { data, problems } = checkStepOutput(step.key, content);
+    if (!problems.length) return data;
+    if (attempt === MAX_REPAIR_ATTEMPTS) throw new StepOutputError(step.key, step.label, problems, attempt);
+    onRepair(attempt + 1);
+    messages.push({ role: "assistant", content }, { role: "user", content: repairPrompt(problems) });
+  }
+}
+
+function verifiedResult(outputs: Record<string, unknown>, sourceContributions: Evidence["contributions"]): PipelineResult {
+  const { outputs: verified, report } = verifyCitations(
+    { themes: outputs.themes, bullets: outputs.bullets, stories: outputs.stories, self_eval: outputs.self_eval },
+    sourceContributions
+  );
+  return { ...(verified as PipelineResult), verification: report };
+}
+
+export async function runPipeline(
+  evidence: Evidence,
+  {
+    apiKey = process.env.OPENROUTER_API_KEY ?? process.env.OPENAI_API_KEY,
+    model,
+    baseURL = process.env.OPENROUTER_API_KEY ? "https://openrouter.ai/api/v1" : undefined,
+    premium = false,
+    onProgress,
+    posthogTraceId,
+    posthogDistinctId,
+    cache = true,
+    fromStep,
+  }: PipelineOptions = {}
+): Promise<PipelineResult> {
+  if (!apiKey) throw new Error("OPENAI_API_KEY or OPENROUTER_API_KEY required");
+  if (fromStep && !STEP_OUTPUT_KEYS.includes(fromStep)) {
+    throw new Error(`Unknown step "${fromStep}" (expected one of ${STEP_OUTPUT_KEYS.join(", ")})`);
+  }
+  const firstFreshStep = fromStep ? STEPS.findIndex((s) => s.key === fromStep) + 1 : Infinity;
+  const resolvedModel = resolveModel(model, premium);
+  const client = createClient(apiKey, { baseURL, posthogTraceId, posthogDistinctId });
+  const total = STEPS.length;
 
   try {
   const totalStart = Date.now();
@@ -268,7 +384,8 @@ export async function runPipeline(
     }
   }
 
-  evidence = fitEvidenceToBudget(evidence, (ev) => STEPS[0].buildInput(ev, {}));
+  const prepared = prepareEvidence(evidence);
+  evidence = prepared.evidence;
 
   const previousResults: Record<string, unknown> = {};
   let prevStepMs: number | undefined;
@@ -276,40 +393,130 @@ export async function runPipeline(
 
   for (let stepIndex = 1; stepIndex <= total; stepIndex++) {
     const step = STEPS[stepIndex - 1];
-    progress(stepIndex, undefined, stepIndex === 1 ? {} : { prevStepMs, prevStepPayloadTokens });
-
     const stepStart = Date.now();
     const input = step.buildInput(evidence, previousResults);
     const promptContent = loadPrompt(step.promptFile);
-    const res = await openai.chat.completions.create({
-      model: resolvedModel,
-      messages: [
-        { role: "system", content: SYSTEM_PROMPT },
-        { role: "user", content: `${promptContent}\n\nINPUT JSON:\n${input}` },
-      ],
-      ...posthogOpts,
-    });
-    const stepResult = extractJson(res.choices[0]?.message?.content ?? "{}");
-    previousResults[step.key] = stepResult;
+    const cacheKey = stepCacheKey({ prompt: `${SYSTEM_PROMPT}\n\n${promptContent}`, model: resolvedModel, input });
+    const cached = cache && stepIndex < firstFreshStep ? getCachedStep(cacheKey) : undefined;
+    progress(
+      stepIndex,
+      cached === undefined ? undefined : `${step.label} (cached)`,
+      stepIndex === 1 ? {} : { prevStepMs, prevStepPayloadTokens }
+    );
+    if (cached !== undefined) {
+      previousResults[step.key] = cached;
+      prevStepMs = Date.now() - stepStart;
+      prevStepPayloadTokens = 0;
+      continue;
+    }
+
+    const data = await completeStep(client, resolvedModel, step, `${promptContent}\n\nINPUT JSON:\n${input}`, (attempt) =>
+      progress(stepIndex, `${step.label} (repairing output, attempt ${attempt})`)
+    );
+    previousResults[step.key] = data;
+    if (cache) setCachedStep(cacheKey, step.key, data);
     prevStepMs = Date.now() - stepStart;
     prevStepPayloadTokens = estimateTokens(input);
   }
 
   progress(total, undefined, { prevStepMs, prevStepPayloadTokens, totalMs: Date.now() - totalStart });
 
-  const result: PipelineResult = {
-    themes: previousResults.themes,
-    bullets: previousResults.bullets,
-    stories: previousResults.stories,
-    self_eval: previousResults.self_eval,
+  return verifiedResult(previousResults, prepared.sourceContributions);
+  } finally {
+    if (client.phClient) await client.phClient.shutdown();
+  }
+}
+
+/**
+ * Rerun one step of a previous result, or one theme's bullets or one story, with the user's feedback; every other
+ * output is returned unchanged. The step sees the same input as in a full run (built from `previous`), plus the
+ * section as it is now and the feedback (prompts/50_revise_with_feedback.md). Not cached: feedback makes each
+ * run unique. Citations are verified again across the whole result.
+ */
+export async function regenerateSection(
+  evidence: Evidence,
+  previous: PipelineResult,
+  target: SectionTarget,
+  feedback: string,
+  {
+    apiKey = process.env.OPENROUTER_API_KEY ?? process.env.OPENAI_API_KEY,
+    model,
+    baseURL = process.env.OPENROUTER_API_KEY ? "https://openrouter.ai/api/v1" : undefined,
+    premium = false,
+    onProgress,
+    posthogTraceId,
+    posthogDistinctId,
+  }: PipelineOptions = {}
+): Promise<PipelineResult> {
+  if (!apiKey) throw new Error("OPENAI_API_KEY or OPENROUTER_API_KEY required");
+  const stepIndex = STEPS.findIndex((s) => s.key === target.step) + 1;
+  if (!stepIndex) {
+    throw new Error(`Unknown step "${target.step}" (expected one of ${STEP_OUTPUT_KEYS.join(", ")})`);
+  }
+  const step = STEPS[stepIndex - 1];
+  const outputs: Record<string, unknown> = {
+    themes: previous.themes,
+    bullets: previous.bullets,
+    stories: previous.stories,
+    self_eval: previous.self_eval,
   };
-  if (resultCache.size >= RESULT_CACHE_MAX) {
-    const firstKey = resultCache.keys().next().value;
-    if (firstKey !== undefined) resultCache.delete(firstKey);
+  const groups = ((previous.bullets as { bullets_by_theme?: Array<{ theme_id?: string }> })?.bullets_by_theme ?? []);
+  const storyList = ((previous.stories as { stories?: unknown[] })?.stories ?? []);
+
+  let current: unknown = outputs[step.key];
+  let scope = "Reply with the complete OUTPUT JSON for this step, changed only where the feedback asks.";
+  let label = step.label;
+  if (step.key === "bullets" && target.theme_id != null) {
+    current = groups.find((g) => g.theme_id === target.theme_id);
+    if (!current) throw new Error(`No bullets for theme "${target.theme_id}" in the previous result`);
+    scope = `Reply with {"bullets_by_theme": [...]} holding exactly one entry, the revised bullets for theme_id "${target.theme_id}". Leave out top_10_bullets_overall.`;
+    label = `${step.label} for ${target.theme_id}`;
+  } else if (step.key === "stories" && target.story_index != null) {
+    current = storyList[target.story_index];
+    if (!current) throw new Error(`No story ${target.story_index + 1} in the previous result`);
+    scope = `Reply with {"stories": [...]} holding exactly one story, the revised version of the current one.`;
+    label = `STAR story ${target.story_index + 1}`;
   }
-  resultCache.set(key, result);
-  return result;
+  if (current === undefined) throw new Error(`No ${step.label.toLowerCase()} in the previous result to regenerate`);
+
+  const client = createClient(apiKey, { baseURL, posthogTraceId, posthogDistinctId });
+  const progress = (text: string) =>
+    onProgress?.({ stepIndex: 1, total: 1, step: step.key, label: text });
+  try {
+    const { evidence: prepared, sourceContributions } = prepareEvidence(evidence);
+    const input = step.buildInput(prepared, outputs);
+    const userContent = [
+      `${loadPrompt(step.promptFile)}\n\nINPUT JSON:\n${input}`,
+      loadPrompt("50_revise_with_feedback.md"),
+      `CURRENT SECTION:\n${JSON.stringify(current, null, 2)}`,
+      `FEEDBACK:\n${feedback.trim().slice(0, MAX_FEEDBACK_CHARS)}`,
+      scope,
+    ].join("\n\n");
+    progress(`Regenerating ${label}`);
+    const data = await completeStep(client, resolveModel(model, premium), step, userContent, (attempt) =>
+      progress(`Regenerating ${label} (repairing output, attempt ${attempt})`)
+    );
+
+    if (step.key === "bullets" && target.theme_id != null) {
+      const revised = (data as { bullets_by_theme: Array<{ theme_id: string }> }).bullets_by_theme;
+      const match = revised.find((g) => g.theme_id === target.theme_id) ?? revised[0];
+      // An empty reply passes the schema; keep the theme's bullets rather than wiping them (as for stories).
+      const group = match ? { ...match, theme_id: target.theme_id } : current;
+      outputs.bullets = {
+        ...(previous.bullets as object),
+        bullets_by_theme: groups.map((g) => (g.theme_id === target.theme_id ? group : g)),
+      };
+    } else if (step.key === "stories" && target.story_index != null) {
+      const [story] = (data as { stories: unknown[] }).stories;
+      outputs.stories = {
+        ...(previous.stories as object),
+        stories: storyList.map((s, i) => (i === target.story_index && story ? story : s)),
+      };
+    } else {
+      outputs[step.key] = data;
+    }
+    return verifiedResult(outputs, sourceContributions);
   } finally {
-    if (phClient) await phClient.shutdown();
+    if (client.phClient) await client.phClient.shutdown();
   }
 }
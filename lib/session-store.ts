@@ -2,10 +2,20 @@
  * In-memory session store. Session id in cookie; token and identity stored server-side.
  */
 
+/** A token for a further GitHub host (e.g. GHES) connected in the same session. */
+export interface GitHubConnection {
+  github_url: string;
+  access_token: string;
+  login: string;
+}
+
 export interface SessionData {
   access_token: string;
   login: string;
   scope?: string;
+  /** Host access_token belongs to; github.com when unset. */
+  github_url?: string;
+  connections?: GitHubConnection[];
   created_at: string;
 }
 
@@ -24,6 +34,15 @@ export function getSession(id: string): SessionData | undefined {
   return sessions.get(id);
 }
 
+/** Attach (or replace) the connection for a host on an existing session. Returns false if there is no session. */
+export function addSessionConnection(id: string, connection: GitHubConnection): boolean {
+  const session = sessions.get(id);
+  if (!session) return false;
+  const others = (session.connections ?? []).filter((c) => c.github_url !== connection.github_url);
+  session.connections = [...others, connection];
+  return true;
+}
+
 export function destroySession(id: string): void {
   sessions.delete(id);
 }
@@ -0,0 +1,233 @@
+/**
+ * Importer for a standard Slack workspace export (the ZIP from Settings → Import/Export, or its unzipped
+ * directory): channels.json / groups.json, users.json and one folder per channel of daily message arrays.
+ * Keeps the user's messages in the chosen channels within the timeframe. A thread the user started or
+ * replied in becomes one `discussion` contribution (the root message for context plus the user's own
+ * replies; other people's replies are left out); a top-level message outside any thread counts on its own
+ * when it is substantial. DMs and group DMs are never read.
+ * Channel names can be redacted (private channels or all) to stable aliases, in `repo`/`channel` and in message text.
+ */
+
+import { readFileSync, readdirSync, statSync } from "fs";
+import { join, relative, sep } from "path";
+import { readZip } from "./zip.js";
+import type { Contribution } from "../types/evidence.js";
+
+export type ChannelRedaction = "none" | "private" | "all";
+
+export const CHANNEL_REDACTIONS: ChannelRedaction[] = ["none", "private", "all"];
+
+/** Top-level messages outside threads shorter than this are chatter, not evidence. */
+export const MIN_MESSAGE_CHARS = 80;
+
+const SUMMARY_CHARS = 500;
+const TITLE_CHARS = 120;
+
+/** Message subtypes that are not something the user wrote (joins, topic changes, bots). */
+const SKIPPED_SUBTYPES = new Set([
+  "channel_join",
+  "channel_leave",
+  "channel_topic",
+  "channel_purpose",
+  "channel_name",
+  "channel_archive",
+  "channel_unarchive",
+  "group_join",
+  "group_leave",
+  "bot_message",
+  "pinned_item",
+]);
+
+export interface SlackImportOptions {
+  /** The user's Slack member ID, e.g. "U012AB3CD". */
+  userId: string;
+  /** Channel names or IDs to read; all public and private channels in the export when omitted. */
+  channels?: string[];
+  start?: string | null;
+  end?: string | null;
+  /** Workspace URL for permalinks, e.g. https://acme.slack.com. */
+  workspaceUrl?: string;
+  redactChannels?: ChannelRedaction;
+}
+
+export interface SlackImportResult {
+  contributions: Contribution[];
+  /** Channels read, by display name (aliases when redacted). */
+  channels: string[];
+}
+
+interface SlackChannel {
+  id: string;
+  name: string;
+  private: boolean;
+}
+
+interface SlackMessage {
+  type?: string;
+  subtype?: string;
+  user?: string;
+  text?: string;
+  ts: string;
+  thread_ts?: string;
+}
+
+interface SlackUser {
+  id: string;
+  name?: string;
+  real_name?: string;
+  profile?: { display_name?: string; real_name?: string };
+}
+
+/** Export files by path relative to the export root, from a .zip or an unzipped directory. */
+export function loadSlackExport(path: string): Map<string, string> {
+  const files = new Map<string, string>();
+  if (statSync(path).isDirectory()) {
+    const walk = (dir: string) => {
+      for (const name of readdirSync(dir)) {
+        const full = join(dir, name);
+        if (statSync(full).isDirectory()) walk(full);
+        else if (name.endsWith(".json")) files.set(relative(path, full).split(sep).join("/"), readFileSync(full, "utf8"));
+      }
+    };
+    walk(path);
+    return files;
+  }
+  const entries = readZip(readFileSync(path));
+  // Some tools zip the export inside a top-level folder; strip it so channels.json sits at the root.
+  const root = [...entries.keys()].find((n) => n === "channels.json" || n.endsWith("/channels.json"));
+  const prefix = root ? root.slice(0, -"channels.json".length) : "";
+  for (const [name, data] of entries) {
+    if (name.startsWith(prefix) && name.endsWith(".json")) files.set(name.slice(prefix.length), data.toString("utf8"));
+  }
+  return files;
+}
+
+function readJson<T>(files: Map<string, string>, name: string, fallback: T): T {
+  const content = files.get(name);
+  if (content == null) return fallback;
+  try {
+    return JSON.parse(content) as T;
+  } catch {
+    throw new Error(`Invalid JSON in Slack export file ${name}`);
+  }
+}
+
+function tsToIso(ts: string): string {
+  return new Date(Math.round(Number(ts) * 1000)).toISOString();
+}
+
+function inRange(date: string, start?: string | null, end?: string | null): boolean {
+  const day = date.slice(0, 10);
+  if (start && day < start) return false;
+  if (end && day > end) return false;
+  return true;
+}
+
+/** Link to a message (and its thread) in the workspace, the same shape as Slack's "Copy link". */
+export function slackPermalink(workspaceUrl: string | undefined, channelId: string, ts: string): string {
+  const base = (workspaceUrl || "https://slack.com").replace(/\/+$/, "");
+  return `${base}/archives/${channelId}/p${ts.replace(".", "")}`;
+}
+
+/** Plain text from Slack mrkdwn: mentions resolved, links unwrapped, entities decoded. */
+function plainText(
+  text: string,
+  userName: (id: string) => string,
+  channelName: (id: string, name?: string) => string
+): string {
+  return text
+    .replace(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g, (_, id: string) => `@${userName(id)}`)
+    .replace(/<#([CG][A-Z0-9]+)(?:\|([^>]*))?>/g, (_, id: string, name?: string) => `#${channelName(id, name)}`)
+    .replace(/<!(here|channel|everyone)(?:\|[^>]*)?>/g, "@$1")
+    .replace(/<!subteam\^[A-Z0-9]+\|([^>]*)>/g, "$1")
+    .replace(/<(https?:\/\/[^|>]+)\|([^>]+)>/g, "$2 ($1)")
+    .replace(/<(https?:\/\/[^>]+)>/g, "$1")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+function firstLine(text: string): string {
+  const line = text.split("\n").find((l) => l.trim()) ?? "";
+  return line.length > TITLE_CHARS ? `${line.slice(0, TITLE_CHARS - 1)}…` : line;
+}
+
+export function importSlack(files: Map<string, string>, opts: SlackImportOptions): SlackImportResult {
+  if (!files.has("channels.json") && !files.has("groups.json")) {
+    throw new Error("Not a Slack export: channels.json not found");
+  }
+  const redact = opts.redactChannels ?? "none";
+  const all: SlackChannel[] = [
+    ...readJson<{ id: string; name: string }[]>(files, "channels.json", []).map((c) => ({ id: c.id, name: c.name, private: false })),
+    ...readJson<{ id: string; name: string }[]>(files, "groups.json", []).map((c) => ({ id: c.id, name: c.name, private: true })),
+  ];
+
+  // Aliases are numbered by channel ID so they stay stable across imports of the same workspace.
+  const labels = new Map<string, string>();
+  let n = 0;
+  for (const c of [...all].sort((a, b) => a.id.localeCompare(b.id))) {
+    const hidden = redact === "all" || (redact === "private" && c.private);
+    labels.set(c.id, hidden ? `${c.private ? "private-channel" : "channel"}-${++n}` : c.name);
+  }
+  const channelName = (id: string, name?: string) =>
+    labels.get(id) ?? (redact === "none" && name ? name : "redacted-channel");
+
+  const users = new Map<string, string>();
+  for (const u of readJson<SlackUser[]>(files, "users.json", [])) {
+    users.set(u.id, u.profile?.display_name || u.profile?.real_name || u.real_name || u.name || u.id);
+  }
+  const userName = (id: string) => users.get(id) ?? id;
+
+  const wanted = opts.channels?.length ? new Set(opts.channels.map((c) => c.replace(/^#/, "").toLowerCase())) : null;
+  const selected = all.filter((c) => !wanted || wanted.has(c.name.toLowerCase()) || wanted.has(c.id.toLowerCase()));
+
+  const contributions: Contribution[] = [];
+  for (const channel of selected) {
+    // Folders are named after the channel; older exports of private channels use the ID.
+    const messages = [...files.keys()]
+      .filter((f) => f.startsWith(`${channel.name}/`) || f.startsWith(`${channel.id}/`))
+      .filter((f) => /^[^/]+\/\d{4}-\d{2}-\d{2}\.json$/.test(f))
+      .sort()
+      .flatMap((f) => readJson<SlackMessage[]>(files, f, []))
+      .filter((m) => m?.ts && !SKIPPED_SUBTYPES.has(m.subtype ?? ""));
+
+    const threads = new Map<string, SlackMessage[]>();
+    for (const m of messages) {
+      const key = m.thread_ts ?? m.ts;
+      threads.set(key, [...(threads.get(key) ?? []), m]);
+    }
+
+    const label = labels.get(channel.id) ?? channel.name;
+    const text = (m: SlackMessage) => plainText(m.text ?? "", userName, channelName);
+    for (const [threadTs, thread] of threads) {
+      thread.sort((a, b) => Number(a.ts) - Number(b.ts));
+      const mine = thread.filter((m) => m.user === opts.userId && text(m));
+      if (!mine.length) continue;
+      const first = tsToIso(mine[0].ts);
+      if (!inRange(first, opts.start, opts.end)) continue;
+      const root = thread.find((m) => m.ts === threadTs) ?? thread[0];
+      const isThread = thread.length > 1 || root.thread_ts != null;
+      if (!isThread && text(root).length < MIN_MESSAGE_CHARS) continue;
+
+      const context = root.user !== opts.userId && text(root) ? [`${userName(root.user ?? "")}: ${text(root)}`] : [];
+      const body = [...context, ...mine.map(text)].join("\n\n");
+      contributions.push({
+        id: `slack#${channel.id}#${threadTs}`,
+        type: "discussion",
+        source: "slack",
+        title: firstLine(text(root)) || `Thread in #${label}`,
+        url: slackPermalink(opts.workspaceUrl, channel.id, threadTs),
+        repo: label,
+        channel: label,
+        merged_at: first,
+        summary: mine.map(text).join("\n").slice(0, SUMMARY_CHARS),
+        body,
+        review_comments_count: mine.length,
+        meta: { channel_id: channel.id, thread_ts: threadTs },
+      });
+    }
+  }
+  contributions.sort((a, b) => (a.merged_at ?? "").localeCompare(b.merged_at ?? ""));
+  return { contributions, channels: selected.map((c) => labels.get(c.id) ?? c.name) };
+}
@@ -0,0 +1,111 @@
+/**
+ * SQLite-backed cache of pipeline step outputs, so a regeneration resumes instead of restarting.
+ *
+ * Each entry is one step's validated output, keyed by a hash of the prompt text, the model and the
+ * step's input JSON. Steps feed their output into the next step's input, so when a run fails at step 4
+ * (or the evidence is edited) the steps whose inputs did not change are served from here, even after
+ * a server restart.
+ *
+ * One table:
+ *   step_cache – key → (step, value JSON, size, created_at, last_used_at)
+ *
+ * Limits: entries expire STEP_CACHE_TTL_DAYS after they were written (default 7), and once the values
+ * exceed STEP_CACHE_MAX_MB in total (default 100) the least recently used are evicted.
+ *
+ * STEP_CACHE_DB_PATH env var controls where the file lives. Defaults to ./step-cache.db in production
+ * and :memory: in test (NODE_ENV=test). Losing it only costs LLM calls, so no persistent volume is needed.
+ */
+
+import Database from "better-sqlite3";
+import { createHash } from "crypto";
+import { join } from "path";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface StepCacheLimits {
+  /** Entries older than this (since written) are ignored and removed. */
+  ttlMs: number;
+  /** Total size of the stored values; least recently used entries are evicted beyond it. */
+  maxBytes: number;
+}
+
+export const STEP_CACHE_LIMITS: StepCacheLimits = {
+  ttlMs: (Number(process.env.STEP_CACHE_TTL_DAYS) || 7) * DAY_MS,
+  maxBytes: (Number(process.env.STEP_CACHE_MAX_MB) || 100) * 1024 * 1024,
+};
+
+const DB_PATH =
+  process.env.STEP_CACHE_DB_PATH ??
+  (process.env.NODE_ENV === "test" ? ":memory:" : join(process.cwd(), "step-cache.db"));
+
+// Opened on first use so runs with the cache disabled never create the file.
+let db: Database.Database | null = null;
+
+function getDb(): Database.Database {
+  if (!db) {
+    db = new Database(DB_PATH);
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS step_cache (
+        key          TEXT PRIMARY KEY,
+        step         TEXT NOT NULL,
+        value        TEXT NOT NULL,
+        size         INTEGER NOT NULL,
+        created_at   INTEGER NOT NULL,
+        last_used_at INTEGER NOT NULL
+      );
+    `);
+  }
+  return db;
+}
+
+/** sha256 of everything that determines a step's output. */
+export function stepCacheKey({ prompt, model, input }: { prompt: string; model: string; input: string }): string {
+  return createHash("sha256").update(JSON.stringify({ prompt, model, input })).digest("hex");
+}
+
+/** The cached output for a key, or undefined when missing or expired. A hit counts as a use for eviction. */
+export function getCachedStep(key: string, now = Date.now(), limits = STEP_CACHE_LIMITS): unknown {
+  const row = getDb()
+    .prepare<[string], { value: string; created_at: number }>("SELECT value, created_at FROM step_cache WHERE key = ?")
+    .get(key);
+  if (!row) return undefined;
+  if (now - row.created_at > limits.ttlMs) {
+    getDb().prepare<[string]>("DELETE FROM step_cache WHERE key = ?").run(key);
+    return undefined;
+  }
+  getDb().prepare<[number, string]>("UPDATE step_cache SET last_used_at = ? WHERE key = ?").run(now, key);
+  return JSON.parse(row.value);
+}
+
+/** Store a step's output (replacing any entry for the key), then enforce the limits. */
+export function setCachedStep(key: string, step: string, value: unknown, now = Date.now(), limits = STEP_CACHE_LIMITS): void {
+  const json = JSON.stringify(value);
+  getDb()
+    .prepare<[string, string, string, number, number, number]>(
+      `INSERT INTO step_cache (key, step, value, size, created_at, last_used_at) VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(key) DO UPDATE SET step = excluded.step, value = excluded.value, size = excluded.size,
+         created_at = excluded.created_at, last_used_at = excluded.last_used_at`
+    )
+    .run(key, step, json, Buffer.byteLength(json), now, now);
+  pruneStepCache(limits, now);
+}
+
+/** Remove expired entries, then the least recently used until the total size fits. Returns how many were removed. */
+export function pruneStepCache(limits = STEP_CACHE_LIMITS, now = Date.now()): number {
+  const expired = getDb().prepare<[number]>("DELETE FROM step_cache WHERE created_at < ?").run(now - limits.ttlMs);
+  const evicted = getDb()
+    .prepare<[number]>(
+      `DELETE FROM step_cache WHERE key IN (
+         SELECT key FROM (
+           SELECT key, SUM(size) OVER (ORDER BY last_used_at DESC, created_at DESC, key) AS running FROM step_cache
+         ) WHERE running > ?
+       )`
+    )
+    .run(limits.maxBytes);
+  return expired.changes + evicted.changes;
+}
+
+/** Reset the cache (for tests). Clears all rows without closing the DB. */
+export function clearStepCache(): void {
+  getDb().exec("DELETE FROM step_cache;");
+}
@@ -0,0 +1,245 @@
+/**
+ * Importers for issue-tracker exports (no live API): Jira JSON (REST search results, optionally with
+ * changelog), Jira CSV and Linear CSV. Keeps issues assigned to the user, or resolved by them when the
+ * export carries a changelog, whose primary date (resolved, else updated, else created) is in the timeframe.
+ * Each becomes an `issue` contribution with source, project key, status, labels and resolution date; the
+ * issue key is its own linked issue so themes can group it with PRs that mention it.
+ * Browser-safe: the web app imports uploads client-side.
+ */
+
+import { csvRecords } from "./csv.js";
+import type { Contribution } from "../types/evidence.js";
+
+export type TicketFormat = "jira-json" | "jira-csv" | "linear-csv";
+
+export const TICKET_FORMATS: TicketFormat[] = ["jira-json", "jira-csv", "linear-csv"];
+
+export interface TicketImportOptions {
+  /** The user's identities in the export: email, display name or account id (case-insensitive). */
+  users: string[];
+  start?: string | null;
+  end?: string | null;
+  /** Site URL for issue links, e.g. https://acme.atlassian.net or https://linear.app/acme. */
+  baseUrl?: string;
+}
+
+export interface TicketImportResult {
+  contributions: Contribution[];
+  /** Issues in the export before filtering by user and timeframe. */
+  total: number;
+}
+
+interface Ticket {
+  key: string;
+  project: string;
+  title: string;
+  description: string;
+  status: string;
+  labels: string[];
+  url: string;
+  created: string | null;
+  updated: string | null;
+  resolved: string | null;
+  /** Identities the ticket counts for: assignee, plus whoever resolved it when known. */
+  people: string[];
+  canceled?: boolean;
+}
+
+const MONTHS: Record<string, number> = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11,
+};
+
+/** Jira's export format ("12/Mar/25 3:04 PM", treated as UTC), ISO strings, or anything Date parses. */
+export function parseExportDate(value: string | null | undefined): string | null {
+  const s = (value ?? "").trim();
+  if (!s) return null;
+  const jira = s.match(/^(\d{1,2})\/([A-Za-z]{3})\/(\d{2}|\d{4})(?: (\d{1,2}):(\d{2})(?: ?([AaPp][Mm]))?)?$/);
+  if (jira) {
+    const [, day, mon, yr, hh = "0", mm = "0", ampm] = jira;
+    const month = MONTHS[mon.toLowerCase()];
+    if (month === undefined) return null;
+    let hour = Number(hh) % 12;
+    if (!ampm) hour = Number(hh);
+    else if (ampm.toLowerCase() === "pm") hour += 12;
+    const year = yr.length === 2 ? 2000 + Number(yr) : Number(yr);
+    return new Date(Date.UTC(year, month, Number(day), hour, Number(mm))).toISOString();
+  }
+  // Linear appends "(Coordinated Universal Time)"-style zone names that some engines reject.
+  const d = new Date(s.replace(/\s*\([^)]*\)\s*$/, ""));
+  return isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function inRange(date: string | null, start?: string | null, end?: string | null): boolean {
+  if (!date) return false;
+  const day = date.slice(0, 10);
+  if (start && day < start) return false;
+  if (end && day > end) return false;
+  return true;
+}
+
+function trimBase(baseUrl: string | undefined): string {
+  return (baseUrl ?? "").replace(/\/+$/, "");
+}
+
+/** Plain text from a Jira description: a string (API v2) or an Atlassian Document Format tree (API v3). */
+function adfText(node: unknown): string {
+  if (node == null) return "";
+  if (typeof node === "string") return node;
+  if (Array.isArray(node)) return node.map(adfText).join("");
+  const n = node as { type?: string; text?: string; content?: unknown[] };
+  const inner = n.text ?? adfText(n.content ?? []);
+  return n.type === "paragraph" || n.type === "heading" || n.type === "listItem" ? `${inner}\n` : inner;
+}
+
+interface JiraUser {
+  emailAddress?: string;
+  displayName?: string;
+  accountId?: string;
+  name?: string;
+}
+
+interface JiraIssue {
+  key: string;
+  self?: string;
+  fields?: {
+    summary?: string;
+    description?: unknown;
+    status?: { name?: string };
+    labels?: string[];
+    resolutiondate?: string | null;
+    created?: string;
+    updated?: string;
+    project?: { key?: string };
+    assignee?: JiraUser | null;
+  };
+  changelog?: {
+    histories?: { author?: JiraUser; created?: string; items?: { field?: string; toString?: string | null }[] }[];
+  };
+}
+
+function jiraIdentities(user: JiraUser | null | undefined): string[] {
+  if (!user) return [];
+  return [user.emailAddress, user.displayName, user.accountId, user.name].filter((v): v is string => !!v);
+}
+
+function jiraBrowseUrl(key: string, self: string | undefined, baseUrl: string | undefined): string {
+  const base = trimBase(baseUrl) || (self ? self.replace(/\/rest\/api\/.*$/, "") : "");
+  return base ? `${base}/browse/${key}` : "";
+}
+
+function fromJiraIssue(issue: JiraIssue, baseUrl: string | undefined): Ticket {
+  const f = issue.fields ?? {};
+  // Whoever set the resolution, per the changelog (exports made with expand=changelog).
+  const resolvers = (issue.changelog?.histories ?? [])
+    .filter((h) => (h.items ?? []).some((i) => i.field === "resolution" && i.toString))
+    .flatMap((h) => jiraIdentities(h.author));
+  return {
+    key: issue.key,
+    project: f.project?.key || issue.key.split("-")[0],
+    title: f.summary ?? issue.key,
+    description: adfText(f.description).trim(),
+    status: f.status?.name ?? "",
+    labels: f.labels ?? [],
+    url: jiraBrowseUrl(issue.key, issue.self, baseUrl),
+    created: parseExportDate(f.created),
+    updated: parseExportDate(f.updated),
+    resolved: parseExportDate(f.resolutiondate),
+    people: [...jiraIdentities(f.assignee), ...resolvers],
+  };
+}
+
+function jiraJsonTickets(content: string, baseUrl: string | undefined): Ticket[] {
+  const data = JSON.parse(content) as JiraIssue[] | { issues?: JiraIssue[] };
+  const issues = Array.isArray(data) ? data : data.issues ?? [];
+  return issues.filter((i) => i?.key).map((i) => fromJiraIssue(i, baseUrl));
+}
+
+function jiraCsvTickets(content: string, baseUrl: string | undefined): Ticket[] {
+  return csvRecords(content)
+    .filter(({ values }) => values["Issue key"])
+    .map(({ values, multi }) => {
+      const key = values["Issue key"];
+      return {
+        key,
+        project: values["Project key"] || key.split("-")[0],
+        title: values["Summary"] || key,
+        description: values["Description"] ?? "",
+        status: values["Status"] ?? "",
+        labels: multi["Labels"] ?? [],
+        url: jiraBrowseUrl(key, undefined, baseUrl),
+        created: parseExportDate(values["Created"]),
+        updated: parseExportDate(values["Updated"]),
+        resolved: parseExportDate(values["Resolved"]),
+        people: [values["Assignee"], values["Assignee Id"]].filter(Boolean),
+      };
+    });
+}
+
+function linearCsvTickets(content: string, baseUrl: string | undefined): Ticket[] {
+  const base = trimBase(baseUrl);
+  return csvRecords(content)
+    .filter(({ values }) => values["ID"])
+    .map(({ values }) => {
+      const key = values["ID"];
+      return {
+        key,
+        project: key.split("-")[0],
+        title: values["Title"] || key,
+        description: values["Description"] ?? "",
+        status: values["Status"] ?? "",
+        labels: (values["Labels"] ?? "").split(",").map((l) => l.trim()).filter(Boolean),
+        url: base ? `${base}/issue/${key}` : "",
+        created: parseExportDate(values["Created"]),
+        updated: parseExportDate(values["Updated"]),
+        resolved: parseExportDate(values["Completed"]),
+        people: [values["Assignee"]].filter(Boolean),
+        canceled: !!values["Canceled"],
+      };
+    });
+}
+
+/** Guess the export format from its content; null when it is none of the supported ones. */
+export function detectTicketFormat(content: string): TicketFormat | null {
+  const head = content.replace(/^\uFEFF/, "").trimStart();
+  if (head.startsWith("{") || head.startsWith("[")) return "jira-json";
+  const header = head.split(/\r?\n/, 1)[0];
+  if (/(^|,)"?Issue key"?(,|$)/.test(header)) return "jira-csv";
+  if (/(^|,)"?ID"?(,|$)/.test(header) && /(^|,)"?Title"?(,|$)/.test(header)) return "linear-csv";
+  return null;
+}
+
+function toContribution(ticket: Ticket, source: "jira" | "linear"): Contribution {
+  return {
+    id: `${source}#${ticket.key}`,
+    type: "issue",
+    source,
+    title: ticket.title,
+    url: ticket.url,
+    repo: ticket.project,
+    project: ticket.project,
+    status: ticket.status,
+    merged_at: ticket.resolved ?? ticket.updated ?? ticket.created,
+    resolved_at: ticket.resolved,
+    labels: ticket.labels,
+    summary: ticket.description.slice(0, 500),
+    body: ticket.description,
+    linked_issues: [ticket.key],
+  };
+}
+
+export function importTickets(content: string, format: TicketFormat, opts: TicketImportOptions): TicketImportResult {
+  const tickets =
+    format === "jira-json"
+      ? jiraJsonTickets(content, opts.baseUrl)
+      : format === "jira-csv"
+        ? jiraCsvTickets(content, opts.baseUrl)
+        : linearCsvTickets(content, opts.baseUrl);
+  const users = new Set(opts.users.map((u) => u.trim().toLowerCase()).filter(Boolean));
+  const source = format === "linear-csv" ? "linear" : "jira";
+  const contributions = tickets
+    .filter((t) => !t.canceled)
+    .filter((t) => t.people.some((p) => users.has(p.toLowerCase())))
+    .filter((t) => inRange(t.resolved ?? t.updated ?? t.created, opts.start, opts.end))
+    .map((t) => toContribution(t, source));
+  return { contributions, total: tickets.length };
+}
@@ -3,6 +3,7 @@ import { readFileSync } from "fs";
 import { join, dirname } from "path";
 import { fileURLToPath } from "url";
 import Ajv, { type ErrorObject } from "ajv";
+import { migrateEvidence } from "./migrate-evidence.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const schemaPath = join(__dirname, "..", "schemas", "evidence.json");
@@ -14,9 +15,9 @@ export type ValidationResult =
   | { valid: true }
   | { valid: false; errors: ErrorObject[] };
 
-/** Returns { valid: true } or { valid: false, errors }. */
+/** Returns { valid: true } or { valid: false, errors }. Older schema versions are migrated before checking. */
 export function validateEvidence(data: unknown): ValidationResult {
-  const valid = validate(data);
+  const valid = validate(migrateEvidence(data));
   if (valid) return { valid: true };
   return { valid: false, errors: validate.errors ?? [] };
 }
@@ -0,0 +1,39 @@
+// Validates each pipeline step's LLM output against schemas/<step>.json (themes, bullets, stories, self_eval).
+import { readFileSync } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import Ajv, { type ErrorObject, type ValidateFunction } from "ajv";
+import type { ValidationResult } from "./validate-evidence.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCHEMAS_DIR = join(__dirname, "..", "schemas");
+
+export const STEP_OUTPUT_KEYS = ["themes", "bullets", "stories", "self_eval"] as const;
+export type StepOutputKey = (typeof STEP_OUTPUT_KEYS)[number];
+
+const ajv = new Ajv({ strict: false, logger: false, allErrors: true });
+const validators = Object.fromEntries(
+  STEP_OUTPUT_KEYS.map((key) => [
+    key,
+    ajv.compile(JSON.parse(readFileSync(join(SCHEMAS_DIR, `${key}.json`), "utf8"))),
+  ])
+) as Record<StepOutputKey, ValidateFunction>;
+
+/** Returns { valid: true } or { valid: false, errors } for one step's parsed output. */
+export function validateStepOutput(step: StepOutputKey, data: unknown): ValidationResult {
+  const validate = validators[step];
+  if (validate(data)) return { valid: true };
+  return { valid: false, errors: validate.errors ?? [] };
+}
+
+/** One line per error, e.g. "/themes/0: must have required property 'theme_name'", for logs and repair prompts. */
+export function formatValidationErrors(errors: ErrorObject[]): string[] {
+  return [
+    ...new Set(
+      errors.map((e) => {
+        const detail = e.keyword === "enum" ? `${e.message} (${(e.params as { allowedValues: unknown[] }).allowedValues.join(", ")})` : e.message;
+        return `${e.instancePath || "/"}: ${detail}`;
+      })
+    ),
+  ];
+}
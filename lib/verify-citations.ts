@@ -0,0 +1,161 @@
+/**
+ * Post-processing for pipeline output: every evidence reference in themes, bullets, stories and self-eval is
+ * checked against the contributions the run started from. References are matched by ID (exactly, then
+ * case-insensitively) or by URL; matched ones get the contribution's real ID, URL and title, unmatched ones are
+ * removed as fabricated. A claim left with no valid reference is marked `unverified: true`.
+ * Pure: returns corrected copies and a report; the inputs are not modified.
+ */
+
+import type { Contribution } from "../types/evidence.js";
+
+export interface CitationIssue {
+  /** Where the claim sits, e.g. "bullets.bullets_by_theme[0].bullets[2]". */
+  path: string;
+  /** fixed: URL/title/ID corrected; fabricated: reference removed; unverified: claim has no valid reference left. */
+  kind: "fixed" | "fabricated" | "unverified";
+  /** The ID as the model wrote it (fixed/fabricated). */
+  id?: string;
+  detail: string;
+}
+
+export interface CitationReport {
+  /** References checked. */
+  references: number;
+  /** References that matched a contribution (including corrected ones). */
+  valid: number;
+  fixed: number;
+  fabricated: number;
+  /** Claims marked unverified. */
+  unverified_claims: number;
+  issues: CitationIssue[];
+}
+
+export interface CitedOutputs {
+  themes?: unknown;
+  bullets?: unknown;
+  stories?: unknown;
+  self_eval?: unknown;
+}
+
+type Ref = Record<string, unknown> & { id?: unknown; url?: unknown; title?: unknown };
+type Claim = Record<string, unknown>;
+
+function normalizeUrl(url: string): string {
+  return url.trim().toLowerCase().replace(/[?#].*$/, "").replace(/\/+$/, "");
+}
+
+function asArray(value: unknown): unknown[] {
+  return Array.isArray(value) ? value : [];
+}
+
+function isObject(value: unknown): value is Claim {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/** Check and correct every citation; `contributions` should be the full evidence, before any budget trimming. */
+export function verifyCitations<T extends CitedOutputs>(
+  outputs: T,
+  contributions: Contribution[]
+): { outputs: T; report: CitationReport } {
+  const byId = new Map(contributions.map((c) => [c.id, c]));
+  const byLowerId = new Map(contributions.map((c) => [c.id.toLowerCase(), c]));
+  const byUrl = new Map(contributions.filter((c) => c.url).map((c) => [normalizeUrl(c.url), c]));
+  const report: CitationReport = { references: 0, valid: 0, fixed: 0, fabricated: 0, unverified_claims: 0, issues: [] };
+  const result = structuredClone(outputs);
+
+  function find(id: string, url: string): Contribution | undefined {
+    return byId.get(id) ?? byLowerId.get(id.toLowerCase()) ?? (url ? byUrl.get(normalizeUrl(url)) : undefined);
+  }
+
+  /** Corrected references (fabricated ones dropped, duplicates merged). */
+  function checkRefs(refs: unknown[], path: string): Ref[] {
+    const kept = new Map<string, Ref>();
+    for (const raw of refs) {
+      report.references++;
+      const ref: Ref = isObject(raw) ? raw : { id: raw };
+      const id = typeof ref.id === "string" ? ref.id : "";
+      const url = typeof ref.url === "string" ? ref.url : "";
+      const c = find(id, url);
+      if (!c) {
+        report.fabricated++;
+        report.issues.push({ path, kind: "fabricated", id: id || url, detail: "cites no contribution in the evidence" });
+        continue;
+      }
+      report.valid++;
+      const changes: string[] = [];
+      if (id !== c.id) changes.push(`id → ${c.id}`);
+      // Bare IDs (theme evidence_ids) carry no URL to correct.
+      if (isObject(raw) && url !== c.url) changes.push(url ? `url → ${c.url}` : "url added");
+      if (typeof ref.title === "string" && ref.title !== c.title) changes.push(`title → ${c.title}`);
+      if (typeof ref.repo === "string" && ref.repo !== c.repo) changes.push(`repo → ${c.repo}`);
+      if (changes.length) {
+        report.fixed++;
+        report.issues.push({ path, kind: "fixed", id: id || url, detail: changes.join(", ") });
+      }
+      const fixed: Ref = { ...ref, id: c.id, url: c.url };
+      if (typeof ref.title === "string") fixed.title = c.title;
+      if (typeof ref.repo === "string") fixed.repo = c.repo;
+      if (!kept.has(c.id)) kept.set(c.id, fixed);
+    }
+    return [...kept.values()];
+  }
+
+  function markUnverified(claim: Claim, path: string): void {
+    claim.unverified = true;
+    report.unverified_claims++;
+    report.issues.push({ path, kind: "unverified", detail: "no valid evidence cited" });
+  }
+
+  /** A claim with an `evidence` list; `required` is false for claims allowed to stand without evidence. */
+  function checkClaim(claim: unknown, path: string, required = true): void {
+    if (!isObject(claim)) return;
+    delete claim.unverified;
+    const evidence = checkRefs(asArray(claim.evidence), path);
+    if (Array.isArray(claim.evidence) || evidence.length) claim.evidence = evidence;
+    if (required && !evidence.length) markUnverified(claim, path);
+  }
+
+  asArray((result.themes as Claim | undefined)?.themes).forEach((theme, i) => {
+    if (!isObject(theme)) return;
+    const path = `themes.themes[${i}]`;
+    delete theme.unverified;
+    const ids = checkRefs(asArray(theme.evidence_ids), path).map((r) => r.id as string);
+    const anchors = checkRefs(asArray(theme.anchor_evidence), path);
+    if (Array.isArray(theme.evidence_ids)) theme.evidence_ids = ids;
+    if (Array.isArray(theme.anchor_evidence)) theme.anchor_evidence = anchors;
+    if (!ids.length && !anchors.length) markUnverified(theme, path);
+  });
+
+  const bullets = result.bullets as Claim | undefined;
+  asArray(bullets?.bullets_by_theme).forEach((group, i) => {
+    asArray((group as Claim | undefined)?.bullets).forEach((b, j) =>
+      checkClaim(b, `bullets.bullets_by_theme[${i}].bullets[${j}]`)
+    );
+  });
+  asArray(bullets?.top_10_bullets_overall).forEach((b, i) => checkClaim(b, `bullets.top_10_bullets_overall[${i}]`));
+
+  asArray((result.stories as Claim | undefined)?.stories).forEach((s, i) => checkClaim(s, `stories.stories[${i}]`));
+
+  const sections = (result.self_eval as Claim | undefined)?.sections as Claim | undefined;
+  if (isObject(sections)) {
+    for (const key of ["summary", "how_i_worked", "growth"]) {
+      if (sections[key]) checkClaim(sections[key], `self_eval.sections.${key}`);
+    }
+    asArray(sections.key_accomplishments).forEach((a, i) => checkClaim(a, `self_eval.sections.key_accomplishments[${i}]`));
+    // Goals look ahead, so they need confirmation rather than evidence.
+    asArray(sections.next_year_goals).forEach((g, i) => checkClaim(g, `self_eval.sections.next_year_goals[${i}]`, false));
+  }
+
+  return { outputs: result, report };
+}
+
+/** One line for logs and the UI, e.g. "12 citations checked: 2 corrected, 1 fabricated removed, 1 claim unverified". */
+export function formatCitationReport(report: CitationReport): string {
+  const parts = [
+    report.fixed && `${report.fixed} corrected`,
+    report.fabricated && `${report.fabricated} fabricated removed`,
+    report.unverified_claims && `${report.unverified_claims} claim${report.unverified_claims === 1 ? "" : "s"} unverified`,
+  ].filter(Boolean);
+  const head = `${report.references} citation${report.references === 1 ? "" : "s"} checked`;
+  return parts.length ? `${head}: ${parts.join(", ")}` : `${head}: all valid`;
+}
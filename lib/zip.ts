@@ -0,0 +1,49 @@
+/**
+ * Minimal ZIP reader (stored and deflated entries, no ZIP64) for export archives such as Slack workspace exports.
+ * Sizes and offsets come from the central directory, so entries written with data descriptors read fine.
+ */
+
+import { inflateRawSync } from "zlib";
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_SIZE = 22;
+const MAX_COMMENT = 0xffff;
+
+/** File entries by path (directories skipped); throws on anything that is not a readable ZIP. */
+export function readZip(buf: Buffer): Map<string, Buffer> {
+  let eocd = -1;
+  for (let i = buf.length - EOCD_SIZE; i >= Math.max(0, buf.length - EOCD_SIZE - MAX_COMMENT); i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not a ZIP archive (no end of central directory)");
+
+  const entries = new Map<string, Buffer>();
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== CENTRAL_SIGNATURE) throw new Error("Corrupt ZIP central directory");
+    const method = buf.readUInt16LE(p + 10);
+    const compressedSize = buf.readUInt32LE(p + 20);
+    const nameLength = buf.readUInt16LE(p + 28);
+    const extraLength = buf.readUInt16LE(p + 30);
+    const commentLength = buf.readUInt16LE(p + 32);
+    const localOffset = buf.readUInt32LE(p + 42);
+    const name = buf.toString("utf8", p + 46, p + 46 + nameLength);
+    p += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith("/")) continue;
+    if (compressedSize === 0xffffffff || localOffset === 0xffffffff) throw new Error("ZIP64 archives are not supported");
+
+    if (buf.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) throw new Error(`Corrupt ZIP entry ${name}`);
+    const dataStart = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+    const data = buf.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) entries.set(name, data);
+    else if (method === 8) entries.set(name, inflateRawSync(data));
+    else throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+  }
+  return entries;
+}
@@ -0,0 +1,361 @@
+/**
+ * Collect the user's commits and merged PRs from local git clones, fully offline (no token, no network).
+ * Commits are filtered by author email(s) and date range. PRs are recognised from merge commits
+ * ("Merge pull request #12 from …", GitLab's "See merge request group/project!12") and squash merges
+ * ("Title (#12)"); the user's commits on a merged branch are listed under that PR so normalize drops them
+ * as separate items.
+ * Output: raw JSON { timeframe, authors, collected_at, repos, pull_requests, commits } for the normalizer.
+ * CLI: node --import tsx/esm scripts/collect-git.ts --repos ../app,../billing --start YYYY-MM-DD --end YYYY-MM-DD
+ *   [--author me@example.com,me@old-job.com] [--output raw.json]
+ * --author defaults to each repo's `git config user.email`. Repo names and links come from the `origin`
+ * remote; clones of hosts other than github.com get host-qualified repo names (e.g. git.internal/org/app),
+ * like evidence collected from a GitHub Enterprise Server.
+ */
+
+import { execFileSync } from "child_process";
+import { writeFileSync } from "fs";
+import { basename, resolve } from "path";
+import { fileURLToPath } from "url";
+import { parseArgs as parseArgsBase } from "../lib/parse-args.ts";
+
+/** Changed file paths kept per PR, as for the GitHub collector. */
+const FILES_PER_PR = 50;
+
+const FIELD = "\x1f";
+const RECORD = "\x1e";
+/** sha, parents, author email, author date, committer date, raw message. */
+const LOG_FORMAT = ["%H", "%P", "%ae", "%aI", "%cI", "%B"].join("%x1f") + "%x1e";
+
+const GITHUB_MERGE = /^Merge pull request #(\d+) from \S+/;
+const GITLAB_MERGE = /^See merge request (\S+)!(\d+)\s*$/m;
+const SQUASH_MERGE = /\(#(\d+)\)\s*$/;
+
+const COLLECT_GIT_SCHEMA = {
+  flags: [
+    { name: "repos", option: "--repos", type: "string" as const },
+    { name: "author", option: "--author", type: "string" as const },
+    { name: "start", option: "--start", type: "string" as const },
+    { name: "end", option: "--end", type: "string" as const },
+    { name: "output", option: "--output", type: "string" as const },
+  ],
+};
+
+/** Runs git in a repository and returns stdout; injectable for tests. */
+export type GitRunner = (cwd: string, args: string[]) => string;
+
+export interface GitRepoInfo {
+  path: string;
+  /** owner/repo from the origin remote (host-qualified off github.com), else the directory name. */
+  full_name: string;
+  /** Web URL of the repository, when the origin remote points at a web host. */
+  web_url?: string;
+}
+
+export interface CollectGitResult {
+  source: "git";
+  timeframe: { start_date: string; end_date: string };
+  authors: string[];
+  collected_at: string;
+  repos: GitRepoInfo[];
+  pull_requests: GitRawPr[];
+  commits: GitRawCommit[];
+}
+
+interface GitRawPr {
+  number: number;
+  title: string;
+  body: string;
+  html_url: string;
+  created_at: string | null;
+  merged_at: string;
+  base: { repo: { full_name: string } };
+  labels: never[];
+  changed_files: number;
+  additions: number;
+  deletions: number;
+  files: { filename: string }[];
+  /** The user's commits in the PR; normalize drops them from the standalone commit list. */
+  commits: string[];
+}
+
+interface GitRawCommit {
+  sha: string;
+  html_url: string;
+  repository: { full_name: string };
+  commit: { author: { email: string; date: string }; committer: { date: string }; message: string };
+}
+
+interface LogEntry {
+  sha: string;
+  parents: string[];
+  email: string;
+  authorDate: string;
+  commitDate: string;
+  message: string;
+}
+
+export function parseArgs(argv: string[] = process.argv.slice(2)): Record<string, unknown> {
+  return parseArgsBase(COLLECT_GIT_SCHEMA, argv);
+}
+
+function defaultGit(cwd: string, args: string[]): string {
+  try {
+    return execFileSync("git", ["-C", cwd, ...args], {
+      encoding: "utf8",
+      maxBuffer: 256 * 1024 * 1024,
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+  } catch (e) {
+    const err = e as NodeJS.ErrnoException & { stderr?: string };
+    if (err.code === "ENOENT") throw new Error("git not found on PATH");
+    throw new Error(`git ${args[0]} failed in ${cwd}: ${(err.stderr || err.message).trim()}`);
+  }
+}
+
+/**
+ * Host and repository path from a remote URL: git@host:org/app.git, ssh://git@host:22/org/app,
+ * https://user@host/group/sub/app.git. Returns null for local paths and unrecognised remotes.
+ */
+export function parseRemoteUrl(remote: string): { host: string; path: string } | null {
+  const trimmed = remote.trim();
+  const scp = trimmed.match(/^(?:[^@/]+@)?([^:/]+):(?!\/)(.+)$/);
+  if (scp && !trimmed.includes("://")) return { host: scp[1], path: scp[2].replace(/\.git$/, "").replace(/\/$/, "") };
+  let url: URL;
+  try {
+    url = new URL(trimmed);
+  } catch {
+    return null;
+  }
+  if (!["http:", "https:", "ssh:", "git:"].includes(url.protocol) || !url.hostname) return null;
+  const path = url.pathname.replace(/^\//, "").replace(/\.git$/, "").replace(/\/$/, "");
+  return path ? { host: url.hostname, path } : null;
+}
+
+export function repoInfo(path: string, git: GitRunner = defaultGit): GitRepoInfo {
+  const abs = resolve(path);
+  git(abs, ["rev-parse", "--git-dir"]);
+  let remote: { host: string; path: string } | null = null;
+  try {
+    remote = parseRemoteUrl(git(abs, ["remote", "get-url", "origin"]));
+  } catch {
+    // No origin remote: fall back to the directory name.
+  }
+  if (!remote) return { path: abs, full_name: basename(abs) };
+  const { host, path: repoPath } = remote;
+  return {
+    path: abs,
+    full_name: host === "github.com" ? repoPath : `${host}/${repoPath}`,
+    web_url: `https://${host}/${repoPath}`,
+  };
+}
+
+/** git prints dates in the committer's offset; evidence dates are UTC like GitHub's (2025-02-04T10:00:00Z). */
+function toUtc(isoWithOffset: string): string {
+  return new Date(isoWithOffset).toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+function readLog(cwd: string, args: string[], git: GitRunner): LogEntry[] {
+  const out = git(cwd, ["log", `--format=${LOG_FORMAT}`, ...args]);
+  return out
+    .split(RECORD)
+    .map((record) => record.replace(/^\n/, ""))
+    .filter(Boolean)
+    .map((record) => {
+      const [sha, parents, email, authorDate, commitDate, message] = record.split(FIELD);
+      return {
+        sha,
+        parents: parents ? parents.split(" ") : [],
+        email: email.toLowerCase(),
+        authorDate: toUtc(authorDate),
+        commitDate: toUtc(commitDate),
+        message: message.trim(),
+      };
+    });
+}
+
+function parseShortstat(out: string): { changed_files: number; additions: number; deletions: number } {
+  const count = (re: RegExp) => Number(out.match(re)?.[1] ?? 0);
+  return {
+    changed_files: count(/(\d+) files? changed/),
+    additions: count(/(\d+) insertions?\(\+\)/),
+    deletions: count(/(\d+) deletions?\(-\)/),
+  };
+}
+
+/** PR number and title from a merge or squash commit, or null when the commit is not a PR merge. */
+function detectPr(entry: LogEntry): { number: number; title: string; kind: "github" | "gitlab" } | null {
+  const [subject, ...rest] = entry.message.split("\n");
+  // Merge commits carry the PR title in the paragraph after the subject.
+  const secondParagraph = rest.join("\n").trim().split("\n")[0] ?? "";
+  if (entry.parents.length > 1) {
+    const github = subject.match(GITHUB_MERGE);
+    if (github) return { number: Number(github[1]), title: secondParagraph || subject, kind: "github" };
+    const gitlab = entry.message.match(GITLAB_MERGE);
+    if (gitlab) return { number: Number(gitlab[2]), title: secondParagraph || subject, kind: "gitlab" };
+    return null;
+  }
+  const squash = subject.match(SQUASH_MERGE);
+  if (squash) return { number: Number(squash[1]), title: subject.replace(SQUASH_MERGE, "").trim(), kind: "github" };
+  return null;
+}
+
+function prUrl(repo: GitRepoInfo, number: number, kind: "github" | "gitlab"): string {
+  if (!repo.web_url) return `file://${repo.path}#${number}`;
+  return kind === "gitlab" ? `${repo.web_url}/-/merge_requests/${number}` : `${repo.web_url}/pull/${number}`;
+}
+
+function commitUrl(repo: GitRepoInfo, sha: string): string {
+  return repo.web_url ? `${repo.web_url}/commit/${sha}` : `file://${repo.path}#${sha}`;
+}
+
+function toRawCommit(repo: GitRepoInfo, entry: LogEntry): GitRawCommit {
+  return {
+    sha: entry.sha,
+    html_url: commitUrl(repo, entry.sha),
+    repository: { full_name: repo.full_name },
+    commit: {
+      author: { email: entry.email, date: entry.authorDate },
+      committer: { date: entry.commitDate },
+      message: entry.message,
+    },
+  };
+}
+
+export interface CollectGitOptions {
+  repos: string[];
+  start: string;
+  end: string;
+  /** Author emails to keep (case-insensitive); defaults to each repo's `git config user.email`. */
+  authors?: string[];
+  git?: GitRunner;
+}
+
+function collectRepo(
+  repo: GitRepoInfo,
+  authors: Set<string>,
+  start: string,
+  end: string,
+  git: GitRunner
+): { pull_requests: GitRawPr[]; commits: GitRawCommit[] } {
+  const entries = readLog(repo.path, [`--since=${start}T00:00:00`, `--until=${end}T23:59:59`], git);
+  const pull_requests: GitRawPr[] = [];
+  const commits = entries.filter((e) => e.parents.length <= 1 && authors.has(e.email)).map((e) => toRawCommit(repo, e));
+
+  for (const entry of entries) {
+    const pr = detectPr(entry);
+    if (!pr) continue;
+    let mine: LogEntry[];
+    let base: string;
+    if (entry.parents.length > 1) {
+      // The merged branch: everything reachable from the second parent but not the first.
+      mine = readLog(repo.path, [`${entry.parents[0]}..${entry.parents[1]}`, "--no-merges"], git).filter((e) =>
+        authors.has(e.email)
+      );
+      base = entry.parents[0];
+    } else {
+      if (!authors.has(entry.email) || !entry.parents.length) continue;
+      mine = [entry];
+      base = entry.parents[0];
+    }
+    if (!mine.length) continue;
+    const range = [base, entry.sha];
+    const paths = git(repo.path, ["diff", "--name-only", ...range]).split("\n").filter(Boolean);
+    const created = mine.map((e) => e.authorDate).sort()[0] ?? null;
+    pull_requests.push({
+      number: pr.number,
+      title: pr.title,
+      body: entry.parents.length > 1 ? mine.map((e) => `- ${e.message.split("\n")[0]}`).join("\n") : entry.message,
+      html_url: prUrl(repo, pr.number, pr.kind),
+      created_at: created,
+      merged_at: entry.commitDate,
+      base: { repo: { full_name: repo.full_name } },
+      labels: [],
+      ...parseShortstat(git(repo.path, ["diff", "--shortstat", ...range])),
+      files: paths.slice(0, FILES_PER_PR).map((filename) => ({ filename })),
+      commits: mine.map((e) => e.sha),
+    });
+  }
+  return { pull_requests, commits };
+}
+
+export function collectGit({ repos, start, end, authors, git = defaultGit }: CollectGitOptions): CollectGitResult {
+  const collected_at = new Date().toISOString();
+  const infos: GitRepoInfo[] = [];
+  const pull_requests: GitRawPr[] = [];
+  const commits: GitRawCommit[] = [];
+  const allAuthors = new Set<string>();
+
+  for (const path of repos) {
+    const repo = repoInfo(path, git);
+    let emails = (authors ?? []).map((a) => a.toLowerCase());
+    if (!emails.length) {
+      let configured = "";
+      try {
+        configured = git(repo.path, ["config", "user.email"]).trim().toLowerCase();
+      } catch {
+        // `git config` exits 1 when the key is unset; reported just below.
+      }
+      if (!configured) throw new Error(`No --author given and no user.email configured in ${repo.path}`);
+      emails = [configured];
+    }
+    emails.forEach((e) => allAuthors.add(e));
+    const result = collectRepo(repo, new Set(emails), start, end, git);
+    infos.push(repo);
+    pull_requests.push(...result.pull_requests);
+    commits.push(...result.commits);
+  }
+
+  return {
+    source: "git",
+    timeframe: { start_date: start, end_date: end },
+    authors: [...allAuthors],
+    collected_at,
+    repos: infos,
+    pull_requests,
+    commits,
+  };
+}
+
+function splitList(value: string | undefined): string[] {
+  return (value ?? "").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+function main(): void {
+  const parsed = parseArgs();
+  const repos = splitList(parsed.repos as string | undefined);
+  const authors = splitList(parsed.author as string | undefined);
+  const start = parsed.start as string | undefined;
+  const end = parsed.end as string | undefined;
+  const output = parsed.output as string | undefined;
+  if (!repos.length) {
+    console.error("--repos path[,path...] required");
+    process.exit(1);
+  }
+  if (!start || !end) {
+    console.error("--start YYYY-MM-DD and --end YYYY-MM-DD required");
+    process.exit(1);
+  }
+
+  const raw = collectGit({ repos, start, end, authors: authors.length ? authors : undefined });
+  console.error(
+    `Found ${raw.pull_requests.length} PRs and ${raw.commits.length} commits by ${raw.authors.join(", ")} in ${raw.repos.length} repo(s)`
+  );
+  const json = JSON.stringify(raw, null, 2);
+  if (output) {
+    writeFileSync(output, json);
+    console.error("Wrote", output);
+  } else {
+    console.log(json);
+  }
+}
+
+const isMain =
+  process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMain) {
+  try {
+    main();
+  } catch (e) {
+    console.error((e as Error).message);
+    process.exit(1);
+  }
+}
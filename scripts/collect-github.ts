@@ -1,30 +1,87 @@
 /**
- * Fetch the current user's PRs and reviews from GitHub for a date range.
- * Output: raw JSON { timeframe, pull_requests, reviews } for the normalizer.
- * CLI: GITHUB_TOKEN=xxx node --import tsx/esm scripts/collect-github.ts --start YYYY-MM-DD --end YYYY-MM-DD [--output raw.json] [--no-reviews]
+ * Fetch the current user's PRs, reviews, issues, issue comments and releases from GitHub for a date range.
+ * Reviews cover both reviews left on the user's PRs and reviews the user gave on other people's PRs.
+ * Output: raw JSON { timeframe, login, collected_at, pull_requests, reviews, issues, issue_comments, releases } for the normalizer.
+ * CLI: GITHUB_TOKEN=xxx node --import tsx/esm scripts/collect-github.ts --start YYYY-MM-DD --end YYYY-MM-DD [--output raw.json]
+ *   [--no-reviews] [--no-issues] [--no-issue-comments] [--no-releases]
+ *   [--since-last-run] [--cache-dir .collect-cache] [--no-cache] [--github-url https://ghes.example.com]
+ *   [--repo owner/a,owner/b] [--exclude-repo owner/c] [--org owner] [--list-repos]
+ * --github-url (or GITHUB_URL) targets a GitHub Enterprise Server; its output carries `host` so normalize
+ * qualifies IDs with it and evidence from several hosts can be merged.
+ * Fetched pages are checkpointed under --cache-dir so an interrupted run resumes from its last cursor; the
+ * checkpoints are removed once a run succeeds, so the next run fetches current PR state.
+ * --since-last-run reads the previous --output file, fetches only items updated since that run and merges them in.
+ * --repo/--org keep only those repos (or repos under those owners), --exclude-repo drops repos; each takes a
+ * comma-separated list. --list-repos prints the repos the user opened PRs in during the range, with counts.
  */
 
-import { writeFileSync } from "fs";
+import { existsSync, readFileSync, writeFileSync } from "fs";
 import { fileURLToPath } from "url";
 import { parseArgs as parseArgsBase } from "../lib/parse-args.ts";
-
-const GITHUB_GRAPHQL = "https://api.github.com/graphql";
+import { createGitHubClient, type GitHubClient } from "../lib/github-client.ts";
+import { evidenceHost, githubEndpoints } from "../lib/github-hosts.ts";
+import {
+  DEFAULT_CHECKPOINT_DIR,
+  openCheckpointStore,
+  type CheckpointStore,
+  type PageCheckpoint,
+} from "../lib/collect-checkpoint.ts";
+import { parseRepoList, repoMatcher, searchScope } from "../lib/repo-filter.ts";
 
 const SEARCH_PR_PAGE_SIZE = 100;
 
+/** Selected on every paged query so the client can pause before the hourly point budget runs out. */
+const RATE_LIMIT_FIELDS = "rateLimit { remaining resetAt }";
+
+/** GitHub search returns at most this many results per query, however many pages are requested. */
+const SEARCH_RESULT_CAP = 1000;
+
+/** Issue comments shorter than this ("+1", "thanks!") are not worth citing. */
+const MIN_ISSUE_COMMENT_CHARS = 80;
+
+/** Changed file paths fetched per PR (for directories, languages and components); larger PRs are truncated. */
+const FILES_PER_PR = 50;
+
+/** Issues a PR closes (via "Fixes #123" or the sidebar link) fetched per PR. */
+const CLOSING_ISSUES_PER_PR = 25;
+
+/** Releases fetched per page; a repo whose first page is still newer than the window start gets further pages. */
+const RELEASES_PER_REPO = 20;
+
 const COLLECT_GITHUB_SCHEMA = {
   flags: [
     { name: "start", option: "--start", type: "string" as const },
     { name: "end", option: "--end", type: "string" as const },
     { name: "output", option: "--output", type: "string" as const },
     { name: "noReviews", option: "--no-reviews", type: "boolean" as const },
+    { name: "noIssues", option: "--no-issues", type: "boolean" as const },
+    { name: "noIssueComments", option: "--no-issue-comments", type: "boolean" as const },
+    { name: "noReleases", option: "--no-releases", type: "boolean" as const },
+    { name: "sinceLastRun", option: "--since-last-run", type: "boolean" as const },
+    { name: "cacheDir", option: "--cache-dir", type: "string" as const },
+    { name: "noCache", option: "--no-cache", type: "boolean" as const },
+    { name: "githubUrl", option: "--github-url", type: "string" as const },
+    { name: "repo", option: "--repo", type: "string" as const },
+    { name: "excludeRepo", option: "--exclude-repo", type: "string" as const },
+    { name: "org", option: "--org", type: "string" as const },
+    { name: "listRepos", option: "--list-repos", type: "boolean" as const },
   ],
 };
 
 export interface CollectRawResult {
   timeframe: { start_date: string; end_date: string };
+  login: string;
+  /** Set for GitHub Enterprise Server hosts (absent for github.com). */
+  host?: string;
+  /** ISO timestamp the run started; `--since-last-run` fetches what changed after it. */
+  collected_at: string;
   pull_requests: RawPr[];
   reviews: RawReview[];
+  issues: RawIssue[];
+  issue_comments: RawIssueComment[];
+  releases: RawRelease[];
+  /** Date windows searched across all passes; overflowed windows were truncated at the search cap. */
+  search_windows: SearchWindowsReport;
 }
 
 interface RawPr {
@@ -33,13 +90,26 @@ interface RawPr {
   body: string | null;
   url: string;
   html_url: string;
+  created_at?: string | null;
   merged_at: string | null;
+  /** REST shape: "closed" for merged PRs too; merged_at tells them apart. */
+  state?: "open" | "closed";
+  draft?: boolean;
+  closed_at?: string | null;
+  user?: { login: string };
   base: { repo: { full_name: string } };
+  head?: { ref: string };
   labels: { name: string }[];
   changed_files?: number;
   additions?: number;
   deletions?: number;
   review_comments?: number;
+  /** Reviews on the PR (state and reviewer only), for approval and review-cycle metrics. */
+  reviews?: { state: string; submitted_at: string | null; user: { login: string } }[];
+  /** Changed files (REST pulls/:n/files shape), capped at FILES_PER_PR. */
+  files?: { filename: string }[];
+  /** Issues GitHub links as closed by this PR (closingIssuesReferences). */
+  closing_issues?: { number: number; repository: { full_name: string } }[];
 }
 
 interface RawReview {
@@ -51,53 +121,73 @@ interface RawReview {
   html_url: string;
   repository: { full_name: string };
   pull_number: number;
+  /** Set for reviews the user authored (second collection pass). */
+  author?: { login: string };
+  /** Reviewer of a review left on the user's PR. */
+  user?: { login: string };
+  pull_request?: { title: string; html_url: string };
+  comments?: RawReviewComment[];
 }
 
-function parseArgs(argv: string[] = process.argv.slice(2)): Record<string, unknown> {
-  return parseArgsBase(COLLECT_GITHUB_SCHEMA, argv);
+interface RawReviewComment {
+  body: string;
+  path: string | null;
+  html_url: string;
 }
 
-export { parseArgs };
+interface RawIssue {
+  number: number;
+  title: string;
+  body: string;
+  html_url: string;
+  state: string;
+  created_at: string | null;
+  closed_at: string | null;
+  repository: { full_name: string };
+  labels: { name: string }[];
+  comments: number;
+}
 
-interface GraphQLFetchOpts {
-  token: string;
-  query: string;
-  variables?: Record<string, unknown>;
-  fetchFn?: typeof fetch;
+interface RawIssueComment {
+  id: string;
+  body: string;
+  html_url: string;
+  created_at: string | null;
+  repository: { full_name: string };
+  issue_number: number;
+  issue_title: string;
+  issue_url: string;
 }
 
-async function graphqlFetch({
-  token,
-  query,
-  variables = {},
-  fetchFn = fetch,
-}: GraphQLFetchOpts): Promise<{ data: unknown }> {
-  const res = await fetchFn(GITHUB_GRAPHQL, {
-    method: "POST",
-    headers: {
-      Accept: "application/json",
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${token}`,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-  if (!res.ok)
-    throw new Error(`${GITHUB_GRAPHQL} ${res.status}: ${await res.text()}`);
-  const json = (await res.json()) as { data?: unknown; errors?: { message: string }[] };
-  if (json.errors?.length) {
-    const msg = json.errors.map((e) => e.message).join("; ");
-    throw new Error(msg);
-  }
-  return { data: json.data };
+interface RawRelease {
+  id: string;
+  tag_name: string;
+  name: string;
+  body: string;
+  html_url: string;
+  published_at: string | null;
+  repository: { full_name: string };
+}
+
+function parseArgs(argv: string[] = process.argv.slice(2)): Record<string, unknown> {
+  return parseArgsBase(COLLECT_GITHUB_SCHEMA, argv);
 }
 
+export { parseArgs };
+
 interface GraphQLPrNode {
   __typename?: string;
   number: number;
   title: string | null;
   body: string | null;
   url: string | null;
+  createdAt?: string | null;
   mergedAt: string | null;
+  state?: string | null;
+  isDraft?: boolean;
+  closedAt?: string | null;
+  headRefName?: string | null;
+  author?: { login?: string } | null;
   additions?: number;
   deletions?: number;
   changedFiles?: number;
@@ -105,6 +195,8 @@ interface GraphQLPrNode {
   labels?: { nodes?: { name: string }[] };
   reviewThreads?: { totalCount?: number };
   reviews?: { nodes?: GraphQLReviewNode[] };
+  files?: { nodes?: { path: string }[] };
+  closingIssuesReferences?: { nodes?: { number: number; repository?: { nameWithOwner?: string } }[] };
 }
 
 interface GraphQLReviewNode {
@@ -113,6 +205,61 @@ interface GraphQLReviewNode {
   state: string | null;
   submittedAt: string | null;
   url: string | null;
+  author?: { login?: string } | null;
+  comments?: { nodes?: { body: string | null; path: string | null; url: string | null }[] };
+}
+
+interface GraphQLIssueNode {
+  __typename?: string;
+  number: number;
+  title: string | null;
+  body: string | null;
+  url: string | null;
+  state: string | null;
+  createdAt: string | null;
+  closedAt: string | null;
+  repository?: { nameWithOwner?: string };
+  labels?: { nodes?: { name: string }[] };
+  comments?: { totalCount?: number };
+}
+
+interface GraphQLIssueCommentNode {
+  id: string;
+  body: string | null;
+  url: string | null;
+  createdAt: string | null;
+  updatedAt: string | null;
+  issue?: { number: number; title: string | null; url: string | null; repository?: { nameWithOwner?: string } };
+  pullRequest?: { number: number } | null;
+}
+
+interface GraphQLReleaseNode {
+  id: string;
+  name: string | null;
+  tagName: string | null;
+  description: string | null;
+  url: string | null;
+  publishedAt: string | null;
+  author?: { login?: string } | null;
+}
+
+interface GraphQLReleasesConnection {
+  nodes?: GraphQLReleaseNode[];
+  pageInfo?: { endCursor?: string; hasNextPage?: boolean };
+}
+
+interface GraphQLRepoReleasesNode {
+  nameWithOwner: string;
+  pushedAt: string | null;
+  releases?: GraphQLReleasesConnection;
+}
+
+interface SearchResponse<N> {
+  search?: {
+    issueCount?: number;
+    edges?: { node?: N }[];
+    pageInfo?: { endCursor?: string; hasNextPage?: boolean };
+  };
 }
 
 function mapGraphQLPrToRaw(node: GraphQLPrNode): RawPr {
@@ -124,13 +271,29 @@ function mapGraphQLPrToRaw(node: GraphQLPrNode): RawPr {
     body: node.body ?? "",
     url: node.url ?? "",
     html_url: node.url ?? "",
+    created_at: node.createdAt ?? null,
     merged_at: node.mergedAt ?? null,
+    state: node.state === "OPEN" ? "open" : "closed",
+    draft: node.isDraft ?? false,
+    closed_at: node.closedAt ?? null,
+    user: { login: node.author?.login ?? "" },
     base: { repo: { full_name: repo } },
+    ...(node.headRefName ? { head: { ref: node.headRefName } } : {}),
     labels,
     changed_files: node.changedFiles ?? 0,
     additions: node.additions ?? 0,
     deletions: node.deletions ?? 0,
     review_comments: node.reviewThreads?.totalCount ?? 0,
+    reviews: (node.reviews?.nodes ?? []).map((r) => ({
+      state: r.state ?? "",
+      submitted_at: r.submittedAt ?? null,
+      user: { login: r.author?.login ?? "" },
+    })),
+    files: (node.files?.nodes ?? []).map((f) => ({ filename: f.path })),
+    closing_issues: (node.closingIssuesReferences?.nodes ?? []).map((issue) => ({
+      number: issue.number,
+      repository: { full_name: issue.repository?.nameWithOwner ?? repo },
+    })),
   };
 }
 
@@ -148,75 +311,474 @@ function mapGraphQLReviewToRaw(
     html_url: reviewNode.url ?? "",
     repository: { full_name: repoFullName },
     pull_number: pullNumber,
+    ...(reviewNode.author?.login ? { user: { login: reviewNode.author.login } } : {}),
+  };
+}
+
+/** Review the viewer gave on someone else's PR: keeps the target PR and inline comment bodies. */
+function mapGraphQLAuthoredReviewToRaw(
+  reviewNode: GraphQLReviewNode,
+  prNode: GraphQLPrNode,
+  login: string
+): RawReview {
+  const repoFullName = prNode.baseRepository?.nameWithOwner ?? "";
+  return {
+    ...mapGraphQLReviewToRaw(reviewNode, repoFullName, prNode.number),
+    author: { login },
+    pull_request: { title: prNode.title ?? "", html_url: prNode.url ?? "" },
+    comments: (reviewNode.comments?.nodes ?? []).map((c) => ({
+      body: c.body ?? "",
+      path: c.path ?? null,
+      html_url: c.url ?? "",
+    })),
+  };
+}
+
+function mapGraphQLIssueToRaw(node: GraphQLIssueNode): RawIssue {
+  return {
+    number: node.number,
+    title: node.title ?? "",
+    body: node.body ?? "",
+    html_url: node.url ?? "",
+    state: node.state ?? "",
+    created_at: node.createdAt ?? null,
+    closed_at: node.closedAt ?? null,
+    repository: { full_name: node.repository?.nameWithOwner ?? "" },
+    labels: (node.labels?.nodes ?? []).map((n) => ({ name: n.name })),
+    comments: node.comments?.totalCount ?? 0,
   };
 }
 
+function mapGraphQLIssueCommentToRaw(node: GraphQLIssueCommentNode): RawIssueComment {
+  return {
+    id: node.id,
+    body: node.body ?? "",
+    html_url: node.url ?? "",
+    created_at: node.createdAt ?? null,
+    repository: { full_name: node.issue?.repository?.nameWithOwner ?? "" },
+    issue_number: node.issue?.number ?? 0,
+    issue_title: node.issue?.title ?? "",
+    issue_url: node.issue?.url ?? "",
+  };
+}
+
+function mapGraphQLReleaseToRaw(node: GraphQLReleaseNode, repoFullName: string): RawRelease {
+  return {
+    id: node.id,
+    tag_name: node.tagName ?? "",
+    name: node.name ?? "",
+    body: node.description ?? "",
+    html_url: node.url ?? "",
+    published_at: node.publishedAt ?? null,
+    repository: { full_name: repoFullName },
+  };
+}
+
+/** True when an ISO datetime falls on or between two YYYY-MM-DD dates (inclusive). */
+function dayInRange(at: string | null, start: string, end: string): boolean {
+  if (!at) return false;
+  const day = at.slice(0, 10);
+  return day >= start && day <= end;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDay(d: Date): string {
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Split an inclusive YYYY-MM-DD range into calendar months; a range inside one month
+ * into 7-day weeks; a week or less into single days.
+ */
+export function splitDateRange(start: string, end: string): [string, string][] {
+  const first = new Date(`${start}T00:00:00Z`);
+  const last = new Date(`${end}T00:00:00Z`);
+  const windows: [string, string][] = [];
+  if (start.slice(0, 7) !== end.slice(0, 7)) {
+    let cursor = first;
+    while (cursor <= last) {
+      const monthEnd = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 0));
+      const windowEnd = monthEnd < last ? monthEnd : last;
+      windows.push([toDay(cursor), toDay(windowEnd)]);
+      cursor = new Date(windowEnd.getTime() + DAY_MS);
+    }
+    return windows;
+  }
+  const stepDays = (last.getTime() - first.getTime()) / DAY_MS + 1 > 7 ? 7 : 1;
+  for (let t = first.getTime(); t <= last.getTime(); t += stepDays * DAY_MS) {
+    const windowEnd = Math.min(t + (stepDays - 1) * DAY_MS, last.getTime());
+    windows.push([toDay(new Date(t)), toDay(new Date(windowEnd))]);
+  }
+  return windows;
+}
+
+/** How a windowed search went: windows actually paged, and windows still over the cap (results truncated). */
+export interface SearchWindowsReport {
+  windows: number;
+  overflowed: string[];
+}
+
+interface SearchWindowedOpts<N> {
+  client: GitHubClient;
+  query: string;
+  /** Build the search string for one inclusive date window. */
+  buildQ: (start: string, end: string) => string;
+  start: string;
+  end: string;
+  variables?: Record<string, unknown>;
+  /** De-duplication key for a node (results from overlapping pages or windows are dropped). */
+  nodeKey: (node: N) => string;
+  onNode: (node: N) => void;
+  /** Persist each page, keyed by search string; on resume, complete windows that ended before today are reused. */
+  checkpoints?: CheckpointStore;
+}
+
+/**
+ * Page through a GraphQL search over a date range. GitHub search stops at 1,000 results, so when the
+ * first page of a window reports more, the window is split (month → week → day) and each part searched.
+ */
+async function searchWindowed<N>({
+  client,
+  query,
+  buildQ,
+  start,
+  end,
+  variables = {},
+  nodeKey,
+  onNode,
+  checkpoints,
+}: SearchWindowedOpts<N>): Promise<SearchWindowsReport> {
+  const report: SearchWindowsReport = { windows: 0, overflowed: [] };
+  const seen = new Set<string>();
+  const today = toDay(new Date());
+
+  function emit(nodes: N[]): void {
+    for (const node of nodes) {
+      const key = nodeKey(node);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      onNode(node);
+    }
+  }
+
+  function countWindow(windowStart: string, windowEnd: string, total: number): void {
+    report.windows++;
+    if (total > SEARCH_RESULT_CAP) {
+      report.overflowed.push(windowStart === windowEnd ? windowStart : `${windowStart}..${windowEnd}`);
+    }
+  }
+
+  async function visit(windowStart: string, windowEnd: string): Promise<void> {
+    const q = buildQ(windowStart, windowEnd);
+    const key = `search:${q}`;
+    let checkpoint = checkpoints?.get<N>(key);
+    // A window that reaches today can still gain results, so only its cursor is worth resuming.
+    if (checkpoint?.complete && windowEnd >= today) checkpoint = undefined;
+    if (checkpoint?.split) {
+      for (const [s, e] of splitDateRange(windowStart, windowEnd)) await visit(s, e);
+      return;
+    }
+    const cp: PageCheckpoint<N> = checkpoint ?? { pages: [], cursor: null, complete: false };
+    if (cp.pages.length) countWindow(windowStart, windowEnd, cp.total ?? 0);
+    for (const nodes of cp.pages) emit(nodes);
+
+    while (!cp.complete) {
+      const { data } = await client.graphql(query, { ...variables, q, after: cp.cursor });
+      const search = (data as SearchResponse<N>)?.search;
+      if (!search) throw new Error("Unexpected GraphQL response: no search");
+
+      if (!cp.pages.length) {
+        const total = search.issueCount ?? 0;
+        if (total > SEARCH_RESULT_CAP && windowStart < windowEnd) {
+          checkpoints?.set<N>(key, { pages: [], cursor: null, complete: true, total, split: true });
+          for (const [s, e] of splitDateRange(windowStart, windowEnd)) await visit(s, e);
+          return;
+        }
+        cp.total = total;
+        countWindow(windowStart, windowEnd, total);
+      }
+
+      const nodes = (search.edges ?? []).map((edge) => edge?.node).filter((node): node is N => !!node);
+      emit(nodes);
+      cp.pages.push(nodes);
+      cp.cursor = search.pageInfo?.endCursor ?? null;
+      cp.complete = search.pageInfo?.hasNextPage !== true || !cp.cursor;
+      checkpoints?.set(key, cp);
+    }
+  }
+
+  await visit(start, end);
+  return report;
+}
+
+function describeWindows(label: string, report: SearchWindowsReport): string {
+  const base = `${label}: queried ${report.windows} date window${report.windows === 1 ? "" : "s"}`;
+  if (!report.overflowed.length) return base;
+  return `${base}; still over ${SEARCH_RESULT_CAP} results (truncated): ${report.overflowed.join(", ")}`;
+}
+
+const AUTHORED_PR_SEARCH_QUERY = `
+  query($q: String!, $after: String) {
+    ${RATE_LIMIT_FIELDS}
+    search(query: $q, type: ISSUE, first: ${SEARCH_PR_PAGE_SIZE}, after: $after) {
+      issueCount
+      edges {
+        node {
+          __typename
+          ... on PullRequest {
+            number title body url createdAt mergedAt closedAt state isDraft headRefName additions deletions changedFiles
+            author { login }
+            baseRepository { nameWithOwner }
+            labels(first: 100) { nodes { name } }
+            reviewThreads(first: 1) { totalCount }
+            reviews(first: 100) { nodes { id body state submittedAt url author { login } } }
+            files(first: ${FILES_PER_PR}) { nodes { path } }
+            closingIssuesReferences(first: ${CLOSING_ISSUES_PER_PR}) { nodes { number repository { nameWithOwner } } }
+          }
+        }
+      }
+      pageInfo { endCursor hasNextPage }
+    }
+  }
+`;
+
+const ISSUE_SEARCH_QUERY = `
+  query($q: String!, $after: String) {
+    ${RATE_LIMIT_FIELDS}
+    search(query: $q, type: ISSUE, first: ${SEARCH_PR_PAGE_SIZE}, after: $after) {
+      issueCount
+      edges {
+        node {
+          __typename
+          ... on Issue {
+            number title body url state createdAt closedAt
+            repository { nameWithOwner }
+            labels(first: 100) { nodes { name } }
+            comments { totalCount }
+          }
+        }
+      }
+      pageInfo { endCursor hasNextPage }
+    }
+  }
+`;
+
+/** Most recently updated first, so paging can stop once comments predate the window. */
+const ISSUE_COMMENTS_QUERY = `
+  query($after: String) {
+    ${RATE_LIMIT_FIELDS}
+    viewer {
+      issueComments(first: 100, after: $after, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        nodes {
+          id body url createdAt updatedAt
+          issue { number title url repository { nameWithOwner } }
+          pullRequest { number }
+        }
+        pageInfo { endCursor hasNextPage }
+      }
+    }
+  }
+`;
+
+/** Repositories the user can push to, most recently pushed first, with their latest releases. */
+const REPO_RELEASES_QUERY = `
+  query($after: String) {
+    ${RATE_LIMIT_FIELDS}
+    viewer {
+      repositories(
+        first: 50
+        after: $after
+        affiliations: [OWNER, COLLABORATOR, ORGANIZATION_MEMBER]
+        ownerAffiliations: [OWNER, COLLABORATOR, ORGANIZATION_MEMBER]
+        orderBy: { field: PUSHED_AT, direction: DESC }
+      ) {
+        nodes {
+          nameWithOwner pushedAt
+          releases(first: ${RELEASES_PER_REPO}, orderBy: { field: CREATED_AT, direction: DESC }) {
+            nodes { id name tagName description url publishedAt author { login } }
+            pageInfo { endCursor hasNextPage }
+          }
+        }
+        pageInfo { endCursor hasNextPage }
+      }
+    }
+  }
+`;
+
+/** Further release pages of one repository, for repos that shipped more than a page since the window. */
+const MORE_RELEASES_QUERY = `
+  query($owner: String!, $name: String!, $after: String) {
+    ${RATE_LIMIT_FIELDS}
+    repository(owner: $owner, name: $name) {
+      releases(first: ${RELEASES_PER_REPO}, after: $after, orderBy: { field: CREATED_AT, direction: DESC }) {
+        nodes { id name tagName description url publishedAt author { login } }
+        pageInfo { endCursor hasNextPage }
+      }
+    }
+  }
+`;
+
+/** The page's cursor when the oldest release on it is still on or after `since`, i.e. more may be in the window. */
+function moreReleasesCursor(releases: GraphQLReleasesConnection | undefined, since: string): string | null {
+  const nodes = releases?.nodes ?? [];
+  const oldest = nodes[nodes.length - 1]?.publishedAt;
+  if (releases?.pageInfo?.hasNextPage !== true || !releases.pageInfo.endCursor) return null;
+  return !oldest || oldest.slice(0, 10) >= since ? releases.pageInfo.endCursor : null;
+}
+
+interface ViewerConnection<N> {
+  nodes?: N[];
+  pageInfo?: { endCursor?: string; hasNextPage?: boolean };
+}
+
+interface ViewerPagesOpts<N> {
+  client: GitHubClient;
+  query: string;
+  field: string;
+  /** Handle one page of nodes; return false to stop paging early. */
+  onPage: (nodes: N[]) => boolean;
+  /** Persist each page under checkpointKey; a complete checkpoint is replayed only when reusable is set. */
+  checkpoints?: CheckpointStore;
+  checkpointKey?: string;
+  reusable?: boolean;
+}
+
+/** Page through a connection on `viewer` (e.g. issueComments) until exhausted or onPage returns false. */
+async function viewerPagesAll<N>({
+  client,
+  query,
+  field,
+  onPage,
+  checkpoints,
+  checkpointKey = `viewer:${field}`,
+  reusable = false,
+}: ViewerPagesOpts<N>): Promise<void> {
+  let checkpoint = checkpoints?.get<N>(checkpointKey);
+  if (checkpoint?.complete && !reusable) checkpoint = undefined;
+  const cp: PageCheckpoint<N> = checkpoint ?? { pages: [], cursor: null, complete: false };
+  for (const nodes of cp.pages) {
+    if (!onPage(nodes)) return;
+  }
+
+  while (!cp.complete) {
+    const { data } = await client.graphql(query, { after: cp.cursor });
+    const viewer = (data as { viewer?: Record<string, ViewerConnection<N> | undefined> })?.viewer;
+    const conn = viewer?.[field];
+    if (!conn) break;
+    const nodes = conn.nodes ?? [];
+    const more = onPage(nodes);
+    cp.pages.push(nodes);
+    cp.cursor = conn.pageInfo?.endCursor ?? null;
+    cp.complete = !more || conn.pageInfo?.hasNextPage !== true || !cp.cursor;
+    checkpoints?.set(checkpointKey, cp);
+  }
+}
+
+const REVIEWED_PR_SEARCH_QUERY = `
+  query($q: String!, $after: String, $login: String!) {
+    ${RATE_LIMIT_FIELDS}
+    search(query: $q, type: ISSUE, first: ${SEARCH_PR_PAGE_SIZE}, after: $after) {
+      issueCount
+      edges {
+        node {
+          __typename
+          ... on PullRequest {
+            number title url
+            baseRepository { nameWithOwner }
+            reviews(first: 100, author: $login) {
+              nodes {
+                id body state submittedAt url
+                comments(first: 50) { nodes { body path url } }
+              }
+            }
+          }
+        }
+      }
+      pageInfo { endCursor hasNextPage }
+    }
+  }
+`;
+
 export interface CollectRawGraphQLOpts {
   start: string;
   end: string;
   noReviews?: boolean;
+  noIssues?: boolean;
+  noIssueComments?: boolean;
+  noReleases?: boolean;
   token: string;
   fetchFn?: typeof fetch;
+  /** Human-readable progress (e.g. how many search windows were queried). */
+  onProgress?: (message: string) => void;
+  /** Persist fetched pages here (per login + query window) so an interrupted run resumes; cleared on success. */
+  checkpointDir?: string;
+  /** YYYY-MM-DD: only fetch items updated on or after this day (for merging into a previous run). */
+  updatedSince?: string;
+  /** Base URL of a GitHub Enterprise Server (e.g. https://ghes.example.com); github.com when unset. */
+  githubUrl?: string;
+  /** Only collect from these repos (owner/name) and/or repos owned by `orgs`; all repos when both are empty. */
+  repos?: string[];
+  /** Never collect from these repos. */
+  excludeRepos?: string[];
+  orgs?: string[];
 }
 
 export async function collectRawGraphQL({
   start,
   end,
   noReviews = false,
+  noIssues = false,
+  noIssueComments = false,
+  noReleases = false,
   token,
   fetchFn = fetch,
+  onProgress = () => {},
+  checkpointDir,
+  updatedSince,
+  githubUrl,
+  repos,
+  excludeRepos,
+  orgs,
 }: CollectRawGraphQLOpts): Promise<CollectRawResult> {
-  const { data: viewerData } = await graphqlFetch({
-    token,
-    query: "query { viewer { login } }",
-    fetchFn,
-  });
+  const collected_at = new Date().toISOString();
+  const host = evidenceHost(githubUrl);
+  const client = createGitHubClient({ token, graphqlUrl: githubEndpoints(githubUrl).graphqlUrl, fetchFn, onProgress });
+  const { data: viewerData } = await client.graphql("query { viewer { login } }");
   const login = (viewerData as { viewer?: { login?: string } })?.viewer?.login;
   if (!login) throw new Error("Could not get viewer login");
 
-  const q = `author:${login} type:pr created:${start}..${end}`;
+  const checkpoints = checkpointDir
+    ? openCheckpointStore(checkpointDir, host ? `${host}/${login}` : login)
+    : undefined;
+  const updatedFilter = updatedSince ? ` updated:>=${updatedSince}` : "";
+  // Searches are narrowed where the query allows it; every pass still filters, as viewer connections can't be.
+  const scope = searchScope({ repos, orgs });
+  const inScope = repoMatcher({ repos, excludeRepos, orgs });
+  // Paging of time-ordered passes can stop once items predate both the window and the previous run.
+  const since = updatedSince && updatedSince > start ? updatedSince : start;
+  const today = toDay(new Date());
+
   const pull_requests: RawPr[] = [];
   const reviews: RawReview[] = [];
-  let cursor: string | null = null;
-
-  const searchQuery = `
-    query($q: String!, $after: String) {
-      search(query: $q, type: ISSUE, first: ${SEARCH_PR_PAGE_SIZE}, after: $after) {
-        edges {
-          node {
-            __typename
-            ... on PullRequest {
-              number title body url mergedAt additions deletions changedFiles
-              baseRepository { nameWithOwner }
-              labels(first: 100) { nodes { name } }
-              reviewThreads(first: 1) { totalCount }
-              reviews(first: 100) { nodes { id body state submittedAt url } }
-            }
-          }
-        }
-        pageInfo { endCursor hasNextPage }
-      }
-    }
-  `;
-
-  for (;;) {
-    const variables = { q, after: cursor };
-    const { data } = await graphqlFetch({
-      token,
-      query: searchQuery,
-      variables,
-      fetchFn,
-    });
-    const search = (data as { search?: { edges?: { node?: GraphQLPrNode }[]; pageInfo?: { endCursor?: string; hasNextPage?: boolean } } })?.search;
-    if (!search) throw new Error("Unexpected GraphQL response: no search");
+  const issues: RawIssue[] = [];
+  const issue_comments: RawIssueComment[] = [];
+  const releases: RawRelease[] = [];
+  const windowsReport: SearchWindowsReport[] = [];
 
-    const edges = search.edges ?? [];
-    for (const edge of edges) {
-      const node = edge?.node;
-      if (!node || node.__typename !== "PullRequest") continue;
+  const prKey = (node: GraphQLPrNode) => `${node.baseRepository?.nameWithOwner ?? ""}#${node.number}`;
 
-      const rawPr = mapGraphQLPrToRaw(node);
-      pull_requests.push(rawPr);
+  const prWindows = await searchWindowed<GraphQLPrNode>({
+    client,
+    query: AUTHORED_PR_SEARCH_QUERY,
+    buildQ: (a, b) => `author:${login} type:pr created:${a}..${b}${updatedFilter}${scope}`,
+    start,
+    end,
+    nodeKey: prKey,
+    checkpoints,
+    onNode(node) {
+      if (node.__typename !== "PullRequest" || !inScope(node.baseRepository?.nameWithOwner ?? "")) return;
+      pull_requests.push(mapGraphQLPrToRaw(node));
 
       if (!noReviews && node.reviews?.nodes?.length) {
         const repoFullName = node.baseRepository?.nameWithOwner ?? "";
@@ -224,18 +786,233 @@ export async function collectRawGraphQL({
           reviews.push(mapGraphQLReviewToRaw(r, repoFullName, node.number));
         }
       }
-    }
+    },
+  });
+  onProgress(describeWindows("Pull requests", prWindows));
+  windowsReport.push(prWindows);
+
+  // Second pass: reviews the user gave on other people's PRs. A PR reviewed in the window may have been
+  // opened before it and updated after it, so match on created<=end, window on updated from start to
+  // today, and filter reviews by submittedAt.
+  if (!noReviews) {
+    const reviewedWindows = await searchWindowed<GraphQLPrNode>({
+      client,
+      query: REVIEWED_PR_SEARCH_QUERY,
+      buildQ: (a, b) => `reviewed-by:${login} -author:${login} type:pr created:<=${end} updated:${a}..${b}${scope}`,
+      start: since,
+      end: today > end ? today : end,
+      variables: { login },
+      nodeKey: prKey,
+      checkpoints,
+      onNode(node) {
+        if (node.__typename !== "PullRequest" || !inScope(node.baseRepository?.nameWithOwner ?? "")) return;
+        for (const r of node.reviews?.nodes ?? []) {
+          if (!dayInRange(r.submittedAt, start, end)) continue;
+          reviews.push(mapGraphQLAuthoredReviewToRaw(r, node, login));
+        }
+      },
+    });
+    onProgress(describeWindows("Reviews given", reviewedWindows));
+    windowsReport.push(reviewedWindows);
+  }
+
+  if (!noIssues) {
+    const issueWindows = await searchWindowed<GraphQLIssueNode>({
+      client,
+      query: ISSUE_SEARCH_QUERY,
+      buildQ: (a, b) => `author:${login} type:issue created:${a}..${b}${updatedFilter}${scope}`,
+      start,
+      end,
+      checkpoints,
+      nodeKey: (node) => `${node.repository?.nameWithOwner ?? ""}#${node.number}`,
+      onNode(node) {
+        if (node.__typename !== "Issue" || !inScope(node.repository?.nameWithOwner ?? "")) return;
+        issues.push(mapGraphQLIssueToRaw(node));
+      },
+    });
+    onProgress(describeWindows("Issues", issueWindows));
+    windowsReport.push(issueWindows);
+  }
+
+  if (!noIssueComments) {
+    await viewerPagesAll<GraphQLIssueCommentNode>({
+      client,
+      query: ISSUE_COMMENTS_QUERY,
+      field: "issueComments",
+      checkpoints,
+      checkpointKey: `viewer:issueComments:${since}..${end}`,
+      reusable: end < today,
+      onPage(nodes) {
+        for (const c of nodes) {
+          if (c.pullRequest) continue;
+          if ((c.body ?? "").trim().length < MIN_ISSUE_COMMENT_CHARS) continue;
+          if (!dayInRange(c.createdAt, start, end)) continue;
+          if (!inScope(c.issue?.repository?.nameWithOwner ?? "")) continue;
+          issue_comments.push(mapGraphQLIssueCommentToRaw(c));
+        }
+        const oldest = nodes[nodes.length - 1]?.updatedAt;
+        return !oldest || oldest.slice(0, 10) >= since;
+      },
+    });
+  }
 
-    const hasNext = search.pageInfo?.hasNextPage === true;
-    if (!hasNext) break;
-    cursor = search.pageInfo?.endCursor ?? null;
-    if (!cursor) break;
+  if (!noReleases) {
+    const addReleases = (repo: string, nodes: GraphQLReleaseNode[] = []) => {
+      for (const rel of nodes) {
+        if (rel.author?.login !== login) continue;
+        if (!dayInRange(rel.publishedAt, start, end)) continue;
+        releases.push(mapGraphQLReleaseToRaw(rel, repo));
+      }
+    };
+    // Repos whose first page of releases does not reach back to the window start: page them after the pass.
+    const morePages: { repo: string; cursor: string }[] = [];
+    await viewerPagesAll<GraphQLRepoReleasesNode>({
+      client,
+      query: REPO_RELEASES_QUERY,
+      field: "repositories",
+      checkpoints,
+      checkpointKey: `viewer:repositories:${since}..${end}`,
+      reusable: end < today,
+      onPage(repoNodes) {
+        for (const repo of repoNodes) {
+          if (!inScope(repo.nameWithOwner)) continue;
+          addReleases(repo.nameWithOwner, repo.releases?.nodes);
+          const cursor = moreReleasesCursor(repo.releases, since);
+          if (cursor) morePages.push({ repo: repo.nameWithOwner, cursor });
+        }
+        const oldest = repoNodes[repoNodes.length - 1]?.pushedAt;
+        return !oldest || oldest.slice(0, 10) >= since;
+      },
+    });
+    for (const { repo, cursor: first } of morePages) {
+      const [owner, name] = repo.split("/");
+      for (let cursor: string | null = first; cursor; ) {
+        const { data } = await client.graphql(MORE_RELEASES_QUERY, { owner, name, after: cursor });
+        const page = (data as { repository?: { releases?: GraphQLReleasesConnection } })?.repository?.releases;
+        addReleases(repo, page?.nodes);
+        cursor = moreReleasesCursor(page, since);
+      }
+    }
   }
 
+  // Everything was fetched: checkpoints only exist to resume an interrupted run, and reusing them later
+  // would serve stale PR state (merged/closed, reviews, titles).
+  checkpoints?.clear();
+
   return {
     timeframe: { start_date: start, end_date: end },
+    login,
+    ...(host ? { host } : {}),
+    collected_at,
     pull_requests,
     reviews,
+    issues,
+    issue_comments,
+    releases,
+    search_windows: {
+      windows: windowsReport.reduce((n, r) => n + r.windows, 0),
+      overflowed: windowsReport.flatMap((r) => r.overflowed),
+    },
+  };
+}
+
+const CONTRIBUTED_REPOS_QUERY = `
+  query($q: String!, $after: String) {
+    ${RATE_LIMIT_FIELDS}
+    search(query: $q, type: ISSUE, first: ${SEARCH_PR_PAGE_SIZE}, after: $after) {
+      issueCount
+      edges { node { __typename ... on PullRequest { number baseRepository { nameWithOwner } } } }
+      pageInfo { endCursor hasNextPage }
+    }
+  }
+`;
+
+export interface DiscoveredRepo {
+  /** owner/name */
+  name: string;
+  /** PRs the user opened there in the range. */
+  pull_requests: number;
+}
+
+export interface DiscoverReposOpts {
+  start: string;
+  end: string;
+  token: string;
+  fetchFn?: typeof fetch;
+  onProgress?: (message: string) => void;
+  githubUrl?: string;
+}
+
+/**
+ * Repos the user opened PRs in during the range, most PRs first, so a run can be scoped with
+ * repos/excludeRepos/orgs before collecting. Fetches only repo names, so it is far cheaper than a collection.
+ */
+export async function discoverRepos({
+  start,
+  end,
+  token,
+  fetchFn = fetch,
+  onProgress = () => {},
+  githubUrl,
+}: DiscoverReposOpts): Promise<DiscoveredRepo[]> {
+  const client = createGitHubClient({ token, graphqlUrl: githubEndpoints(githubUrl).graphqlUrl, fetchFn, onProgress });
+  const { data: viewerData } = await client.graphql("query { viewer { login } }");
+  const login = (viewerData as { viewer?: { login?: string } })?.viewer?.login;
+  if (!login) throw new Error("Could not get viewer login");
+
+  const counts = new Map<string, number>();
+  await searchWindowed<GraphQLPrNode>({
+    client,
+    query: CONTRIBUTED_REPOS_QUERY,
+    buildQ: (a, b) => `author:${login} type:pr created:${a}..${b}`,
+    start,
+    end,
+    nodeKey: (node) => `${node.baseRepository?.nameWithOwner ?? ""}#${node.number}`,
+    onNode(node) {
+      const name = node.baseRepository?.nameWithOwner;
+      if (node.__typename !== "PullRequest" || !name) return;
+      counts.set(name, (counts.get(name) ?? 0) + 1);
+    },
+  });
+  return [...counts]
+    .map(([name, pull_requests]) => ({ name, pull_requests }))
+    .sort((a, b) => b.pull_requests - a.pull_requests || a.name.localeCompare(b.name));
+}
+
+function replaceByKey<T>(previous: T[], updated: T[], key: (item: T) => string): T[] {
+  const fresh = new Map(updated.map((item) => [key(item), item]));
+  const kept = previous.filter((item) => !fresh.has(key(item)));
+  return [...kept, ...fresh.values()];
+}
+
+/**
+ * Merge an incremental run into a previous raw file: items fetched again replace their old copy
+ * (matched by repo + number or node id), new items are appended, and the timeframe covers both runs.
+ */
+export function mergeRawResults(previous: CollectRawResult, update: CollectRawResult): CollectRawResult {
+  if (previous.login && previous.login !== update.login) {
+    throw new Error(`Cannot merge runs for different users (${previous.login} vs ${update.login})`);
+  }
+  if ((previous.host ?? "github.com") !== (update.host ?? "github.com")) {
+    throw new Error(`Cannot merge runs from different hosts (${previous.host ?? "github.com"} vs ${update.host ?? "github.com"})`);
+  }
+  const numbered = (item: { number: number }, repo: string) => `${repo}#${item.number}`;
+  const byId = (item: { id: string }) => item.id;
+  const { start_date: prevStart, end_date: prevEnd } = previous.timeframe;
+  const { start_date, end_date } = update.timeframe;
+  return {
+    ...update,
+    timeframe: {
+      start_date: prevStart < start_date ? prevStart : start_date,
+      end_date: prevEnd > end_date ? prevEnd : end_date,
+    },
+    pull_requests: replaceByKey(previous.pull_requests ?? [], update.pull_requests, (pr) =>
+      numbered(pr, pr.base.repo.full_name)
+    ),
+    reviews: replaceByKey(previous.reviews ?? [], update.reviews, byId),
+    issues: replaceByKey(previous.issues ?? [], update.issues, (issue) => numbered(issue, issue.repository.full_name)),
+    issue_comments: replaceByKey(previous.issue_comments ?? [], update.issue_comments, byId),
+    releases: replaceByKey(previous.releases ?? [], update.releases, byId),
   };
 }
 
@@ -250,16 +1027,58 @@ async function main(): Promise<void> {
   const end = parsed.end as string | undefined;
   const output = parsed.output as string | undefined;
   const noReviews = parsed.noReviews as boolean | undefined;
+  const noIssues = parsed.noIssues as boolean | undefined;
+  const noIssueComments = parsed.noIssueComments as boolean | undefined;
+  const noReleases = parsed.noReleases as boolean | undefined;
+  const sinceLastRun = parsed.sinceLastRun as boolean | undefined;
+  const noCache = parsed.noCache as boolean | undefined;
+  const cacheDir = (parsed.cacheDir as string | undefined) ?? DEFAULT_CHECKPOINT_DIR;
+  const githubUrl = (parsed.githubUrl as string | undefined) ?? process.env.GITHUB_URL;
+  const repos = parseRepoList(parsed.repo as string | undefined);
+  const excludeRepos = parseRepoList(parsed.excludeRepo as string | undefined);
+  const orgs = parseRepoList(parsed.org as string | undefined);
   if (!start || !end) {
     console.error("--start YYYY-MM-DD and --end YYYY-MM-DD required");
     process.exit(1);
   }
-  const raw = await collectRawGraphQL({
+  if (parsed.listRepos) {
+    const found = await discoverRepos({ start, end, token, githubUrl, onProgress: (message) => console.error(message) });
+    for (const repo of found) console.log(`${String(repo.pull_requests).padStart(5)}  ${repo.name}`);
+    return;
+  }
+  if (sinceLastRun && !output) {
+    console.error("--since-last-run needs --output pointing at the raw file from the previous run");
+    process.exit(1);
+  }
+
+  let previous: CollectRawResult | undefined;
+  if (sinceLastRun && output && existsSync(output)) {
+    previous = JSON.parse(readFileSync(output, "utf8")) as CollectRawResult;
+  } else if (sinceLastRun) {
+    console.error(`No previous run at ${output}; collecting the full range`);
+  }
+  const updatedSince = previous
+    ? (previous.collected_at ?? `${previous.timeframe.end_date}T00:00:00Z`).slice(0, 10)
+    : undefined;
+  if (updatedSince) console.error(`Fetching items updated since ${updatedSince}`);
+
+  const fresh = await collectRawGraphQL({
     start,
     end,
     noReviews: noReviews ?? false,
+    noIssues: noIssues ?? false,
+    noIssueComments: noIssueComments ?? false,
+    noReleases: noReleases ?? false,
     token,
+    onProgress: (message) => console.error(message),
+    checkpointDir: noCache ? undefined : cacheDir,
+    updatedSince,
+    githubUrl,
+    repos,
+    excludeRepos,
+    orgs,
   });
+  const raw = previous ? mergeRawResults(previous, fresh) : fresh;
   const json = JSON.stringify(raw, null, 2);
   if (output) {
     writeFileSync(output, json);
@@ -0,0 +1,370 @@
+/**
+ * Fetch the current user's GitLab work for a date range: merge requests they authored (with who approved them),
+ * merge requests they approved or commented on, and releases they published in those projects.
+ * Output: raw JSON { source: "gitlab", host, username, timeframe, collected_at, merge_requests, reviews, releases }
+ * for the normalizer (IDs come out as gitlab:group/project!123).
+ * CLI: GITLAB_TOKEN=xxx node --import tsx/esm scripts/collect-gitlab.ts --start YYYY-MM-DD --end YYYY-MM-DD
+ *   [--output raw-gitlab.json] [--gitlab-url https://gitlab.example.com] [--no-reviews] [--no-releases]
+ *   [--repo group/project,...] [--exclude-repo group/project,...] [--org group,...]
+ * --gitlab-url (or GITLAB_URL) targets a self-managed instance; gitlab.com by default.
+ * --repo/--org keep only those projects (or projects under those groups), --exclude-repo drops projects.
+ */
+
+import { writeFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { parseArgs as parseArgsBase } from "../lib/parse-args.ts";
+import { createGitLabClient, GitLabRequestError, type GitLabClient } from "../lib/gitlab-client.ts";
+import { parseRepoList, repoMatcher } from "../lib/repo-filter.ts";
+
+/** Releases fetched per project, newest first. */
+const RELEASES_PER_PROJECT = 20;
+
+const COLLECT_GITLAB_SCHEMA = {
+  flags: [
+    { name: "start", option: "--start", type: "string" as const },
+    { name: "end", option: "--end", type: "string" as const },
+    { name: "output", option: "--output", type: "string" as const },
+    { name: "gitlabUrl", option: "--gitlab-url", type: "string" as const },
+    { name: "noReviews", option: "--no-reviews", type: "boolean" as const },
+    { name: "noReleases", option: "--no-releases", type: "boolean" as const },
+    { name: "repo", option: "--repo", type: "string" as const },
+    { name: "excludeRepo", option: "--exclude-repo", type: "string" as const },
+    { name: "org", option: "--org", type: "string" as const },
+  ],
+};
+
+export interface GitLabRawMergeRequest {
+  iid: number;
+  project_path: string;
+  title: string;
+  description: string;
+  web_url: string;
+  /** "opened", "closed", "merged" or "locked". */
+  state: string;
+  draft?: boolean;
+  source_branch?: string;
+  created_at: string | null;
+  merged_at: string | null;
+  closed_at?: string | null;
+  labels: string[];
+  user_notes_count: number;
+  /** Usernames that approved the MR (empty when the approvals API is unavailable). */
+  approved_by: string[];
+}
+
+/** The user's approval and/or notes on one merge request, collected as one review. */
+export interface GitLabRawReview {
+  project_path: string;
+  mr_iid: number;
+  mr_title: string;
+  mr_web_url: string;
+  approved_at: string | null;
+  notes: { id: number; body: string; created_at: string; path?: string }[];
+}
+
+export interface GitLabRawRelease {
+  project_path: string;
+  tag_name: string;
+  name: string;
+  description: string;
+  released_at: string | null;
+  web_url: string;
+}
+
+export interface CollectGitLabResult {
+  source: "gitlab";
+  host: string;
+  username: string;
+  timeframe: { start_date: string; end_date: string };
+  collected_at: string;
+  merge_requests: GitLabRawMergeRequest[];
+  reviews: GitLabRawReview[];
+  releases: GitLabRawRelease[];
+}
+
+interface ApiMergeRequest {
+  iid: number;
+  project_id: number;
+  title: string;
+  description: string | null;
+  web_url: string;
+  state: string;
+  draft?: boolean;
+  source_branch?: string;
+  created_at: string | null;
+  merged_at: string | null;
+  closed_at?: string | null;
+  labels?: string[];
+  user_notes_count?: number;
+  references?: { full?: string };
+}
+
+interface ApiEvent {
+  project_id: number;
+  action_name: string;
+  target_iid?: number | null;
+  target_type?: string | null;
+  target_title?: string | null;
+  created_at: string;
+  note?: {
+    id: number;
+    body: string;
+    noteable_type?: string;
+    noteable_iid?: number;
+    position?: { new_path?: string };
+  };
+}
+
+interface ApiProject {
+  id: number;
+  path_with_namespace: string;
+  web_url: string;
+}
+
+interface ApiRelease {
+  tag_name: string;
+  name?: string;
+  description?: string;
+  released_at?: string | null;
+  author?: { username?: string };
+  _links?: { self?: string };
+}
+
+export function parseArgs(argv: string[] = process.argv.slice(2)): Record<string, unknown> {
+  return parseArgsBase(COLLECT_GITLAB_SCHEMA, argv);
+}
+
+function addDays(date: string, days: number): string {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/** "group/sub/project!12" → "group/sub/project" */
+function projectPathOf(mr: ApiMergeRequest): string | null {
+  const full = mr.references?.full;
+  return full ? full.replace(/![0-9]+$/, "") : null;
+}
+
+export interface CollectGitLabOptions {
+  token: string;
+  start: string;
+  end: string;
+  gitlabUrl?: string;
+  noReviews?: boolean;
+  noReleases?: boolean;
+  /** Only collect from these projects (group/project) and/or projects under `orgs` groups. */
+  repos?: string[];
+  /** Never collect from these projects. */
+  excludeRepos?: string[];
+  orgs?: string[];
+  fetchFn?: typeof fetch;
+  onProgress?: (message: string) => void;
+  /** Injectable for tests (rate-limit / retry waits). */
+  sleep?: (ms: number) => Promise<void>;
+}
+
+export async function collectRawGitLab({
+  token,
+  start,
+  end,
+  gitlabUrl,
+  noReviews = false,
+  noReleases = false,
+  repos,
+  excludeRepos,
+  orgs,
+  fetchFn,
+  onProgress = () => {},
+  sleep,
+}: CollectGitLabOptions): Promise<CollectGitLabResult> {
+  const collected_at = new Date().toISOString();
+  const inScope = repoMatcher({ repos, excludeRepos, orgs });
+  const client = createGitLabClient({ token, baseUrl: gitlabUrl, fetchFn, onProgress, sleep });
+  const user = await client.get<{ id: number; username: string }>("/user");
+
+  const projects = new Map<number, Promise<ApiProject | null>>();
+  function project(id: number): Promise<ApiProject | null> {
+    if (!projects.has(id)) {
+      projects.set(
+        id,
+        client.get<ApiProject>(`/projects/${id}`).catch((e) => {
+          if (e instanceof GitLabRequestError) return null;
+          throw e;
+        })
+      );
+    }
+    return projects.get(id)!;
+  }
+
+  // MRs touched in the window; normalize keeps those merged (or opened) in it.
+  const authored = await client.getAll<ApiMergeRequest>("/merge_requests", {
+    scope: "created_by_me",
+    state: "all",
+    updated_after: `${start}T00:00:00Z`,
+    updated_before: `${addDays(end, 1)}T00:00:00Z`,
+  });
+  onProgress(`GitLab: ${authored.length} merge requests`);
+
+  const merge_requests: GitLabRawMergeRequest[] = [];
+  for (const mr of authored) {
+    const project_path = projectPathOf(mr) ?? (await project(mr.project_id))?.path_with_namespace;
+    if (!project_path || !inScope(project_path)) continue;
+    let approved_by: string[] = [];
+    try {
+      const approvals = await client.get<{ approved_by?: { user?: { username?: string } }[] }>(
+        `/projects/${mr.project_id}/merge_requests/${mr.iid}/approvals`
+      );
+      approved_by = (approvals.approved_by ?? []).map((a) => a.user?.username).filter((u): u is string => !!u);
+    } catch (e) {
+      // Approvals are not available on every tier / instance; the MR is still evidence.
+      if (!(e instanceof GitLabRequestError)) throw e;
+    }
+    merge_requests.push({
+      iid: mr.iid,
+      project_path,
+      title: mr.title,
+      description: mr.description ?? "",
+      web_url: mr.web_url,
+      state: mr.state,
+      draft: mr.draft ?? false,
+      source_branch: mr.source_branch,
+      created_at: mr.created_at,
+      merged_at: mr.merged_at,
+      closed_at: mr.closed_at ?? null,
+      labels: mr.labels ?? [],
+      user_notes_count: mr.user_notes_count ?? 0,
+      approved_by,
+    });
+  }
+
+  const projectIds = new Set(authored.map((mr) => mr.project_id));
+  const reviews: GitLabRawReview[] = [];
+  if (!noReviews) {
+    const eventWindow = { after: addDays(start, -1), before: addDays(end, 1) };
+    const [approvals, comments] = await Promise.all([
+      client.getAll<ApiEvent>("/events", { action: "approved", ...eventWindow }),
+      client.getAll<ApiEvent>("/events", { action: "commented", ...eventWindow }),
+    ]);
+    const ownMrs = new Set(merge_requests.map((mr) => `${mr.project_path}!${mr.iid}`));
+    const byMr = new Map<string, GitLabRawReview>();
+    async function reviewFor(projectId: number, iid: number, title: string | null | undefined) {
+      const p = await project(projectId);
+      if (!p || !inScope(p.path_with_namespace)) return null;
+      const key = `${p.path_with_namespace}!${iid}`;
+      if (ownMrs.has(key)) return null;
+      if (!byMr.has(key)) {
+        byMr.set(key, {
+          project_path: p.path_with_namespace,
+          mr_iid: iid,
+          mr_title: title ?? "",
+          mr_web_url: `${p.web_url}/-/merge_requests/${iid}`,
+          approved_at: null,
+          notes: [],
+        });
+      }
+      projectIds.add(projectId);
+      return byMr.get(key)!;
+    }
+    for (const ev of approvals) {
+      if (ev.target_type !== "MergeRequest" || !ev.target_iid) continue;
+      const review = await reviewFor(ev.project_id, ev.target_iid, ev.target_title);
+      if (review) review.approved_at = ev.created_at;
+    }
+    for (const ev of comments) {
+      const note = ev.note;
+      if (!note || note.noteable_type !== "MergeRequest" || !note.noteable_iid) continue;
+      const review = await reviewFor(ev.project_id, note.noteable_iid, ev.target_title);
+      if (!review) continue;
+      review.notes.push({
+        id: note.id,
+        body: note.body,
+        created_at: ev.created_at,
+        ...(note.position?.new_path ? { path: note.position.new_path } : {}),
+      });
+    }
+    reviews.push(...byMr.values());
+    onProgress(`GitLab: ${reviews.length} merge requests reviewed`);
+  }
+
+  const releases: GitLabRawRelease[] = [];
+  if (!noReleases) {
+    for (const id of projectIds) {
+      const p = await project(id);
+      if (!p || !inScope(p.path_with_namespace)) continue;
+      let list: ApiRelease[];
+      try {
+        list = await client.getAll<ApiRelease>(`/projects/${id}/releases`, { per_page: RELEASES_PER_PROJECT }, 1);
+      } catch (e) {
+        if (e instanceof GitLabRequestError) continue;
+        throw e;
+      }
+      for (const rel of list) {
+        if (rel.author?.username !== user.username) continue;
+        releases.push({
+          project_path: p.path_with_namespace,
+          tag_name: rel.tag_name,
+          name: rel.name || rel.tag_name,
+          description: rel.description ?? "",
+          released_at: rel.released_at ?? null,
+          web_url: rel._links?.self || `${p.web_url}/-/releases/${encodeURIComponent(rel.tag_name)}`,
+        });
+      }
+    }
+  }
+
+  return {
+    source: "gitlab",
+    host: client.host,
+    username: user.username,
+    timeframe: { start_date: start, end_date: end },
+    collected_at,
+    merge_requests,
+    reviews,
+    releases,
+  };
+}
+
+async function main(): Promise<void> {
+  const token = process.env.GITLAB_TOKEN;
+  if (!token) {
+    console.error("GITLAB_TOKEN required");
+    process.exit(1);
+  }
+  const parsed = parseArgs();
+  const start = parsed.start as string | undefined;
+  const end = parsed.end as string | undefined;
+  const output = parsed.output as string | undefined;
+  const gitlabUrl = (parsed.gitlabUrl as string | undefined) ?? process.env.GITLAB_URL;
+  if (!start || !end) {
+    console.error("--start YYYY-MM-DD and --end YYYY-MM-DD required");
+    process.exit(1);
+  }
+
+  const raw = await collectRawGitLab({
+    token,
+    start,
+    end,
+    gitlabUrl,
+    noReviews: parsed.noReviews as boolean,
+    noReleases: parsed.noReleases as boolean,
+    repos: parseRepoList(parsed.repo as string | undefined),
+    excludeRepos: parseRepoList(parsed.excludeRepo as string | undefined),
+    orgs: parseRepoList(parsed.org as string | undefined),
+    onProgress: (message) => console.error(message),
+  });
+  const json = JSON.stringify(raw, null, 2);
+  if (output) {
+    writeFileSync(output, json);
+    console.error("Wrote", output);
+  } else {
+    console.log(json);
+  }
+}
+
+const isMain =
+  process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMain) main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -1,22 +1,65 @@
 #!/usr/bin/env node
 /**
- * evidence.json → run pipeline → write themes.json, bullets.json, stories.json, self_eval.json to --out (default: ./out).
+ * evidence.json → run pipeline → write themes.json, bullets.json, stories.json, self_eval.json to --out (default: ./out),
+ * plus report.md and verification.json (citations corrected, removed or left unverified; see lib/verify-citations.ts).
  * Usage: node --import tsx/esm scripts/generate-review.ts [path/to/evidence.json] [--out dir]
+ *   [--manual entries.yaml] [--filter-noise] [--min-lines N] [--exclude-label a,b] [--exclude-title regex]
+ *   [--include-unmerged] [--keep-reverts] [--no-filter] [--no-cache] [--from-step themes|bullets|stories|self_eval] [--no-questions]
+ * --manual adds talks, docs, mentoring, on-call and other work from a YAML or JSON list of
+ * { date, title, category, url?, description? }; see lib/manual-contributions.ts.
+ * --filter-noise drops noise (bumps, typo fixes, release PRs, tiny or unmerged PRs, revert churn) first; see
+ * lib/noise-filter.ts. Off by default so existing runs keep every contribution; any of the tuning flags
+ * (--min-lines and the ones after it) turns it on too. Label and title exclusions add to the defaults.
+ * Step outputs are cached (see lib/step-cache.ts), so rerunning after a failure or an edit only calls the model
+ * for steps whose input changed. --from-step reruns that step and the ones after it; --no-cache skips the cache.
+ * In a terminal, the model's missing_info_questions are then asked one by one; answers are saved to the evidence
+ * file as context_answers and the review is regenerated with them (--no-questions skips this).
  */
 
 import { readFileSync, writeFileSync, mkdirSync } from "fs";
+import { createInterface } from "readline/promises";
 import { join, dirname } from "path";
 import { fileURLToPath } from "url";
+import { parse as parseYaml } from "yaml";
 import { parseArgs as parseArgsBase } from "../lib/parse-args.ts";
+import { addManualContributions, parseManualEntries, type ManualEntry } from "../lib/manual-contributions.ts";
 import { runPipeline } from "../lib/run-pipeline.ts";
+import { STEP_OUTPUT_KEYS, type StepOutputKey } from "../lib/validate-step-output.ts";
 import { generateMarkdown } from "../lib/generate-markdown.ts";
-import type { Evidence } from "../types/evidence.js";
+import {
+  collectMissingInfoQuestions,
+  mergeContextAnswers,
+  unansweredQuestions,
+  type MissingInfoQuestion,
+} from "../lib/context-answers.ts";
+import { formatCitationReport } from "../lib/verify-citations.ts";
+import {
+  DEFAULT_NOISE_RULES,
+  filterNoise,
+  formatNoiseReport,
+  type NoiseReport,
+  type NoiseRules,
+} from "../lib/noise-filter.ts";
+import type { ContextAnswer, Evidence } from "../types/evidence.js";
 import type { PipelineResult } from "../lib/run-pipeline.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 const GENERATE_REVIEW_SCHEMA = {
-  flags: [{ name: "outDir", option: "--out", type: "string" as const }],
+  flags: [
+    { name: "outDir", option: "--out", type: "string" as const },
+    { name: "manual", option: "--manual", type: "string" as const },
+    { name: "filterNoise", option: "--filter-noise", type: "boolean" as const },
+    { name: "minLines", option: "--min-lines", type: "string" as const },
+    { name: "excludeLabel", option: "--exclude-label", type: "string" as const },
+    { name: "excludeTitle", option: "--exclude-title", type: "string" as const },
+    { name: "includeUnmerged", option: "--include-unmerged", type: "boolean" as const },
+    { name: "keepReverts", option: "--keep-reverts", type: "boolean" as const },
+    { name: "noFilter", option: "--no-filter", type: "boolean" as const },
+    { name: "noCache", option: "--no-cache", type: "boolean" as const },
+    { name: "fromStep", option: "--from-step", type: "string" as const },
+    { name: "noQuestions", option: "--no-questions", type: "boolean" as const },
+  ],
   positionals: [{ name: "input" }],
   defaults: {
     input: () => join(process.cwd(), "evidence.json"),
@@ -105,21 +148,83 @@ function parseArgs(
 
 export { parseArgs };
 
+/** Noise rules from CLI flags; null (no filtering) unless --filter-noise or a tuning flag is given, or with --no-filter. */
+export function noiseRulesFromArgs(parsed: Record<string, unknown>): NoiseRules | null {
+  const tuned = ["minLines", "excludeLabel", "excludeTitle", "includeUnmerged", "keepReverts"].some(
+    (name) => parsed[name] != null && parsed[name] !== false
+  );
+  if (parsed.noFilter || !(parsed.filterNoise || tuned)) return null;
+  const list = (v: unknown) => ((v as string | null) ?? "").split(",").map((s) => s.trim()).filter(Boolean);
+  const minLines = Number(parsed.minLines);
+  return {
+    ...(parsed.minLines != null && Number.isFinite(minLines) ? { minLines } : {}),
+    excludeLabels: [...DEFAULT_NOISE_RULES.excludeLabels, ...list(parsed.excludeLabel)],
+    excludeTitles: [
+      ...DEFAULT_NOISE_RULES.excludeTitles,
+      ...(parsed.excludeTitle ? [parsed.excludeTitle as string] : []),
+    ],
+    collapseReverts: !parsed.keepReverts,
+    includeUnmerged: !!parsed.includeUnmerged,
+  };
+}
+
+/** Validated --from-step value; undefined when the flag is absent. */
+export function fromStepFromArgs(parsed: Record<string, unknown>): StepOutputKey | undefined {
+  const step = parsed.fromStep as string | null | undefined;
+  if (step == null) return undefined;
+  if (!(STEP_OUTPUT_KEYS as readonly string[]).includes(step)) {
+    throw new Error(`--from-step must be one of ${STEP_OUTPUT_KEYS.join(", ")} (got "${step}")`);
+  }
+  return step as StepOutputKey;
+}
+
+/** Manual entries from a YAML or JSON file (JSON is valid YAML). Errors name the file and each bad entry. */
+export function readManualFile(path: string): ManualEntry[] {
+  try {
+    return parseManualEntries(parseYaml(readFileSync(path, "utf8")));
+  } catch (e) {
+    throw new Error(`${path}: ${(e as Error).message}`);
+  }
+}
+
 type PipelineFn = (
   evidence: Evidence,
-  opts: { onProgress?: (data: { stepIndex: number; total: number; label: string }) => void }
+  opts: {
+    onProgress?: (data: { stepIndex: number; total: number; label: string }) => void;
+    cache?: boolean;
+    fromStep?: StepOutputKey;
+  }
 ) => Promise<PipelineResult>;
 
+export interface GenerateReviewOptions {
+  onProgress?: (data: { stepIndex: number; total: number; label: string }) => void;
+  /** Passed to the pipeline: use the step cache (default true). */
+  cache?: boolean;
+  /** Passed to the pipeline: rerun this step and later ones instead of reusing cached outputs. */
+  fromStep?: StepOutputKey;
+  /** Hand-logged entries added to the contributions before filtering. */
+  manual?: ManualEntry[];
+  /** Filter noise with these rules before the pipeline; no filtering when omitted. */
+  noise?: NoiseRules;
+  onNoiseReport?: (report: NoiseReport) => void;
+}
+
 export async function runGenerateReview(
   inputPath: string,
   outDir: string,
   pipelineFn: PipelineFn = runPipeline,
-  opts: { onProgress?: (data: { stepIndex: number; total: number; label: string }) => void } = {}
+  { manual, noise, onNoiseReport, ...opts }: GenerateReviewOptions = {}
 ): Promise<PipelineResult> {
-  const evidence = JSON.parse(
+  let evidence = JSON.parse(
     readFileSync(inputPath, "utf8")
   ) as Evidence;
-  const { themes, bullets, stories, self_eval } = await pipelineFn(
+  if (manual?.length) evidence = addManualContributions(evidence, manual);
+  if (noise) {
+    const filtered = filterNoise(evidence, noise);
+    evidence = filtered.evidence;
+    onNoiseReport?.(filtered.report);
+  }
+  const { themes, bullets, stories, self_eval, verification } = await pipelineFn(
     evidence,
     opts
   );
@@ -144,22 +249,50 @@ export async function runGenerateReview(
     { themes, bullets, stories, self_eval } as Parameters<
       typeof generateMarkdown
     >[0],
-    { timeframe: evidence.timeframe }
+    { timeframe: evidence.timeframe, contextAnswers: evidence.context_answers }
   );
   writeFileSync(join(outDir, "report.md"), markdown);
-  return { themes, bullets, stories, self_eval };
+  if (verification) {
+    writeFileSync(join(outDir, "verification.json"), JSON.stringify(verification, null, 2));
+  }
+  return { themes, bullets, stories, self_eval, verification };
+}
+
+/** Ask each question through `ask`; blank replies skip it. Returns the answers given. */
+export async function askContextAnswers(
+  questions: MissingInfoQuestion[],
+  ask: (prompt: string) => Promise<string>
+): Promise<ContextAnswer[]> {
+  const answers: ContextAnswer[] = [];
+  for (const [i, q] of questions.entries()) {
+    const about = q.context ? ` (${q.context})` : "";
+    const answer = (await ask(`\n[${i + 1}/${questions.length}] ${q.question}${about}\n> `)).trim();
+    if (answer) answers.push({ question: q.question, answer });
+  }
+  return answers;
+}
+
+/** Merge answers into the evidence file's context_answers, leaving the rest of the file alone. Returns all answers. */
+export function saveContextAnswers(path: string, answers: ContextAnswer[]): ContextAnswer[] {
+  const evidence = JSON.parse(readFileSync(path, "utf8")) as Evidence;
+  const context_answers = mergeContextAnswers(evidence.context_answers, answers);
+  writeFileSync(path, JSON.stringify({ ...evidence, context_answers }, null, 2));
+  return context_answers;
 }
 
 async function main(): Promise<void> {
   const parsed = parseArgs();
   const input = (parsed.input ?? join(process.cwd(), "evidence.json")) as string;
   const outDir = (parsed.outDir ?? join(process.cwd(), "out")) as string;
+  const noise = noiseRulesFromArgs(parsed) ?? undefined;
+  const manual = parsed.manual ? readManualFile(parsed.manual as string) : undefined;
+  const fromStep = fromStepFromArgs(parsed);
   let contributionCount = 0;
   try {
     const evidence = JSON.parse(
       readFileSync(input, "utf8")
     ) as { contributions?: unknown[] };
-    contributionCount = evidence.contributions?.length ?? 0;
+    contributionCount = (evidence.contributions?.length ?? 0) + (manual?.length ?? 0);
   } catch {
     // use 0 if we can't read yet
   }
@@ -177,19 +310,69 @@ async function main(): Promise<void> {
   }) => {
     onStepProgress(stepIndex, total, label, contributionCount);
   };
-  await runGenerateReview(input, outDir, runPipeline, { onProgress });
-  stopStepAnimation();
-  if (stepStartTime) {
-    process.stdout.write(
-      `\r  ✓ [4/4] ${STEP_LABELS[3]} (${formatElapsed(Date.now() - stepStartTime)})${" ".repeat(12)}\n`
-    );
-  } else {
-    process.stdout.write(`\r  ✓ [4/4] ${STEP_LABELS[3]}${" ".repeat(24)}\n`);
+  const onNoiseReport = (report: NoiseReport) => {
+    contributionCount = report.kept;
+    console.log(formatNoiseReport(report));
+    for (const item of report.removed) {
+      console.log(`  - ${item.id} ${item.title} [${item.reason}: ${item.detail}]`);
+    }
+    console.log("");
+  };
+  const interactive = !parsed.noQuestions && !!process.stdin.isTTY && !!process.stdout.isTTY;
+  const rl = interactive ? createInterface({ input: process.stdin, output: process.stdout }) : null;
+  try {
+    // Add context → regenerate: repeat while the user answers some of the model's questions.
+    for (let round = 0; ; round++) {
+      stepStartTime = 0;
+      const result = await runGenerateReview(input, outDir, runPipeline, {
+        onProgress,
+        manual,
+        noise,
+        onNoiseReport,
+        cache: !parsed.noCache,
+        fromStep: round === 0 ? fromStep : undefined,
+      });
+      stopStepAnimation();
+      if (stepStartTime) {
+        process.stdout.write(
+          `\r  ✓ [4/4] ${STEP_LABELS[3]} (${formatElapsed(Date.now() - stepStartTime)})${" ".repeat(12)}\n`
+        );
+      } else {
+        process.stdout.write(`\r  ✓ [4/4] ${STEP_LABELS[3]}${" ".repeat(24)}\n`);
+      }
+      const { verification } = result;
+      if (verification) {
+        console.log(formatCitationReport(verification));
+        for (const issue of verification.issues.filter((i) => i.kind !== "fixed")) {
+          console.log(`  - ${issue.path}: ${issue.id ? `${issue.id} ` : ""}${issue.detail}`);
+        }
+      }
+      console.log(
+        "Wrote themes.json, bullets.json, stories.json, self_eval.json, report.md to",
+        outDir
+      );
+
+      const answered = (JSON.parse(readFileSync(input, "utf8")) as Evidence).context_answers;
+      const questions = unansweredQuestions(collectMissingInfoQuestions(result), answered);
+      if (!questions.length) break;
+      if (!rl) {
+        console.log(`${questions.length} open question${questions.length === 1 ? "" : "s"} from the model: see Open Questions in report.md.`);
+        break;
+      }
+      console.log(
+        `\nThe model has ${questions.length} follow-up question${questions.length === 1 ? "" : "s"}. ` +
+          "Answers are saved to the evidence as context and the review is regenerated; press Enter to skip one."
+      );
+      const answers = await askContextAnswers(questions, (prompt) => rl.question(prompt));
+      if (!answers.length) break;
+      const saved = saveContextAnswers(input, answers);
+      console.log(
+        `\nSaved ${answers.length} answer${answers.length === 1 ? "" : "s"} to ${input} (${saved.length} in context_answers). Regenerating...\n`
+      );
+    }
+  } finally {
+    rl?.close();
   }
-  console.log(
-    "Wrote themes.json, bullets.json, stories.json, self_eval.json, report.md to",
-    outDir
-  );
 }
 
 const isMain =
@@ -0,0 +1,85 @@
+/**
+ * Slack workspace export → evidence JSON, offline. Reads the export ZIP (or its unzipped directory) and keeps
+ * the threads and messages the user wrote in the chosen channels within the timeframe. See lib/slack-export.ts.
+ * CLI: node --import tsx/esm scripts/import-slack.ts --input export.zip --user U012AB3CD
+ *   --start YYYY-MM-DD --end YYYY-MM-DD [--channels incidents,support] [--workspace-url https://acme.slack.com]
+ *   [--redact-channels none|private|all] [--output evidence-slack.json]
+ * --user is your member ID (profile → ⋮ → Copy member ID). --workspace-url makes links open in your workspace.
+ */
+
+import { writeFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { SCHEMA_VERSION } from "../lib/migrate-evidence.ts";
+import { parseArgs as parseArgsBase } from "../lib/parse-args.ts";
+import { CHANNEL_REDACTIONS, importSlack, loadSlackExport, type ChannelRedaction } from "../lib/slack-export.ts";
+
+const IMPORT_SLACK_SCHEMA = {
+  flags: [
+    { name: "input", option: "--input", type: "string" as const },
+    { name: "output", option: "--output", type: "string" as const },
+    { name: "user", option: "--user", type: "string" as const },
+    { name: "channels", option: "--channels", type: "string" as const },
+    { name: "start", option: "--start", type: "string" as const },
+    { name: "end", option: "--end", type: "string" as const },
+    { name: "workspaceUrl", option: "--workspace-url", type: "string" as const },
+    { name: "redactChannels", option: "--redact-channels", type: "string" as const },
+  ],
+};
+
+export function parseArgs(argv: string[] = process.argv.slice(2)): Record<string, unknown> {
+  return parseArgsBase(IMPORT_SLACK_SCHEMA, argv);
+}
+
+function main(): void {
+  const parsed = parseArgs();
+  const input = parsed.input as string | undefined;
+  const output = parsed.output as string | undefined;
+  const userId = (parsed.user as string | undefined)?.trim();
+  const start = parsed.start as string | undefined;
+  const end = parsed.end as string | undefined;
+  const redactChannels = (parsed.redactChannels as ChannelRedaction | undefined) ?? "none";
+  if (!input || !userId) {
+    console.error("--input <export.zip|dir> and --user <Slack member ID> required");
+    process.exit(1);
+  }
+  if (!start || !end) {
+    console.error("--start YYYY-MM-DD and --end YYYY-MM-DD required");
+    process.exit(1);
+  }
+  if (!CHANNEL_REDACTIONS.includes(redactChannels)) {
+    console.error(`--redact-channels must be one of ${CHANNEL_REDACTIONS.join("|")}`);
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = importSlack(loadSlackExport(input), {
+      userId,
+      channels: ((parsed.channels as string | undefined) ?? "").split(",").map((c) => c.trim()).filter(Boolean),
+      start,
+      end,
+      workspaceUrl: parsed.workspaceUrl as string | undefined,
+      redactChannels,
+    });
+  } catch (e) {
+    console.error((e as Error).message);
+    process.exit(1);
+  }
+  const evidence = {
+    schema_version: SCHEMA_VERSION,
+    timeframe: { start_date: start, end_date: end },
+    contributions: result.contributions,
+  };
+  const json = JSON.stringify(evidence, null, 2);
+  console.error(`Imported ${result.contributions.length} threads/messages from ${result.channels.length} channels`);
+  if (output) {
+    writeFileSync(output, json);
+    console.error("Wrote", output);
+  } else {
+    console.log(json);
+  }
+}
+
+const isMain =
+  process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMain) main();
@@ -0,0 +1,78 @@
+/**
+ * Jira / Linear export → evidence JSON, offline. Reads a Jira JSON or CSV export or a Linear CSV export and
+ * keeps the issues assigned to (or resolved by) the user in the timeframe. See lib/ticket-import.ts.
+ * CLI: node --import tsx/esm scripts/import-tickets.ts --input export.csv --user me@example.com[,"My Name"]
+ *   --start YYYY-MM-DD --end YYYY-MM-DD [--format jira-json|jira-csv|linear-csv] [--base-url https://acme.atlassian.net]
+ *   [--output evidence-jira.json]
+ * --format is detected from the file when omitted. --base-url builds issue links (Jira site or
+ * https://linear.app/<workspace>); Jira JSON exports carry their own.
+ */
+
+import { readFileSync, writeFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { SCHEMA_VERSION } from "../lib/migrate-evidence.ts";
+import { parseArgs as parseArgsBase } from "../lib/parse-args.ts";
+import { detectTicketFormat, importTickets, TICKET_FORMATS, type TicketFormat } from "../lib/ticket-import.ts";
+
+const IMPORT_TICKETS_SCHEMA = {
+  flags: [
+    { name: "input", option: "--input", type: "string" as const },
+    { name: "output", option: "--output", type: "string" as const },
+    { name: "format", option: "--format", type: "string" as const },
+    { name: "user", option: "--user", type: "string" as const },
+    { name: "start", option: "--start", type: "string" as const },
+    { name: "end", option: "--end", type: "string" as const },
+    { name: "baseUrl", option: "--base-url", type: "string" as const },
+  ],
+};
+
+export function parseArgs(argv: string[] = process.argv.slice(2)): Record<string, unknown> {
+  return parseArgsBase(IMPORT_TICKETS_SCHEMA, argv);
+}
+
+function main(): void {
+  const parsed = parseArgs();
+  const input = parsed.input as string | undefined;
+  const output = parsed.output as string | undefined;
+  const start = parsed.start as string | undefined;
+  const end = parsed.end as string | undefined;
+  const users = ((parsed.user as string | undefined) ?? "").split(",").map((u) => u.trim()).filter(Boolean);
+  if (!input || !users.length) {
+    console.error("--input <export> and --user <email or name> required");
+    process.exit(1);
+  }
+  if (!start || !end) {
+    console.error("--start YYYY-MM-DD and --end YYYY-MM-DD required");
+    process.exit(1);
+  }
+
+  const content = readFileSync(input, "utf8");
+  const format = (parsed.format as TicketFormat | undefined) ?? detectTicketFormat(content);
+  if (!format || !TICKET_FORMATS.includes(format)) {
+    console.error(`Could not tell the export format of ${input}; pass --format ${TICKET_FORMATS.join("|")}`);
+    process.exit(1);
+  }
+
+  const { contributions, total } = importTickets(content, format, {
+    users,
+    start,
+    end,
+    baseUrl: parsed.baseUrl as string | undefined,
+  });
+  if (contributions.some((c) => !c.url)) {
+    console.error("Some issues have no link; pass --base-url so citations point at the tracker");
+  }
+  const evidence = { schema_version: SCHEMA_VERSION, timeframe: { start_date: start, end_date: end }, contributions };
+  const json = JSON.stringify(evidence, null, 2);
+  console.error(`Imported ${contributions.length} of ${total} issues (${format})`);
+  if (output) {
+    writeFileSync(output, json);
+    console.error("Wrote", output);
+  } else {
+    console.log(json);
+  }
+}
+
+const isMain =
+  process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMain) main();
@@ -0,0 +1,66 @@
+/**
+ * Combine several evidence files into one, de-duplicating contributions and folding commits into their PRs.
+ * See lib/merge-evidence.ts.
+ * CLI: node --import tsx/esm scripts/merge-evidence.ts a.json b.json [...] [--output evidence.json]
+ *   [--start YYYY-MM-DD --end YYYY-MM-DD]
+ * Without --start/--end the timeframe covers all inputs. The merge report goes to stderr.
+ */
+
+import { readFileSync, writeFileSync } from "fs";
+import { basename } from "path";
+import { fileURLToPath } from "url";
+import { parseArgs as parseArgsBase } from "../lib/parse-args.ts";
+import { formatMergeReport, mergeEvidence } from "../lib/merge-evidence.ts";
+import type { Evidence } from "../types/evidence.js";
+
+const MERGE_EVIDENCE_SCHEMA = {
+  flags: [
+    { name: "output", option: "--output", type: "string" as const },
+    { name: "start", option: "--start", type: "string" as const },
+    { name: "end", option: "--end", type: "string" as const },
+  ],
+  positionals: [{ name: "inputs", rest: true }],
+};
+
+export function parseArgs(argv: string[] = process.argv.slice(2)): Record<string, unknown> {
+  return parseArgsBase(MERGE_EVIDENCE_SCHEMA, argv);
+}
+
+function main(): void {
+  const parsed = parseArgs();
+  const inputs = parsed.inputs as string[];
+  const output = parsed.output as string | undefined;
+  const start = parsed.start as string | undefined;
+  const end = parsed.end as string | undefined;
+  if (inputs.length < 2) {
+    console.error("Usage: merge-evidence a.json b.json [...] [--output evidence.json] [--start/--end YYYY-MM-DD]");
+    process.exit(1);
+  }
+  if (!!start !== !!end) {
+    console.error("--start and --end go together");
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = mergeEvidence(
+      inputs.map((path) => ({ name: basename(path), evidence: JSON.parse(readFileSync(path, "utf8")) as Evidence })),
+      { timeframe: start && end ? { start_date: start, end_date: end } : undefined }
+    );
+  } catch (e) {
+    console.error((e as Error).message);
+    process.exit(1);
+  }
+  console.error(formatMergeReport(result.report));
+  const json = JSON.stringify(result.evidence, null, 2);
+  if (output) {
+    writeFileSync(output, json);
+    console.error("Wrote", output);
+  } else {
+    console.log(json);
+  }
+}
+
+const isMain =
+  process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMain) main();
@@ -0,0 +1,134 @@
+/**
+ * Raw GitLab JSON (scripts/collect-gitlab.ts) → evidence contributions.
+ * Merge requests become pull_request contributions with IDs like `gitlab:group/project!123`; the user's
+ * approval and notes on someone else's MR become one review; releases keep their tag (`gitlab:group/project@v1.2`).
+ * Self-managed instances qualify IDs with the host (`gitlab:gitlab.example.com/group/project!123`).
+ * normalize() delegates here for raw files with `source: "gitlab"`.
+ */
+
+import {
+  createContribution,
+  extractIssueRefs,
+  hoursBetween,
+  inRange,
+  markSuperseded,
+  prLifecycle,
+  pullRequestState,
+  type NormalizeResult,
+} from "./normalize.ts";
+import { SCHEMA_VERSION } from "../lib/migrate-evidence.ts";
+import type { Contribution } from "../types/evidence.js";
+import type {
+  CollectGitLabResult,
+  GitLabRawMergeRequest,
+  GitLabRawRelease,
+  GitLabRawReview,
+} from "./collect-gitlab.ts";
+
+export type RawGitLabInput = Partial<CollectGitLabResult> & { source: "gitlab"; role_context_optional?: unknown };
+
+export function isGitLabRaw(raw: { source?: unknown }): raw is RawGitLabInput {
+  return raw.source === "gitlab";
+}
+
+function repoName(projectPath: string, host: string | undefined): string {
+  return host && host !== "gitlab.com" ? `${host}/${projectPath}` : projectPath;
+}
+
+function normalizeMergeRequest(mr: GitLabRawMergeRequest, repo: string, username: string | undefined): Contribution {
+  const text = `${mr.title}\n${mr.description}`;
+  const approvers = new Set(mr.approved_by.filter((u) => u !== username));
+  const hoursToMerge = hoursBetween(mr.created_at, mr.merged_at);
+  return createContribution({
+    id: `gitlab:${repo}!${mr.iid}`,
+    type: "pull_request",
+    title: mr.title,
+    url: mr.web_url,
+    repo,
+    merged_at: mr.merged_at,
+    ...prLifecycle(
+      pullRequestState(mr.merged_at, mr.state, mr.draft ?? /^(draft|wip):/i.test(mr.title)),
+      mr.created_at,
+      mr.closed_at ?? mr.merged_at
+    ),
+    labels: mr.labels,
+    summary: mr.description.slice(0, 500),
+    body: mr.description,
+    // GitLab issue refs live on GitLab; Jira keys stay as they are.
+    linked_issues: extractIssueRefs(text, repo).map((ref) => (ref.includes("#") ? `gitlab:${ref}` : ref)),
+    review_comments_count: mr.user_notes_count,
+    approvals_count: approvers.size,
+    ...(hoursToMerge !== undefined ? { hours_to_merge: hoursToMerge } : {}),
+  });
+}
+
+/** Approval and notes the user left on one MR: title names the MR, body carries the notes (diff notes with their file). */
+function normalizeReview(review: GitLabRawReview, repo: string): Contribution {
+  const body = review.notes.map((n) => (n.path ? `${n.path}: ${n.body}` : n.body)).join("\n\n");
+  return createContribution({
+    id: `gitlab:${repo}!${review.mr_iid}-review`,
+    type: "review",
+    title: `Reviewed: ${review.mr_title || `${repo}!${review.mr_iid}`}`,
+    url: review.mr_web_url,
+    repo,
+    merged_at: reviewDate(review),
+    summary: (body || (review.approved_at ? "Review (approved)" : "")).slice(0, 500),
+    body,
+    review_comments_count: review.notes.length,
+    approvals_count: review.approved_at ? 1 : 0,
+  });
+}
+
+function reviewDate(review: GitLabRawReview): string | null {
+  return review.approved_at ?? review.notes.map((n) => n.created_at).sort()[0] ?? null;
+}
+
+function normalizeRelease(release: GitLabRawRelease, repo: string): Contribution {
+  return createContribution({
+    id: `gitlab:${repo}@${release.tag_name}`,
+    type: "release",
+    title: release.name || release.tag_name,
+    url: release.web_url,
+    repo,
+    merged_at: release.released_at,
+    summary: release.description.slice(0, 500),
+    body: release.description,
+  });
+}
+
+export function normalizeGitLab(
+  raw: RawGitLabInput,
+  start?: string | null,
+  end?: string | null
+): NormalizeResult {
+  const contributions: Contribution[] = [];
+  const filtered = (date: string | null | undefined) => (start || end ? inRange(date, start, end) : true);
+
+  const branches = new Map<string, string>();
+  for (const mr of raw.merge_requests ?? []) {
+    if (!filtered(mr.merged_at || mr.created_at)) continue;
+    const contribution = normalizeMergeRequest(mr, repoName(mr.project_path, raw.host), raw.username);
+    if (mr.source_branch) branches.set(contribution.id, mr.source_branch);
+    contributions.push(contribution);
+  }
+  markSuperseded(contributions, (c) => branches.get(c.id));
+  for (const review of raw.reviews ?? []) {
+    if (!filtered(reviewDate(review))) continue;
+    contributions.push(normalizeReview(review, repoName(review.project_path, raw.host)));
+  }
+  for (const release of raw.releases ?? []) {
+    if (!filtered(release.released_at)) continue;
+    contributions.push(normalizeRelease(release, repoName(release.project_path, raw.host)));
+  }
+
+  for (const c of contributions) c.source = "gitlab";
+  return {
+    schema_version: SCHEMA_VERSION,
+    timeframe: {
+      start_date: start || raw.timeframe?.start_date || "2020-01-01",
+      end_date: end || raw.timeframe?.end_date || new Date().toISOString().slice(0, 10),
+    },
+    role_context_optional: raw.role_context_optional || null,
+    contributions,
+  };
+}
@@ -1,13 +1,20 @@
 /**
  * Raw GitHub JSON → evidence JSON (AGENTS.md contract). Dedupes: commits under PRs are dropped; orphan commits kept.
+ * Accepts pull_requests, reviews, releases, issues, issue_comments and commits.
+ * Raw files from a GitHub Enterprise Server carry `host`; their IDs come out host-qualified.
+ * GitLab raw files (`source: "gitlab"`, scripts/collect-gitlab.ts) are handled by normalize-gitlab.ts.
  * CLI: node --import tsx/esm scripts/normalize.ts [--input raw.json] [--output evidence.json] [--start/--end YYYY-MM-DD]
+ *   [--components components.json]  (path globs → component names, see lib/pr-areas.ts)
  */
 
 import { readFileSync, writeFileSync } from "fs";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import { parseArgs as parseArgsBase } from "../lib/parse-args.ts";
-import type { Contribution } from "../types/evidence.js";
+import { deriveAreas, loadComponentRules, type ComponentRule } from "../lib/pr-areas.ts";
+import { SCHEMA_VERSION } from "../lib/migrate-evidence.ts";
+import { isGitLabRaw, normalizeGitLab, type RawGitLabInput } from "./normalize-gitlab.ts";
+import type { Contribution, PullRequestState } from "../types/evidence.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -17,6 +24,7 @@ const NORMALIZE_SCHEMA = {
     { name: "output", option: "--output", type: "string" as const },
     { name: "start", option: "--start", type: "string" as const },
     { name: "end", option: "--end", type: "string" as const },
+    { name: "components", option: "--components", type: "string" as const },
   ],
 };
 
@@ -30,7 +38,7 @@ function parseDate(s: string | null | undefined): Date | null {
   return isNaN(d.getTime()) ? null : d;
 }
 
-function inRange(
+export function inRange(
   dateStr: string | null | undefined,
   start: string | null | undefined,
   end: string | null | undefined
@@ -51,7 +59,7 @@ function contributionId(
   return slug ? `${slug}#${numberOrSha}` : `#${numberOrSha}`;
 }
 
-function createContribution(overrides: Partial<Contribution> = {}): Contribution {
+export function createContribution(overrides: Partial<Contribution> = {}): Contribution {
   return {
     id: "",
     type: "pull_request",
@@ -79,20 +87,196 @@ interface RawPr {
   url?: string;
   html_url?: string;
   merged_at?: string | null;
-  created_at?: string;
+  created_at?: string | null;
   updated_at?: string;
+  state?: string;
+  draft?: boolean;
+  closed_at?: string | null;
   base?: { repo?: { full_name?: string } };
-  head?: { repo?: { full_name?: string } };
+  head?: { ref?: string; repo?: { full_name?: string } };
   labels?: { name?: string }[] | string[];
   changed_files?: number;
   additions?: number;
   deletions?: number;
   review_comments?: number;
   commits?: { sha?: string; commit?: { sha?: string } }[] | string[];
+  closing_issues?: { number: number; repository?: { full_name?: string } }[];
+  user?: { login?: string };
+  reviews?: RawPrReview[];
+  files?: { filename?: string }[];
+}
+
+/** A review as listed on its PR (REST pulls/:n/reviews shape). */
+interface RawPrReview {
+  state?: string;
+  submitted_at?: string | null;
+  user?: { login?: string };
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export function hoursBetween(from: string | null | undefined, to: string | null | undefined): number | undefined {
+  const a = parseDate(from);
+  const b = parseDate(to);
+  if (!a || !b || b < a) return undefined;
+  return Math.round(((b.getTime() - a.getTime()) / HOUR_MS) * 10) / 10;
+}
+
+/**
+ * Review-cycle numbers for a PR: distinct approvers, changes-requested rounds, distinct reviewers (the PR
+ * author's replies excluded), hours from open to first review and to merge. Reviews without a login
+ * (older raw files) count once each.
+ */
+function reviewMetrics(pr: RawPr, reviews: RawPrReview[]): Partial<Contribution> {
+  const author = pr.user?.login;
+  const byOthers = reviews.filter(
+    (r) => r.state !== "PENDING" && r.state !== "DISMISSED" && (!author || r.user?.login !== author)
+  );
+  const distinct = (list: RawPrReview[]) =>
+    new Set(list.map((r, i) => r.user?.login || `#${i}`)).size;
+  const firstReview = byOthers
+    .map((r) => r.submitted_at)
+    .filter((at): at is string => !!parseDate(at))
+    .sort()[0];
+  const metrics: Partial<Contribution> = {
+    approvals_count: distinct(byOthers.filter((r) => r.state === "APPROVED")),
+    changes_requested_count: byOthers.filter((r) => r.state === "CHANGES_REQUESTED").length,
+  };
+  if (byOthers.some((r) => r.user?.login)) metrics.reviewers_count = distinct(byOthers);
+  const toFirstReview = hoursBetween(pr.created_at, firstReview);
+  if (toFirstReview !== undefined) metrics.hours_to_first_review = toFirstReview;
+  const toMerge = hoursBetween(pr.created_at, pr.merged_at);
+  if (toMerge !== undefined) metrics.hours_to_merge = toMerge;
+  return metrics;
+}
+
+/** Uppercase prefixes that look like Jira keys but are standards or encodings (UTF-8, SHA-256, RFC-7231). */
+const NOT_TICKET_PREFIXES = new Set(["UTF", "SHA", "ISO", "RFC", "HTTP", "TLS", "SSL", "CVE", "GPT", "ES", "MD", "AES", "RSA", "X"]);
+
+const CLOSING_REF =
+  /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\b:?\s+(?:https?:\/\/[^\s/]+\/([\w.-]+\/[\w.-]+)\/issues\/|([\w.-]+\/[\w.-]+)?#)(\d+)\b/gi;
+const CROSS_REPO_REF = /(?<![\w/])([\w.-]+\/[\w.-]+)#(\d+)\b/g;
+const TICKET_KEY = /\b([A-Z][A-Z0-9]{1,9})-(\d+)\b/g;
+
+/**
+ * Issue references in PR text, normalized: GitHub issues as `owner/repo#123` (bare `#123` after a closing
+ * keyword resolves against repo), Jira-style keys as `PROJ-123`. Code blocks and inline code are ignored.
+ */
+export function extractIssueRefs(text: string, repo: string): string[] {
+  const prose = text.replace(/```[\s\S]*?```/g, " ").replace(/`[^`\n]*`/g, " ");
+  const refs: string[] = [];
+  for (const m of prose.matchAll(CLOSING_REF)) refs.push(`${m[1] || m[2] || repo}#${m[3]}`);
+  for (const m of prose.matchAll(CROSS_REPO_REF)) refs.push(`${m[1]}#${m[2]}`);
+  for (const m of prose.matchAll(TICKET_KEY)) {
+    if (!NOT_TICKET_PREFIXES.has(m[1])) refs.push(`${m[1]}-${m[2]}`);
+  }
+  return [...new Set(refs)];
+}
+
+function prLinkedIssues(pr: RawPr, repo: string): string[] {
+  const closing = (pr.closing_issues ?? []).map(
+    (issue) => `${issue.repository?.full_name || repo}#${issue.number}`
+  );
+  const mentioned = extractIssueRefs(`${pr.title ?? ""}\n${pr.body ?? ""}`, repo);
+  return [...new Set([...closing, ...mentioned])];
+}
+
+/** Changed paths plus the directories, languages and components they fall in; empty when files were not collected. */
+function prAreas(pr: RawPr, rules: ComponentRule[]): Partial<Contribution> {
+  const paths = (pr.files ?? []).map((f) => f.filename).filter((p): p is string => !!p);
+  if (!paths.length) return {};
+  const { directories, languages, components } = deriveAreas(paths, rules);
+  return {
+    changed_paths: paths,
+    ...(directories.length ? { directories } : {}),
+    ...(languages.length ? { languages } : {}),
+    ...(components.length ? { components } : {}),
+  };
 }
 
-function normalizePr(pr: RawPr, repo: string): Contribution {
+/** Commit SHAs listed on a raw PR (local git and some exports carry them). */
+function prCommitShas(pr: RawPr): string[] {
+  const commits = Array.isArray(pr.commits) ? pr.commits : [];
+  return commits
+    .map((c) =>
+      typeof c === "string" ? c : (c as { sha?: string }).sha ?? (c as { commit?: { sha?: string } }).commit?.sha
+    )
+    .filter((sha): sha is string => !!sha);
+}
+
+/**
+ * PR outcome from the raw fields: merged, in flight (open or draft) or closed without merging. Undefined when
+ * the raw file predates state and the PR was not merged, since open and abandoned cannot be told apart.
+ */
+export function pullRequestState(
+  mergedAt: string | null | undefined,
+  state: string | undefined,
+  draft: boolean | undefined
+): PullRequestState | undefined {
+  if (mergedAt || state === "merged") return "merged";
+  if (state === "closed" || state === "locked") return "closed";
+  if (state === "open" || state === "opened") return draft ? "draft" : "open";
+  return undefined;
+}
+
+/** PR lifecycle fields, omitted when unknown so older raw files normalize as before. */
+export function prLifecycle(
+  state: PullRequestState | undefined,
+  createdAt: string | null | undefined,
+  closedAt: string | null | undefined
+): Partial<Contribution> {
+  return {
+    ...(state ? { state } : {}),
+    ...(createdAt ? { created_at: createdAt } : {}),
+    ...(closedAt ? { closed_at: closedAt } : {}),
+  };
+}
+
+const SUPERSEDES = /\b(?:supersede[sd]?|replace[sd]?|replacement for|instead of)\s+([#!])(\d+)\b/gi;
+const SUPERSEDED_BY = /\b(?:superseded|replaced)\s+(?:by|with|in)\s+([#!])(\d+)\b/i;
+
+/** ID of PR number n in the same repo as a PR ID (`owner/repo#12` → `owner/repo#n`, `gitlab:g/p!12` → `gitlab:g/p!n`). */
+function siblingPrId(id: string, n: string): string {
+  return id.replace(/\d+$/, n);
+}
+
+/**
+ * Sets superseded_by on PRs closed without merging when a later PR in the same repo replaced them: it says
+ * "supersedes #12" / "replaces #12", the closed PR says "superseded by #15", the later PR reuses the branch,
+ * or it has the same title. Mutates and returns the contributions.
+ */
+export function markSuperseded(prs: Contribution[], branchOf: (pr: Contribution) => string | undefined = () => undefined): Contribution[] {
+  const byId = new Map(prs.map((pr) => [pr.id, pr]));
+  const later = (a: Contribution, b: Contribution) =>
+    b !== a && b.repo === a.repo && b.state !== "closed" && (b.created_at ?? "") >= (a.created_at ?? "");
+  const explicit = new Map<string, string>();
+  for (const pr of prs) {
+    for (const m of (pr.body ?? "").matchAll(SUPERSEDES)) explicit.set(siblingPrId(pr.id, m[2]), pr.id);
+  }
+  for (const pr of prs) {
+    if (pr.state !== "closed" || pr.superseded_by) continue;
+    const byText = (pr.body ?? "").match(SUPERSEDED_BY);
+    const candidates = [explicit.get(pr.id), byText ? siblingPrId(pr.id, byText[2]) : undefined]
+      .map((id) => (id ? byId.get(id) : undefined))
+      .filter((c): c is Contribution => !!c && c.id !== pr.id);
+    const branch = branchOf(pr);
+    const title = pr.title.trim().toLowerCase();
+    const replacement =
+      candidates[0] ??
+      prs.find((c) => later(pr, c) && ((branch && branchOf(c) === branch) || (title && c.title.trim().toLowerCase() === title)));
+    if (replacement) pr.superseded_by = replacement.id;
+  }
+  return prs;
+}
+
+function normalizePr(
+  pr: RawPr,
+  repo: string,
+  receivedReviews: RawPrReview[] = [],
+  componentRules: ComponentRule[] = []
+): Contribution {
   const mergedAt = pr.merged_at ?? null;
+  const shas = prCommitShas(pr);
   const labels = (pr.labels || []).map((l) =>
     typeof l === "string" ? l : (l as { name?: string }).name ?? ""
   );
@@ -103,13 +287,19 @@ function normalizePr(pr: RawPr, repo: string): Contribution {
     url: pr.html_url || pr.url || "",
     repo: repo || pr.base?.repo?.full_name || "",
     merged_at: mergedAt,
+    ...prLifecycle(pullRequestState(mergedAt, pr.state, pr.draft), pr.created_at, pr.closed_at ?? mergedAt),
     labels,
     files_changed: pr.changed_files ?? 0,
     additions: pr.additions ?? 0,
     deletions: pr.deletions ?? 0,
     summary: (pr.body || "").slice(0, 500),
     body: pr.body || "",
+    linked_issues: prLinkedIssues(pr, repo),
     review_comments_count: pr.review_comments ?? 0,
+    ...reviewMetrics(pr, pr.reviews ?? receivedReviews),
+    ...prAreas(pr, componentRules),
+    // Lets merge-evidence fold commits from another source into this PR.
+    ...(shas.length ? { meta: { commits: shas } } : {}),
   });
 }
 
@@ -125,6 +315,38 @@ interface RawReview {
   repo?: string;
   pull_number?: number;
   pull_request_url?: string;
+  /** Present when the review was authored by the user (collected via reviewed-by search). */
+  author?: { login?: string };
+  /** Reviewer of a review left on the user's PR (REST shape), so approvals count once per reviewer. */
+  user?: { login?: string };
+  pull_request?: { title?: string; html_url?: string };
+  comments?: { body?: string; path?: string | null; html_url?: string }[];
+}
+
+/** Review the user gave on someone else's PR: title names the target PR; body includes inline comments. */
+function normalizeAuthoredReview(
+  review: RawReview,
+  repo: string,
+  pullNumber: string | number
+): Contribution {
+  const comments = review.comments ?? [];
+  const prTitle = review.pull_request?.title || `${repo}#${pullNumber}`;
+  const state = (review.state || "").toLowerCase().replace(/_/g, " ");
+  const commentLines = comments
+    .filter((c) => c.body)
+    .map((c) => (c.path ? `${c.path}: ${c.body}` : c.body ?? ""));
+  const body = [review.body || "", ...commentLines].filter(Boolean).join("\n\n");
+  return createContribution({
+    id: contributionId(repo, "review", `${pullNumber}-${review.id}`),
+    type: "review",
+    title: `Reviewed: ${prTitle}`,
+    url: review.html_url || review.url || review.pull_request?.html_url || "",
+    repo: repo || "",
+    summary: (body || (state ? `Review (${state})` : "")).slice(0, 500),
+    body,
+    review_comments_count: comments.length,
+    approvals_count: review.state === "APPROVED" ? 1 : 0,
+  });
 }
 
 function normalizeReview(
@@ -132,6 +354,7 @@ function normalizeReview(
   repo: string,
   pullNumber: string | number
 ): Contribution {
+  if (review.author?.login) return normalizeAuthoredReview(review, repo, pullNumber);
   return createContribution({
     id: contributionId(repo, "review", `${pullNumber}-${review.id}`),
     type: "review",
@@ -152,7 +375,7 @@ interface RawRelease {
   body?: string;
   html_url?: string;
   url?: string;
-  published_at?: string;
+  published_at?: string | null;
   created_at?: string;
   target_commitish?: string;
   repository?: { full_name?: string };
@@ -177,6 +400,65 @@ function normalizeRelease(release: RawRelease, repo: string): Contribution {
   });
 }
 
+interface RawIssue {
+  number: number;
+  title?: string;
+  body?: string | null;
+  html_url?: string;
+  url?: string;
+  state?: string;
+  created_at?: string | null;
+  closed_at?: string | null;
+  repository?: { full_name?: string };
+  labels?: { name?: string }[] | string[];
+  comments?: number;
+}
+
+function normalizeIssue(issue: RawIssue, repo: string): Contribution {
+  const labels = (issue.labels || []).map((l) =>
+    typeof l === "string" ? l : (l as { name?: string }).name ?? ""
+  );
+  return createContribution({
+    id: contributionId(repo, "issue", issue.number),
+    type: "issue",
+    title: issue.title || "",
+    url: issue.html_url || issue.url || "",
+    repo: repo || "",
+    merged_at: issue.created_at ?? null,
+    labels,
+    summary: (issue.body || "").slice(0, 500),
+    body: issue.body || "",
+    review_comments_count: issue.comments ?? 0,
+  });
+}
+
+interface RawIssueComment {
+  id: string;
+  body?: string | null;
+  html_url?: string;
+  url?: string;
+  created_at?: string | null;
+  repository?: { full_name?: string };
+  issue_number?: number;
+  issue_title?: string;
+  issue_url?: string;
+}
+
+function normalizeIssueComment(comment: RawIssueComment, repo: string): Contribution {
+  const issueRef = `${repo}#${comment.issue_number ?? ""}`;
+  return createContribution({
+    id: contributionId(repo, "issue", `${comment.issue_number ?? ""}-comment-${comment.id}`),
+    type: "comment",
+    title: `Comment on ${comment.issue_title || issueRef}`,
+    url: comment.html_url || comment.url || comment.issue_url || "",
+    repo: repo || "",
+    merged_at: comment.created_at ?? null,
+    summary: (comment.body || "").slice(0, 500),
+    body: comment.body || "",
+    linked_issues: comment.issue_number ? [issueRef] : [],
+  });
+}
+
 interface RawCommit {
   sha?: string;
   commit?: {
@@ -203,9 +485,10 @@ function normalizeCommit(
     inner?.author?.date ||
     null;
   const msg = inner?.message || commit.message || "";
+  // owner/repo@abc1234 is GitHub's own commit reference; "#" is reserved for issue and PR numbers.
   return createContribution({
-    id: contributionId(repo, "issue", (sha || "").slice(0, 7)),
-    type: "issue",
+    id: `${repo}@${(sha || "").slice(0, 7)}`,
+    type: "commit",
     title: msg.split("\n")[0].slice(0, 200) || sha?.slice(0, 7) || "",
     url:
       commit.html_url ||
@@ -214,9 +497,22 @@ function normalizeCommit(
     merged_at: date,
     summary: msg.slice(0, 500),
     body: msg,
+    ...(sha ? { meta: { sha } } : {}),
   });
 }
 
+/**
+ * Prefix id, repo and linked issue refs with a GHES host (e.g. `ghes.example.com/org/app#12`) so evidence
+ * from github.com and GHES can share one contributions array without ID collisions.
+ */
+function qualifyWithHost(c: Contribution, host: string): void {
+  c.id = `${host}/${c.id}`;
+  if (c.superseded_by) c.superseded_by = `${host}/${c.superseded_by}`;
+  if (c.repo) c.repo = `${host}/${c.repo}`;
+  // Only GitHub refs (owner/repo#n) live on the host; Jira keys stay as they are.
+  if (c.linked_issues) c.linked_issues = c.linked_issues.map((ref) => (ref.includes("#") ? `${host}/${ref}` : ref));
+}
+
 export interface RawGitHubInput {
   timeframe?: { start_date?: string; end_date?: string };
   role_context_optional?: unknown;
@@ -225,25 +521,48 @@ export interface RawGitHubInput {
   pull_requests_list?: RawPr[];
   reviews?: RawReview[];
   releases?: RawRelease[];
+  issues?: RawIssue[];
+  issue_comments?: RawIssueComment[];
   commits?: RawCommit[];
   repo?: string;
+  /** GitHub Enterprise Server host the data came from; IDs and repos are qualified with it. */
+  host?: string;
+  /** "git" for scripts/collect-git.ts output; GitHub when absent. */
+  source?: "github" | "git";
 }
 
 export interface NormalizeResult {
+  schema_version: number;
   timeframe: { start_date: string; end_date: string };
   role_context_optional: unknown;
   contributions: Contribution[];
 }
 
+export interface NormalizeOptions {
+  /** Path-glob → component rules applied to each PR's changed files. */
+  componentRules?: ComponentRule[];
+}
+
 export function normalize(
-  raw: RawGitHubInput,
+  raw: RawGitHubInput | RawGitLabInput,
   start?: string | null,
-  end?: string | null
+  end?: string | null,
+  { componentRules = [] }: NormalizeOptions = {}
 ): NormalizeResult {
+  if (isGitLabRaw(raw)) return normalizeGitLab(raw, start, end);
   const contributions: Contribution[] = [];
   const prNumbersByRepo = new Set<string>();
 
+  // Raw files without per-PR reviews still carry the reviews left on the user's PRs as a flat list.
+  const receivedReviewsByPr = new Map<string, RawPrReview[]>();
+  for (const r of raw.reviews || []) {
+    if (r.author?.login) continue;
+    const key = `${r.repository?.full_name || r.repo || raw.repo || ""}#${r.pull_request_url?.split("/").pop() || r.pull_number}`;
+    receivedReviewsByPr.set(key, [...(receivedReviewsByPr.get(key) ?? []), { state: r.state, submitted_at: r.submitted_at, user: r.user }]);
+  }
+
   const rawPrs = raw.pull_requests || raw.pulls || raw.pull_requests_list || [];
+  const branches = new Map<string, string>();
   for (const pr of rawPrs) {
     const repo =
       pr.base?.repo?.full_name ||
@@ -256,8 +575,11 @@ export function normalize(
       if (!inRange(useDate, start, end)) continue;
     }
     prNumbersByRepo.add(`${repo}#${pr.number}`);
-    contributions.push(normalizePr(pr, repo));
+    const contribution = normalizePr(pr, repo, receivedReviewsByPr.get(`${repo}#${pr.number}`), componentRules);
+    if (pr.head?.ref) branches.set(contribution.id, pr.head.ref);
+    contributions.push(contribution);
   }
+  markSuperseded(contributions, (c) => branches.get(c.id));
 
   const rawReviews = raw.reviews || [];
   for (const r of rawReviews) {
@@ -284,15 +606,28 @@ export function normalize(
     contributions.push(normalizeRelease(rel, repo));
   }
 
+  const rawIssues = raw.issues || [];
+  for (const issue of rawIssues) {
+    const repo = issue.repository?.full_name || raw.repo || "";
+    if (start || end) {
+      if (!inRange(issue.created_at, start, end)) continue;
+    }
+    contributions.push(normalizeIssue(issue, repo));
+  }
+
+  const rawIssueComments = raw.issue_comments || [];
+  for (const comment of rawIssueComments) {
+    const repo = comment.repository?.full_name || raw.repo || "";
+    if (start || end) {
+      if (!inRange(comment.created_at, start, end)) continue;
+    }
+    contributions.push(normalizeIssueComment(comment, repo));
+  }
+
   const rawCommits = raw.commits || [];
   const commitShaToPr = new Map<string, boolean>();
   for (const pr of rawPrs) {
-    const shas = Array.isArray(pr.commits) ? pr.commits : [];
-    for (const c of shas) {
-      const sha =
-        typeof c === "string" ? c : (c as { sha?: string }).sha ?? (c as { commit?: { sha?: string } }).commit?.sha;
-      if (sha) commitShaToPr.set(sha, true);
-    }
+    for (const sha of prCommitShas(pr)) commitShaToPr.set(sha, true);
   }
   for (const c of rawCommits) {
     const sha = c.sha || c.commit?.sha;
@@ -310,11 +645,17 @@ export function normalize(
     contributions.push(normalizeCommit(c, repo, sha));
   }
 
+  for (const c of contributions) c.source = raw.source ?? "github";
+  if (raw.host) {
+    for (const c of contributions) qualifyWithHost(c, raw.host);
+  }
+
   const startDate =
     start || raw.timeframe?.start_date || "2020-01-01";
   const endDate =
     end || raw.timeframe?.end_date || new Date().toISOString().slice(0, 10);
   return {
+    schema_version: SCHEMA_VERSION,
     timeframe: { start_date: startDate, end_date: endDate },
     role_context_optional: raw.role_context_optional || null,
     contributions,
@@ -327,6 +668,7 @@ function main(): void {
   const output = parsed.output as string | undefined;
   const start = parsed.start as string | undefined;
   const end = parsed.end as string | undefined;
+  const components = parsed.components as string | undefined;
   const inputPath = input || join(process.cwd(), "raw-github.json");
   const outputPath = output || join(process.cwd(), "evidence.json");
 
@@ -338,14 +680,15 @@ function main(): void {
     if (err.code === "ENOENT") {
       console.error("Input file not found:", inputPath);
       console.error(
-        "Create raw-github.json with keys: pull_requests, reviews, releases, commits (see AGENTS.md)."
+        "Create raw-github.json with keys: pull_requests, reviews, releases, issues, issue_comments, commits (see AGENTS.md)."
       );
       process.exit(1);
     }
     throw e;
   }
 
-  const evidence = normalize(raw, start ?? null, end ?? null);
+  const componentRules = components ? loadComponentRules(components) : [];
+  const evidence = normalize(raw, start ?? null, end ?? null, { componentRules });
   writeFileSync(outputPath, JSON.stringify(evidence, null, 2), "utf8");
   console.log(
     "Wrote",
@@ -4,6 +4,12 @@
  * Set PORT (default 3000), SESSION_SECRET, GITHUB_CLIENT_ID, GITHUB_CLIENT_SECRET, and either OPENROUTER_API_KEY (recommended) or OPENAI_API_KEY.
  * Optional: LLM_MODEL to override the default model (anthropic/claude-3.5-sonnet for OpenRouter, gpt-4o-mini for OpenAI).
  * Optional: POSTHOG_API_KEY (and POSTHOG_HOST) for LLM analytics and Node logs in PostHog.
+ * Optional: GITHUB_URL – sign in against a GitHub Enterprise Server instead of github.com (e.g. https://ghes.example.com).
+ * Optional: GHES_URL, GHES_CLIENT_ID, GHES_CLIENT_SECRET – let users connect a GHES instance alongside their
+ *   primary GitHub account (OAuth callback: <origin>/api/auth/callback/ghes); evidence from both is merged.
+ * Optional: GITLAB_URL – self-managed GitLab base URL for gitlab_token sent to /api/collect (default gitlab.com).
+ * Optional: COMPONENTS_CONFIG – path to a JSON file mapping path globs to component names (see lib/pr-areas.ts).
+ * Optional: STEP_CACHE_DB_PATH, STEP_CACHE_TTL_DAYS (default 7), STEP_CACHE_MAX_MB (default 100) – SQLite cache of pipeline step outputs (see lib/step-cache.ts).
  *
  * --- Premium credits (SQLite) ---
  * Optional: STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET, STRIPE_PRICE_CENTS (default 100), STRIPE_CURRENCY (default "usd"), CREDITS_PER_PURCHASE (default 5).
@@ -27,8 +33,8 @@ import { fileURLToPath } from "url";
 const __dirname = fileURLToPath(new URL(".", import.meta.url));
 const DIST = join(__dirname, "dist");
 
-import { runPipeline } from "./lib/run-pipeline.ts";
-import { collectAndNormalize } from "./lib/collect-and-normalize.ts";
+import { regenerateSection, runPipeline } from "./lib/run-pipeline.ts";
+import { collectAndNormalize, discoverRepos } from "./lib/collect-and-normalize.ts";
 import { validateEvidence } from "./lib/validate-evidence.ts";
 import {
   createJob,
@@ -42,7 +48,9 @@ import {
   destroySession,
   setOAuthState,
   getAndRemoveOAuthState,
+  addSessionConnection,
 } from "./lib/session-store.ts";
+import { githubEndpoints } from "./lib/github-hosts.ts";
 import {
   getAuthRedirectUrl,
   buildCallbackRequest,
@@ -126,6 +134,10 @@ function handleRequest(
   const sessionSecret = process.env.SESSION_SECRET || "dev-secret";
   const clientId = process.env.GITHUB_CLIENT_ID;
   const clientSecret = process.env.GITHUB_CLIENT_SECRET;
+  const endpoints = githubEndpoints(process.env.GITHUB_URL);
+  const ghesEndpoints = process.env.GHES_URL ? githubEndpoints(process.env.GHES_URL) : undefined;
+  const ghesClientId = process.env.GHES_CLIENT_ID;
+  const ghesClientSecret = process.env.GHES_CLIENT_SECRET;
   const isSecure = req.headers["x-forwarded-proto"] === "https";
   const host = req.headers.host || "localhost:3000";
   const origin = `${isSecure ? "https" : "http"}://${host}`;
@@ -152,6 +164,18 @@ function handleRequest(
         sessionSecret,
         clientId,
         clientSecret,
+        endpoints,
+        ghes:
+          ghesEndpoints && ghesClientId && ghesClientSecret
+            ? {
+                endpoints: ghesEndpoints,
+                clientId: ghesClientId,
+                exchangeCodeForToken: (code, uri) =>
+                  exchangeCodeForToken(code, uri, ghesClientId, ghesClientSecret, fetch, ghesEndpoints),
+                getGitHubUser: (token) => getGitHubUser(token, fetch, ghesEndpoints),
+              }
+            : undefined,
+        addSessionConnection,
         getRequestContext: () => ({
           origin,
           redirectUri,
@@ -170,8 +194,8 @@ function handleRequest(
         setOAuthState,
         createSession,
         exchangeCodeForToken: (code, uri) =>
-          exchangeCodeForToken(code, uri, clientId!, clientSecret!, fetch),
-        getGitHubUser: (token) => getGitHubUser(token, fetch),
+          exchangeCodeForToken(code, uri, clientId!, clientSecret!, fetch, endpoints),
+        getGitHubUser: (token) => getGitHubUser(token, fetch, endpoints),
         handleCallback,
         handleMe,
         handleLogout,
@@ -203,6 +227,7 @@ function handleRequest(
         createJob,
         runInBackground,
         runPipeline,
+        regenerateSection,
         getSessionIdFromRequest: (r) =>
           getSessionIdFromRequest(r, sessionSecret),
         getSession,
@@ -230,7 +255,10 @@ function handleRequest(
         getSession,
         createJob,
         runInBackground,
+        githubUrls: [process.env.GITHUB_URL, process.env.GHES_URL].filter((u): u is string => !!u),
+        gitlabUrl: process.env.GITLAB_URL,
         collectAndNormalize,
+        discoverRepos,
       })(wrappedReq, res, next);
       return;
     }
@@ -1,10 +1,14 @@
 /**
  * Auth API routes: GET /github, GET /callback/github, GET /me, POST /logout.
+ * When a GHES instance is configured, GET /ghes and GET /callback/ghes connect it to the signed-in session
+ * (or sign in with it alone).
  * Export a function that returns a Connect-style middleware (req, res, next).
  * All dependencies are passed in options so Vite and server can share this.
  */
 
 import type { IncomingMessage, ServerResponse } from "http";
+import type { GitHubEndpoints } from "../../lib/github-hosts.js";
+import type { GitHubConnection } from "../../lib/session-store.js";
 
 export interface RequestContext {
   origin: string;
@@ -13,10 +17,22 @@ export interface RequestContext {
   basePath?: string;
 }
 
+/** OAuth app on a GitHub Enterprise Server host, connected alongside the primary host. */
+export interface GhesAuthOptions {
+  endpoints: GitHubEndpoints;
+  clientId: string;
+  exchangeCodeForToken: (code: string, redirectUri: string) => Promise<string>;
+  getGitHubUser: (token: string) => Promise<{ login: string }>;
+}
+
 export interface AuthRoutesOptions {
   sessionSecret: string;
   clientId: string | undefined;
   clientSecret: string | undefined;
+  /** Primary OAuth host (GITHUB_URL); github.com when unset. */
+  endpoints?: GitHubEndpoints;
+  ghes?: GhesAuthOptions;
+  addSessionConnection?: (id: string, connection: GitHubConnection) => boolean;
   getRequestContext: (req: IncomingMessage) => RequestContext;
   getSessionIdFromRequest: (req: IncomingMessage) => string | null;
   getSession: (id: string) => { login: string; scope?: string } | undefined;
@@ -60,7 +76,8 @@ export interface AuthRoutesOptions {
     scope: string,
     state: string,
     redirectUri: string,
-    clientId: string
+    clientId: string,
+    endpoints?: GitHubEndpoints
   ) => string;
   respondJson: (
     res: ServerResponse,
@@ -77,10 +94,18 @@ export interface AuthRoutesOptions {
 
 type Next = () => void;
 
+/** The GHES OAuth app redirects to /callback/ghes next to the github.com callback. */
+function ghesRedirectUri(redirectUri: string): string {
+  return redirectUri.replace(/\/callback\/github$/, "/callback/ghes");
+}
+
 export function authRoutes(options: AuthRoutesOptions) {
   const {
     sessionSecret,
     clientId,
+    endpoints,
+    ghes,
+    addSessionConnection,
     getRequestContext,
     getSessionIdFromRequest,
     getSession,
@@ -128,7 +153,25 @@ export function authRoutes(options: AuthRoutesOptions) {
       const state = `${scope}_${randomState()}`;
       setStateCookie(res, state, sessionSecret, { secure: isSecure });
       setOAuthState(state, state);
-      const url = getAuthRedirectUrl(scope, state, redirectUri, clientId);
+      const url = getAuthRedirectUrl(scope, state, redirectUri, clientId, endpoints);
+      res.writeHead(302, { Location: url });
+      res.end();
+      return;
+    }
+
+    if (req.method === "GET" && path === "ghes") {
+      if (!ghes) {
+        respondJson(res, 404, {
+          error: "GitHub Enterprise is not configured. Set GHES_URL, GHES_CLIENT_ID and GHES_CLIENT_SECRET.",
+        });
+        return;
+      }
+      const scope =
+        new URL(req.url || "", "http://x").searchParams.get("scope") || "private";
+      const state = `${scope}_${randomState()}`;
+      setStateCookie(res, state, sessionSecret, { secure: isSecure });
+      setOAuthState(state, state);
+      const url = getAuthRedirectUrl(scope, state, ghesRedirectUri(redirectUri), ghes.clientId, ghes.endpoints);
       res.writeHead(302, { Location: url });
       res.end();
       return;
@@ -152,6 +195,38 @@ export function authRoutes(options: AuthRoutesOptions) {
         sessionSecret,
         cookieOpts,
         log,
+        ...(endpoints && endpoints.host !== "github.com" ? { githubUrl: endpoints.baseUrl } : {}),
+      }).catch((e: Error) => {
+        log("callback_error", e.message || "unknown");
+        res.writeHead(500);
+        res.end(e.message || "Callback failed");
+      });
+      return;
+    }
+
+    if (req.method === "GET" && path === "callback/ghes" && ghes) {
+      const pathPart = req.url?.startsWith("/") ? req.url : "/" + (req.url || "");
+      const fullUrl = `${origin}${basePath}${pathPart}`;
+      const callbackReq: { url: string; headers?: object } = buildCallbackRequest
+        ? buildCallbackRequest(req, fullUrl)
+        : { url: fullUrl, headers: req.headers };
+      handleCallback(callbackReq, res, {
+        getStateFromRequest,
+        getAndRemoveOAuthState,
+        clearStateCookie,
+        setSessionCookie,
+        createSession,
+        exchangeCodeForToken: ghes.exchangeCodeForToken,
+        getGitHubUser: ghes.getGitHubUser,
+        redirectUri: ghesRedirectUri(redirectUri),
+        sessionSecret,
+        cookieOpts,
+        log,
+        githubUrl: ghes.endpoints.baseUrl,
+        connect: addSessionConnection && {
+          getSessionIdFromRequest: (r: IncomingMessage) => getSessionIdFromRequest(r),
+          addSessionConnection,
+        },
       }).catch((e: Error) => {
         log("callback_error", e.message || "unknown");
         res.writeHead(500);
@@ -164,6 +239,7 @@ export function authRoutes(options: AuthRoutesOptions) {
       handleMe(req, res, {
         getSessionIdFromRequest,
         getSession,
+        ghesUrl: ghes?.endpoints.baseUrl,
       });
       return;
     }
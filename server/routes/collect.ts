@@ -1,9 +1,20 @@
 /**
  * Collect API: POST / - validate dates, get token from session or body, create job, run collect in background.
+ * Optional body booleans include_issues, include_issue_comments, include_releases toggle those kinds (default on).
+ * Optional body arrays repos, exclude_repos, orgs scope the run to (or away from) repos and owners.
+ * A body token may come with github_url (GHES base URL); only github.com and options.githubUrls are accepted, anything
+ * else is a 400 so callers cannot point the server (and their token) at arbitrary hosts. Session connections to other
+ * hosts are collected too.
+ * Optional body gitlab_token (+ gitlab_url, default options.gitlabUrl) adds GitLab; it may be the only token sent.
+ * gitlab_url must be gitlab.com or options.gitlabUrl (400 otherwise), for the same reason as github_url.
+ * POST /repos - same dates and GitHub token; responds { repos: [{ name, pull_requests }] } with the repos the user
+ * opened PRs in during the range, for choosing the scope.
  * Returns Connect-style middleware (req, res, next).
  */
 
 import type { IncomingMessage, ServerResponse } from "http";
+import { githubEndpoints } from "../../lib/github-hosts.js";
+import { normalizeGitLabUrl } from "../../lib/gitlab-client.js";
 import type { SessionData } from "../../lib/session-store.js";
 
 export interface CollectRoutesOptions {
@@ -15,17 +26,47 @@ export interface CollectRoutesOptions {
   createJob: (type: string, sessionId?: string) => string;
   runInBackground: (
     jobId: string,
-    fn: () => void | Promise<void>
+    fn: (report: (data: { progress?: string }) => void) => void | Promise<void>
   ) => void;
+  /** GitHub base URLs a body github_url may name (GITHUB_URL, GHES_URL); github.com is always allowed. */
+  githubUrls?: string[];
+  /**
+   * Default GitLab base URL for gitlab_token without gitlab_url (GITLAB_URL); gitlab.com when unset.
+   * It and gitlab.com are the only hosts a body gitlab_url may name.
+   */
+  gitlabUrl?: string;
   collectAndNormalize: (opts: {
-    token: string;
+    token?: string;
     start_date: string;
     end_date: string;
+    github_url?: string;
+    connections?: { token: string; github_url: string }[];
+    gitlab?: { token: string; gitlab_url?: string };
+    include_issues?: boolean;
+    include_issue_comments?: boolean;
+    include_releases?: boolean;
+    repos?: string[];
+    exclude_repos?: string[];
+    orgs?: string[];
+    onProgress?: (message: string) => void;
   }) => Promise<unknown>;
+  discoverRepos: (opts: {
+    token: string;
+    start_date: string;
+    end_date: string;
+    github_url?: string;
+  }) => Promise<{ name: string; pull_requests: number }[]>;
 }
 
 type Next = () => void;
 
+/** Non-empty strings from a body array; anything else is treated as no list. */
+function stringList(value: unknown): string[] {
+  return Array.isArray(value)
+    ? value.filter((v): v is string => typeof v === "string").map((v) => v.trim()).filter(Boolean)
+    : [];
+}
+
 export function collectRoutes(options: CollectRoutesOptions) {
   const {
     readJsonBody,
@@ -35,15 +76,42 @@ export function collectRoutes(options: CollectRoutesOptions) {
     getSession,
     createJob,
     runInBackground,
+    githubUrls = [],
+    gitlabUrl,
     collectAndNormalize,
+    discoverRepos,
   } = options;
+  const allowedGithubUrls = [undefined, ...githubUrls].map((url) => githubEndpoints(url).baseUrl);
+
+  const allowedGitlabUrls = [undefined, gitlabUrl].map((url) => normalizeGitLabUrl(url).baseUrl);
+
+  /** The configured base URL a body github_url refers to, or null when it names any other host. */
+  function allowedGithubUrl(url: string): string | null {
+    try {
+      const { baseUrl } = githubEndpoints(url);
+      return allowedGithubUrls.includes(baseUrl) ? baseUrl : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /** Same for a body gitlab_url; instances may live under a path, so the path must match too. */
+  function allowedGitlabUrl(url: string): string | null {
+    try {
+      const { baseUrl } = normalizeGitLabUrl(url);
+      return allowedGitlabUrls.includes(baseUrl) ? baseUrl : null;
+    } catch {
+      return null;
+    }
+  }
 
   return async function collectMiddleware(
     req: IncomingMessage,
     res: ServerResponse,
     next: Next
   ): Promise<void> {
-    if (req.method !== "POST") {
+    const path = (req.url?.split("?")[0] || "").replace(/^\/+/, "") || "";
+    if (req.method !== "POST" || (path !== "" && path !== "repos")) {
       next();
       return;
     }
@@ -52,6 +120,15 @@ export function collectRoutes(options: CollectRoutesOptions) {
         start_date?: string;
         end_date?: string;
         token?: string;
+        github_url?: unknown;
+        gitlab_token?: unknown;
+        gitlab_url?: unknown;
+        include_issues?: unknown;
+        include_issue_comments?: unknown;
+        include_releases?: unknown;
+        repos?: unknown;
+        exclude_repos?: unknown;
+        orgs?: unknown;
       };
       const { start_date, end_date } = body;
       if (
@@ -68,15 +145,63 @@ export function collectRoutes(options: CollectRoutesOptions) {
       const sessionId = getSessionIdFromRequest(req);
       const session = sessionId ? getSession(sessionId) : undefined;
       const token = session?.access_token ?? body.token;
-      if (!token || typeof token !== "string") {
+      let github_url = session?.github_url;
+      if (!session && typeof body.github_url === "string" && body.github_url) {
+        const allowed = allowedGithubUrl(body.github_url);
+        if (!allowed) {
+          respondJson(res, 400, { error: "github_url must be github.com or a GitHub host this server is configured for" });
+          return;
+        }
+        github_url = allowed;
+      }
+      if (path === "repos") {
+        if (!token || typeof token !== "string") {
+          respondJson(res, 401, { error: "token required (sign in with GitHub or send token in body)" });
+          return;
+        }
+        const repos = await discoverRepos({ token, start_date, end_date, github_url });
+        respondJson(res, 200, { repos });
+        return;
+      }
+      let gitlab_url = gitlabUrl;
+      if (typeof body.gitlab_url === "string" && body.gitlab_url) {
+        const allowed = allowedGitlabUrl(body.gitlab_url);
+        if (!allowed) {
+          respondJson(res, 400, { error: "gitlab_url must be gitlab.com or the GitLab host this server is configured for" });
+          return;
+        }
+        gitlab_url = allowed;
+      }
+      const gitlab =
+        typeof body.gitlab_token === "string" && body.gitlab_token
+          ? { token: body.gitlab_token, gitlab_url }
+          : undefined;
+      if ((!token || typeof token !== "string") && !gitlab) {
         respondJson(res, 401, {
-          error: "token required (sign in with GitHub or send token in body)",
+          error: "token required (sign in with GitHub or send token or gitlab_token in body)",
         });
         return;
       }
       const jobId = createJob("collect", sessionId ?? undefined);
-      runInBackground(jobId, () =>
-        collectAndNormalize({ token, start_date, end_date })
+      runInBackground(jobId, (report) =>
+        collectAndNormalize({
+          token: typeof token === "string" && token ? token : undefined,
+          start_date,
+          end_date,
+          github_url,
+          gitlab,
+          connections: (session?.connections ?? []).map((c) => ({
+            token: c.access_token,
+            github_url: c.github_url,
+          })),
+          include_issues: body.include_issues !== false,
+          include_issue_comments: body.include_issue_comments !== false,
+          include_releases: body.include_releases !== false,
+          repos: stringList(body.repos),
+          exclude_repos: stringList(body.exclude_repos),
+          orgs: stringList(body.orgs),
+          onProgress: (progress) => report({ progress }),
+        })
       );
       respondJson(res, 202, { job_id: jobId });
     } catch (e) {
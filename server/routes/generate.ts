@@ -1,5 +1,8 @@
 /**
  * Generate API: POST / - validate evidence, create job, run pipeline in background.
+ * POST /section - { evidence, previous, target: { step, theme_id?, story_index? }, feedback }: rerun one step, one
+ *   theme's bullets or one story with the user's feedback, keeping the rest of `previous`; the job result is the
+ *   whole updated review. Always uses the free model, so it costs no credits.
  *
  * Premium generation ($1 for 5 credits, stored in SQLite):
  *   - The user must be logged in (GitHub OAuth) to use premium.
@@ -14,9 +17,10 @@
 import type { IncomingMessage, ServerResponse } from "http";
 import type { ValidationResult } from "../../lib/validate-evidence.js";
 import type { Evidence } from "../../types/evidence.js";
-import type { PipelineResult } from "../../lib/run-pipeline.js";
+import type { PipelineResult, SectionTarget } from "../../lib/run-pipeline.js";
 import type { SessionData } from "../../lib/session-store.js";
 import { awardCredits, deductCredit, getCredits } from "../../lib/payment-store.js";
+import { STEP_OUTPUT_KEYS, type StepOutputKey } from "../../lib/validate-step-output.js";
 import Stripe from "stripe";
 
 export interface GenerateRoutesOptions {
@@ -26,12 +30,19 @@ export interface GenerateRoutesOptions {
   createJob: (type: string) => string;
   runInBackground: (
     jobId: string,
-    fn: (report: (data: { progress?: string }) => void) => void | Promise<void>
+    fn: (report: (data: { progress?: string }) => void) => Promise<unknown>
   ) => void;
   runPipeline: (
     evidence: Evidence,
     opts: { onProgress: (data: { stepIndex: number; total: number; label: string }) => void; premium?: boolean }
   ) => Promise<PipelineResult>;
+  regenerateSection: (
+    evidence: Evidence,
+    previous: PipelineResult,
+    target: SectionTarget,
+    feedback: string,
+    opts: { onProgress: (data: { stepIndex: number; total: number; label: string }) => void }
+  ) => Promise<PipelineResult>;
   getSessionIdFromRequest: (req: IncomingMessage) => string | null;
   getSession: (id: string) => SessionData | undefined;
   /** Optional injected Stripe client (for tests). */
@@ -47,6 +58,32 @@ function defaultGetStripe(): Stripe | null {
   return key ? new Stripe(key, { apiVersion: STRIPE_API_VERSION }) : null;
 }
 
+/** The section target from a request body, or an error message. */
+function parseSectionTarget(value: unknown): SectionTarget | string {
+  const t = (value ?? {}) as { step?: unknown; theme_id?: unknown; story_index?: unknown };
+  if (!STEP_OUTPUT_KEYS.includes(t.step as StepOutputKey)) {
+    return `target.step must be one of ${STEP_OUTPUT_KEYS.join(", ")}`;
+  }
+  const target: SectionTarget = { step: t.step as StepOutputKey };
+  if (t.theme_id != null) {
+    if (t.step !== "bullets" || typeof t.theme_id !== "string") return "target.theme_id is a string, for step bullets";
+    target.theme_id = t.theme_id;
+  }
+  if (t.story_index != null) {
+    if (t.step !== "stories" || !Number.isInteger(t.story_index) || (t.story_index as number) < 0) {
+      return "target.story_index is a non-negative integer, for step stories";
+    }
+    target.story_index = t.story_index as number;
+  }
+  return target;
+}
+
+function invalidEvidenceDetails(validation: Extract<ValidationResult, { valid: false }>): string {
+  return validation.errors?.length
+    ? validation.errors.map((e) => `${e.instancePath ?? "evidence"} ${e.message}`).join("; ")
+    : "Evidence must have timeframe (start_date, end_date) and contributions array.";
+}
+
 /**
  * Verify a Stripe Checkout session is paid and belongs to the expected user.
  * Awards credits to the user if not already credited (idempotent via DB).
@@ -81,6 +118,7 @@ export function generateRoutes(options: GenerateRoutesOptions) {
     createJob,
     runInBackground,
     runPipeline,
+    regenerateSection,
     getSessionIdFromRequest,
     getSession,
     getStripe = defaultGetStripe,
@@ -91,13 +129,44 @@ export function generateRoutes(options: GenerateRoutesOptions) {
     res: ServerResponse,
     next: Next
   ): Promise<void> {
-    if (req.method !== "POST") {
+    const path = (req.url?.split("?")[0] || "").replace(/^\/+/, "") || "";
+    if (req.method !== "POST" || (path !== "" && path !== "section")) {
       next();
       return;
     }
     try {
       const body = await readJsonBody(req);
 
+      if (path === "section") {
+        const { evidence, previous, target: rawTarget, feedback } = body as Record<string, unknown>;
+        const validation = validateEvidence(evidence);
+        if (!validation.valid) {
+          respondJson(res, 400, { error: "Invalid evidence", details: invalidEvidenceDetails(validation) });
+          return;
+        }
+        if (!previous || typeof previous !== "object") {
+          respondJson(res, 400, { error: "previous (the review to revise) is required" });
+          return;
+        }
+        const target = parseSectionTarget(rawTarget);
+        if (typeof target === "string") {
+          respondJson(res, 400, { error: target });
+          return;
+        }
+        if (typeof feedback !== "string" || !feedback.trim()) {
+          respondJson(res, 400, { error: "feedback is required" });
+          return;
+        }
+        const jobId = createJob("generate-section");
+        runInBackground(jobId, (report) =>
+          regenerateSection(evidence as Evidence, previous as PipelineResult, target, feedback, {
+            onProgress: ({ label }) => report({ progress: label }),
+          })
+        );
+        respondJson(res, 202, { job_id: jobId });
+        return;
+      }
+
       // Strip internal payment fields before evidence validation
       const {
         _stripe_session_id: rawSessionId,
@@ -109,13 +178,7 @@ export function generateRoutes(options: GenerateRoutesOptions) {
 
       const validation = validateEvidence(evidence);
       if (!validation.valid) {
-        const msg =
-          validation.errors?.length
-            ? validation.errors
-                .map((e) => `${e.instancePath ?? "evidence"} ${e.message}`)
-                .join("; ")
-            : "Evidence must have timeframe (start_date, end_date) and contributions array.";
-        respondJson(res, 400, { error: "Invalid evidence", details: msg });
+        respondJson(res, 400, { error: "Invalid evidence", details: invalidEvidenceDetails(validation) });
         return;
       }
 
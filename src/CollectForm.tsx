@@ -1,4 +1,5 @@
 import React, { type ReactNode } from "react";
+import { parseRepoList } from "../lib/repo-filter.js";
 
 export interface CollectDateRangeProps {
   startDate: string;
@@ -37,11 +38,193 @@ export function CollectDateRange({
   );
 }
 
+/** Optional evidence kinds the collector can fetch in addition to PRs and reviews. */
+export interface CollectKindsValue {
+  issues: boolean;
+  issue_comments: boolean;
+  releases: boolean;
+}
+
+const COLLECT_KIND_LABELS: { key: keyof CollectKindsValue; label: string }[] = [
+  { key: "issues", label: "Issues I opened" },
+  { key: "issue_comments", label: "Issue comments" },
+  { key: "releases", label: "Releases" },
+];
+
+export interface CollectKindsProps {
+  kinds: CollectKindsValue;
+  onChange: (value: CollectKindsValue) => void;
+}
+
+export function CollectKinds({ kinds, onChange }: CollectKindsProps) {
+  return (
+    <fieldset className="generate-collect-kinds">
+      <legend className="generate-collect-label">Also include</legend>
+      {COLLECT_KIND_LABELS.map(({ key, label }) => (
+        <label key={key} className="generate-collect-kind">
+          <input
+            type="checkbox"
+            checked={kinds[key]}
+            onChange={(e) => onChange({ ...kinds, [key]: e.target.checked })}
+          />{" "}
+          {label}
+        </label>
+      ))}
+    </fieldset>
+  );
+}
+
+/** Optional GitLab account collected alongside GitHub. */
+export interface CollectGitLabValue {
+  token: string;
+  /** Self-managed base URL; empty for gitlab.com. */
+  url: string;
+}
+
+export interface CollectGitLabProps {
+  gitlab: CollectGitLabValue;
+  onChange: (value: CollectGitLabValue) => void;
+}
+
+export function CollectGitLab({ gitlab, onChange }: CollectGitLabProps) {
+  return (
+    <fieldset className="generate-collect-gitlab">
+      <legend className="generate-collect-label">GitLab (optional)</legend>
+      <input
+        type="password"
+        placeholder="GitLab token (read_api)"
+        aria-label="GitLab token"
+        value={gitlab.token}
+        onChange={(e) => onChange({ ...gitlab, token: e.target.value })}
+        className="generate-collect-input"
+        autoComplete="off"
+      />
+      <input
+        type="url"
+        placeholder="https://gitlab.com"
+        aria-label="GitLab URL"
+        value={gitlab.url}
+        onChange={(e) => onChange({ ...gitlab, url: e.target.value })}
+        className="generate-collect-input"
+      />
+    </fieldset>
+  );
+}
+
+/** Repo scope as typed: comma-separated lists, each empty for no restriction. */
+export interface CollectReposValue {
+  repos: string;
+  exclude_repos: string;
+  orgs: string;
+}
+
+/** A repo found by POST /api/collect/repos. */
+export interface DiscoveredRepo {
+  name: string;
+  pull_requests: number;
+}
+
+type RepoScope = "" | "include" | "exclude";
+
+const sameRepo = (a: string, b: string) => a.toLowerCase() === b.toLowerCase();
+
+export interface CollectReposProps {
+  value: CollectReposValue;
+  onChange: (value: CollectReposValue) => void;
+  /** Null until discovery has run. */
+  discovered: DiscoveredRepo[] | null;
+  discovering: boolean;
+  onDiscover: () => void;
+}
+
+export function CollectRepos({ value, onChange, discovered, discovering, onDiscover }: CollectReposProps) {
+  const scopeOf = (name: string): RepoScope =>
+    parseRepoList(value.exclude_repos).some((r) => sameRepo(r, name))
+      ? "exclude"
+      : parseRepoList(value.repos).some((r) => sameRepo(r, name))
+        ? "include"
+        : "";
+  const setScope = (name: string, scope: RepoScope) => {
+    const without = (list: string) => parseRepoList(list).filter((r) => !sameRepo(r, name));
+    const repos = without(value.repos);
+    const exclude_repos = without(value.exclude_repos);
+    if (scope === "include") repos.push(name);
+    if (scope === "exclude") exclude_repos.push(name);
+    onChange({ ...value, repos: repos.join(", "), exclude_repos: exclude_repos.join(", ") });
+  };
+
+  return (
+    <fieldset className="generate-collect-repos">
+      <legend className="generate-collect-label">Repositories (optional)</legend>
+      <button type="button" className="generate-sample-btn" onClick={onDiscover} disabled={discovering}>
+        {discovering ? "Finding…" : "Find my repos"}
+      </button>
+      {discovered && discovered.length === 0 && <p className="generate-hint">No PRs found in this range.</p>}
+      {discovered && discovered.length > 0 && (
+        <ul className="generate-collect-repo-list">
+          {discovered.map((repo) => (
+            <li key={repo.name}>
+              <select
+                aria-label={`Scope for ${repo.name}`}
+                value={scopeOf(repo.name)}
+                onChange={(e) => setScope(repo.name, e.target.value as RepoScope)}
+                className="generate-collect-input"
+              >
+                <option value="">Default</option>
+                <option value="include">Only</option>
+                <option value="exclude">Exclude</option>
+              </select>{" "}
+              {repo.name}{" "}
+              <span className="generate-noise-reason">
+                ({repo.pull_requests} PR{repo.pull_requests === 1 ? "" : "s"})
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <input
+        type="text"
+        placeholder="Only these repos, e.g. acme/api, acme/web"
+        aria-label="Only these repos"
+        value={value.repos}
+        onChange={(e) => onChange({ ...value, repos: e.target.value })}
+        className="generate-collect-input"
+      />
+      <input
+        type="text"
+        placeholder="Only these orgs, e.g. acme"
+        aria-label="Only these orgs"
+        value={value.orgs}
+        onChange={(e) => onChange({ ...value, orgs: e.target.value })}
+        className="generate-collect-input"
+      />
+      <input
+        type="text"
+        placeholder="Exclude repos, e.g. acme/sandbox"
+        aria-label="Exclude repos"
+        value={value.exclude_repos}
+        onChange={(e) => onChange({ ...value, exclude_repos: e.target.value })}
+        className="generate-collect-input"
+      />
+    </fieldset>
+  );
+}
+
 interface CollectFormProps {
   startDate: string;
   endDate: string;
   onStartChange: (value: string) => void;
   onEndChange: (value: string) => void;
+  kinds?: CollectKindsValue;
+  onKindsChange?: (value: CollectKindsValue) => void;
+  gitlab?: CollectGitLabValue;
+  onGitLabChange?: (value: CollectGitLabValue) => void;
+  /** Repo scope; shown when both repos and its callbacks are passed. */
+  repos?: CollectReposValue;
+  onReposChange?: (value: CollectReposValue) => void;
+  discoveredRepos?: DiscoveredRepo[] | null;
+  discoveringRepos?: boolean;
+  onDiscoverRepos?: () => void;
   error: string | null;
   progress: string;
   loading: boolean;
@@ -55,6 +238,15 @@ export default function CollectForm({
   endDate,
   onStartChange,
   onEndChange,
+  kinds,
+  onKindsChange,
+  gitlab,
+  onGitLabChange,
+  repos,
+  onReposChange,
+  discoveredRepos = null,
+  discoveringRepos = false,
+  onDiscoverRepos,
   error,
   progress,
   loading,
@@ -71,6 +263,21 @@ export default function CollectForm({
         onStartChange={onStartChange}
         onEndChange={onEndChange}
       />
+      {kinds && onKindsChange && (
+        <CollectKinds kinds={kinds} onChange={onKindsChange} />
+      )}
+      {repos && onReposChange && onDiscoverRepos && (
+        <CollectRepos
+          value={repos}
+          onChange={onReposChange}
+          discovered={discoveredRepos}
+          discovering={discoveringRepos}
+          onDiscover={onDiscoverRepos}
+        />
+      )}
+      {gitlab && onGitLabChange && (
+        <CollectGitLab gitlab={gitlab} onChange={onGitLabChange} />
+      )}
       {error && <p className="generate-error">{error}</p>}
       {progress && <p className="generate-progress">{progress}</p>}
       <button
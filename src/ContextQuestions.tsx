@@ -0,0 +1,74 @@
+import React, { useEffect, useState } from "react";
+import {
+  collectMissingInfoQuestions,
+  questionKey,
+  type QuestionSources,
+} from "../lib/context-answers.js";
+import type { ContextAnswer } from "../types/evidence.js";
+
+interface ContextQuestionsProps {
+  result: QuestionSources;
+  /** Answers already in the evidence; their questions start filled in. */
+  answers: ContextAnswer[];
+  /** Called with one entry per question (blank answers clear earlier ones). */
+  onSubmit: (answers: ContextAnswer[]) => void;
+  disabled?: boolean;
+}
+
+/**
+ * "Add context": the model's missing_info_questions from every step as a form. Submitting saves the answers
+ * to the evidence as context_answers and regenerates, so claims marked for confirmation can get real numbers.
+ */
+export default function ContextQuestions({ result, answers, onSubmit, disabled }: ContextQuestionsProps) {
+  const questions = collectMissingInfoQuestions(result);
+  const savedDrafts = () => Object.fromEntries(answers.map((a) => [questionKey(a.question), a.answer]));
+  const [drafts, setDrafts] = useState<Record<string, string>>(savedDrafts);
+  // A new result (other questions) or newly saved answers replace whatever was typed for the old ones.
+  const signature = JSON.stringify([questions.map((q) => questionKey(q.question)), answers]);
+  useEffect(() => setDrafts(savedDrafts()), [signature]);
+  if (!questions.length) return null;
+
+  const draft = (question: string) => drafts[questionKey(question)] ?? "";
+  const saved = savedDrafts();
+  // Clearing a saved answer is a change too, so compare with what is saved rather than look for non-blank drafts.
+  const changed = questions.some((q) => draft(q.question).trim() !== (saved[questionKey(q.question)] ?? "").trim());
+
+  return (
+    <section className="generate-section context-questions" aria-label="Add context">
+      <div className="generate-section-head">
+        <h3>Add context</h3>
+      </div>
+      <p className="generate-hint">
+        The model has {questions.length} question{questions.length === 1 ? "" : "s"} it could not answer from your
+        evidence. Answer any you can (leave the rest blank); your answers are saved in the evidence and every step
+        uses them on the next run.
+      </p>
+      <ol className="context-questions-list">
+        {questions.map((q) => (
+          <li key={questionKey(q.question)}>
+            <label>
+              <span>
+                {q.question}
+                {q.context && <span className="context-questions-about"> ({q.context})</span>}
+              </span>
+              <textarea
+                value={draft(q.question)}
+                onChange={(e) => setDrafts({ ...drafts, [questionKey(q.question)]: e.target.value })}
+                className="generate-textarea"
+                rows={2}
+              />
+            </label>
+          </li>
+        ))}
+      </ol>
+      <button
+        type="button"
+        className="generate-btn"
+        disabled={disabled || !changed}
+        onClick={() => onSubmit(questions.map((q) => ({ question: q.question, answer: draft(q.question) })))}
+      >
+        Save answers and regenerate
+      </button>
+    </section>
+  );
+}
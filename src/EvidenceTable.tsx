@@ -0,0 +1,284 @@
+import React, { useMemo, useState } from "react";
+import type { Contribution, Evidence } from "../types/evidence.js";
+
+export interface TableFilters {
+  /** Matched against title, summary, ID and repo, case-insensitively. */
+  query: string;
+  repo: string;
+  type: string;
+  label: string;
+  /** YYYY-MM */
+  month: string;
+}
+
+export type SortKey = "date" | "title" | "repo" | "type" | "size";
+
+export const EMPTY_FILTERS: TableFilters = { query: "", repo: "", type: "", label: "", month: "" };
+
+const PAGE_SIZE = 50;
+
+const SORT_COLUMNS: { key: SortKey; label: string }[] = [
+  { key: "date", label: "Date" },
+  { key: "type", label: "Type" },
+  { key: "repo", label: "Repo" },
+  { key: "title", label: "Title" },
+  { key: "size", label: "Size" },
+];
+
+function monthOf(c: Contribution): string {
+  return (c.merged_at ?? "").slice(0, 7);
+}
+
+function size(c: Contribution): number {
+  return (c.additions ?? 0) + (c.deletions ?? 0);
+}
+
+export function filterContributions(contributions: Contribution[], filters: TableFilters): Contribution[] {
+  const q = filters.query.trim().toLowerCase();
+  return contributions.filter(
+    (c) =>
+      (!q || [c.title, c.summary, c.id, c.repo].some((v) => (v ?? "").toLowerCase().includes(q))) &&
+      (!filters.repo || c.repo === filters.repo) &&
+      (!filters.type || c.type === filters.type) &&
+      (!filters.label || (c.labels ?? []).includes(filters.label)) &&
+      (!filters.month || monthOf(c) === filters.month)
+  );
+}
+
+export function sortContributions(contributions: Contribution[], key: SortKey, dir: "asc" | "desc"): Contribution[] {
+  const compare: Record<SortKey, (a: Contribution, b: Contribution) => number> = {
+    date: (a, b) => (a.merged_at ?? "").localeCompare(b.merged_at ?? ""),
+    title: (a, b) => a.title.localeCompare(b.title),
+    repo: (a, b) => a.repo.localeCompare(b.repo),
+    type: (a, b) => a.type.localeCompare(b.type),
+    size: (a, b) => size(a) - size(b),
+  };
+  const sign = dir === "asc" ? 1 : -1;
+  return [...contributions].sort((a, b) => sign * compare[key](a, b));
+}
+
+function distinct(values: string[]): string[] {
+  return [...new Set(values.filter(Boolean))].sort();
+}
+
+interface EvidenceTableProps {
+  evidenceText: string;
+  onEvidenceChange: (text: string) => void;
+}
+
+/**
+ * Browse and edit the evidence: search, sort, filter by repo/type/label/month, exclude items, pin important
+ * ones and edit titles and summaries. Every change is written back to the evidence JSON.
+ */
+export default function EvidenceTable({ evidenceText, onEvidenceChange }: EvidenceTableProps) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState<{ key: SortKey; dir: "asc" | "desc" }>({ key: "date", dir: "desc" });
+  const [limit, setLimit] = useState(PAGE_SIZE);
+  const [editing, setEditing] = useState<{ id: string; title: string; summary: string } | null>(null);
+
+  const evidence = useMemo(() => {
+    try {
+      const parsed = JSON.parse(evidenceText) as Evidence;
+      return parsed?.timeframe && Array.isArray(parsed.contributions) ? parsed : null;
+    } catch {
+      return null;
+    }
+  }, [evidenceText]);
+
+  const contributions = evidence?.contributions ?? [];
+  const options = useMemo(
+    () => ({
+      repo: distinct(contributions.map((c) => c.repo)),
+      type: distinct(contributions.map((c) => c.type)),
+      label: distinct(contributions.flatMap((c) => c.labels ?? [])),
+      month: distinct(contributions.map(monthOf)).reverse(),
+    }),
+    [contributions]
+  );
+  const shown = useMemo(
+    () => sortContributions(filterContributions(contributions, filters), sort.key, sort.dir),
+    [contributions, filters, sort]
+  );
+
+  if (!evidence || !contributions.length) return null;
+
+  const update = (ids: Set<string>, patch: (c: Contribution) => Contribution) => {
+    onEvidenceChange(
+      JSON.stringify({ ...evidence, contributions: contributions.map((c) => (ids.has(c.id) ? patch(c) : c)) }, null, 2)
+    );
+  };
+  /** Sets a boolean flag, dropping the key when false so untouched evidence round-trips unchanged. */
+  const setFlag = (ids: string[], key: "pinned" | "excluded", value: boolean) =>
+    update(new Set(ids), (c) => {
+      const { [key]: _, ...rest } = c;
+      return value ? { ...rest, [key]: true } : rest;
+    });
+
+  const saveEdit = () => {
+    if (!editing) return;
+    const title = editing.title.trim();
+    if (title) update(new Set([editing.id]), (c) => ({ ...c, title, summary: editing.summary }));
+    setEditing(null);
+  };
+
+  const toggleSort = (key: SortKey) =>
+    setSort((s) => ({ key, dir: s.key === key && s.dir === "desc" ? "asc" : "desc" }));
+
+  const excluded = contributions.filter((c) => c.excluded).length;
+  const pinned = contributions.filter((c) => c.pinned).length;
+  const allShownIncluded = shown.length > 0 && shown.every((c) => !c.excluded);
+  const filterSelect = (key: Exclude<keyof TableFilters, "query">, label: string) => (
+    <select
+      aria-label={`Filter by ${label}`}
+      value={filters[key]}
+      onChange={(e) => {
+        setFilters({ ...filters, [key]: e.target.value });
+        setLimit(PAGE_SIZE);
+      }}
+      className="generate-collect-input"
+    >
+      <option value="">All {label}s</option>
+      {options[key].map((v) => (
+        <option key={v} value={v}>
+          {v}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <section className="evidence-table" aria-label="Evidence">
+      <div className="evidence-table-controls">
+        <input
+          type="search"
+          placeholder="Search title, summary, ID or repo"
+          aria-label="Search evidence"
+          value={filters.query}
+          onChange={(e) => {
+            setFilters({ ...filters, query: e.target.value });
+            setLimit(PAGE_SIZE);
+          }}
+          className="generate-collect-input"
+        />
+        {filterSelect("repo", "repo")}
+        {filterSelect("type", "type")}
+        {options.label.length > 0 && filterSelect("label", "label")}
+        {filterSelect("month", "month")}
+      </div>
+      <p className="generate-progress">
+        Showing {Math.min(limit, shown.length)} of {shown.length} matching ({contributions.length} total, {excluded}{" "}
+        excluded, {pinned} pinned)
+      </p>
+      <table className="evidence-table-grid">
+        <thead>
+          <tr>
+            <th>
+              <input
+                type="checkbox"
+                aria-label="Include all shown"
+                checked={allShownIncluded}
+                onChange={(e) => setFlag(shown.map((c) => c.id), "excluded", !e.target.checked)}
+              />
+            </th>
+            <th>Pin</th>
+            {SORT_COLUMNS.map(({ key, label }) => (
+              <th key={key} aria-sort={sort.key === key ? (sort.dir === "asc" ? "ascending" : "descending") : "none"}>
+                <button type="button" className="evidence-table-sort" onClick={() => toggleSort(key)}>
+                  {label}
+                  {sort.key === key ? (sort.dir === "asc" ? " ▲" : " ▼") : ""}
+                </button>
+              </th>
+            ))}
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {shown.slice(0, limit).map((c) => (
+            <tr key={c.id} className={c.excluded ? "evidence-table-excluded" : undefined}>
+              <td>
+                <input
+                  type="checkbox"
+                  aria-label={`Include ${c.title}`}
+                  checked={!c.excluded}
+                  onChange={(e) => setFlag([c.id], "excluded", !e.target.checked)}
+                />
+              </td>
+              <td>
+                <button
+                  type="button"
+                  className="evidence-table-pin"
+                  aria-label={`Pin ${c.title} as important`}
+                  aria-pressed={!!c.pinned}
+                  onClick={() => setFlag([c.id], "pinned", !c.pinned)}
+                >
+                  {c.pinned ? "★" : "☆"}
+                </button>
+              </td>
+              <td>{(c.merged_at ?? "").slice(0, 10)}</td>
+              <td>{c.type}</td>
+              <td>{c.repo}</td>
+              <td>
+                {editing?.id === c.id ? (
+                  <div className="evidence-table-edit">
+                    <input
+                      type="text"
+                      aria-label="Edit title"
+                      value={editing.title}
+                      onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+                      className="generate-collect-input"
+                    />
+                    <textarea
+                      aria-label="Edit summary"
+                      value={editing.summary}
+                      onChange={(e) => setEditing({ ...editing, summary: e.target.value })}
+                      className="generate-textarea"
+                      rows={3}
+                    />
+                  </div>
+                ) : (
+                  <>
+                    {c.url ? (
+                      <a href={c.url} target="_blank" rel="noreferrer">
+                        {c.title}
+                      </a>
+                    ) : (
+                      c.title
+                    )}
+                    {c.summary && <div className="evidence-table-summary">{c.summary.slice(0, 140)}</div>}
+                  </>
+                )}
+              </td>
+              <td>{size(c) > 0 ? `+${c.additions ?? 0} −${c.deletions ?? 0}` : ""}</td>
+              <td>
+                {editing?.id === c.id ? (
+                  <>
+                    <button type="button" className="generate-sample-btn" onClick={saveEdit}>
+                      Save
+                    </button>{" "}
+                    <button type="button" className="generate-sample-btn" onClick={() => setEditing(null)}>
+                      Cancel
+                    </button>
+                  </>
+                ) : (
+                  <button
+                    type="button"
+                    className="generate-sample-btn"
+                    aria-label={`Edit ${c.title}`}
+                    onClick={() => setEditing({ id: c.id, title: c.title, summary: c.summary ?? "" })}
+                  >
+                    Edit
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {shown.length > limit && (
+        <button type="button" className="generate-sample-btn" onClick={() => setLimit(limit + PAGE_SIZE)}>
+          Show {Math.min(PAGE_SIZE, shown.length - limit)} more
+        </button>
+      )}
+    </section>
+  );
+}
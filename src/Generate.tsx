@@ -1,15 +1,22 @@
 // Page: 1) Get GitHub data (OAuth or token or CLI), 2) Paste/upload evidence JSON, 3) Generate → themes, bullets, stories, self-eval.
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useMemo } from "react";
 import ReactMarkdown from "react-markdown";
 import "./Generate.css";
 import { generateMarkdown } from "../lib/generate-markdown.js";
-import type { Timeframe } from "../types/evidence.js";
+import { formatMergeReport, mergeEvidence } from "../lib/merge-evidence.js";
+import { mergeContextAnswers } from "../lib/context-answers.js";
+import type { ContextAnswer, Evidence, Timeframe } from "../types/evidence.js";
 import { posthog } from "./posthog";
 import { parseJsonResponse, pollJob } from "./api.js";
 import { useAuth } from "./hooks/useAuth";
 import { useGitHubCollect } from "./hooks/useGitHubCollect";
 import CollectForm from "./CollectForm";
-import NarrativeView, { type NarrativeViewProps } from "./NarrativeView";
+import TicketImport from "./TicketImport";
+import ManualEntries from "./ManualEntries";
+import EvidenceTable from "./EvidenceTable";
+import NoiseFilter, { applyNoiseSettings, DEFAULT_NOISE_SETTINGS } from "./NoiseFilter";
+import NarrativeView, { type NarrativeViewProps, type RegenerateHandler } from "./NarrativeView";
+import ContextQuestions from "./ContextQuestions";
 
 /** Milliseconds to wait for React state to settle before auto-generating after Stripe redirect. */
 const STRIPE_RETURN_DELAY_MS = 100;
@@ -23,6 +30,7 @@ interface PipelineResultLike {
   bullets?: unknown;
   stories?: unknown;
   self_eval?: unknown;
+  verification?: unknown;
 }
 
 export default function Generate() {
@@ -34,11 +42,22 @@ export default function Generate() {
   const [result, setResult] = useState<PipelineResultLike | null>(null);
   const [isPremiumResult, setIsPremiumResult] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [mergeReport, setMergeReport] = useState<string | null>(null);
+  const [noiseSettings, setNoiseSettings] = useState(DEFAULT_NOISE_SETTINGS);
   const [paymentsEnabled, setPaymentsEnabled] = useState(false);
   const [creditsPerPurchase, setCreditsPerPurchase] = useState(5);
   const [priceCents, setPriceCents] = useState(100);
   /** Credits remaining for the stored Stripe session ID, or null if unknown. */
   const [premiumCredits, setPremiumCredits] = useState<number | null>(null);
+  /** Answers to the model's questions, kept in the evidence so every run (and the report) sees them. */
+  const contextAnswers = useMemo((): ContextAnswer[] => {
+    try {
+      const answers = (JSON.parse(evidenceText) as Evidence).context_answers;
+      return Array.isArray(answers) ? answers : [];
+    } catch {
+      return [];
+    }
+  }, [evidenceText]);
 
   const onEvidenceReceived = useCallback((text: string) => {
     setEvidenceText(text);
@@ -95,6 +114,15 @@ export default function Generate() {
     setCollectEnd,
     collectToken,
     setCollectToken,
+    collectKinds,
+    setCollectKinds,
+    collectGitLab,
+    setCollectGitLab,
+    collectRepos,
+    setCollectRepos,
+    discoveredRepos,
+    discoveringRepos,
+    handleDiscoverRepos,
     collectLoading,
     collectError,
     setCollectError,
@@ -116,20 +144,20 @@ export default function Generate() {
       .catch(() => {});
   }, [user]);
 
-  const handleGenerate = async (stripeSessionId?: string) => {
+  /** The evidence to send to the pipeline (noise settings and goals applied); throws with a message for the user. */
+  const requestEvidence = (text = evidenceText): Record<string, unknown> => {
     let evidence: Record<string, unknown>;
     try {
-      evidence = JSON.parse(evidenceText) as Record<string, unknown>;
+      evidence = JSON.parse(text) as Record<string, unknown>;
     } catch {
       const looksTruncated =
-        /[\{\[,]\s*$/.test(evidenceText.trim()) ||
-        !evidenceText.includes('"contributions"');
-      setError(
+        /[\{\[,]\s*$/.test(text.trim()) ||
+        !text.includes('"contributions"');
+      throw new Error(
         looksTruncated
           ? 'Invalid JSON—looks truncated (e.g. missing contributions or closing brackets). Try "Upload evidence.json" instead of pasting, or paste the full file again.'
           : "Invalid JSON. Paste or upload a valid evidence.json."
       );
-      return;
     }
     const tf = evidence.timeframe as { start_date?: string; end_date?: string } | undefined;
     if (
@@ -137,17 +165,31 @@ export default function Generate() {
       !tf?.end_date ||
       !Array.isArray(evidence.contributions)
     ) {
-      setError(
+      throw new Error(
         "Evidence must have timeframe.start_date, timeframe.end_date, and contributions array."
       );
-      return;
     }
+    evidence = {
+      ...evidence,
+      contributions: applyNoiseSettings(evidence as unknown as Evidence, noiseSettings).evidence.contributions,
+    };
     if (
       (goals as string).trim() &&
       !(evidence as { goals?: string }).goals
     ) {
       evidence = { ...evidence, goals: (goals as string).trim() };
     }
+    return evidence;
+  };
+
+  const handleGenerate = async (stripeSessionId?: string, text = evidenceText) => {
+    let evidence: Record<string, unknown>;
+    try {
+      evidence = requestEvidence(text);
+    } catch (e) {
+      setError((e as Error).message);
+      return;
+    }
     if (stripeSessionId) {
       evidence = { ...evidence, _stripe_session_id: stripeSessionId };
     }
@@ -194,6 +236,46 @@ export default function Generate() {
     }
   };
 
+  /** Reruns one section with feedback; errors are shown by the section's control. */
+  const handleRegenerate: RegenerateHandler = async (target, feedback) => {
+    if (!result) return;
+    const evidence = requestEvidence();
+    posthog?.capture("review_section_regenerate_started", { step: target.step });
+    try {
+      const res = await fetch("/api/generate/section", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ evidence, previous: result, target, feedback }),
+      });
+      const data = (await parseJsonResponse(res)) as { job_id?: string; error?: string };
+      if (res.status !== 202 || !data.job_id) throw new Error(data.error || "Regenerate failed");
+      const out = await pollJob(data.job_id, setProgress);
+      setResult(out as PipelineResultLike);
+      posthog?.capture("review_section_regenerate_completed", { step: target.step });
+    } catch (e) {
+      posthog?.capture("review_section_regenerate_failed", { step: target.step, error: (e as Error).message });
+      throw e;
+    } finally {
+      setProgress("");
+    }
+  };
+
+  /** Answers from the "Add context" form are saved into the evidence, then the whole review is regenerated with them. */
+  const handleAnswerQuestions = (updates: ContextAnswer[]) => {
+    let evidence: Evidence;
+    try {
+      evidence = JSON.parse(evidenceText) as Evidence;
+    } catch {
+      setError("Invalid JSON. Fix the evidence before adding context.");
+      return;
+    }
+    const context_answers = mergeContextAnswers(evidence.context_answers, updates);
+    const next = JSON.stringify({ ...evidence, context_answers }, null, 2);
+    setEvidenceText(next);
+    posthog?.capture("review_context_answers_submitted", { answers: context_answers.length });
+    handleGenerate(undefined, next);
+  };
+
   const handleUsePremiumCredit = () => {
     let sessionId: string | null = null;
     try { sessionId = localStorage.getItem("premium_stripe_session_id"); } catch { /* ignore */ }
@@ -261,15 +343,36 @@ export default function Generate() {
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  const handleFile = (e: React.ChangeEvent<HTMLInputElement>) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
-    const r = new FileReader();
-    r.onload = () => {
-      setEvidenceText(r.result as string);
+  const handleFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const input = e.target;
+    const files = Array.from(input.files ?? []);
+    if (!files.length) return;
+    setMergeReport(null);
+    try {
+      if (files.length === 1) {
+        setEvidenceText(await files[0].text());
+        setError(null);
+        return;
+      }
+      // Several files (e.g. GitHub + GitLab + a Slack import): merge them here, same as `yarn merge-evidence`.
+      const inputs = await Promise.all(
+        files.map(async (file) => {
+          try {
+            return { name: file.name, evidence: JSON.parse(await file.text()) };
+          } catch {
+            throw new Error(`${file.name} is not valid JSON.`);
+          }
+        })
+      );
+      const { evidence, report } = mergeEvidence(inputs);
+      setEvidenceText(JSON.stringify(evidence, null, 2));
+      setMergeReport(formatMergeReport(report));
       setError(null);
-    };
-    r.readAsText(file);
+    } catch (err) {
+      setError((err as Error).message || "Could not read the files.");
+    } finally {
+      input.value = "";
+    }
   };
 
   const loadSample = async () => {
@@ -300,7 +403,7 @@ export default function Generate() {
     }
     const md = generateMarkdown(
       result as Parameters<typeof generateMarkdown>[0],
-      { timeframe }
+      { timeframe, contextAnswers }
     );
     const blob = new Blob([md], { type: "text/markdown" });
     const url = URL.createObjectURL(blob);
@@ -413,13 +516,37 @@ export default function Generate() {
                 <>
                   <h3 className="generate-option-heading">Fetch your data</h3>
                   <p className="generate-option-desc">
-                    Fetch your PRs and reviews for the date range.
+                    Fetch your PRs, reviews, issues and releases for the date range.
                   </p>
+                  {user.connections?.map((c) => (
+                    <p key={c.github_url} className="generate-option-desc generate-connection">
+                      Also fetching from <strong>{new URL(c.github_url).host}</strong> as{" "}
+                      <strong>{c.login}</strong>.
+                    </p>
+                  ))}
+                  {user.ghes_url &&
+                    !user.connections?.some((c) => c.github_url === user.ghes_url) && (
+                      <p className="generate-option-desc generate-connection">
+                        <a href="/api/auth/ghes">
+                          Also connect {new URL(user.ghes_url).host}
+                        </a>{" "}
+                        to include your GitHub Enterprise work.
+                      </p>
+                    )}
                   <CollectForm
                     startDate={collectStart}
                     endDate={collectEnd}
                     onStartChange={setCollectStart}
                     onEndChange={setCollectEnd}
+                    kinds={collectKinds}
+                    onKindsChange={setCollectKinds}
+                    gitlab={collectGitLab}
+                    onGitLabChange={setCollectGitLab}
+                    repos={collectRepos}
+                    onReposChange={setCollectRepos}
+                    discoveredRepos={discoveredRepos}
+                    discoveringRepos={discoveringRepos}
+                    onDiscoverRepos={() => handleDiscoverRepos(user)}
                     error={collectError}
                     progress={collectProgress}
                     loading={collectLoading}
@@ -473,14 +600,23 @@ export default function Generate() {
                 Paste a Personal Access Token
               </h3>
               <p className="generate-option-desc">
-                Fetch your PRs and reviews for the date range. Your token is not
-                stored.
+                Fetch your PRs, reviews, issues and releases for the date range.
+                Your token is not stored.
               </p>
               <CollectForm
                 startDate={collectStart}
                 endDate={collectEnd}
                 onStartChange={setCollectStart}
                 onEndChange={setCollectEnd}
+                kinds={collectKinds}
+                onKindsChange={setCollectKinds}
+                gitlab={collectGitLab}
+                onGitLabChange={setCollectGitLab}
+                repos={collectRepos}
+                onReposChange={setCollectRepos}
+                discoveredRepos={discoveredRepos}
+                discoveringRepos={discoveringRepos}
+                onDiscoverRepos={() => handleDiscoverRepos(null)}
                 error={collectError}
                 progress={collectProgress}
                 loading={collectLoading}
@@ -563,6 +699,7 @@ yarn normalize --input raw.json --output evidence.json`}
             <input
               type="file"
               accept=".json,application/json"
+              multiple
               onChange={handleFile}
               className="generate-file-input"
             />
@@ -588,8 +725,38 @@ yarn normalize --input raw.json --output evidence.json`}
         />
         <p className="generate-hint">
           On mobile, pasting long JSON can be cut off—use &quot;Upload
-          evidence.json&quot; for large data.
+          evidence.json&quot; for large data. Select several files to merge
+          them into one (duplicates are dropped).
         </p>
+        {mergeReport && <p className="generate-merge-report">{mergeReport}</p>}
+        <EvidenceTable
+          evidenceText={evidenceText}
+          onEvidenceChange={(text) => {
+            setEvidenceText(text);
+            setError(null);
+          }}
+        />
+        <TicketImport
+          evidenceText={evidenceText}
+          fallbackTimeframe={{ start_date: collectStart, end_date: collectEnd }}
+          onEvidenceChange={(text) => {
+            setEvidenceText(text);
+            setError(null);
+          }}
+        />
+        <ManualEntries
+          evidenceText={evidenceText}
+          fallbackTimeframe={{ start_date: collectStart, end_date: collectEnd }}
+          onEvidenceChange={(text) => {
+            setEvidenceText(text);
+            setError(null);
+          }}
+        />
+        <NoiseFilter
+          evidenceText={evidenceText}
+          settings={noiseSettings}
+          onSettingsChange={setNoiseSettings}
+        />
 
         <div className="generate-goals-section">
           <label
@@ -662,10 +829,17 @@ yarn normalize --input raw.json --output evidence.json`}
                 <span className="generate-premium-badge">✦ Premium</span>
               )}
             </h2>
-            <NarrativeView {...(result as NarrativeViewProps)} />
+            <NarrativeView {...(result as NarrativeViewProps)} onRegenerate={handleRegenerate} />
+            <ContextQuestions
+              result={result}
+              answers={contextAnswers}
+              onSubmit={handleAnswerQuestions}
+              disabled={loading}
+            />
             <ReportSection
               result={result}
               evidenceText={evidenceText}
+              contextAnswers={contextAnswers}
               onDownload={handleDownloadReport}
             />
           </div>
@@ -678,6 +852,7 @@ yarn normalize --input raw.json --output evidence.json`}
 interface ReportSectionProps {
   result: PipelineResultLike;
   evidenceText: string;
+  contextAnswers: ContextAnswer[];
   onDownload: () => void;
 }
 
@@ -685,6 +860,7 @@ interface ReportSectionProps {
 function ReportSection({
   result,
   evidenceText,
+  contextAnswers,
   onDownload,
 }: ReportSectionProps) {
   let timeframe: Timeframe | undefined;
@@ -696,7 +872,7 @@ function ReportSection({
   }
   const md = generateMarkdown(
     result as Parameters<typeof generateMarkdown>[0],
-    { timeframe }
+    { timeframe, contextAnswers }
   );
   return (
     <section className="generate-section generate-report-section">
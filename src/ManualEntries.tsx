@@ -0,0 +1,167 @@
+import React, { useMemo, useState } from "react";
+import {
+  addManualContributions,
+  MANUAL_CATEGORIES,
+  MANUAL_CATEGORY_LABELS,
+  manualEntryFrom,
+  parseManualEntries,
+} from "../lib/manual-contributions.js";
+import type { Evidence, ManualCategory } from "../types/evidence.js";
+
+interface ManualEntriesProps {
+  evidenceText: string;
+  /** Timeframe used when the evidence box is empty. */
+  fallbackTimeframe: { start_date: string; end_date: string };
+  onEvidenceChange: (text: string) => void;
+}
+
+const EMPTY_FORM = { date: "", category: "talk" as ManualCategory, title: "", url: "", description: "" };
+
+function parseEvidence(text: string, fallbackTimeframe: ManualEntriesProps["fallbackTimeframe"]): Evidence {
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed?.timeframe && Array.isArray(parsed.contributions)) return parsed as Evidence;
+  } catch {
+    // empty or partial JSON: start fresh
+  }
+  return { timeframe: fallbackTimeframe, contributions: [] };
+}
+
+/** Add, edit and remove hand-logged work (talks, docs, mentoring, interviewing, on-call) in the evidence. */
+export default function ManualEntries({ evidenceText, fallbackTimeframe, onEvidenceChange }: ManualEntriesProps) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const entries = useMemo(() => {
+    try {
+      const parsed = JSON.parse(evidenceText) as Evidence;
+      return (parsed?.contributions ?? []).filter((c) => c.type === "manual");
+    } catch {
+      return [];
+    }
+  }, [evidenceText]);
+
+  const write = (evidence: Evidence) => onEvidenceChange(JSON.stringify(evidence, null, 2));
+
+  const handleSave = () => {
+    setError(null);
+    let entry;
+    try {
+      [entry] = parseManualEntries([form]);
+    } catch (err) {
+      setError((err as Error).message.replace(/^entry 1: /gm, ""));
+      return;
+    }
+    const evidence = parseEvidence(evidenceText, fallbackTimeframe);
+    const rest = editingId ? evidence.contributions.filter((c) => c.id !== editingId) : evidence.contributions;
+    write(addManualContributions({ ...evidence, contributions: rest }, [entry]));
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleEdit = (id: string) => {
+    const c = entries.find((e) => e.id === id);
+    if (!c) return;
+    const entry = manualEntryFrom(c);
+    setForm({ ...EMPTY_FORM, ...entry, url: entry.url ?? "", description: entry.description ?? "" });
+    setEditingId(id);
+    setError(null);
+  };
+
+  const handleRemove = (id: string) => {
+    const evidence = parseEvidence(evidenceText, fallbackTimeframe);
+    write({ ...evidence, contributions: evidence.contributions.filter((c) => c.id !== id) });
+    if (editingId === id) {
+      setForm(EMPTY_FORM);
+      setEditingId(null);
+    }
+  };
+
+  return (
+    <fieldset className="generate-manual-entries">
+      <legend className="generate-collect-label">Add work outside GitHub (optional)</legend>
+      <p className="generate-hint">Talks, design docs, mentoring, interviewing, on-call shifts. Entries are cited like PRs.</p>
+      {entries.length > 0 && (
+        <ul className="generate-manual-list">
+          {entries.map((c) => (
+            <li key={c.id}>
+              {(c.merged_at ?? "").slice(0, 10)} · {c.title}{" "}
+              <span className="generate-noise-reason">({MANUAL_CATEGORY_LABELS[c.category ?? "other"]})</span>{" "}
+              <button type="button" className="generate-sample-btn" onClick={() => handleEdit(c.id)}>
+                Edit
+              </button>{" "}
+              <button type="button" className="generate-sample-btn" onClick={() => handleRemove(c.id)}>
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="generate-manual-row">
+        <input
+          type="date"
+          aria-label="Entry date"
+          value={form.date}
+          onChange={(e) => setForm({ ...form, date: e.target.value })}
+          className="generate-collect-input"
+        />
+        <select
+          aria-label="Entry category"
+          value={form.category}
+          onChange={(e) => setForm({ ...form, category: e.target.value as ManualCategory })}
+          className="generate-collect-input"
+        >
+          {MANUAL_CATEGORIES.map((c) => (
+            <option key={c} value={c}>
+              {MANUAL_CATEGORY_LABELS[c]}
+            </option>
+          ))}
+        </select>
+      </div>
+      <input
+        type="text"
+        placeholder="Title, e.g. Talk: Scaling our event pipeline"
+        aria-label="Entry title"
+        value={form.title}
+        onChange={(e) => setForm({ ...form, title: e.target.value })}
+        className="generate-collect-input"
+      />
+      <input
+        type="url"
+        placeholder="Link (optional)"
+        aria-label="Entry link"
+        value={form.url}
+        onChange={(e) => setForm({ ...form, url: e.target.value })}
+        className="generate-collect-input"
+      />
+      <textarea
+        placeholder="What you did and what came of it (optional)"
+        aria-label="Entry description"
+        value={form.description}
+        onChange={(e) => setForm({ ...form, description: e.target.value })}
+        className="generate-textarea generate-manual-description"
+        rows={3}
+      />
+      <div className="generate-manual-row">
+        <button type="button" className="generate-sample-btn" onClick={handleSave}>
+          {editingId ? "Save entry" : "Add entry"}
+        </button>
+        {editingId && (
+          <button
+            type="button"
+            className="generate-sample-btn"
+            onClick={() => {
+              setForm(EMPTY_FORM);
+              setEditingId(null);
+              setError(null);
+            }}
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+      {error && <p className="generate-error">{error}</p>}
+    </fieldset>
+  );
+}
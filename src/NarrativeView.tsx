@@ -1,4 +1,6 @@
 import React, { useState } from "react";
+import { formatCitationReport, type CitationReport } from "../lib/verify-citations.js";
+import type { SectionTarget } from "../lib/run-pipeline.js";
 import "./NarrativeView.css";
 
 interface EvidenceRef {
@@ -10,6 +12,7 @@ interface EvidenceRef {
 interface Bullet {
   text?: string;
   evidence?: EvidenceRef[];
+  unverified?: boolean;
 }
 
 interface BulletsByTheme {
@@ -32,6 +35,7 @@ interface ThemeEntry {
   confidence?: string;
   notes_or_assumptions?: string;
   anchor_evidence?: AnchorEvidence[];
+  unverified?: boolean;
 }
 
 interface ThemesPayload {
@@ -51,6 +55,7 @@ interface Story {
   results?: string[];
   evidence?: EvidenceRef[];
   confidence?: string;
+  unverified?: boolean;
 }
 
 interface StoriesPayload {
@@ -60,6 +65,7 @@ interface StoriesPayload {
 interface SelfEvalSection {
   text?: string;
   evidence?: EvidenceRef[];
+  unverified?: boolean;
 }
 
 interface SelfEvalSections {
@@ -79,8 +85,13 @@ export interface NarrativeViewProps {
   bullets?: BulletsPayload;
   stories?: StoriesPayload;
   self_eval?: SelfEvalPayload;
+  verification?: CitationReport;
+  /** Reruns one section with the user's feedback; the "Regenerate with feedback" controls show only when set. */
+  onRegenerate?: RegenerateHandler;
 }
 
+export type RegenerateHandler = (target: SectionTarget, feedback: string) => Promise<void>;
+
 export function shortEvidenceLabel(id?: string): string {
   if (!id) return "ref";
   const hashIdx = id.indexOf("#");
@@ -108,6 +119,115 @@ function JsonBlock({ data, label }: { data: unknown; label: string }) {
   );
 }
 
+/** Marks a claim whose citations all failed verification. */
+function UnverifiedTag({ item }: { item?: { unverified?: boolean } }) {
+  if (!item?.unverified) return null;
+  return (
+    <span className="narrative-unverified" title="None of the cited evidence matches your contributions">
+      unverified
+    </span>
+  );
+}
+
+/** Summary of citation verification, with the removed references and unverified claims on demand. */
+function CitationCheck({ report }: { report: CitationReport }) {
+  const [open, setOpen] = useState(false);
+  const problems = report.issues.filter((i) => i.kind !== "fixed");
+  return (
+    <div
+      className={`narrative-citations${problems.length ? " narrative-citations-warn" : ""}`}
+      role="status"
+    >
+      <span>{formatCitationReport(report)}</span>
+      {problems.length > 0 && (
+        <button type="button" className="narrative-toggle" onClick={() => setOpen((v) => !v)}>
+          {open ? "Hide details" : "Show details"}
+        </button>
+      )}
+      {open && (
+        <ul className="narrative-citations-list">
+          {problems.map((issue, i) => (
+            <li key={i}>
+              <code>{issue.path}</code>: {issue.id ? `${issue.id} ` : ""}
+              {issue.detail}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/** "Regenerate with feedback" for one block: opens a feedback box and reruns just that section. */
+function RegenerateControl({
+  target,
+  name,
+  onRegenerate,
+}: {
+  target: SectionTarget;
+  /** What is regenerated, for labels, e.g. "bullets for Reliability". */
+  name: string;
+  onRegenerate?: RegenerateHandler;
+}) {
+  const [open, setOpen] = useState(false);
+  const [feedback, setFeedback] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  if (!onRegenerate) return null;
+
+  if (!open) {
+    return (
+      <button
+        type="button"
+        className="narrative-toggle"
+        aria-label={`Regenerate ${name} with feedback`}
+        onClick={() => setOpen(true)}
+      >
+        Regenerate with feedback
+      </button>
+    );
+  }
+  const submit = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await onRegenerate(target, feedback.trim());
+      setOpen(false);
+      setFeedback("");
+    } catch (e) {
+      setError((e as Error).message || "Regeneration failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+  return (
+    <div className="narrative-regenerate">
+      <textarea
+        aria-label={`Feedback for ${name}`}
+        placeholder="e.g. focus more on the migration's cost savings"
+        value={feedback}
+        onChange={(e) => setFeedback(e.target.value)}
+        className="generate-textarea"
+        rows={2}
+        disabled={busy}
+      />
+      <div className="narrative-regenerate-actions">
+        <button type="button" className="generate-sample-btn" onClick={submit} disabled={busy || !feedback.trim()}>
+          {busy ? "Regenerating…" : "Regenerate"}
+        </button>
+        <button type="button" className="generate-sample-btn" onClick={() => setOpen(false)} disabled={busy}>
+          Cancel
+        </button>
+      </div>
+      {error && (
+        <p className="narrative-regenerate-error" role="alert">
+          {error}
+        </p>
+      )}
+    </div>
+  );
+}
+
 function ViewToggle({
   label,
   showJson,
@@ -129,6 +249,8 @@ export default function NarrativeView({
   bullets,
   stories,
   self_eval,
+  verification,
+  onRegenerate,
 }: NarrativeViewProps) {
   const [themesJson, setThemesJson] = useState(false);
   const [bulletsJson, setBulletsJson] = useState(false);
@@ -142,6 +264,8 @@ export default function NarrativeView({
 
   return (
     <section className="narrative-section">
+      {verification && <CitationCheck report={verification} />}
+
       {/* ── Themes ── */}
       <div className="narrative-block">
         <div className="narrative-block-head">
@@ -153,6 +277,7 @@ export default function NarrativeView({
               onToggle={() => setThemesJson((v) => !v)}
             />
           )}
+          {themes && <RegenerateControl target={{ step: "themes" }} name="themes" onRegenerate={onRegenerate} />}
         </div>
         {themesJson ? (
           <JsonBlock data={themes} label="Themes" />
@@ -172,11 +297,12 @@ export default function NarrativeView({
               onToggle={() => setBulletsJson((v) => !v)}
             />
           )}
+          {bullets && <RegenerateControl target={{ step: "bullets" }} name="all bullets" onRegenerate={onRegenerate} />}
         </div>
         {bulletsJson ? (
           <JsonBlock data={bullets} label="Bullets" />
         ) : (
-          <BulletsNarrative themeMap={themeMap} byTheme={byTheme} />
+          <BulletsNarrative themeMap={themeMap} byTheme={byTheme} onRegenerate={onRegenerate} />
         )}
       </div>
 
@@ -191,11 +317,12 @@ export default function NarrativeView({
               onToggle={() => setStoriesJson((v) => !v)}
             />
           )}
+          {stories && <RegenerateControl target={{ step: "stories" }} name="all stories" onRegenerate={onRegenerate} />}
         </div>
         {storiesJson ? (
           <JsonBlock data={stories} label="STAR stories" />
         ) : (
-          <StoriesNarrative storyList={stories?.stories ?? []} />
+          <StoriesNarrative storyList={stories?.stories ?? []} onRegenerate={onRegenerate} />
         )}
       </div>
 
@@ -210,6 +337,9 @@ export default function NarrativeView({
               onToggle={() => setSelfEvalJson((v) => !v)}
             />
           )}
+          {self_eval && (
+            <RegenerateControl target={{ step: "self_eval" }} name="self-eval sections" onRegenerate={onRegenerate} />
+          )}
         </div>
         {selfEvalJson ? (
           <JsonBlock data={self_eval} label="Self-eval" />
@@ -229,7 +359,10 @@ function ThemesNarrative({ themeList }: { themeList: ThemeEntry[] }) {
     <div className="narrative-card">
       {themeList.map((t) => (
         <div key={t.theme_id ?? t.theme_name ?? "unknown"} className="narrative-theme">
-          <p className="narrative-theme-name">{t.theme_name ?? t.theme_id}</p>
+          <p className="narrative-theme-name">
+            {t.theme_name ?? t.theme_id}
+            <UnverifiedTag item={t} />
+          </p>
           {t.one_liner && (
             <p className="narrative-theme-oneliner">{t.one_liner}</p>
           )}
@@ -271,9 +404,11 @@ function ThemesNarrative({ themeList }: { themeList: ThemeEntry[] }) {
 function BulletsNarrative({
   themeMap,
   byTheme,
+  onRegenerate,
 }: {
   themeMap: Record<string, string | undefined>;
   byTheme: BulletsByTheme[];
+  onRegenerate?: RegenerateHandler;
 }) {
   if (byTheme.length === 0) {
     return <p className="narrative-empty">No impact bullets by theme yet.</p>;
@@ -285,9 +420,17 @@ function BulletsNarrative({
           <p className="narrative-theme-name">
             {themeMap[group.theme_id ?? ""] ?? group.theme_id}
           </p>
+          {group.theme_id && (
+            <RegenerateControl
+              target={{ step: "bullets", theme_id: group.theme_id }}
+              name={`bullets for ${themeMap[group.theme_id] ?? group.theme_id}`}
+              onRegenerate={onRegenerate}
+            />
+          )}
           {(group.bullets ?? []).map((b, i) => (
             <p key={i} className="narrative-bullet">
               {b.text}
+              <UnverifiedTag item={b} />
               {(b.evidence ?? []).map((e) => (
                 <a
                   key={e.id ?? e.url}
@@ -326,7 +469,7 @@ function EvidenceTags({ evidence }: { evidence?: EvidenceRef[] }) {
   );
 }
 
-function StoriesNarrative({ storyList }: { storyList: Story[] }) {
+function StoriesNarrative({ storyList, onRegenerate }: { storyList: Story[]; onRegenerate?: RegenerateHandler }) {
   if (storyList.length === 0) {
     return <p className="narrative-empty">No STAR stories yet.</p>;
   }
@@ -334,7 +477,15 @@ function StoriesNarrative({ storyList }: { storyList: Story[] }) {
     <div className="narrative-card">
       {storyList.map((s, idx) => (
         <div key={s.title ?? idx} className="narrative-story">
-          <p className="narrative-story-title">{s.title}</p>
+          <p className="narrative-story-title">
+            {s.title}
+            <UnverifiedTag item={s} />
+          </p>
+          <RegenerateControl
+            target={{ step: "stories", story_index: idx }}
+            name={`story "${s.title ?? idx + 1}"`}
+            onRegenerate={onRegenerate}
+          />
           {s.situation && (
             <p className="narrative-story-field">
               <strong>Situation:</strong> {s.situation}
@@ -402,7 +553,10 @@ function SelfEvalNarrative({
       {sections.summary?.text && (
         <div className="narrative-selfeval-section">
           <p className="narrative-selfeval-heading">Summary</p>
-          <p className="narrative-selfeval-text">{sections.summary.text}</p>
+          <p className="narrative-selfeval-text">
+            {sections.summary.text}
+            <UnverifiedTag item={sections.summary} />
+          </p>
           <EvidenceTags evidence={sections.summary.evidence} />
         </div>
       )}
@@ -413,6 +567,7 @@ function SelfEvalNarrative({
             {(sections.key_accomplishments ?? []).map((item, i) => (
               <li key={i} className="narrative-bullet">
                 {item.text}
+                <UnverifiedTag item={item} />
                 <EvidenceTags evidence={item.evidence} />
               </li>
             ))}
@@ -422,14 +577,20 @@ function SelfEvalNarrative({
       {sections.how_i_worked?.text && (
         <div className="narrative-selfeval-section">
           <p className="narrative-selfeval-heading">How I worked</p>
-          <p className="narrative-selfeval-text">{sections.how_i_worked.text}</p>
+          <p className="narrative-selfeval-text">
+            {sections.how_i_worked.text}
+            <UnverifiedTag item={sections.how_i_worked} />
+          </p>
           <EvidenceTags evidence={sections.how_i_worked.evidence} />
         </div>
       )}
       {sections.growth?.text && (
         <div className="narrative-selfeval-section">
           <p className="narrative-selfeval-heading">Growth</p>
-          <p className="narrative-selfeval-text">{sections.growth.text}</p>
+          <p className="narrative-selfeval-text">
+            {sections.growth.text}
+            <UnverifiedTag item={sections.growth} />
+          </p>
           <EvidenceTags evidence={sections.growth.evidence} />
         </div>
       )}
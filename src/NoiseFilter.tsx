@@ -0,0 +1,79 @@
+import React, { useMemo } from "react";
+import { filterNoise, formatNoiseReport, type NoiseReport } from "../lib/noise-filter.js";
+import type { Evidence } from "../types/evidence.js";
+
+export interface NoiseSettings {
+  enabled: boolean;
+  includeUnmerged: boolean;
+}
+
+/** Off by default, like `yarn generate` without --filter-noise: every contribution is sent unless the user opts in. */
+export const DEFAULT_NOISE_SETTINGS: NoiseSettings = { enabled: false, includeUnmerged: false };
+
+/** Evidence with noise removed per the settings (unchanged when filtering is off). */
+export function applyNoiseSettings(
+  evidence: Evidence,
+  settings: NoiseSettings
+): { evidence: Evidence; report: NoiseReport | null } {
+  if (!settings.enabled) return { evidence, report: null };
+  return filterNoise(evidence, { includeUnmerged: settings.includeUnmerged });
+}
+
+interface NoiseFilterProps {
+  evidenceText: string;
+  settings: NoiseSettings;
+  onSettingsChange: (settings: NoiseSettings) => void;
+}
+
+/** Noise-filter toggles with a preview of what will be left out of generation. */
+export default function NoiseFilter({ evidenceText, settings, onSettingsChange }: NoiseFilterProps) {
+  const report = useMemo(() => {
+    try {
+      const evidence = JSON.parse(evidenceText) as Evidence;
+      if (!Array.isArray(evidence?.contributions)) return null;
+      return applyNoiseSettings(evidence, settings).report;
+    } catch {
+      return null;
+    }
+  }, [evidenceText, settings]);
+
+  return (
+    <fieldset className="generate-noise-filter">
+      <legend className="generate-collect-label">Noise filter</legend>
+      <label className="generate-collect-kind">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => onSettingsChange({ ...settings, enabled: e.target.checked })}
+        />{" "}
+        Leave out dependency bumps, typo fixes, release PRs, tiny PRs and revert churn
+      </label>
+      <label className="generate-collect-kind">
+        <input
+          type="checkbox"
+          checked={settings.includeUnmerged}
+          disabled={!settings.enabled}
+          onChange={(e) => onSettingsChange({ ...settings, includeUnmerged: e.target.checked })}
+        />{" "}
+        Include PRs closed without merging (open and draft PRs are always kept)
+      </label>
+      {report && (
+        <>
+          <p className="generate-progress">{formatNoiseReport(report)}</p>
+          {report.removed.length > 0 && (
+            <details>
+              <summary>What will be left out</summary>
+              <ul className="generate-noise-list">
+                {report.removed.map((item) => (
+                  <li key={`${item.id}-${item.reason}`}>
+                    {item.title || item.id} <span className="generate-noise-reason">({item.detail})</span>
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+        </>
+      )}
+    </fieldset>
+  );
+}
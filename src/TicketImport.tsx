@@ -0,0 +1,97 @@
+import React, { useState } from "react";
+import { detectTicketFormat, importTickets } from "../lib/ticket-import.js";
+import type { Contribution } from "../types/evidence.js";
+
+interface TicketImportProps {
+  evidenceText: string;
+  /** Timeframe used when the evidence box is empty. */
+  fallbackTimeframe: { start_date: string; end_date: string };
+  onEvidenceChange: (text: string) => void;
+}
+
+/** Upload a Jira (JSON/CSV) or Linear (CSV) export; matching issues are parsed in the browser and added to the evidence. */
+export default function TicketImport({
+  evidenceText,
+  fallbackTimeframe,
+  onEvidenceChange,
+}: TicketImportProps) {
+  const [users, setUsers] = useState("");
+  const [baseUrl, setBaseUrl] = useState("");
+  const [message, setMessage] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const input = e.target;
+    const file = input.files?.[0];
+    if (!file) return;
+    setMessage(null);
+    setError(null);
+    try {
+      const identities = users.split(",").map((u) => u.trim()).filter(Boolean);
+      if (!identities.length) throw new Error("Enter your name or email as it appears in the export.");
+      const content = await file.text();
+      const format = detectTicketFormat(content);
+      if (!format) throw new Error("Not a Jira JSON/CSV or Linear CSV export.");
+
+      let evidence: { timeframe: { start_date: string; end_date: string }; contributions: Contribution[] };
+      try {
+        const parsed = JSON.parse(evidenceText);
+        evidence = parsed?.timeframe && Array.isArray(parsed.contributions)
+          ? parsed
+          : { timeframe: fallbackTimeframe, contributions: [] };
+      } catch {
+        evidence = { timeframe: fallbackTimeframe, contributions: [] };
+      }
+      const { contributions, total } = importTickets(content, format, {
+        users: identities,
+        start: evidence.timeframe.start_date,
+        end: evidence.timeframe.end_date,
+        baseUrl: baseUrl.trim() || undefined,
+      });
+      const existing = new Set(evidence.contributions.map((c) => c.id));
+      const added = contributions.filter((c) => !existing.has(c.id));
+      onEvidenceChange(
+        JSON.stringify({ ...evidence, contributions: [...evidence.contributions, ...added] }, null, 2)
+      );
+      const source = format === "linear-csv" ? "Linear" : "Jira";
+      setMessage(`Added ${added.length} of ${total} ${source} issues.`);
+    } catch (err) {
+      setError((err as Error).message || "Could not read the export.");
+    } finally {
+      input.value = "";
+    }
+  };
+
+  return (
+    <fieldset className="generate-ticket-import">
+      <legend className="generate-collect-label">Add Jira or Linear issues (optional)</legend>
+      <input
+        type="text"
+        placeholder="Your email or name in the export"
+        aria-label="Your email or name in the export"
+        value={users}
+        onChange={(e) => setUsers(e.target.value)}
+        className="generate-collect-input"
+      />
+      <input
+        type="url"
+        placeholder="Site URL for links, e.g. https://acme.atlassian.net"
+        aria-label="Tracker site URL"
+        value={baseUrl}
+        onChange={(e) => setBaseUrl(e.target.value)}
+        className="generate-collect-input"
+      />
+      <label className="generate-file-label">
+        Import export file
+        <input
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          onChange={handleFile}
+          className="generate-file-input"
+        />
+      </label>
+      {message && <p className="generate-progress">{message}</p>}
+      {error && <p className="generate-error">{error}</p>}
+    </fieldset>
+  );
+}
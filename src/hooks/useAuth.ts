@@ -1,8 +1,19 @@
 import { useState, useEffect, useCallback } from "react";
 
+export interface AuthConnection {
+  github_url: string;
+  login: string;
+}
+
 export interface AuthUser {
   login: string;
   scope?: string;
+  /** Host the user signed in to; github.com when unset. */
+  github_url?: string;
+  /** Further hosts (GHES) connected to this session. */
+  connections?: AuthConnection[];
+  /** GHES instance the server can connect, when configured. */
+  ghes_url?: string;
 }
 
 export function useAuth() {
@@ -14,8 +25,14 @@ export function useAuth() {
       .then((res) =>
         res.ok ? res.json() : Promise.reject(new Error("not authenticated"))
       )
-      .then((data: { login: string; scope?: string }) =>
-        setUser({ login: data.login, scope: data.scope })
+      .then((data: AuthUser) =>
+        setUser({
+          login: data.login,
+          scope: data.scope,
+          github_url: data.github_url,
+          connections: data.connections ?? [],
+          ghes_url: data.ghes_url,
+        })
       )
       .catch(() => setUser(null))
       .finally(() => setAuthChecked(true));
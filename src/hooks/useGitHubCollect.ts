@@ -2,6 +2,14 @@ import { useState, useCallback } from "react";
 import { parseJsonResponse, pollJob } from "../api.js";
 import { posthog } from "../posthog";
 import type { AuthUser } from "./useAuth.js";
+import { parseRepoList } from "../../lib/repo-filter.js";
+import type { CollectGitLabValue, CollectKindsValue, CollectReposValue, DiscoveredRepo } from "../CollectForm";
+
+const DEFAULT_COLLECT_KINDS: CollectKindsValue = {
+  issues: true,
+  issue_comments: true,
+  releases: true,
+};
 
 function getDefaultDateRange(): { start: string; end: string } {
   const from = new Date();
@@ -26,13 +34,19 @@ export function useGitHubCollect({
     getDefaultDateRange().end
   );
   const [collectToken, setCollectToken] = useState("");
+  const [collectKinds, setCollectKinds] = useState<CollectKindsValue>(DEFAULT_COLLECT_KINDS);
+  const [collectGitLab, setCollectGitLab] = useState<CollectGitLabValue>({ token: "", url: "" });
+  const [collectRepos, setCollectRepos] = useState<CollectReposValue>({ repos: "", exclude_repos: "", orgs: "" });
+  const [discoveredRepos, setDiscoveredRepos] = useState<DiscoveredRepo[] | null>(null);
+  const [discoveringRepos, setDiscoveringRepos] = useState(false);
   const [collectLoading, setCollectLoading] = useState(false);
   const [collectError, setCollectError] = useState<string | null>(null);
   const [collectProgress, setCollectProgress] = useState("");
 
   const handleFetchGitHub = useCallback(
     async (user: AuthUser | null) => {
-      if (!user && !collectToken.trim()) {
+      const gitlabToken = collectGitLab.token.trim();
+      if (!user && !collectToken.trim() && !gitlabToken) {
         setCollectError("Paste your GitHub token above.");
         return;
       }
@@ -43,12 +57,24 @@ export function useGitHubCollect({
         method: user ? "session" : "token",
       });
       try {
+        const include = {
+          include_issues: collectKinds.issues,
+          include_issue_comments: collectKinds.issue_comments,
+          include_releases: collectKinds.releases,
+          repos: parseRepoList(collectRepos.repos),
+          exclude_repos: parseRepoList(collectRepos.exclude_repos),
+          orgs: parseRepoList(collectRepos.orgs),
+          ...(gitlabToken
+            ? { gitlab_token: gitlabToken, gitlab_url: collectGitLab.url.trim() || undefined }
+            : {}),
+        };
         const body = user
-          ? { start_date: collectStart, end_date: collectEnd }
+          ? { start_date: collectStart, end_date: collectEnd, ...include }
           : {
-              token: collectToken.trim(),
+              token: collectToken.trim() || undefined,
               start_date: collectStart,
               end_date: collectEnd,
+              ...include,
             };
         const res = await fetch("/api/collect", {
           method: "POST",
@@ -80,7 +106,39 @@ export function useGitHubCollect({
         setCollectProgress("");
       }
     },
-    [collectStart, collectEnd, collectToken, onEvidenceReceived]
+    [collectStart, collectEnd, collectToken, collectKinds, collectGitLab, collectRepos, onEvidenceReceived]
+  );
+
+  /** List the repos the user opened PRs in during the range, so they can pick what to collect. */
+  const handleDiscoverRepos = useCallback(
+    async (user: AuthUser | null) => {
+      if (!user && !collectToken.trim()) {
+        setCollectError("Paste your GitHub token above.");
+        return;
+      }
+      setCollectError(null);
+      setDiscoveringRepos(true);
+      try {
+        const res = await fetch("/api/collect/repos", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          credentials: "include",
+          body: JSON.stringify({
+            start_date: collectStart,
+            end_date: collectEnd,
+            ...(user ? {} : { token: collectToken.trim() }),
+          }),
+        });
+        const data = (await parseJsonResponse(res)) as { repos?: DiscoveredRepo[]; error?: string };
+        if (!res.ok) throw new Error(data.error || "Could not list repositories");
+        setDiscoveredRepos(data.repos ?? []);
+      } catch (e) {
+        setCollectError((e as Error).message || "Could not list repositories");
+      } finally {
+        setDiscoveringRepos(false);
+      }
+    },
+    [collectStart, collectEnd, collectToken]
   );
 
   return {
@@ -90,6 +148,15 @@ export function useGitHubCollect({
     setCollectEnd,
     collectToken,
     setCollectToken,
+    collectKinds,
+    setCollectKinds,
+    collectGitLab,
+    setCollectGitLab,
+    collectRepos,
+    setCollectRepos,
+    discoveredRepos,
+    discoveringRepos,
+    handleDiscoverRepos,
     collectLoading,
     collectError,
     setCollectError,
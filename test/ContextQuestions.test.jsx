@@ -0,0 +1,51 @@
+/**
+ * @vitest-environment jsdom
+ */
+import React from "react";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import ContextQuestions from "../src/ContextQuestions.tsx";
+
+const result = (questions) => ({ themes: { themes: [], missing_info_questions: questions } });
+
+describe("ContextQuestions", () => {
+  it("resets drafts when the questions or the saved answers change", () => {
+    const onSubmit = vi.fn();
+    const { rerender } = render(
+      <ContextQuestions result={result(["Team size?", "Budget?"])} answers={[]} onSubmit={onSubmit} />
+    );
+    fireEvent.change(screen.getByLabelText("Team size?"), { target: { value: "8" } });
+    fireEvent.change(screen.getByLabelText("Budget?"), { target: { value: "typed, not saved" } });
+
+    const saved = [{ question: "Team size?", answer: "8" }];
+    rerender(<ContextQuestions result={result(["Team size?", "Budget?"])} answers={saved} onSubmit={onSubmit} />);
+    expect(screen.getByLabelText("Team size?")).toHaveValue("8");
+    expect(screen.getByLabelText("Budget?")).toHaveValue("");
+
+    rerender(<ContextQuestions result={result(["Team size?", "Launch date?"])} answers={saved} onSubmit={onSubmit} />);
+    expect(screen.getByLabelText("Launch date?")).toHaveValue("");
+    fireEvent.change(screen.getByLabelText("Launch date?"), { target: { value: "March" } });
+    fireEvent.click(screen.getByRole("button", { name: "Save answers and regenerate" }));
+    expect(onSubmit).toHaveBeenCalledWith([
+      { question: "Team size?", answer: "8" },
+      { question: "Launch date?", answer: "March" },
+    ]);
+  });
+
+  it("lets a saved answer be cleared, and stays disabled until something changes", () => {
+    const onSubmit = vi.fn();
+    render(
+      <ContextQuestions
+        result={result(["Team size?"])}
+        answers={[{ question: "Team size?", answer: "8" }]}
+        onSubmit={onSubmit}
+      />
+    );
+    const save = screen.getByRole("button", { name: "Save answers and regenerate" });
+    expect(save).toBeDisabled();
+    fireEvent.change(screen.getByLabelText("Team size?"), { target: { value: "" } });
+    expect(save).toBeEnabled();
+    fireEvent.click(save);
+    expect(onSubmit).toHaveBeenCalledWith([{ question: "Team size?", answer: "" }]);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * @vitest-environment jsdom
+ */
+import React, { useState } from "react";
+import { describe, it, expect } from "vitest";
+import { render, screen, fireEvent, within } from "@testing-library/react";
+import EvidenceTable, { EMPTY_FILTERS, filterContributions, sortContributions } from "../src/EvidenceTable.tsx";
+
+const c = (n, extra = {}) => ({
+  id: `o/${n % 2 ? "api" : "web"}#${n}`,
+  type: "pull_request",
+  title: `Change ${n}`,
+  url: `https://github.com/o/x/pull/${n}`,
+  repo: n % 2 ? "o/api" : "o/web",
+  merged_at: `2025-0${(n % 3) + 1}-1${n % 10}T00:00:00Z`,
+  additions: n * 10,
+  deletions: 1,
+  labels: n % 4 === 0 ? ["perf"] : [],
+  summary: `Summary ${n}`,
+  ...extra,
+});
+const evidence = (contributions) => ({ timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" }, goals: "Ship", contributions });
+
+/** Holds the evidence text the way Generate does, exposing it for assertions. */
+function Harness({ initial }) {
+  const [text, setText] = useState(JSON.stringify(initial, null, 2));
+  return (
+    <>
+      <EvidenceTable evidenceText={text} onEvidenceChange={setText} />
+      <textarea data-testid="json" value={text} readOnly />
+    </>
+  );
+}
+const currentEvidence = () => JSON.parse(screen.getByTestId("json").value);
+const rows = () => screen.getAllByRole("row").slice(1);
+
+describe("filterContributions / sortContributions", () => {
+  const list = [1, 2, 3, 4].map((n) => c(n));
+
+  it("filters by search text, repo, type, label and month", () => {
+    expect(filterContributions(list, { ...EMPTY_FILTERS, query: "summary 3" }).map((x) => x.id)).toEqual(["o/api#3"]);
+    expect(filterContributions(list, { ...EMPTY_FILTERS, repo: "o/web" }).map((x) => x.id)).toEqual(["o/web#2", "o/web#4"]);
+    expect(filterContributions(list, { ...EMPTY_FILTERS, label: "perf" }).map((x) => x.id)).toEqual(["o/web#4"]);
+    expect(filterContributions(list, { ...EMPTY_FILTERS, month: "2025-02" }).map((x) => x.id)).toEqual(["o/api#1", "o/web#4"]);
+    expect(filterContributions(list, { ...EMPTY_FILTERS, type: "review" })).toEqual([]);
+  });
+
+  it("sorts by date, size and title in either direction", () => {
+    expect(sortContributions(list, "size", "desc").map((x) => x.id)).toEqual(["o/web#4", "o/api#3", "o/web#2", "o/api#1"]);
+    expect(sortContributions(list, "date", "asc").map((x) => x.merged_at.slice(0, 7))).toEqual(["2025-01", "2025-02", "2025-02", "2025-03"]);
+    expect(sortContributions(list, "title", "asc")[0].id).toBe("o/api#1");
+  });
+});
+
+describe("EvidenceTable", () => {
+  it("renders nothing without valid evidence", () => {
+    const { container } = render(<EvidenceTable evidenceText="{" onEvidenceChange={() => {}} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it("searches, filters and pages through contributions", () => {
+    render(<Harness initial={evidence(Array.from({ length: 120 }, (_, i) => c(i + 1)))} />);
+    expect(rows()).toHaveLength(50);
+    fireEvent.click(screen.getByRole("button", { name: /show 50 more/i }));
+    expect(rows()).toHaveLength(100);
+
+    fireEvent.change(screen.getByLabelText(/filter by repo/i), { target: { value: "o/api" } });
+    expect(screen.getByText(/of 60 matching/)).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText(/search evidence/i), { target: { value: "change 11" } });
+    const titles = rows().map((r) => within(r).getByRole("link").textContent);
+    expect(titles.sort()).toEqual(["Change 11", "Change 111", "Change 113", "Change 115", "Change 117", "Change 119"]);
+  });
+
+  it("sorts by a column when its header is clicked", () => {
+    render(<Harness initial={evidence([c(1), c(2), c(3)])} />);
+    fireEvent.click(screen.getByRole("button", { name: /^size/i }));
+    expect(rows().map((r) => within(r).getByRole("link").textContent)).toEqual(["Change 3", "Change 2", "Change 1"]);
+    fireEvent.click(screen.getByRole("button", { name: /^size/i }));
+    expect(rows().map((r) => within(r).getByRole("link").textContent)).toEqual(["Change 1", "Change 2", "Change 3"]);
+  });
+
+  it("excludes, pins and edits contributions in the evidence JSON", () => {
+    const initial = evidence([c(1), c(2)]);
+    render(<Harness initial={initial} />);
+
+    fireEvent.click(screen.getByLabelText("Include Change 1"));
+    fireEvent.click(screen.getByRole("button", { name: "Pin Change 2 as important" }));
+    expect(currentEvidence().contributions.map((x) => [x.id, !!x.excluded, !!x.pinned])).toEqual([
+      ["o/api#1", true, false],
+      ["o/web#2", false, true],
+    ]);
+
+    fireEvent.click(screen.getByRole("button", { name: "Edit Change 2" }));
+    fireEvent.change(screen.getByLabelText("Edit title"), { target: { value: "Cut checkout latency by half" } });
+    fireEvent.change(screen.getByLabelText("Edit summary"), { target: { value: "Cached the price lookups." } });
+    fireEvent.click(screen.getByRole("button", { name: "Save" }));
+    expect(currentEvidence().contributions[1]).toMatchObject({ title: "Cut checkout latency by half", summary: "Cached the price lookups." });
+
+    // Undoing the flags round-trips to the original JSON apart from the edit.
+    fireEvent.click(screen.getByLabelText("Include Change 1"));
+    fireEvent.click(screen.getByRole("button", { name: "Pin Cut checkout latency by half as important" }));
+    expect(currentEvidence()).toEqual({
+      ...initial,
+      contributions: [initial.contributions[0], { ...initial.contributions[1], title: "Cut checkout latency by half", summary: "Cached the price lookups." }],
+    });
+  });
+
+  it("includes or excludes every shown row at once", () => {
+    render(<Harness initial={evidence([c(1), c(2), c(3)])} />);
+    fireEvent.change(screen.getByLabelText(/filter by repo/i), { target: { value: "o/api" } });
+    fireEvent.click(screen.getByLabelText("Include all shown"));
+    expect(currentEvidence().contributions.map((x) => !!x.excluded)).toEqual([true, false, true]);
+    expect(screen.getByText(/2 excluded/)).toBeInTheDocument();
+  });
+});
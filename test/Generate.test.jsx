@@ -3,7 +3,7 @@
  */
 import React from "react";
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
-import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { render, screen, fireEvent, waitFor, within } from "@testing-library/react";
 import Generate from "../src/Generate.tsx";
 import { pollJob } from "../src/api.js";
 
@@ -117,6 +117,238 @@ describe("Generate", () => {
     expect(fetch).toHaveBeenCalledWith("/api/jobs/j1");
   });
 
+  it("Fetch my data: a GitLab token alone is enough and is sent with its URL", async () => {
+    vi.mocked(fetch)
+      .mockResolvedValueOnce(mockRes({}, false, 401))           // /api/auth/me
+      .mockResolvedValueOnce(mockRes({ enabled: false }))       // /api/payments/config
+      .mockResolvedValueOnce(mockRes({ error: "stop here" }, false)); // /api/collect
+    render(<Generate />);
+    fireEvent.click(screen.getByRole("tab", { name: /paste a personal access token/i }));
+    const panel = document.getElementById("get-data-token-panel");
+    fireEvent.change(within(panel).getByLabelText("GitLab token"), { target: { value: "glpat-x" } });
+    fireEvent.change(within(panel).getByLabelText("GitLab URL"), { target: { value: "https://gl.example.com" } });
+    fireEvent.click(within(panel).getByRole("button", { name: /fetch my data/i }));
+    await waitFor(() => expect(screen.getByText(/stop here/i)).toBeInTheDocument());
+    const [, init] = vi.mocked(fetch).mock.calls.find(([url]) => url === "/api/collect");
+    expect(JSON.parse(init.body)).toMatchObject({ gitlab_token: "glpat-x", gitlab_url: "https://gl.example.com" });
+    expect(JSON.parse(init.body).token).toBeUndefined();
+  });
+
+  it("Find my repos lists repos with PR counts and sends the chosen scope", async () => {
+    render(<Generate />);
+    fireEvent.click(screen.getByRole("tab", { name: /paste a personal access token/i }));
+    const panel = document.getElementById("get-data-token-panel");
+    fireEvent.change(within(panel).getByPlaceholderText(/paste your github token/i), { target: { value: "ghp_test" } });
+    vi.mocked(fetch).mockImplementation((url) => {
+      if (url === "/api/collect/repos") {
+        return Promise.resolve(mockRes({ repos: [{ name: "acme/api", pull_requests: 12 }, { name: "acme/sandbox", pull_requests: 1 }] }));
+      }
+      return Promise.resolve(mockRes({ error: "stop here" }, false));
+    });
+    fireEvent.click(within(panel).getByRole("button", { name: /find my repos/i }));
+    await waitFor(() => expect(within(panel).getByText("(12 PRs)")).toBeInTheDocument());
+    const [, discoverInit] = vi.mocked(fetch).mock.calls.find(([url]) => url === "/api/collect/repos");
+    expect(JSON.parse(discoverInit.body)).toMatchObject({ token: "ghp_test" });
+
+    fireEvent.change(within(panel).getByLabelText("Scope for acme/sandbox"), { target: { value: "exclude" } });
+    expect(within(panel).getByLabelText("Exclude repos")).toHaveValue("acme/sandbox");
+    fireEvent.change(within(panel).getByLabelText("Only these orgs"), { target: { value: "acme, tools" } });
+    fireEvent.click(within(panel).getByRole("button", { name: /fetch my data/i }));
+    await waitFor(() => expect(screen.getByText(/stop here/i)).toBeInTheDocument());
+    const [, init] = vi.mocked(fetch).mock.calls.find(([url]) => url === "/api/collect");
+    expect(JSON.parse(init.body)).toMatchObject({ repos: [], exclude_repos: ["acme/sandbox"], orgs: ["acme", "tools"] });
+  });
+
+  it("importing a Linear export adds the user's issues to the evidence", async () => {
+    render(<Generate />);
+    fireEvent.change(screen.getByLabelText(/your email or name in the export/i), { target: { value: "me@acme.com" } });
+    // Inside the default collect range (the last 12 months).
+    const done = new Date(Date.now() - 7 * 86400000).toISOString();
+    const csv = [
+      "ID,Title,Status,Assignee,Created,Updated,Completed,Canceled",
+      `ENG-1,Ship dark mode,Done,me@acme.com,${done},${done},${done},`,
+    ].join("\n");
+    const file = new File([csv], "linear.csv", { type: "text/csv" });
+    fireEvent.change(screen.getByLabelText(/import export file/i), { target: { files: [file] } });
+    await waitFor(() => expect(screen.getByText(/added 1 of 1 linear issues/i)).toBeInTheDocument());
+    const evidence = JSON.parse(screen.getByPlaceholderText(/timeframe.*contributions/).value);
+    expect(evidence.contributions.map((c) => c.id)).toEqual(["linear#ENG-1"]);
+  });
+
+  it("adds, edits and removes manual entries in the evidence", async () => {
+    render(<Generate />);
+    fireEvent.click(screen.getByRole("button", { name: /add entry/i }));
+    expect(screen.getByText(/date must be YYYY-MM-DD/)).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText(/entry date/i), { target: { value: "2025-04-12" } });
+    fireEvent.change(screen.getByLabelText(/entry category/i), { target: { value: "mentoring" } });
+    fireEvent.change(screen.getByLabelText(/entry title/i), { target: { value: "Mentored two new hires" } });
+    fireEvent.click(screen.getByRole("button", { name: /add entry/i }));
+    const evidenceBox = screen.getByPlaceholderText(/timeframe.*contributions/);
+    expect(JSON.parse(evidenceBox.value).contributions).toMatchObject([
+      { id: "manual#2025-04-12-mentored-two-new-hires", type: "manual", category: "mentoring", url: "" },
+    ]);
+
+    fireEvent.click(screen.getByRole("button", { name: /^edit$/i }));
+    fireEvent.change(screen.getByLabelText(/entry description/i), { target: { value: "Both shipped in month one." } });
+    fireEvent.click(screen.getByRole("button", { name: /save entry/i }));
+    expect(JSON.parse(evidenceBox.value).contributions).toMatchObject([{ body: "Both shipped in month one." }]);
+
+    fireEvent.click(screen.getByRole("button", { name: /^remove$/i }));
+    expect(JSON.parse(evidenceBox.value).contributions).toEqual([]);
+  });
+
+  it("uploading several evidence files merges them and shows the report", async () => {
+    render(<Generate />);
+    const pr = { id: "org/app#1", type: "pull_request", title: "Fix", url: "https://github.com/org/app/pull/1", repo: "org/app" };
+    const a = { timeframe: { start_date: "2025-01-01", end_date: "2025-06-30" }, contributions: [pr] };
+    const b = {
+      timeframe: { start_date: "2025-03-01", end_date: "2025-12-31" },
+      contributions: [pr, { id: "jira#OPS-1", type: "issue", source: "jira", title: "Alerting", url: "https://acme.atlassian.net/browse/OPS-1", repo: "OPS" }],
+    };
+    const files = [
+      new File([JSON.stringify(a)], "github.json", { type: "application/json" }),
+      new File([JSON.stringify(b)], "jira.json", { type: "application/json" }),
+    ];
+    fireEvent.change(screen.getByLabelText(/upload evidence\.json/i), { target: { files } });
+    await waitFor(() => expect(screen.getByText(/into 2 contributions/i)).toBeInTheDocument());
+    expect(screen.getByText(/dropped 1 duplicates/i)).toBeInTheDocument();
+    const evidence = JSON.parse(screen.getByPlaceholderText(/timeframe.*contributions/).value);
+    expect(evidence.timeframe).toEqual({ start_date: "2025-01-01", end_date: "2025-12-31" });
+    expect(evidence.contributions.map((c) => c.id)).toEqual(["org/app#1", "jira#OPS-1"]);
+  });
+
+  it("sends every contribution when the noise filter is left off (the default)", async () => {
+    vi.mocked(fetch).mockImplementation((url) => {
+      if (String(url) === "/api/auth/me") return Promise.resolve(mockRes({}, false, 401));
+      if (String(url) === "/api/payments/config") return Promise.resolve(mockRes({ enabled: false }));
+      if (String(url) === "/api/generate") return Promise.resolve(mockRes({ error: "stop here" }, false, 400));
+      return Promise.reject(new Error("Unmocked: " + url));
+    });
+    render(<Generate />);
+    const pr = (id, title, extra = {}) => ({
+      id, type: "pull_request", title, url: `https://github.com/o/r/pull/${id}`, repo: "o/r",
+      merged_at: "2025-03-01T00:00:00Z", additions: 30, ...extra,
+    });
+    const contributions = [
+      pr("1", "Add billing export"),
+      pr("2", "Bump vite from 6.0.0 to 6.4.1"),
+      pr("3", "Fix typo", { additions: 1 }),
+      pr("4", "Abandoned approach", { merged_at: null, state: "closed" }),
+    ];
+    const evidence = { timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" }, contributions };
+    fireEvent.change(screen.getByPlaceholderText(/timeframe.*contributions/), { target: { value: JSON.stringify(evidence) } });
+    expect(screen.getByLabelText(/leave out dependency bumps/i)).not.toBeChecked();
+
+    fireEvent.click(screen.getByRole("button", { name: /generate review/i }));
+    await waitFor(() => expect(screen.getByText(/stop here/i)).toBeInTheDocument());
+    const [, init] = vi.mocked(fetch).mock.calls.find(([url]) => url === "/api/generate");
+    expect(JSON.parse(init.body).contributions).toEqual(contributions);
+  });
+
+  it("previews the noise filter and sends only the kept contributions", async () => {
+    vi.mocked(fetch).mockImplementation((url) => {
+      if (String(url) === "/api/auth/me") return Promise.resolve(mockRes({}, false, 401));
+      if (String(url) === "/api/payments/config") return Promise.resolve(mockRes({ enabled: false }));
+      if (String(url) === "/api/generate") return Promise.resolve(mockRes({ error: "stop here" }, false, 400));
+      return Promise.reject(new Error("Unmocked: " + url));
+    });
+    render(<Generate />);
+    const pr = (id, title, merged_at = "2025-03-01T00:00:00Z") => ({
+      id, type: "pull_request", title, url: `https://github.com/o/r/pull/${id}`, repo: "o/r", merged_at, additions: 30,
+    });
+    const evidence = {
+      timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" },
+      contributions: [pr("1", "Add billing export"), pr("2", "Bump vite from 6.0.0 to 6.4.1"), pr("3", "Spike", null)],
+    };
+    fireEvent.change(screen.getByPlaceholderText(/timeframe.*contributions/), { target: { value: JSON.stringify(evidence) } });
+    expect(screen.queryByText(/filtered \d+ of 3 contributions/i)).not.toBeInTheDocument();
+    fireEvent.click(screen.getByLabelText(/leave out dependency bumps/i));
+    expect(screen.getByText(/filtered 2 of 3 contributions/i)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText(/include prs closed without merging/i));
+    expect(screen.getByText(/filtered 1 of 3 contributions/i)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: /generate review/i }));
+    await waitFor(() => expect(screen.getByText(/stop here/i)).toBeInTheDocument());
+    const [, init] = vi.mocked(fetch).mock.calls.find(([url]) => url === "/api/generate");
+    expect(JSON.parse(init.body).contributions.map((c) => c.id)).toEqual(["1", "3"]);
+  });
+
+  it("regenerates one story with feedback and keeps the rest of the review", async () => {
+    const story = (title) => ({ title, situation: "S", task: "T", actions: ["A"], results: ["R"], evidence: [] });
+    const review = (title) => ({
+      themes: { themes: [{ theme_id: "rel", theme_name: "Reliability" }] },
+      bullets: { bullets_by_theme: [], top_10_bullets_overall: [] },
+      stories: { stories: [story(title)] },
+      self_eval: { sections: { summary: { text: "Done" } } },
+    });
+    vi.mocked(fetch).mockImplementation((url) => {
+      if (String(url) === "/api/auth/me") return Promise.resolve(mockRes({}, false, 401));
+      if (String(url) === "/api/payments/config") return Promise.resolve(mockRes({ enabled: false }));
+      if (String(url) === "/api/generate") return Promise.resolve(mockRes({ job_id: "j1", premium: false }, true, 202));
+      if (String(url) === "/api/jobs/j1") return Promise.resolve(mockRes({ status: "done", result: review("Queue rewrite") }));
+      if (String(url) === "/api/generate/section") return Promise.resolve(mockRes({ job_id: "j2" }, true, 202));
+      if (String(url) === "/api/jobs/j2") return Promise.resolve(mockRes({ status: "done", result: review("Queue rewrite that cut costs 30%") }));
+      return Promise.reject(new Error("Unmocked: " + url));
+    });
+    render(<Generate />);
+    const evidence = { timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" }, contributions: [] };
+    fireEvent.change(screen.getByPlaceholderText(/timeframe.*contributions/), { target: { value: JSON.stringify(evidence) } });
+    fireEvent.click(screen.getByRole("button", { name: /generate review/i }));
+    fireEvent.click(await screen.findByRole("button", { name: 'Regenerate story "Queue rewrite" with feedback' }));
+    fireEvent.change(screen.getByLabelText('Feedback for story "Queue rewrite"'), {
+      target: { value: "focus more on the migration's cost savings" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Regenerate" }));
+    await screen.findByRole("button", { name: 'Regenerate story "Queue rewrite that cut costs 30%" with feedback' });
+    expect(screen.getByText("Reliability")).toBeInTheDocument();
+    const [, init] = vi.mocked(fetch).mock.calls.find(([url]) => url === "/api/generate/section");
+    expect(JSON.parse(init.body)).toEqual({
+      evidence,
+      previous: review("Queue rewrite"),
+      target: { step: "stories", story_index: 0 },
+      feedback: "focus more on the migration's cost savings",
+    });
+  });
+
+  it("answers the model's questions, saves them in the evidence and regenerates with them", async () => {
+    const review = (questions) => ({
+      themes: { themes: [{ theme_id: "rel", theme_name: "Reliability" }], missing_info_questions: questions },
+      bullets: { bullets_by_theme: [], top_10_bullets_overall: [], missing_info_questions: [] },
+      stories: { stories: [] },
+      self_eval: { sections: { summary: { text: "Done" } } },
+    });
+    let run = 0;
+    vi.mocked(fetch).mockImplementation((url) => {
+      if (String(url) === "/api/auth/me") return Promise.resolve(mockRes({}, false, 401));
+      if (String(url) === "/api/payments/config") return Promise.resolve(mockRes({ enabled: false }));
+      if (String(url) === "/api/generate") return Promise.resolve(mockRes({ job_id: `j${++run}`, premium: false }, true, 202));
+      if (String(url) === "/api/jobs/j1") {
+        return Promise.resolve(mockRes({ status: "done", result: review(["How many alerts per week before?", "Team size?"]) }));
+      }
+      if (String(url) === "/api/jobs/j2") return Promise.resolve(mockRes({ status: "done", result: review([]) }));
+      return Promise.reject(new Error("Unmocked: " + url));
+    });
+    render(<Generate />);
+    const evidence = { timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" }, contributions: [] };
+    fireEvent.change(screen.getByPlaceholderText(/timeframe.*contributions/), { target: { value: JSON.stringify(evidence) } });
+    fireEvent.click(screen.getByRole("button", { name: /generate review/i }));
+    const form = await screen.findByRole("region", { name: "Add context" });
+    expect(within(form).getByText(/2 questions/)).toBeInTheDocument();
+    const save = within(form).getByRole("button", { name: "Save answers and regenerate" });
+    expect(save).toBeDisabled();
+    fireEvent.change(within(form).getByLabelText("How many alerts per week before?"), { target: { value: "About 200" } });
+    fireEvent.click(save);
+
+    await waitFor(() => expect(screen.queryByRole("region", { name: "Add context" })).not.toBeInTheDocument());
+    const generateCalls = vi.mocked(fetch).mock.calls.filter(([url]) => url === "/api/generate");
+    expect(generateCalls).toHaveLength(2);
+    const context_answers = [{ question: "How many alerts per week before?", answer: "About 200" }];
+    expect(JSON.parse(generateCalls[1][1].body).context_answers).toEqual(context_answers);
+    expect(JSON.parse(screen.getByPlaceholderText(/timeframe.*contributions/).value).context_answers).toEqual(context_answers);
+  });
+
   it("Fetch my data: on API error shows message", async () => {
     vi.mocked(fetch)
       .mockResolvedValueOnce(mockRes({}, false, 401))           // /api/auth/me
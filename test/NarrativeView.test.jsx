@@ -2,8 +2,8 @@
  * @vitest-environment jsdom
  */
 import React from "react";
-import { describe, it, expect } from "vitest";
-import { render, screen, fireEvent } from "@testing-library/react";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
 import NarrativeView, { shortEvidenceLabel } from "../src/NarrativeView.tsx";
 
 const mockThemes = {
@@ -146,4 +146,47 @@ describe("NarrativeView", () => {
     const copyButtons = screen.getAllByRole("button", { name: /copy/i });
     expect(copyButtons.length).toBeGreaterThanOrEqual(1);
   });
+
+  it("shows the citation check and tags unverified claims", () => {
+    const bullets = {
+      bullets_by_theme: [{ theme_id: "arch", bullets: [{ text: "Cut costs by 40%.", evidence: [], unverified: true }] }],
+    };
+    const verification = {
+      references: 3,
+      valid: 2,
+      fixed: 1,
+      fabricated: 1,
+      unverified_claims: 1,
+      issues: [
+        { path: "bullets.bullets_by_theme[0].bullets[0]", kind: "fixed", id: "pr-12", detail: "id → org/repo#12" },
+        { path: "bullets.bullets_by_theme[0].bullets[0]", kind: "fabricated", id: "org/repo#999", detail: "cites no contribution in the evidence" },
+      ],
+    };
+    render(<NarrativeView themes={mockThemes} bullets={bullets} verification={verification} />);
+    expect(screen.getByRole("status")).toHaveTextContent("3 citations checked: 1 corrected, 1 fabricated removed, 1 claim unverified");
+    expect(screen.getByText("unverified")).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "Show details" }));
+    expect(screen.getByText(/org\/repo#999 cites no contribution/)).toBeInTheDocument();
+    expect(screen.queryByText(/id → org\/repo#12/)).not.toBeInTheDocument();
+  });
+
+  it("offers regenerate-with-feedback only when a handler is given, and shows its errors", async () => {
+    const { unmount } = render(<NarrativeView themes={mockThemes} bullets={mockBullets} />);
+    expect(screen.queryByRole("button", { name: /regenerate/i })).not.toBeInTheDocument();
+    unmount();
+
+    const onRegenerate = vi.fn().mockRejectedValueOnce(new Error("Impact bullets step failed")).mockResolvedValue();
+    render(<NarrativeView themes={mockThemes} bullets={mockBullets} onRegenerate={onRegenerate} />);
+    fireEvent.click(screen.getByRole("button", { name: "Regenerate bullets for Architecture with feedback" }));
+    const box = screen.getByLabelText("Feedback for bullets for Architecture");
+    expect(screen.getByRole("button", { name: "Regenerate" })).toBeDisabled();
+    fireEvent.change(box, { target: { value: "  Mention the cost savings " } });
+    fireEvent.click(screen.getByRole("button", { name: "Regenerate" }));
+    expect(await screen.findByRole("alert")).toHaveTextContent("Impact bullets step failed");
+    expect(onRegenerate).toHaveBeenCalledWith({ step: "bullets", theme_id: "arch" }, "Mention the cost savings");
+
+    fireEvent.click(screen.getByRole("button", { name: "Regenerate" }));
+    await waitFor(() => expect(screen.queryByLabelText("Feedback for bullets for Architecture")).not.toBeInTheDocument());
+    expect(onRegenerate).toHaveBeenCalledTimes(2);
+  });
 });
@@ -8,7 +8,8 @@ import {
   handleMe,
   handleLogout,
 } from "../lib/auth.js";
-import { createSession, getSession, destroySession } from "../lib/session-store.js";
+import { githubEndpoints } from "../lib/github-hosts.js";
+import { createSession, getSession, destroySession, addSessionConnection } from "../lib/session-store.js";
 
 describe("auth", () => {
   const clientId = "cid";
@@ -27,6 +28,11 @@ describe("auth", () => {
       expect(url).toContain("public_repo");
     });
 
+    it("uses the GHES host's authorize URL when given its endpoints", () => {
+      const url = getAuthRedirectUrl("private", "s", "https://x/cb", clientId, githubEndpoints("https://ghes.example.com"));
+      expect(url.startsWith("https://ghes.example.com/login/oauth/authorize?")).toBe(true);
+    });
+
     it("uses repo scope for private", () => {
       const url = getAuthRedirectUrl("private", "s", "https://x/cb", clientId);
       expect(url).toContain("scope=");
@@ -151,6 +157,98 @@ describe("auth", () => {
     });
   });
 
+  describe("GitHub Enterprise Server", () => {
+    it("githubEndpoints maps a GHES base URL to its API and OAuth URLs", () => {
+      expect(githubEndpoints("https://ghes.example.com/some/path")).toEqual({
+        baseUrl: "https://ghes.example.com",
+        host: "ghes.example.com",
+        authorizeUrl: "https://ghes.example.com/login/oauth/authorize",
+        tokenUrl: "https://ghes.example.com/login/oauth/access_token",
+        userUrl: "https://ghes.example.com/api/v3/user",
+        graphqlUrl: "https://ghes.example.com/api/graphql",
+      });
+      expect(githubEndpoints().graphqlUrl).toBe("https://api.github.com/graphql");
+    });
+
+    it("exchanges the code and fetches the user on the GHES host", async () => {
+      const ghes = githubEndpoints("https://ghes.example.com");
+      const fetchFn = vi.fn()
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ access_token: "ghe_tok" }) })
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ login: "bob-corp" }) });
+      await exchangeCodeForToken("c", "https://app/cb", clientId, clientSecret, fetchFn, ghes);
+      await getGitHubUser("ghe_tok", fetchFn, ghes);
+      expect(fetchFn.mock.calls.map(([url]) => url)).toEqual([
+        "https://ghes.example.com/login/oauth/access_token",
+        "https://ghes.example.com/api/v3/user",
+      ]);
+    });
+
+    it("callback attaches the GHES token to the signed-in session", async () => {
+      const sessionId = createSession({ access_token: "gho_dotcom", login: "bob" });
+      const res = { writeHead: vi.fn(), end: vi.fn(), setHeader: vi.fn() };
+      const req = { url: "/api/auth/callback/ghes?code=abc&state=st1", headers: {} };
+      const deps = {
+        getStateFromRequest: () => "st1",
+        clearStateCookie: vi.fn(),
+        setSessionCookie: vi.fn(),
+        createSession: vi.fn(),
+        exchangeCodeForToken: () => Promise.resolve("ghe_tok"),
+        getGitHubUser: () => Promise.resolve({ login: "bob-corp" }),
+        redirectUri: "https://app/api/auth/callback/ghes",
+        sessionSecret: secret,
+        githubUrl: "https://ghes.example.com",
+        connect: { getSessionIdFromRequest: () => sessionId, addSessionConnection },
+      };
+      await handleCallback(req, res, deps);
+      expect(deps.createSession).not.toHaveBeenCalled();
+      expect(deps.setSessionCookie).not.toHaveBeenCalled();
+      expect(getSession(sessionId)).toMatchObject({
+        access_token: "gho_dotcom",
+        connections: [{ github_url: "https://ghes.example.com", access_token: "ghe_tok", login: "bob-corp" }],
+      });
+      expect(res.writeHead).toHaveBeenCalledWith(302, { Location: "/generate" });
+    });
+
+    it("callback without a session signs in with the GHES host", async () => {
+      const res = { writeHead: vi.fn(), end: vi.fn(), setHeader: vi.fn() };
+      const req = { url: "/api/auth/callback/ghes?code=abc&state=st1", headers: {} };
+      const deps = {
+        getStateFromRequest: () => "st1",
+        clearStateCookie: vi.fn(),
+        setSessionCookie: vi.fn(),
+        createSession: vi.fn(() => "sess_new"),
+        exchangeCodeForToken: () => Promise.resolve("ghe_tok"),
+        getGitHubUser: () => Promise.resolve({ login: "bob-corp" }),
+        redirectUri: "https://app/api/auth/callback/ghes",
+        sessionSecret: secret,
+        githubUrl: "https://ghes.example.com",
+        connect: { getSessionIdFromRequest: () => null, addSessionConnection },
+      };
+      await handleCallback(req, res, deps);
+      expect(deps.createSession).toHaveBeenCalledWith(
+        expect.objectContaining({ access_token: "ghe_tok", login: "bob-corp", github_url: "https://ghes.example.com" })
+      );
+    });
+
+    it("handleMe lists connected hosts without their tokens", () => {
+      const res = { writeHead: vi.fn(), end: vi.fn(), setHeader: vi.fn() };
+      handleMe({ headers: {} }, res, {
+        getSessionIdFromRequest: () => "s",
+        getSession: () => ({
+          login: "bob",
+          connections: [{ github_url: "https://ghes.example.com", access_token: "secret", login: "bob-corp" }],
+        }),
+        ghesUrl: "https://ghes.example.com",
+      });
+      const body = JSON.parse(res.end.mock.calls[0][0]);
+      expect(body).toEqual({
+        login: "bob",
+        connections: [{ github_url: "https://ghes.example.com", login: "bob-corp" }],
+        ghes_url: "https://ghes.example.com",
+      });
+    });
+  });
+
   describe("handleMe", () => {
     it("returns login and scope when session valid", () => {
       const id = createSession({ access_token: "t", login: "user1", scope: "read:user" });
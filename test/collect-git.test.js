@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { writeFileSync, mkdirSync, rmSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { randomUUID } from "crypto";
+import { execFileSync } from "child_process";
+import { collectGit, parseRemoteUrl, parseArgs } from "../scripts/collect-git.ts";
+import { normalize } from "../scripts/normalize.ts";
+
+describe("parseRemoteUrl", () => {
+  it("reads host and path from scp-style, ssh and https remotes", () => {
+    expect(parseRemoteUrl("git@github.com:org/app.git")).toEqual({ host: "github.com", path: "org/app" });
+    expect(parseRemoteUrl("ssh://git@git.internal:2222/team/app.git")).toEqual({ host: "git.internal", path: "team/app" });
+    expect(parseRemoteUrl("https://me@gitlab.example.com/group/sub/app\n")).toEqual({
+      host: "gitlab.example.com",
+      path: "group/sub/app",
+    });
+    expect(parseRemoteUrl("/srv/git/app.git")).toBeNull();
+  });
+});
+
+describe("parseArgs", () => {
+  it("parses repos, author and dates", () => {
+    const args = parseArgs(["--repos", "../a,../b", "--author", "me@x.com", "--start", "2025-01-01", "--end", "2025-12-31"]);
+    expect(args).toMatchObject({ repos: "../a,../b", author: "me@x.com", start: "2025-01-01", end: "2025-12-31" });
+  });
+});
+
+describe("collectGit", () => {
+  let dir;
+  const git = (...args) => execFileSync("git", ["-C", dir, ...args], { encoding: "utf8" });
+  const commit = (file, message, email, date) => {
+    writeFileSync(join(dir, file), `${message}\n`);
+    git("add", file);
+    execFileSync("git", ["-C", dir, "commit", "-q", "-m", message], {
+      env: {
+        ...process.env,
+        GIT_AUTHOR_NAME: email,
+        GIT_AUTHOR_EMAIL: email,
+        GIT_AUTHOR_DATE: date,
+        GIT_COMMITTER_NAME: email,
+        GIT_COMMITTER_EMAIL: email,
+        GIT_COMMITTER_DATE: date,
+      },
+    });
+  };
+
+  beforeAll(() => {
+    dir = join(tmpdir(), `collect-git-${randomUUID()}`);
+    mkdirSync(dir, { recursive: true });
+    git("init", "-q", "-b", "main");
+    git("config", "user.email", "me@example.com");
+    git("remote", "add", "origin", "git@github.com:org/app.git");
+    commit("README.md", "Initial commit", "me@example.com", "2024-12-01T10:00:00Z");
+    // Merged branch with two of my commits.
+    git("checkout", "-q", "-b", "feature");
+    mkdirSync(join(dir, "src"));
+    commit("src/retry.ts", "Add retry helper", "me@example.com", "2025-02-01T10:00:00Z");
+    commit("src/retry.test.ts", "Test retry helper", "me@example.com", "2025-02-02T10:00:00Z");
+    git("checkout", "-q", "main");
+    commit("other.md", "Someone else's change", "ann@example.com", "2025-02-03T10:00:00Z");
+    execFileSync(
+      "git",
+      ["-C", dir, "merge", "-q", "--no-ff", "feature", "-m", "Merge pull request #12 from me/feature", "-m", "Retry flaky uploads"],
+      { env: { ...process.env, GIT_COMMITTER_DATE: "2025-02-04T10:00:00Z", GIT_AUTHOR_DATE: "2025-02-04T10:00:00Z" } }
+    );
+    // Squash merge and a direct commit.
+    commit("squash.ts", "Speed up search (#15)", "me@example.com", "2025-03-01T10:00:00Z");
+    commit("notes.md", "Fix typo in notes", "ME@example.com", "2025-04-01T10:00:00Z");
+    commit("late.md", "Out of range", "me@example.com", "2026-01-05T10:00:00Z");
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("groups the user's commits under merge and squash PRs and keeps the rest as commits", () => {
+    const raw = collectGit({ repos: [dir], start: "2025-01-01", end: "2025-12-31" });
+    expect(raw.authors).toEqual(["me@example.com"]);
+    expect(raw.repos[0]).toMatchObject({ full_name: "org/app", web_url: "https://github.com/org/app" });
+
+    const merged = raw.pull_requests.find((p) => p.number === 12);
+    expect(merged).toMatchObject({
+      title: "Retry flaky uploads",
+      html_url: "https://github.com/org/app/pull/12",
+      created_at: "2025-02-01T10:00:00Z",
+      merged_at: "2025-02-04T10:00:00Z",
+      changed_files: 2,
+      additions: 2,
+      base: { repo: { full_name: "org/app" } },
+    });
+    expect(merged.files.map((f) => f.filename)).toEqual(["src/retry.test.ts", "src/retry.ts"]);
+    expect(merged.commits).toHaveLength(2);
+
+    const squash = raw.pull_requests.find((p) => p.number === 15);
+    expect(squash).toMatchObject({ title: "Speed up search", changed_files: 1 });
+
+    const subjects = raw.commits.map((c) => c.commit.message);
+    expect(subjects).toContain("Fix typo in notes");
+    expect(subjects).not.toContain("Someone else's change");
+    expect(subjects).not.toContain("Out of range");
+  });
+
+  it("produces raw data normalize turns into PRs and orphan commits", () => {
+    const raw = collectGit({ repos: [dir], start: "2025-01-01", end: "2025-12-31", authors: ["me@example.com"] });
+    const { contributions } = normalize(raw, "2025-01-01", "2025-12-31");
+    const prs = contributions.filter((c) => c.type === "pull_request").map((c) => c.id);
+    expect(prs.sort()).toEqual(["org/app#12", "org/app#15"]);
+    const others = contributions.filter((c) => c.type !== "pull_request");
+    expect(others.map((c) => [c.type, c.title])).toEqual([["commit", "Fix typo in notes"]]);
+    // Local git data is tagged as such, and PRs list their commits for merge-evidence.
+    expect(new Set(contributions.map((c) => c.source))).toEqual(new Set(["git"]));
+    expect(contributions.find((c) => c.id === "org/app#12").meta.commits).toHaveLength(2);
+  });
+
+  it("asks for --author when the repo has no user.email configured", () => {
+    const bare = join(tmpdir(), `collect-git-${randomUUID()}`);
+    mkdirSync(bare, { recursive: true });
+    execFileSync("git", ["-C", bare, "init", "-q"]);
+    const saved = { global: process.env.GIT_CONFIG_GLOBAL, nosystem: process.env.GIT_CONFIG_NOSYSTEM };
+    process.env.GIT_CONFIG_GLOBAL = "/dev/null";
+    process.env.GIT_CONFIG_NOSYSTEM = "1";
+    try {
+      expect(() => collectGit({ repos: [bare], start: "2025-01-01", end: "2025-12-31" })).toThrow(
+        `No --author given and no user.email configured in ${bare}`
+      );
+    } finally {
+      for (const [key, value] of [["GIT_CONFIG_GLOBAL", saved.global], ["GIT_CONFIG_NOSYSTEM", saved.nosystem]]) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+      rmSync(bare, { recursive: true, force: true });
+    }
+  });
+
+  it("filters by the given author emails", () => {
+    const raw = collectGit({ repos: [dir], start: "2025-01-01", end: "2025-12-31", authors: ["ann@example.com"] });
+    expect(raw.pull_requests).toHaveLength(0);
+    expect(raw.commits.map((c) => c.commit.message)).toEqual(["Someone else's change"]);
+  });
+
+  it("fails clearly for a path that is not a git repository", () => {
+    const notRepo = join(tmpdir(), `not-a-repo-${randomUUID()}`);
+    mkdirSync(notRepo);
+    try {
+      expect(() => collectGit({ repos: [notRepo], start: "2025-01-01", end: "2025-12-31" })).toThrow(/git rev-parse failed/);
+    } finally {
+      rmSync(notRepo, { recursive: true, force: true });
+    }
+  });
+});
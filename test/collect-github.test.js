@@ -1,7 +1,22 @@
 import { describe, it, expect, vi } from "vitest";
-import { collectRawGraphQL, parseArgs } from "../scripts/collect-github.ts";
+import { mkdtempSync, readdirSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { collectRawGraphQL, discoverRepos, mergeRawResults, parseArgs, splitDateRange } from "../scripts/collect-github.ts";
 import { normalize } from "../scripts/normalize.ts";
 
+/** Empty search page, used for collection passes a test does not exercise. */
+function emptySearchRes() {
+  return Promise.resolve({
+    ok: true,
+    json: () =>
+      Promise.resolve({
+        data: { search: { edges: [], pageInfo: { endCursor: null, hasNextPage: false } } },
+      }),
+    text: () => Promise.resolve(""),
+  });
+}
+
 describe("parseArgs", () => {
   it("parses --start, --end, --output, --no-reviews", () => {
     const orig = process.argv.slice(2);
@@ -13,6 +28,35 @@ describe("parseArgs", () => {
     expect(out.noReviews).toBe(true);
     process.argv = ["node", "collect-github.js", ...orig];
   });
+
+  it("parses --since-last-run, --cache-dir and --no-cache", () => {
+    const out = parseArgs(["--since-last-run", "--cache-dir", "/tmp/cache", "--no-cache"]);
+    expect(out).toMatchObject({ sinceLastRun: true, cacheDir: "/tmp/cache", noCache: true });
+  });
+});
+
+describe("splitDateRange", () => {
+  it("splits a multi-month range into calendar months", () => {
+    expect(splitDateRange("2025-01-15", "2025-03-10")).toEqual([
+      ["2025-01-15", "2025-01-31"],
+      ["2025-02-01", "2025-02-28"],
+      ["2025-03-01", "2025-03-10"],
+    ]);
+  });
+
+  it("splits a range within one month into weeks, and a week into days", () => {
+    expect(splitDateRange("2025-02-01", "2025-02-28")).toEqual([
+      ["2025-02-01", "2025-02-07"],
+      ["2025-02-08", "2025-02-14"],
+      ["2025-02-15", "2025-02-21"],
+      ["2025-02-22", "2025-02-28"],
+    ]);
+    expect(splitDateRange("2025-02-01", "2025-02-03")).toEqual([
+      ["2025-02-01", "2025-02-01"],
+      ["2025-02-02", "2025-02-02"],
+      ["2025-02-03", "2025-02-03"],
+    ]);
+  });
 });
 
 describe("collectRawGraphQL", () => {
@@ -27,6 +71,7 @@ describe("collectRawGraphQL", () => {
           text: () => Promise.resolve(""),
         });
       }
+      if (body.variables?.q?.startsWith("reviewed-by:")) return emptySearchRes();
       if (query.includes("search")) {
         return Promise.resolve({
           ok: true,
@@ -43,6 +88,10 @@ describe("collectRawGraphQL", () => {
                         body: "Description",
                         url: "https://github.com/org/repo/pull/42",
                         mergedAt: "2025-06-01T12:00:00Z",
+                        closedAt: "2025-06-01T12:00:00Z",
+                        state: "MERGED",
+                        isDraft: false,
+                        headRefName: "fix-bug",
                         additions: 10,
                         deletions: 2,
                         changedFiles: 3,
@@ -89,6 +138,10 @@ describe("collectRawGraphQL", () => {
       body: "Description",
       html_url: "https://github.com/org/repo/pull/42",
       merged_at: "2025-06-01T12:00:00Z",
+      state: "closed",
+      draft: false,
+      closed_at: "2025-06-01T12:00:00Z",
+      head: { ref: "fix-bug" },
       base: { repo: { full_name: "org/repo" } },
       labels: [{ name: "bug" }],
       changed_files: 3,
@@ -104,7 +157,8 @@ describe("collectRawGraphQL", () => {
       repository: { full_name: "org/repo" },
       pull_number: 42,
     });
-    expect(mockFetch).toHaveBeenCalledTimes(2);
+    // viewer, authored PRs, reviewed-by, issues, issue comments, releases
+    expect(mockFetch).toHaveBeenCalledTimes(6);
   });
 
   it("with noReviews omits reviews from output", async () => {
@@ -155,6 +209,7 @@ describe("collectRawGraphQL", () => {
           text: () => Promise.resolve(""),
         });
       }
+      if (body.variables?.q?.startsWith("reviewed-by:")) return emptySearchRes();
       return Promise.resolve({
         ok: true,
         json: () =>
@@ -201,4 +256,518 @@ describe("collectRawGraphQL", () => {
     expect(types).toContain("pull_request");
     expect(types).toContain("review");
   });
+
+  it("collects reviews the viewer gave on other people's PRs", async () => {
+    const mockFetch = vi.fn().mockImplementation((url, opts) => {
+      const body = JSON.parse(opts?.body ?? "{}");
+      const query = body.query ?? "";
+      if (query.includes("viewer")) {
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ data: { viewer: { login: "me" } } }),
+          text: () => Promise.resolve(""),
+        });
+      }
+      if (!body.variables?.q?.startsWith("reviewed-by:")) return emptySearchRes();
+      return Promise.resolve({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            data: {
+              search: {
+                edges: [
+                  {
+                    node: {
+                      __typename: "PullRequest",
+                      number: 7,
+                      title: "Migrate billing tables",
+                      url: "https://github.com/org/billing/pull/7",
+                      baseRepository: { nameWithOwner: "org/billing" },
+                      reviews: {
+                        nodes: [
+                          {
+                            id: "PRR_in",
+                            body: "Needs a rollback plan",
+                            state: "CHANGES_REQUESTED",
+                            submittedAt: "2025-03-02T10:00:00Z",
+                            url: "https://github.com/org/billing/pull/7#pullrequestreview-1",
+                            comments: { nodes: [{ body: "Lock timeout?", path: "db/migrate.sql", url: "https://github.com/org/billing/pull/7#discussion_r1" }] },
+                          },
+                          {
+                            id: "PRR_out",
+                            body: "Old review",
+                            state: "COMMENTED",
+                            submittedAt: "2024-11-30T10:00:00Z",
+                            url: "https://github.com/org/billing/pull/7#pullrequestreview-0",
+                          },
+                        ],
+                      },
+                    },
+                  },
+                ],
+                pageInfo: { endCursor: null, hasNextPage: false },
+              },
+            },
+          }),
+        text: () => Promise.resolve(""),
+      });
+    });
+
+    const raw = await collectRawGraphQL({
+      start: "2025-01-01",
+      end: "2025-12-31",
+      token: "t",
+      fetchFn: mockFetch,
+    });
+    const reviewedCall = mockFetch.mock.calls
+      .map(([, opts]) => JSON.parse(opts.body))
+      .find((b) => b.variables?.q?.startsWith("reviewed-by:"));
+    expect(reviewedCall.variables.q).toContain("-author:me");
+    expect(reviewedCall.variables.login).toBe("me");
+    expect(raw.login).toBe("me");
+    expect(raw.reviews).toHaveLength(1);
+    expect(raw.reviews[0]).toMatchObject({
+      id: "PRR_in",
+      state: "CHANGES_REQUESTED",
+      author: { login: "me" },
+      repository: { full_name: "org/billing" },
+      pull_number: 7,
+      pull_request: { title: "Migrate billing tables", html_url: "https://github.com/org/billing/pull/7" },
+      comments: [{ body: "Lock timeout?", path: "db/migrate.sql" }],
+    });
+
+    const evidence = normalize(raw, "2025-01-01", "2025-12-31");
+    expect(evidence.contributions).toHaveLength(1);
+    expect(evidence.contributions[0]).toMatchObject({
+      id: "org/billing#7-PRR_in",
+      type: "review",
+      title: "Reviewed: Migrate billing tables",
+      repo: "org/billing",
+      review_comments_count: 1,
+      approvals_count: 0,
+    });
+    expect(evidence.contributions[0].body).toContain("db/migrate.sql: Lock timeout?");
+  });
+
+  it("with noReviews skips the reviewed-by pass", async () => {
+    const mockFetch = vi.fn().mockImplementation((url, opts) => {
+      const body = JSON.parse(opts?.body ?? "{}");
+      if ((body.query ?? "").includes("viewer")) {
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ data: { viewer: { login: "me" } } }),
+          text: () => Promise.resolve(""),
+        });
+      }
+      return emptySearchRes();
+    });
+    await collectRawGraphQL({
+      start: "2025-01-01",
+      end: "2025-12-31",
+      noReviews: true,
+      noIssues: true,
+      noIssueComments: true,
+      noReleases: true,
+      token: "t",
+      fetchFn: mockFetch,
+    });
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("collects authored issues, substantive issue comments and published releases", async () => {
+    const longComment = "Proposal: split the ingest worker so retries do not block the main queue. ".repeat(2);
+    const mockFetch = vi.fn().mockImplementation((url, opts) => {
+      const body = JSON.parse(opts?.body ?? "{}");
+      const query = body.query ?? "";
+      const ok = (data) => Promise.resolve({ ok: true, json: () => Promise.resolve({ data }), text: () => Promise.resolve("") });
+      if (query.includes("issueComments")) {
+        return ok({
+          viewer: {
+            issueComments: {
+              nodes: [
+                { id: "IC_1", body: longComment, url: "https://github.com/org/app/issues/5#issuecomment-1", createdAt: "2025-04-01T00:00:00Z", updatedAt: "2025-04-01T00:00:00Z", issue: { number: 5, title: "Ingest is slow", url: "https://github.com/org/app/issues/5", repository: { nameWithOwner: "org/app" } }, pullRequest: null },
+                { id: "IC_2", body: "+1", url: "https://x", createdAt: "2025-03-01T00:00:00Z", updatedAt: "2025-03-01T00:00:00Z", issue: { number: 6, title: "t", url: "https://x", repository: { nameWithOwner: "org/app" } }, pullRequest: null },
+                { id: "IC_3", body: longComment, url: "https://x", createdAt: "2025-02-01T00:00:00Z", updatedAt: "2025-02-01T00:00:00Z", issue: { number: 7, title: "t", url: "https://x", repository: { nameWithOwner: "org/app" } }, pullRequest: { number: 7 } },
+                { id: "IC_4", body: longComment, url: "https://x", createdAt: "2024-06-01T00:00:00Z", updatedAt: "2024-06-01T00:00:00Z", issue: { number: 8, title: "t", url: "https://x", repository: { nameWithOwner: "org/app" } }, pullRequest: null },
+              ],
+              pageInfo: { endCursor: "c2", hasNextPage: true },
+            },
+          },
+        });
+      }
+      if (query.includes("repositories")) {
+        return ok({
+          viewer: {
+            repositories: {
+              nodes: [
+                {
+                  nameWithOwner: "org/app",
+                  pushedAt: "2025-09-01T00:00:00Z",
+                  releases: {
+                    nodes: [
+                      { id: "RE_1", name: "v2.0", tagName: "v2.0.0", description: "Big release", url: "https://github.com/org/app/releases/tag/v2.0.0", publishedAt: "2025-08-01T00:00:00Z", author: { login: "me" } },
+                      { id: "RE_2", name: "v1.9", tagName: "v1.9.0", description: "", url: "https://x", publishedAt: "2025-07-01T00:00:00Z", author: { login: "someone-else" } },
+                    ],
+                  },
+                },
+              ],
+              pageInfo: { endCursor: null, hasNextPage: false },
+            },
+          },
+        });
+      }
+      if (query.includes("viewer")) return ok({ viewer: { login: "me" } });
+      if (body.variables?.q?.includes("type:issue")) {
+        return ok({
+          search: {
+            edges: [
+              { node: { __typename: "Issue", number: 5, title: "Ingest is slow", body: "Design notes", url: "https://github.com/org/app/issues/5", state: "OPEN", createdAt: "2025-03-30T00:00:00Z", closedAt: null, repository: { nameWithOwner: "org/app" }, labels: { nodes: [{ name: "design" }] }, comments: { totalCount: 4 } } },
+            ],
+            pageInfo: { endCursor: null, hasNextPage: false },
+          },
+        });
+      }
+      return emptySearchRes();
+    });
+
+    const raw = await collectRawGraphQL({ start: "2025-01-01", end: "2025-12-31", token: "t", fetchFn: mockFetch });
+    expect(raw.issues).toHaveLength(1);
+    expect(raw.issues[0]).toMatchObject({ number: 5, repository: { full_name: "org/app" }, labels: [{ name: "design" }], comments: 4 });
+    // Short, PR and out-of-range comments dropped; paging stops once comments predate the window.
+    expect(raw.issue_comments.map((c) => c.id)).toEqual(["IC_1"]);
+    expect(mockFetch.mock.calls.filter(([, o]) => o.body.includes("issueComments"))).toHaveLength(1);
+    expect(raw.releases).toHaveLength(1);
+    expect(raw.releases[0]).toMatchObject({ tag_name: "v2.0.0", repository: { full_name: "org/app" } });
+
+    const evidence = normalize(raw, "2025-01-01", "2025-12-31");
+    const ids = evidence.contributions.map((c) => c.id);
+    expect(ids).toEqual(expect.arrayContaining(["org/app#5", "org/app#5-comment-IC_1", "org/app#RE_1"]));
+    const comment = evidence.contributions.find((c) => c.id === "org/app#5-comment-IC_1");
+    expect(comment).toMatchObject({ type: "comment", title: "Comment on Ingest is slow", linked_issues: ["org/app#5"] });
+  });
+
+  it("pages a repo's releases until they predate the window", async () => {
+    const release = (n, publishedAt) => ({
+      id: `RE_${n}`, name: `v${n}`, tagName: `v${n}.0.0`, description: "", url: `https://github.com/org/app/releases/tag/v${n}`, publishedAt, author: { login: "me" },
+    });
+    const ok = (data) => Promise.resolve({ ok: true, json: () => Promise.resolve({ data }), text: () => Promise.resolve("") });
+    const mockFetch = vi.fn().mockImplementation((url, opts) => {
+      const body = JSON.parse(opts?.body ?? "{}");
+      const query = body.query ?? "";
+      if (query.includes("repository(owner")) {
+        // Page 2 still reaches into the window; page 3 starts before it, so paging stops there.
+        const page = body.variables.after === "r1"
+          ? { nodes: [release(3, "2025-11-01T00:00:00Z")], pageInfo: { endCursor: "r2", hasNextPage: true } }
+          : { nodes: [release(2, "2024-12-01T00:00:00Z")], pageInfo: { endCursor: "r3", hasNextPage: true } };
+        return ok({ repository: { releases: page } });
+      }
+      if (query.includes("repositories")) {
+        return ok({
+          viewer: {
+            repositories: {
+              nodes: [
+                {
+                  nameWithOwner: "org/app",
+                  pushedAt: "2026-03-01T00:00:00Z",
+                  // Newest releases shipped after the window ended fill the first page.
+                  releases: { nodes: [release(5, "2026-02-01T00:00:00Z"), release(4, "2026-01-15T00:00:00Z")], pageInfo: { endCursor: "r1", hasNextPage: true } },
+                },
+              ],
+              pageInfo: { endCursor: null, hasNextPage: false },
+            },
+          },
+        });
+      }
+      if (query.includes("viewer")) return ok({ viewer: { login: "me" } });
+      return emptySearchRes();
+    });
+    const raw = await collectRawGraphQL({
+      start: "2025-01-01", end: "2025-12-31", noReviews: true, noIssues: true, noIssueComments: true, token: "t", fetchFn: mockFetch,
+    });
+    expect(raw.releases.map((r) => r.tag_name)).toEqual(["v3.0.0"]);
+    const pages = mockFetch.mock.calls.map(([, o]) => JSON.parse(o.body)).filter((b) => b.query.includes("repository(owner"));
+    expect(pages.map((b) => [b.variables.owner, b.variables.name, b.variables.after])).toEqual([
+      ["org", "app", "r1"],
+      ["org", "app", "r2"],
+    ]);
+  });
+
+  it("skips issues, issue comments and releases when their flags are set", async () => {
+    const mockFetch = vi.fn().mockImplementation((url, opts) => {
+      const body = JSON.parse(opts?.body ?? "{}");
+      if ((body.query ?? "").includes("viewer")) {
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ data: { viewer: { login: "me" } } }),
+          text: () => Promise.resolve(""),
+        });
+      }
+      return emptySearchRes();
+    });
+    const raw = await collectRawGraphQL({
+      start: "2025-01-01",
+      end: "2025-12-31",
+      noIssues: true,
+      noIssueComments: true,
+      noReleases: true,
+      token: "t",
+      fetchFn: mockFetch,
+    });
+    expect(mockFetch).toHaveBeenCalledTimes(3);
+    expect(raw.issues).toEqual([]);
+    expect(raw.issue_comments).toEqual([]);
+    expect(raw.releases).toEqual([]);
+  });
+
+  it("splits search windows over the 1,000-result cap and de-duplicates results", async () => {
+    const pr = (number) => ({
+      __typename: "PullRequest",
+      number,
+      title: `PR ${number}`,
+      body: "",
+      url: `https://github.com/org/app/pull/${number}`,
+      mergedAt: "2025-01-02T00:00:00Z",
+      additions: 1,
+      deletions: 0,
+      changedFiles: 1,
+      baseRepository: { nameWithOwner: "org/app" },
+      labels: { nodes: [] },
+      reviews: { nodes: [] },
+    });
+    const counts = {
+      "2025-01-01..2025-02-28": 1500,
+      "2025-01-01..2025-01-31": 700,
+      "2025-02-01..2025-02-28": 1200,
+      "2025-02-01..2025-02-07": 1001,
+      "2025-02-01..2025-02-01": 1001,
+    };
+    const mockFetch = vi.fn().mockImplementation((url, opts) => {
+      const body = JSON.parse(opts?.body ?? "{}");
+      const q = body.variables?.q ?? "";
+      if ((body.query ?? "").includes("viewer")) {
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({ data: { viewer: { login: "me" } } }), text: () => Promise.resolve("") });
+      }
+      if (!q.startsWith("author:me type:pr")) return emptySearchRes();
+      const range = q.match(/created:(\S+)/)[1];
+      // PR 1 shows up in every window; the full-range window's results are discarded after splitting.
+      return Promise.resolve({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            data: {
+              search: {
+                issueCount: counts[range] ?? 10,
+                edges: [{ node: pr(1) }, { node: pr(range === "2025-01-01..2025-01-31" ? 2 : 3) }],
+                pageInfo: { endCursor: null, hasNextPage: false },
+              },
+            },
+          }),
+        text: () => Promise.resolve(""),
+      });
+    });
+    const progress = [];
+    const raw = await collectRawGraphQL({
+      start: "2025-01-01",
+      end: "2025-02-28",
+      noReviews: true,
+      noIssues: true,
+      noIssueComments: true,
+      noReleases: true,
+      token: "t",
+      fetchFn: mockFetch,
+      onProgress: (message) => progress.push(message),
+    });
+    expect(raw.pull_requests.map((p) => p.number).sort()).toEqual([1, 2, 3]);
+    // January, 2025-02-01 (still over the cap), the six other days of week one, and weeks two to four.
+    expect(raw.search_windows.windows).toBe(11);
+    expect(raw.search_windows.overflowed).toEqual(["2025-02-01"]);
+    expect(progress[0]).toBe(
+      "Pull requests: queried 11 date windows; still over 1000 results (truncated): 2025-02-01"
+    );
+  });
+
+  it("talks to a GHES host's GraphQL endpoint and marks the output with its host", async () => {
+    const mockFetch = vi.fn().mockImplementation((url, opts) => {
+      const body = JSON.parse(opts?.body ?? "{}");
+      if ((body.query ?? "").includes("viewer")) {
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({ data: { viewer: { login: "me" } } }), text: () => Promise.resolve("") });
+      }
+      return emptySearchRes();
+    });
+    const raw = await collectRawGraphQL({
+      start: "2025-01-01",
+      end: "2025-01-31",
+      noReviews: true,
+      noIssues: true,
+      noIssueComments: true,
+      noReleases: true,
+      token: "t",
+      fetchFn: mockFetch,
+      githubUrl: "https://ghes.example.com",
+    });
+    expect(mockFetch.mock.calls.every(([url]) => url === "https://ghes.example.com/api/graphql")).toBe(true);
+    expect(raw.host).toBe("ghes.example.com");
+  });
+
+  describe("checkpoints", () => {
+    const pr = (number) => ({
+      __typename: "PullRequest",
+      number,
+      title: `PR ${number}`,
+      body: "",
+      url: `https://github.com/org/app/pull/${number}`,
+      mergedAt: "2024-03-02T00:00:00Z",
+      baseRepository: { nameWithOwner: "org/app" },
+      labels: { nodes: [] },
+      reviews: { nodes: [] },
+    });
+    const ok = (data) => Promise.resolve({ ok: true, json: () => Promise.resolve({ data }), text: () => Promise.resolve("") });
+
+    /** Two pages of authored PRs; the second page fails with bad credentials while failSecondPage is set. */
+    function pagedFetch(state) {
+      return vi.fn().mockImplementation((url, opts) => {
+        const body = JSON.parse(opts?.body ?? "{}");
+        if ((body.query ?? "").includes("viewer")) return ok({ viewer: { login: "me" } });
+        if (!body.variables.after) {
+          return ok({ search: { issueCount: 2, edges: [{ node: pr(1) }], pageInfo: { endCursor: "c1", hasNextPage: true } } });
+        }
+        if (state.failSecondPage) {
+          return Promise.resolve({ ok: false, status: 401, text: () => Promise.resolve("Bad credentials") });
+        }
+        return ok({ search: { issueCount: 2, edges: [{ node: pr(2) }], pageInfo: { endCursor: null, hasNextPage: false } } });
+      });
+    }
+
+    const opts = { start: "2024-03-01", end: "2024-03-31", noReviews: true, noIssues: true, noIssueComments: true, noReleases: true, token: "t" };
+
+    it("resumes from the last cursor after a failure, then clears the checkpoints so a re-run fetches fresh data", async () => {
+      const dir = mkdtempSync(join(tmpdir(), "collect-checkpoint-"));
+      try {
+        const state = { failSecondPage: true };
+        await expect(collectRawGraphQL({ ...opts, fetchFn: pagedFetch(state), checkpointDir: dir })).rejects.toThrow("401");
+
+        state.failSecondPage = false;
+        const resumed = pagedFetch(state);
+        const raw = await collectRawGraphQL({ ...opts, fetchFn: resumed, checkpointDir: dir });
+        expect(raw.pull_requests.map((p) => p.number)).toEqual([1, 2]);
+        const searchCalls = resumed.mock.calls.map(([, o]) => JSON.parse(o.body)).filter((b) => b.variables?.q);
+        expect(searchCalls.map((b) => b.variables.after)).toEqual(["c1"]);
+
+        expect(readdirSync(dir)).toEqual([]);
+
+        const rerun = pagedFetch(state);
+        const again = await collectRawGraphQL({ ...opts, fetchFn: rerun, checkpointDir: dir });
+        expect(again.pull_requests).toHaveLength(2);
+        expect(rerun).toHaveBeenCalledTimes(3); // viewer and both pages again
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("with updatedSince only searches items updated since the previous run", async () => {
+      const fetchFn = pagedFetch({ failSecondPage: false });
+      const raw = await collectRawGraphQL({ ...opts, fetchFn, updatedSince: "2024-03-20" });
+      expect(JSON.parse(fetchFn.mock.calls[1][1].body).variables.q).toBe(
+        "author:me type:pr created:2024-03-01..2024-03-31 updated:>=2024-03-20"
+      );
+      expect(raw.collected_at).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    });
+  });
+});
+
+describe("mergeRawResults", () => {
+  const base = { login: "me", collected_at: "2025-06-01T00:00:00Z", search_windows: { windows: 1, overflowed: [] }, reviews: [], issue_comments: [], releases: [] };
+  const pr = (number, title) => ({ number, title, base: { repo: { full_name: "org/app" } } });
+
+  it("replaces re-fetched items, keeps the rest and widens the timeframe", () => {
+    const previous = {
+      ...base,
+      timeframe: { start_date: "2025-01-01", end_date: "2025-05-31" },
+      pull_requests: [pr(1, "old"), pr(2, "untouched")],
+      issues: [{ number: 9, title: "issue", repository: { full_name: "org/app" } }],
+      reviews: [{ id: "R1", state: "COMMENTED" }],
+    };
+    const update = {
+      ...base,
+      collected_at: "2025-07-01T00:00:00Z",
+      timeframe: { start_date: "2025-01-01", end_date: "2025-06-30" },
+      pull_requests: [pr(1, "new"), pr(3, "added")],
+      issues: [],
+      reviews: [{ id: "R1", state: "APPROVED" }, { id: "R2", state: "COMMENTED" }],
+    };
+    const merged = mergeRawResults(previous, update);
+    expect(merged.timeframe).toEqual({ start_date: "2025-01-01", end_date: "2025-06-30" });
+    expect(merged.collected_at).toBe("2025-07-01T00:00:00Z");
+    expect(merged.pull_requests.map((p) => `${p.number}:${p.title}`)).toEqual(["2:untouched", "1:new", "3:added"]);
+    expect(merged.issues).toHaveLength(1);
+    expect(merged.reviews.map((r) => `${r.id}:${r.state}`)).toEqual(["R1:APPROVED", "R2:COMMENTED"]);
+  });
+
+  it("refuses to merge runs for different users", () => {
+    const run = { ...base, timeframe: { start_date: "2025-01-01", end_date: "2025-01-31" }, pull_requests: [], issues: [] };
+    expect(() => mergeRawResults(run, { ...run, login: "someone-else" })).toThrow(/different users/);
+  });
+});
+
+describe("repo scope", () => {
+  const prNode = (repo, number) => ({
+    __typename: "PullRequest",
+    number,
+    title: `PR ${number}`,
+    body: "",
+    url: `https://github.com/${repo}/pull/${number}`,
+    createdAt: "2025-03-01T00:00:00Z",
+    mergedAt: "2025-03-02T00:00:00Z",
+    state: "MERGED",
+    baseRepository: { nameWithOwner: repo },
+    labels: { nodes: [] },
+    reviews: { nodes: [] },
+  });
+  const json = (data) => Promise.resolve({ ok: true, json: () => Promise.resolve({ data }), text: () => Promise.resolve("") });
+  /** Viewer "me"; authored-PR searches return nodes, everything else is empty. */
+  function scopeFetch(nodes) {
+    return vi.fn().mockImplementation((url, opts) => {
+      const body = JSON.parse(opts.body);
+      if (body.query.includes("viewer { login }")) return json({ viewer: { login: "me" } });
+      if (body.variables?.q?.startsWith("author:me type:pr")) {
+        return json({ search: { issueCount: nodes.length, edges: nodes.map((node) => ({ node })), pageInfo: { hasNextPage: false } } });
+      }
+      return emptySearchRes();
+    });
+  }
+
+  it("parses --repo, --exclude-repo, --org and --list-repos", () => {
+    expect(parseArgs(["--repo", "o/a,o/b", "--exclude-repo", "o/c", "--org", "acme", "--list-repos"])).toMatchObject({
+      repo: "o/a,o/b",
+      excludeRepo: "o/c",
+      org: "acme",
+      listRepos: true,
+    });
+  });
+
+  it("narrows searches to included repos and orgs and drops excluded repos", async () => {
+    const fetchFn = scopeFetch([prNode("acme/api", 1), prNode("Acme/Sandbox", 2), prNode("other/lib", 3)]);
+    const raw = await collectRawGraphQL({
+      start: "2025-01-01",
+      end: "2025-12-31",
+      token: "t",
+      fetchFn,
+      noIssueComments: true,
+      noReleases: true,
+      orgs: ["acme"],
+      excludeRepos: ["acme/sandbox"],
+    });
+    const queries = fetchFn.mock.calls.map(([, o]) => JSON.parse(o.body).variables?.q).filter(Boolean);
+    expect(queries).toHaveLength(3);
+    for (const q of queries) expect(q).toMatch(/ user:acme$/);
+    expect(raw.pull_requests.map((pr) => `${pr.base.repo.full_name}#${pr.number}`)).toEqual(["acme/api#1"]);
+  });
+
+  it("discoverRepos counts the user's PRs per repo, most first", async () => {
+    const fetchFn = scopeFetch([prNode("o/web", 1), prNode("o/api", 2), prNode("o/api", 3), prNode("o/api", 3)]);
+    expect(await discoverRepos({ start: "2025-01-01", end: "2025-12-31", token: "t", fetchFn })).toEqual([
+      { name: "o/api", pull_requests: 2 },
+      { name: "o/web", pull_requests: 1 },
+    ]);
+  });
 });
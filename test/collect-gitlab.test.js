@@ -0,0 +1,172 @@
+import { describe, it, expect, vi } from "vitest";
+import { collectRawGitLab, parseArgs } from "../scripts/collect-gitlab.ts";
+import { createGitLabClient, GitLabAuthError, normalizeGitLabUrl } from "../lib/gitlab-client.ts";
+
+function jsonRes(body, { status = 200, headers = {} } = {}) {
+  const h = new Map(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v)]));
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => h.get(name.toLowerCase()) ?? null },
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+  };
+}
+
+/** fetch mock answering by path (without the /api/v4 prefix and query). */
+function routeFetch(routes) {
+  return vi.fn(async (url) => {
+    const { pathname, searchParams } = new URL(url);
+    const path = pathname.replace(/^.*\/api\/v4/, "");
+    const key = path === "/events" ? `/events?action=${searchParams.get("action")}` : path;
+    const handler = routes[key];
+    if (!handler) return jsonRes({ message: "404 Not Found" }, { status: 404 });
+    return typeof handler === "function" ? handler(searchParams) : jsonRes(handler);
+  });
+}
+
+describe("parseArgs", () => {
+  it("parses --gitlab-url and skip flags", () => {
+    const args = parseArgs(["--start", "2025-01-01", "--end", "2025-12-31", "--gitlab-url", "https://gl.example.com", "--no-releases"]);
+    expect(args).toMatchObject({ gitlabUrl: "https://gl.example.com", noReleases: true, noReviews: false });
+  });
+});
+
+describe("GitLab client", () => {
+  it("keeps a relative path for self-managed instances", () => {
+    expect(normalizeGitLabUrl("gitlab.example.com/gitlab/")).toEqual({
+      baseUrl: "https://gitlab.example.com/gitlab",
+      host: "gitlab.example.com",
+    });
+  });
+
+  it("follows X-Next-Page and waits out 429s", async () => {
+    const sleep = vi.fn(async () => {});
+    const progress = [];
+    const fetchFn = vi
+      .fn()
+      .mockResolvedValueOnce(jsonRes([{ id: 1 }], { headers: { "x-next-page": "2" } }))
+      .mockResolvedValueOnce(jsonRes({ message: "Too many" }, { status: 429, headers: { "retry-after": "3" } }))
+      .mockResolvedValueOnce(jsonRes([{ id: 2 }], { headers: { "x-next-page": "" } }));
+    const client = createGitLabClient({ token: "t", fetchFn, sleep, onProgress: (m) => progress.push(m) });
+    expect(await client.getAll("/merge_requests")).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(fetchFn.mock.calls[0][0]).toBe("https://gitlab.com/api/v4/merge_requests?per_page=100&page=1");
+    expect(fetchFn.mock.calls[0][1].headers.Authorization).toBe("Bearer t");
+    expect(sleep).toHaveBeenCalledWith(3000);
+    expect(progress).toEqual(["waiting for GitLab rate limit (resets in 3s)"]);
+  });
+
+  it("throws GitLabAuthError on 401 without retrying", async () => {
+    const fetchFn = vi.fn().mockResolvedValue(jsonRes({ message: "401 Unauthorized" }, { status: 401 }));
+    const client = createGitLabClient({ token: "bad", fetchFn, sleep: async () => {} });
+    await expect(client.get("/user")).rejects.toBeInstanceOf(GitLabAuthError);
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+
+  it("keeps response bodies out of error messages", async () => {
+    const fetchFn = vi.fn().mockResolvedValue(jsonRes({ secret: "internal" }, { status: 404 }));
+    const client = createGitLabClient({ token: "t", fetchFn, sleep: async () => {} });
+    const err = await client.get("/user").catch((e) => e);
+    expect(err.message).toBe("https://gitlab.com/api/v4/user 404");
+  });
+});
+
+describe("collectRawGitLab", () => {
+  const routes = {
+    "/user": { id: 7, username: "me" },
+    "/merge_requests": [
+      {
+        iid: 12,
+        project_id: 100,
+        title: "Add SSO",
+        description: "Closes #3",
+        web_url: "https://gitlab.example.com/acme/web/-/merge_requests/12",
+        state: "merged",
+        created_at: "2025-03-01T00:00:00Z",
+        merged_at: "2025-03-03T00:00:00Z",
+        labels: ["auth"],
+        user_notes_count: 4,
+        references: { full: "acme/web!12" },
+      },
+    ],
+    "/projects/100/merge_requests/12/approvals": { approved_by: [{ user: { username: "ann" } }] },
+    "/events?action=approved": [
+      { project_id: 200, action_name: "approved", target_type: "MergeRequest", target_iid: 5, target_title: "Fix cache", created_at: "2025-04-02T00:00:00Z" },
+    ],
+    "/events?action=commented": [
+      {
+        project_id: 200,
+        action_name: "commented on",
+        target_title: "Fix cache",
+        created_at: "2025-04-01T00:00:00Z",
+        note: { id: 900, body: "Should this expire?", noteable_type: "MergeRequest", noteable_iid: 5, position: { new_path: "cache.go" } },
+      },
+      {
+        project_id: 100,
+        action_name: "commented on",
+        target_title: "Add SSO",
+        created_at: "2025-03-02T00:00:00Z",
+        note: { id: 901, body: "Done", noteable_type: "MergeRequest", noteable_iid: 12 },
+      },
+    ],
+    "/projects/100": { id: 100, path_with_namespace: "acme/web", web_url: "https://gitlab.example.com/acme/web" },
+    "/projects/200": { id: 200, path_with_namespace: "acme/api", web_url: "https://gitlab.example.com/acme/api" },
+    "/projects/100/releases": [
+      { tag_name: "v2.0", name: "2.0", description: "SSO", released_at: "2025-03-10T00:00:00Z", author: { username: "me" }, _links: { self: "https://gitlab.example.com/acme/web/-/releases/v2.0" } },
+      { tag_name: "v1.9", released_at: "2025-02-10T00:00:00Z", author: { username: "ann" } },
+    ],
+  };
+
+  it("collects authored MRs with approvers, reviews on others' MRs and the user's releases", async () => {
+    const fetchFn = routeFetch(routes);
+    const raw = await collectRawGitLab({
+      token: "t",
+      start: "2025-01-01",
+      end: "2025-12-31",
+      gitlabUrl: "https://gitlab.example.com",
+      fetchFn,
+    });
+    expect(raw).toMatchObject({ source: "gitlab", host: "gitlab.example.com", username: "me" });
+    expect(raw.merge_requests).toEqual([
+      expect.objectContaining({ iid: 12, project_path: "acme/web", approved_by: ["ann"], user_notes_count: 4 }),
+    ]);
+    // The note on the user's own MR is not a review.
+    expect(raw.reviews).toEqual([
+      {
+        project_path: "acme/api",
+        mr_iid: 5,
+        mr_title: "Fix cache",
+        mr_web_url: "https://gitlab.example.com/acme/api/-/merge_requests/5",
+        approved_at: "2025-04-02T00:00:00Z",
+        notes: [{ id: 900, body: "Should this expire?", created_at: "2025-04-01T00:00:00Z", path: "cache.go" }],
+      },
+    ]);
+    expect(raw.releases.map((r) => r.tag_name)).toEqual(["v2.0"]);
+    const mrQuery = new URL(fetchFn.mock.calls.find(([u]) => u.includes("/merge_requests?"))[0]).searchParams;
+    expect(mrQuery.get("scope")).toBe("created_by_me");
+    expect(mrQuery.get("updated_before")).toBe("2026-01-01T00:00:00Z");
+  });
+
+  it("keeps MRs when the approvals API is unavailable and honours --no-reviews / --no-releases", async () => {
+    const { "/projects/100/merge_requests/12/approvals": _, ...withoutApprovals } = routes;
+    const fetchFn = routeFetch(withoutApprovals);
+    const raw = await collectRawGitLab({ token: "t", start: "2025-01-01", end: "2025-12-31", noReviews: true, noReleases: true, fetchFn });
+    expect(raw.merge_requests[0].approved_by).toEqual([]);
+    expect(raw.reviews).toEqual([]);
+    expect(raw.releases).toEqual([]);
+    expect(fetchFn.mock.calls.some(([u]) => u.includes("/events"))).toBe(false);
+  });
+
+  it("skips projects outside the repo scope", async () => {
+    const fetchFn = routeFetch(routes);
+    const raw = await collectRawGitLab({ token: "t", start: "2025-01-01", end: "2025-12-31", excludeRepos: ["acme/web"], fetchFn });
+    expect(raw.merge_requests).toEqual([]);
+    expect(raw.releases).toEqual([]);
+    expect(raw.reviews.map((r) => r.project_path)).toEqual(["acme/api"]);
+    expect(fetchFn.mock.calls.some(([u]) => u.includes("/approvals"))).toBe(false);
+
+    const only = await collectRawGitLab({ token: "t", start: "2025-01-01", end: "2025-12-31", repos: ["acme/web"], fetchFn });
+    expect(only.merge_requests.map((mr) => mr.project_path)).toEqual(["acme/web"]);
+    expect(only.reviews).toEqual([]);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, vi } from "vitest";
+import { collectRoutes } from "../server/routes/collect.ts";
+
+function respondJson(res, status, data) {
+  res.statusCode = status;
+  res.end(JSON.stringify(data));
+}
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    end(data) { this._body = data; },
+    _body: null,
+    get body() { return JSON.parse(this._body || "{}"); },
+  };
+}
+
+const dates = { start_date: "2025-01-01", end_date: "2025-12-31" };
+
+function makeOptions(body, overrides = {}) {
+  return {
+    readJsonBody: vi.fn().mockResolvedValue({ ...dates, ...body }),
+    respondJson,
+    DATE_YYYY_MM_DD: /^\d{4}-\d{2}-\d{2}$/,
+    getSessionIdFromRequest: vi.fn().mockReturnValue(null),
+    getSession: vi.fn().mockReturnValue(undefined),
+    createJob: vi.fn().mockReturnValue("job-1"),
+    runInBackground: vi.fn((jobId, fn) => fn(() => {})),
+    collectAndNormalize: vi.fn().mockResolvedValue({}),
+    discoverRepos: vi.fn().mockResolvedValue([]),
+    ...overrides,
+  };
+}
+
+async function post(options, url = "/") {
+  const res = mockRes();
+  await collectRoutes(options)({ method: "POST", url }, res, () => {});
+  return res;
+}
+
+describe("collectRoutes – hosts", () => {
+  it("accepts github.com and the configured GitHub hosts, normalized to their base URL", async () => {
+    const opts = makeOptions({ token: "t", github_url: "ghes.example.com/some/path" }, { githubUrls: ["https://ghes.example.com"] });
+    const res = await post(opts);
+    expect(res.statusCode).toBe(202);
+    expect(opts.collectAndNormalize).toHaveBeenCalledWith(expect.objectContaining({ github_url: "https://ghes.example.com" }));
+
+    const dotcom = makeOptions({ token: "t", github_url: "https://github.com" });
+    expect((await post(dotcom, "/repos")).statusCode).toBe(200);
+  });
+
+  it("rejects a github_url for any other host before using the token", async () => {
+    for (const github_url of ["http://169.254.169.254", "https://ghes.example.com.evil.test", "not a url"]) {
+      const opts = makeOptions({ token: "t", github_url }, { githubUrls: ["https://ghes.example.com"] });
+      for (const url of ["/", "/repos"]) {
+        const res = await post(opts, url);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toMatch(/github_url/);
+      }
+      expect(opts.collectAndNormalize).not.toHaveBeenCalled();
+      expect(opts.discoverRepos).not.toHaveBeenCalled();
+    }
+  });
+});
+
+describe("collectRoutes – GitLab hosts", () => {
+  it("accepts gitlab.com and GITLAB_URL, defaulting to the configured one", async () => {
+    const opts = makeOptions({ gitlab_token: "g", gitlab_url: "https://git.example.com/gitlab/" }, { gitlabUrl: "https://git.example.com/gitlab" });
+    expect((await post(opts)).statusCode).toBe(202);
+    expect(opts.collectAndNormalize).toHaveBeenCalledWith(
+      expect.objectContaining({ gitlab: { token: "g", gitlab_url: "https://git.example.com/gitlab" } })
+    );
+
+    const dotcom = makeOptions({ gitlab_token: "g", gitlab_url: "gitlab.com" }, { gitlabUrl: "https://git.example.com" });
+    expect((await post(dotcom)).statusCode).toBe(202);
+    const fallback = makeOptions({ gitlab_token: "g" }, { gitlabUrl: "https://git.example.com" });
+    await post(fallback);
+    expect(fallback.collectAndNormalize.mock.calls[0][0].gitlab.gitlab_url).toBe("https://git.example.com");
+  });
+
+  it("rejects a gitlab_url for any other host", async () => {
+    for (const gitlab_url of ["http://localhost:8080", "https://git.example.com/other", "https://gitlab.com.evil.test"]) {
+      const opts = makeOptions({ gitlab_token: "g", gitlab_url }, { gitlabUrl: "https://git.example.com/gitlab" });
+      const res = await post(opts);
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toMatch(/gitlab_url/);
+      expect(opts.collectAndNormalize).not.toHaveBeenCalled();
+    }
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from "vitest";
+import {
+  collectMissingInfoQuestions,
+  mergeContextAnswers,
+  questionKey,
+  unansweredQuestions,
+} from "../lib/context-answers.js";
+
+const outputs = {
+  themes: { themes: [], missing_info_questions: ["What was the p95 latency before the cache?"] },
+  bullets: {
+    bullets_by_theme: [],
+    missing_info_questions: ["What was the p95 latency  before the cache? ", "How many teams use the SDK?"],
+  },
+  stories: {
+    stories: [
+      { title: "Taming alert fatigue", missing_info_questions: ["Who asked for the dedup project?"] },
+      { title: "No questions" },
+    ],
+  },
+  self_eval: { sections: {}, missing_info_questions: ["", 42, "What is your level?"] },
+};
+
+describe("collectMissingInfoQuestions", () => {
+  it("gathers questions from all four steps in order, without duplicates or blanks", () => {
+    expect(collectMissingInfoQuestions(outputs)).toEqual([
+      { question: "What was the p95 latency before the cache?", step: "themes" },
+      { question: "How many teams use the SDK?", step: "bullets" },
+      { question: "Who asked for the dedup project?", step: "stories", context: "Taming alert fatigue" },
+      { question: "What is your level?", step: "self_eval" },
+    ]);
+  });
+
+  it("handles missing or malformed outputs", () => {
+    expect(collectMissingInfoQuestions({})).toEqual([]);
+    expect(collectMissingInfoQuestions({ themes: null, stories: { stories: "nope" } })).toEqual([]);
+  });
+});
+
+describe("unansweredQuestions", () => {
+  it("drops questions with a non-blank answer, matching case and spacing loosely", () => {
+    const questions = collectMissingInfoQuestions(outputs);
+    const open = unansweredQuestions(questions, [
+      { question: "how many teams  use the SDK?", answer: "Six" },
+      { question: "What is your level?", answer: "  " },
+    ]);
+    expect(open.map((q) => q.question)).toEqual([
+      "What was the p95 latency before the cache?",
+      "Who asked for the dedup project?",
+      "What is your level?",
+    ]);
+    expect(unansweredQuestions(questions)).toHaveLength(4);
+  });
+});
+
+describe("mergeContextAnswers", () => {
+  it("adds, replaces and removes answers, keeping order", () => {
+    const existing = [
+      { question: "What is your level?", answer: "L4" },
+      { question: "How many teams use the SDK?", answer: "Four" },
+    ];
+    expect(
+      mergeContextAnswers(existing, [
+        { question: "what is your level? ", answer: " L5 " },
+        { question: "How many teams use the SDK?", answer: "" },
+        { question: "Who asked for the dedup project?", answer: "The SRE lead" },
+      ])
+    ).toEqual([
+      { question: "What is your level?", answer: "L5" },
+      { question: "Who asked for the dedup project?", answer: "The SRE lead" },
+    ]);
+    expect(existing[0].answer).toBe("L4");
+    expect(mergeContextAnswers(undefined, [{ question: "Q?", answer: "" }])).toEqual([]);
+  });
+
+  it("questionKey ignores case and whitespace", () => {
+    expect(questionKey("  What   was\nit? ")).toBe("what was it?");
+  });
+});
@@ -54,6 +54,39 @@ describe("slimContributions", () => {
     expect(out[0].linked_issues).toHaveLength(5);
   });
 
+  it("keeps the top areas and drops changed_paths", () => {
+    const contributions = [
+      {
+        id: "r#1",
+        changed_paths: ["services/billing/a.go", "web/x.ts"],
+        directories: ["services/billing", "web", "infra", "docs"],
+        languages: ["Go", "TypeScript"],
+        components: ["Billing"],
+      },
+    ];
+    const out = slimContributions(contributions, {});
+    expect(out[0].changed_paths).toBeUndefined();
+    expect(out[0].directories).toEqual(["services/billing", "web", "infra"]);
+    expect(out[0].languages).toEqual(["Go", "TypeScript"]);
+    expect(out[0].components).toEqual(["Billing"]);
+  });
+
+  it("keeps source, channel, project and short scalar meta entries", () => {
+    const contributions = [
+      {
+        id: "slack#C1#1.2",
+        type: "discussion",
+        source: "slack",
+        channel: "incidents",
+        project: "OPS",
+        meta: { thread_ts: "1.2", reactions: ["+1"], note: "x".repeat(100) },
+      },
+    ];
+    const out = slimContributions(contributions, {});
+    expect(out[0]).toMatchObject({ source: "slack", channel: "incidents", project: "OPS" });
+    expect(out[0].meta).toEqual({ thread_ts: "1.2", note: "x".repeat(80) + "..." });
+  });
+
   it("minimal keeps only id, type, title, url, repo, merged_at, summary", () => {
     const contributions = [
       {
@@ -126,6 +159,24 @@ describe("fitEvidenceToBudget", () => {
     expect(Array.isArray(fitted.contributions)).toBe(true);
   });
 
+  it("keeps pinned contributions first when capping the count", () => {
+    const evidence = {
+      timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" },
+      contributions: Array.from({ length: 100 }, (_, i) => ({
+        id: `r#${i}`,
+        type: "pull_request",
+        title: "PR",
+        url: "https://x/y",
+        repo: "x/y",
+        merged_at: `2025-06-01T00:00:${String(i % 60).padStart(2, "0")}Z`,
+        ...(i === 3 ? { pinned: true } : {}),
+      })),
+    };
+    const fitted = fitEvidenceToBudget(evidence, (ev) => JSON.stringify(ev), 500);
+    expect(fitted.contributions.length).toBeLessThan(100);
+    expect(fitted.contributions[0]).toMatchObject({ id: "r#3", pinned: true });
+  });
+
   it("binary search phase caps contribution count when over budget", () => {
     const evidence = {
       timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" },
@@ -166,6 +166,36 @@ describe("generateMarkdown", () => {
     expect(md).not.toContain("## Evidence Appendix");
   });
 
+  it("marks claims citation verification left unverified", () => {
+    const data = {
+      ...sampleData,
+      bullets: { top_10_bullets_overall: [{ text: "Cut costs by 40%", evidence: [], unverified: true }] },
+    };
+    expect(generateMarkdown(data)).toContain("- Cut costs by 40% *(unverified: no matching evidence)*");
+    expect(generateMarkdown(sampleData)).not.toContain("unverified");
+  });
+
+  it("lists the model's unanswered questions under Open Questions", () => {
+    const data = {
+      ...sampleData,
+      themes: { ...sampleData.themes, missing_info_questions: ["How many pages per week before?"] },
+      stories: {
+        stories: [{ ...sampleData.stories.stories[0], missing_info_questions: ["Who sponsored the project?"] }],
+      },
+    };
+    const md = generateMarkdown(data);
+    expect(md).toContain("## Open Questions");
+    expect(md).toContain("- How many pages per week before?\n- Who sponsored the project? *(Taming alert fatigue)*");
+    expect(md.indexOf("## Open Questions")).toBeLessThan(md.indexOf("## Evidence Appendix"));
+
+    const answered = generateMarkdown(data, {
+      contextAnswers: [{ question: "How many pages per week before?", answer: "About 30" }],
+    });
+    expect(answered).not.toContain("How many pages per week before?");
+    expect(answered).toContain("- Who sponsored the project?");
+    expect(generateMarkdown(sampleData)).not.toContain("## Open Questions");
+  });
+
   it("escapes pipe characters in titles for the appendix table", () => {
     const data = {
       ...sampleData,
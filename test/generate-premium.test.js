@@ -27,6 +27,7 @@ const validEvidence = {
 /** Build default options (not logged in). */
 function makeOptions(overrides = {}) {
   const runPipeline = vi.fn().mockResolvedValue({ themes: {}, bullets: {}, stories: {}, self_eval: {} });
+  const regenerateSection = vi.fn().mockResolvedValue({ themes: {}, bullets: {}, stories: {}, self_eval: {} });
   const createJob = vi.fn().mockReturnValue("job-1");
   const runInBackground = vi.fn((jobId, fn) => fn(() => {}));
   return {
@@ -36,6 +37,7 @@ function makeOptions(overrides = {}) {
     createJob,
     runInBackground,
     runPipeline,
+    regenerateSection,
     getStripe: () => null,
     getSessionIdFromRequest: vi.fn().mockReturnValue(null),
     getSession: vi.fn().mockReturnValue(undefined),
@@ -233,3 +235,47 @@ describe("generateRoutes – premium flag", () => {
     expect(capturedEvidence).not.toHaveProperty("_premium");
   });
 });
+
+describe("generateRoutes – POST /section", () => {
+  const previous = { themes: { themes: [] }, bullets: { bullets_by_theme: [] }, stories: { stories: [{ title: "A" }] }, self_eval: {} };
+  const section = (body) => makeOptions({ readJsonBody: vi.fn().mockResolvedValue(body) });
+
+  it("queues a job that regenerates the section with the feedback", async () => {
+    const opts = section({ evidence: validEvidence, previous, target: { step: "stories", story_index: 0 }, feedback: "More on cost" });
+    const res = mockRes();
+    await generateRoutes(opts)({ method: "POST", url: "/section" }, res, () => {});
+    expect(res.statusCode).toBe(202);
+    expect(res.body).toEqual({ job_id: "job-1" });
+    expect(opts.createJob).toHaveBeenCalledWith("generate-section");
+    expect(opts.regenerateSection).toHaveBeenCalledWith(
+      validEvidence,
+      previous,
+      { step: "stories", story_index: 0 },
+      "More on cost",
+      expect.objectContaining({ onProgress: expect.any(Function) })
+    );
+    expect(opts.runPipeline).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    [{ previous, target: { step: "themes" }, feedback: "x" }, /invalid evidence/i],
+    [{ evidence: validEvidence, target: { step: "themes" }, feedback: "x" }, /previous/],
+    [{ evidence: validEvidence, previous, target: { step: "summary" }, feedback: "x" }, /target.step must be one of themes/],
+    [{ evidence: validEvidence, previous, target: { step: "themes", story_index: 0 }, feedback: "x" }, /story_index/],
+    [{ evidence: validEvidence, previous, target: { step: "bullets", theme_id: 3 }, feedback: "x" }, /theme_id/],
+    [{ evidence: validEvidence, previous, target: { step: "themes" }, feedback: "  " }, /feedback is required/],
+  ])("rejects a bad request with 400 (%#)", async (body, error) => {
+    const opts = section(body);
+    const res = mockRes();
+    await generateRoutes(opts)({ method: "POST", url: "/section" }, res, () => {});
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(error);
+    expect(opts.createJob).not.toHaveBeenCalled();
+  });
+
+  it("passes other paths on", async () => {
+    const next = vi.fn();
+    await generateRoutes(makeOptions())({ method: "POST", url: "/other" }, mockRes(), next);
+    expect(next).toHaveBeenCalled();
+  });
+});
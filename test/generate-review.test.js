@@ -3,7 +3,15 @@ import { readFileSync, writeFileSync, mkdirSync, rmSync, readdirSync } from "fs"
 import { join } from "path";
 import { tmpdir } from "os";
 import { randomUUID } from "crypto";
-import { runGenerateReview, parseArgs } from "../scripts/generate-review.ts";
+import {
+  runGenerateReview,
+  parseArgs,
+  noiseRulesFromArgs,
+  readManualFile,
+  fromStepFromArgs,
+  askContextAnswers,
+  saveContextAnswers,
+} from "../scripts/generate-review.ts";
 
 describe("parseArgs", () => {
   it("defaults input to evidence.json and outDir to ./out", () => {
@@ -23,6 +31,16 @@ describe("parseArgs", () => {
     expect(out.outDir).toBe("/out");
     process.argv = ["node", "generate-review.js", ...orig];
   });
+
+  it("parses the cache flags and rejects unknown steps", () => {
+    const parsed = parseArgs(["ev.json", "--no-cache", "--from-step", "stories"]);
+    expect(parsed.noCache).toBe(true);
+    expect(fromStepFromArgs(parsed)).toBe("stories");
+    expect(fromStepFromArgs(parseArgs(["ev.json"]))).toBeUndefined();
+    expect(() => fromStepFromArgs(parseArgs(["--from-step", "summary"]))).toThrow(
+      '--from-step must be one of themes, bullets, stories, self_eval (got "summary")'
+    );
+  });
 });
 
 describe("runGenerateReview", () => {
@@ -53,4 +71,172 @@ describe("runGenerateReview", () => {
     expect(themesContent.themes[0].theme_name).toBe("Reliability");
     rmSync(dir, { recursive: true });
   });
+
+  it("writes the citation report next to the outputs when the pipeline returns one", async () => {
+    const dir = join(tmpdir(), randomUUID());
+    mkdirSync(dir, { recursive: true });
+    const evidencePath = join(dir, "evidence.json");
+    writeFileSync(evidencePath, JSON.stringify({ timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" }, contributions: [] }));
+    const verification = { references: 1, valid: 0, fixed: 0, fabricated: 1, unverified_claims: 0, issues: [] };
+    await runGenerateReview(evidencePath, join(dir, "out"), async () => ({
+      themes: { themes: [] },
+      bullets: { bullets_by_theme: [] },
+      stories: { stories: [] },
+      self_eval: { sections: { summary: { text: "Done" } } },
+      verification,
+    }));
+    expect(JSON.parse(readFileSync(join(dir, "out", "verification.json"), "utf8"))).toEqual(verification);
+    rmSync(dir, { recursive: true });
+  });
+});
+
+describe("noise filtering", () => {
+  it("builds rules from flags, adding exclusions to the defaults", () => {
+    const rules = noiseRulesFromArgs(
+      parseArgs(["ev.json", "--min-lines", "10", "--exclude-label", "chore,skip", "--exclude-title", "^wip", "--include-unmerged"])
+    );
+    expect(rules.minLines).toBe(10);
+    expect(rules.excludeLabels).toEqual(["dependencies", "chore", "skip"]);
+    expect(rules.excludeTitles.at(-1)).toBe("^wip");
+    expect(rules).toMatchObject({ includeUnmerged: true, collapseReverts: true });
+    expect(noiseRulesFromArgs(parseArgs(["--no-filter"]))).toBeNull();
+    expect(noiseRulesFromArgs(parseArgs(["--filter-noise", "--no-filter"]))).toBeNull();
+  });
+
+  it("is off unless --filter-noise or a tuning flag is given", () => {
+    expect(noiseRulesFromArgs(parseArgs(["ev.json"]))).toBeNull();
+    expect(noiseRulesFromArgs(parseArgs(["--filter-noise"]))).toMatchObject({ includeUnmerged: false, collapseReverts: true });
+    expect(noiseRulesFromArgs(parseArgs(["--keep-reverts"]))).toMatchObject({ collapseReverts: false });
+  });
+
+  it("filters evidence before the pipeline and reports what was dropped", async () => {
+    const dir = join(tmpdir(), randomUUID());
+    mkdirSync(dir, { recursive: true });
+    const evidencePath = join(dir, "evidence.json");
+    const pr = (id, title, extra = {}) => ({
+      id, type: "pull_request", title, url: `https://github.com/o/r/pull/${id}`, repo: "o/r",
+      merged_at: "2025-03-01T00:00:00Z", additions: 40, deletions: 2, ...extra,
+    });
+    writeFileSync(
+      evidencePath,
+      JSON.stringify({
+        timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" },
+        contributions: [pr("1", "Add billing export"), pr("2", "chore(deps): bump vite")],
+      })
+    );
+    let seen;
+    let report;
+    const mockPipeline = async (evidence) => {
+      seen = evidence;
+      return { themes: {}, bullets: {}, stories: {}, self_eval: {} };
+    };
+    await runGenerateReview(evidencePath, join(dir, "out"), mockPipeline, {
+      noise: noiseRulesFromArgs(parseArgs(["--filter-noise"])),
+      onNoiseReport: (r) => (report = r),
+    });
+    expect(seen.contributions.map((c) => c.id)).toEqual(["1"]);
+    expect(report).toMatchObject({ total: 2, kept: 1, removed: [{ id: "2", reason: "title" }] });
+    rmSync(dir, { recursive: true });
+  });
+});
+
+describe("manual entries", () => {
+  it("reads a YAML file and adds its entries before the pipeline", async () => {
+    const dir = join(tmpdir(), randomUUID());
+    mkdirSync(dir, { recursive: true });
+    const evidencePath = join(dir, "evidence.json");
+    writeFileSync(evidencePath, JSON.stringify({ timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" }, contributions: [] }));
+    const manualPath = join(dir, "manual.yaml");
+    writeFileSync(
+      manualPath,
+      [
+        "- date: 2025-04-12",
+        "  title: Talk at the platform meetup",
+        "  category: talk",
+        "  url: https://example.com/talk",
+        "- date: 2025-09-01",
+        "  title: On-call, payments rotation",
+        "  category: on_call",
+        "  description: Two incidents, both mitigated within the hour.",
+      ].join("\n")
+    );
+    expect(parseArgs(["--manual", manualPath]).manual).toBe(manualPath);
+    let seen;
+    await runGenerateReview(evidencePath, join(dir, "out"), async (evidence) => {
+      seen = evidence;
+      return { themes: {}, bullets: {}, stories: {}, self_eval: {} };
+    }, { manual: readManualFile(manualPath) });
+    expect(seen.contributions.map((c) => [c.id, c.type, c.category])).toEqual([
+      ["manual#2025-04-12-talk-at-the-platform-meetup", "manual", "talk"],
+      ["manual#2025-09-01-on-call-payments-rotation", "manual", "on_call"],
+    ]);
+    rmSync(dir, { recursive: true });
+  });
+
+  it("names the file and the bad entry on errors; JSON works too", () => {
+    const dir = join(tmpdir(), randomUUID());
+    mkdirSync(dir, { recursive: true });
+    const path = join(dir, "manual.json");
+    writeFileSync(path, JSON.stringify([{ date: "2025-04-12", title: "Design doc: sharding", category: "design_doc" }, { title: "x" }]));
+    expect(() => readManualFile(path)).toThrow(`${path}: entry 2: date must be YYYY-MM-DD`);
+    rmSync(dir, { recursive: true });
+  });
+});
+
+describe("context answers", () => {
+  it("asks each question and keeps the non-blank replies", async () => {
+    const prompts = [];
+    const replies = ["  Six teams ", ""];
+    const answers = await askContextAnswers(
+      [
+        { question: "How many teams use the SDK?", step: "bullets" },
+        { question: "Who sponsored it?", step: "stories", context: "SDK rollout" },
+      ],
+      async (prompt) => {
+        prompts.push(prompt);
+        return replies.shift();
+      }
+    );
+    expect(answers).toEqual([{ question: "How many teams use the SDK?", answer: "Six teams" }]);
+    expect(prompts[1]).toContain("[2/2] Who sponsored it? (SDK rollout)");
+    expect(parseArgs(["--no-questions"]).noQuestions).toBe(true);
+  });
+
+  it("saves answers into the evidence file and passes them to the next run", async () => {
+    const dir = join(tmpdir(), randomUUID());
+    mkdirSync(dir, { recursive: true });
+    const evidencePath = join(dir, "evidence.json");
+    writeFileSync(
+      evidencePath,
+      JSON.stringify({
+        timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" },
+        contributions: [],
+        context_answers: [{ question: "What is your level?", answer: "L4" }],
+      })
+    );
+    const saved = saveContextAnswers(evidencePath, [{ question: "How many teams use the SDK?", answer: "Six" }]);
+    expect(saved).toEqual([
+      { question: "What is your level?", answer: "L4" },
+      { question: "How many teams use the SDK?", answer: "Six" },
+    ]);
+    const written = JSON.parse(readFileSync(evidencePath, "utf8"));
+    expect(written.context_answers).toEqual(saved);
+    expect(written.timeframe.start_date).toBe("2025-01-01");
+
+    let seen;
+    await runGenerateReview(evidencePath, join(dir, "out"), async (evidence) => {
+      seen = evidence;
+      return {
+        themes: { missing_info_questions: ["How many teams use the SDK?", "What was the budget?"] },
+        bullets: {},
+        stories: {},
+        self_eval: {},
+      };
+    });
+    expect(seen.context_answers).toEqual(saved);
+    const report = readFileSync(join(dir, "out", "report.md"), "utf8");
+    expect(report).toContain("- What was the budget?");
+    expect(report).not.toContain("How many teams use the SDK?");
+    rmSync(dir, { recursive: true });
+  });
 });
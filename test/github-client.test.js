@@ -0,0 +1,117 @@
+import { describe, it, expect, vi } from "vitest";
+import { createGitHubClient, GitHubAuthError } from "../lib/github-client.ts";
+
+function res(status, { data, errors, text = "", headers = {} } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => lower[name.toLowerCase()] ?? null },
+    json: () => Promise.resolve({ data, errors }),
+    text: () => Promise.resolve(text),
+  });
+}
+
+function setup(responses, opts = {}) {
+  const fetchFn = vi.fn();
+  for (const r of responses) fetchFn.mockImplementationOnce(() => (r instanceof Error ? Promise.reject(r) : r));
+  const sleep = vi.fn(() => Promise.resolve());
+  const progress = [];
+  const client = createGitHubClient({
+    token: "t",
+    fetchFn,
+    sleep,
+    now: () => 1_700_000_000_000,
+    onProgress: (m) => progress.push(m),
+    ...opts,
+  });
+  return { client, fetchFn, sleep, progress };
+}
+
+describe("createGitHubClient", () => {
+  it("returns data and sends the token", async () => {
+    const { client, fetchFn } = setup([res(200, { data: { viewer: { login: "me" } } })]);
+    await expect(client.graphql("query { viewer { login } }")).resolves.toEqual({ data: { viewer: { login: "me" } } });
+    expect(fetchFn.mock.calls[0][1].headers.Authorization).toBe("Bearer t");
+  });
+
+  it("waits for Retry-After on a secondary rate limit and reports it", async () => {
+    const { client, sleep, progress } = setup([
+      res(403, { text: "You have exceeded a secondary rate limit", headers: { "Retry-After": "42" } }),
+      res(200, { data: { ok: true } }),
+    ]);
+    await expect(client.graphql("q")).resolves.toEqual({ data: { ok: true } });
+    expect(sleep).toHaveBeenCalledWith(42_000);
+    expect(progress).toEqual(["waiting for rate limit (resets in 42s)"]);
+  });
+
+  it("waits until X-RateLimit-Reset when the primary limit is exhausted", async () => {
+    const { client, sleep } = setup([
+      res(403, { text: "API rate limit exceeded", headers: { "X-RateLimit-Remaining": "0", "X-RateLimit-Reset": "1700000090" } }),
+      res(200, { data: {} }),
+    ]);
+    await client.graphql("q");
+    expect(sleep).toHaveBeenCalledWith(90_000);
+  });
+
+  it("retries GraphQL RATE_LIMITED errors", async () => {
+    const { client, fetchFn, sleep } = setup([
+      res(200, { errors: [{ type: "RATE_LIMITED", message: "API rate limit exceeded" }] }),
+      res(200, { data: { ok: true } }),
+    ]);
+    await expect(client.graphql("q")).resolves.toEqual({ data: { ok: true } });
+    expect(fetchFn).toHaveBeenCalledTimes(2);
+    expect(sleep).toHaveBeenCalledWith(60_000);
+  });
+
+  it("pauses before the next request when the rateLimit object says the budget is spent", async () => {
+    const { client, sleep, progress } = setup([
+      res(200, { data: { rateLimit: { remaining: 0, resetAt: "2023-11-14T22:13:27Z" } } }),
+      res(200, { data: { ok: true } }),
+    ]);
+    await client.graphql("q");
+    expect(sleep).not.toHaveBeenCalled();
+    await client.graphql("q");
+    expect(sleep).toHaveBeenCalledWith(7_000);
+    expect(progress).toEqual(["waiting for rate limit (resets in 7s)"]);
+  });
+
+  it("retries 5xx and network errors with exponential backoff", async () => {
+    const { client, sleep, progress } = setup([
+      res(502, { text: "Bad Gateway" }),
+      new Error("socket hang up"),
+      res(200, { data: { ok: true } }),
+    ]);
+    await expect(client.graphql("q")).resolves.toEqual({ data: { ok: true } });
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([1000, 2000]);
+    expect(progress[0]).toBe("GitHub request failed; retrying in 1s (attempt 2/6)");
+  });
+
+  it("gives up after maxRetries", async () => {
+    const { client, fetchFn } = setup([res(503), res(503), res(503)], { maxRetries: 2 });
+    await expect(client.graphql("q")).rejects.toThrow("503");
+    expect(fetchFn).toHaveBeenCalledTimes(3);
+  });
+
+  it("throws GitHubAuthError on 401 and non-rate-limit 403 without retrying", async () => {
+    const unauthorized = setup([res(401, { text: "Bad credentials" })]);
+    await expect(unauthorized.client.graphql("q")).rejects.toBeInstanceOf(GitHubAuthError);
+    expect(unauthorized.fetchFn).toHaveBeenCalledTimes(1);
+
+    const forbidden = setup([res(403, { text: "Resource not accessible by integration" })]);
+    await expect(forbidden.client.graphql("q")).rejects.toMatchObject({ name: "GitHubAuthError", status: 403 });
+    expect(forbidden.sleep).not.toHaveBeenCalled();
+  });
+
+  it("keeps response bodies out of error messages", async () => {
+    const { client } = setup([res(404, { text: "<html>internal admin page</html>" })]);
+    const err = await client.graphql("q").catch((e) => e);
+    expect(err.message).toBe("https://api.github.com/graphql 404");
+  });
+
+  it("throws other GraphQL errors without retrying", async () => {
+    const { client, fetchFn } = setup([res(200, { errors: [{ message: "Field 'x' doesn't exist" }] })]);
+    await expect(client.graphql("q")).rejects.toThrow("Field 'x' doesn't exist");
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from "vitest";
+import {
+  addManualContributions,
+  manualContribution,
+  manualEntryFrom,
+  parseManualEntries,
+} from "../lib/manual-contributions.ts";
+import { validateEvidence } from "../lib/validate-evidence.ts";
+import { slimContributions } from "../lib/context-budget.ts";
+
+const TIMEFRAME = { start_date: "2025-01-01", end_date: "2025-12-31" };
+const talk = {
+  date: "2025-04-12",
+  title: "Talk: Scaling our event pipeline",
+  category: "talk",
+  url: "https://example.com/talks/events",
+  description: "30-minute talk at the platform meetup.",
+};
+
+describe("parseManualEntries", () => {
+  it("accepts entries, defaulting the category and trimming optional fields", () => {
+    expect(parseManualEntries([talk, { date: "2025-05-02T09:00:00Z", title: " Mentored two new hires ", url: " " }])).toEqual([
+      talk,
+      { date: "2025-05-02", title: "Mentored two new hires", category: "other" },
+    ]);
+  });
+
+  it("reports every problem with its entry number", () => {
+    expect(() => parseManualEntries([talk, { date: "April", category: "party" }, "x"])).toThrow(
+      [
+        "entry 2: date must be YYYY-MM-DD",
+        "entry 2: title is required",
+        "entry 2: category must be one of talk, design_doc, mentoring, interviewing, on_call, other",
+        "entry 3: must be an object",
+      ].join("\n")
+    );
+    expect(() => parseManualEntries({ title: "x" })).toThrow("Manual entries must be a list");
+  });
+});
+
+describe("manual contributions", () => {
+  it("become schema-valid, citable contributions", () => {
+    const c = manualContribution(talk);
+    expect(c).toEqual({
+      id: "manual#2025-04-12-talk-scaling-our-event-pipeline",
+      type: "manual",
+      source: "manual",
+      category: "talk",
+      title: talk.title,
+      url: talk.url,
+      repo: "",
+      merged_at: "2025-04-12T00:00:00Z",
+      summary: talk.description,
+      body: talk.description,
+    });
+    const oncall = manualContribution({ date: "2025-06-01", title: "On-call week", category: "on_call" });
+    expect(validateEvidence({ timeframe: TIMEFRAME, contributions: [c, oncall] })).toEqual({ valid: true });
+    expect(slimContributions([c])[0]).toMatchObject({ id: c.id, type: "manual", category: "talk", url: talk.url });
+    expect(manualEntryFrom(c)).toEqual(talk);
+  });
+
+  it("adds entries to evidence, replacing same-ID entries and numbering same-day duplicates", () => {
+    const pr = { id: "o/r#1", type: "pull_request", title: "Add export", url: "https://github.com/o/r/pull/1", repo: "o/r" };
+    const first = addManualContributions({ timeframe: TIMEFRAME, contributions: [pr] }, [talk]);
+    const again = addManualContributions(first, [
+      { ...talk, description: "Updated" },
+      { date: "2025-07-01", title: "Interview loop", category: "interviewing" },
+      { date: "2025-07-01", title: "Interview loop", category: "interviewing" },
+    ]);
+    expect(again.contributions.map((c) => c.id)).toEqual([
+      "o/r#1",
+      "manual#2025-04-12-talk-scaling-our-event-pipeline",
+      "manual#2025-07-01-interview-loop",
+      "manual#2025-07-01-interview-loop-2",
+    ]);
+    expect(again.contributions[1].body).toBe("Updated");
+    expect(first.contributions).toHaveLength(2);
+  });
+});
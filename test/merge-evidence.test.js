@@ -0,0 +1,144 @@
+import { describe, it, expect } from "vitest";
+import { readFileSync, writeFileSync, mkdirSync, rmSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { randomUUID } from "crypto";
+import { execSync } from "child_process";
+import { formatMergeReport, mergeEvidence } from "../lib/merge-evidence.ts";
+import { validateEvidence } from "../lib/validate-evidence.ts";
+
+const pr = (overrides = {}) => ({
+  id: "org/app#12",
+  type: "pull_request",
+  source: "github",
+  title: "Add retries",
+  url: "https://github.com/org/app/pull/12",
+  repo: "org/app",
+  merged_at: "2025-03-01T00:00:00Z",
+  ...overrides,
+});
+
+const github = {
+  schema_version: 2,
+  timeframe: { start_date: "2025-01-01", end_date: "2025-06-30" },
+  goals: "Improve reliability",
+  contributions: [
+    pr({ labels: ["infra"], approvals_count: 2, body: "Retries with backoff" }),
+    { id: "org/app#7", type: "issue", title: "Flaky deploys", url: "https://github.com/org/app/issues/7/", repo: "org/app", merged_at: "2025-02-01T00:00:00Z" },
+  ],
+};
+
+const localGit = {
+  schema_version: 2,
+  timeframe: { start_date: "2025-03-01", end_date: "2025-12-31" },
+  goals: "Improve reliability",
+  contributions: [
+    pr({ source: "git", labels: ["retries"], changed_paths: ["lib/retry.ts"], meta: { commits: ["aaaaaaa1111"] } }),
+    // Same issue under another ID; only the URL matches.
+    { id: "issue-7", type: "issue", source: "jira", title: "Flaky deploys", url: "https://GitHub.com/org/app/issues/7", repo: "org/app", merged_at: "2025-02-01T00:00:00Z" },
+    { id: "org/app@aaaaaaa", type: "commit", source: "git", title: "wip", url: "https://github.com/org/app/commit/aaaaaaa1111", repo: "org/app", merged_at: "2025-02-28T00:00:00Z" },
+    { id: "org/app@bbbbbbb", type: "commit", source: "git", title: "Add retries (#12)", url: "https://github.com/org/app/commit/bbbbbbb2222", repo: "org/app", merged_at: "2025-03-01T00:00:00Z", meta: { sha: "bbbbbbb2222" } },
+    { id: "org/app@ccccccc", type: "commit", source: "git", title: "Bump deps", url: "https://github.com/org/app/commit/ccccccc3333", repo: "org/app", merged_at: "2025-09-01T00:00:00Z" },
+  ],
+};
+
+describe("mergeEvidence", () => {
+  it("unions timeframes, dedupes by ID and URL and folds commits into their PRs", () => {
+    const { evidence, report } = mergeEvidence([
+      { name: "github.json", evidence: github },
+      { name: "git.json", evidence: localGit },
+    ]);
+    expect(evidence.timeframe).toEqual({ start_date: "2025-01-01", end_date: "2025-12-31" });
+    expect(evidence.goals).toBe("Improve reliability");
+    expect(evidence.contributions.map((c) => c.id)).toEqual(["org/app#12", "org/app#7", "org/app@ccccccc"]);
+
+    const merged = evidence.contributions[0];
+    // Richer copy kept, gaps filled from the other, lists unioned.
+    expect(merged).toMatchObject({ approvals_count: 2, changed_paths: ["lib/retry.ts"], labels: ["infra", "retries"] });
+    expect(merged.meta.commits).toEqual(["aaaaaaa1111", "bbbbbbb2222"]);
+
+    expect(report).toMatchObject({
+      inputs: [{ name: "github.json", contributions: 2 }, { name: "git.json", contributions: 5 }],
+      timeframe_changed: true,
+      total: 3,
+      duplicates: [
+        { id: "org/app#12", from: "git.json", reason: "id" },
+        { id: "org/app#7", from: "git.json", reason: "url" },
+      ],
+      linked_commits: [
+        { commit: "org/app@aaaaaaa", pull_request: "org/app#12" },
+        { commit: "org/app@bbbbbbb", pull_request: "org/app#12" },
+      ],
+      out_of_timeframe: [],
+    });
+    expect(validateEvidence(evidence)).toEqual({ valid: true });
+  });
+
+  it("clips to an explicit timeframe and migrates v1 inputs", () => {
+    const v1 = {
+      timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" },
+      contributions: [
+        { id: "org/app#deadbee", type: "issue", title: "Hotfix", url: "https://github.com/org/app/commit/deadbeef", repo: "org/app", merged_at: "2025-05-01T00:00:00Z" },
+      ],
+    };
+    const { evidence, report } = mergeEvidence(
+      [{ name: "old.json", evidence: v1 }, { name: "git.json", evidence: localGit }],
+      { timeframe: { start_date: "2025-03-01", end_date: "2025-12-31" } }
+    );
+    expect(evidence.contributions.map((c) => c.id)).toEqual(["org/app@deadbee", "org/app#12", "org/app@ccccccc"]);
+    expect(report.out_of_timeframe).toEqual(["issue-7", "org/app@aaaaaaa"]);
+  });
+
+  it("keeps the context answers from every input, later inputs winning", () => {
+    const answer = (question, text) => ({ question, answer: text });
+    const { evidence } = mergeEvidence([
+      { name: "a.json", evidence: { ...github, context_answers: [answer("What is your level?", "L4")] } },
+      {
+        name: "b.json",
+        evidence: { ...localGit, context_answers: [answer("what is your level?", "L5"), answer("Team size?", "8")] },
+      },
+    ]);
+    expect(evidence.context_answers).toEqual([answer("What is your level?", "L5"), answer("Team size?", "8")]);
+    expect(validateEvidence(evidence)).toEqual({ valid: true });
+    expect(mergeEvidence([{ name: "a.json", evidence: github }]).evidence).not.toHaveProperty("context_answers");
+  });
+
+  it("rejects inputs that are not evidence", () => {
+    expect(() => mergeEvidence([{ name: "x.json", evidence: { contributions: [] } }])).toThrow(/x\.json is not evidence/);
+  });
+
+  it("formats a readable report", () => {
+    const { report } = mergeEvidence([
+      { name: "github.json", evidence: github },
+      { name: "git.json", evidence: localGit },
+    ]);
+    expect(formatMergeReport(report)).toBe(
+      [
+        "Merged github.json (2), git.json (5) into 3 contributions.",
+        "Timeframe 2025-01-01 to 2025-12-31 (inputs differed; adjusted).",
+        "Dropped 2 duplicates (1 by ID, 1 by URL).",
+        "Folded 2 commits into their PRs.",
+      ].join("\n")
+    );
+  });
+});
+
+describe("merge-evidence CLI", () => {
+  it("merges files and writes the result", () => {
+    const dir = join(tmpdir(), randomUUID());
+    mkdirSync(dir, { recursive: true });
+    try {
+      writeFileSync(join(dir, "a.json"), JSON.stringify(github));
+      writeFileSync(join(dir, "b.json"), JSON.stringify(localGit));
+      const out = join(dir, "evidence.json");
+      const stderr = execSync(
+        `node --import tsx/esm scripts/merge-evidence.ts ${join(dir, "a.json")} ${join(dir, "b.json")} --output ${out} 2>&1 >/dev/null`,
+        { cwd: process.cwd(), env: { ...process.env, NODE_OPTIONS: "" }, encoding: "utf8" }
+      );
+      expect(stderr).toContain("Merged a.json (2), b.json (5) into 3 contributions.");
+      expect(JSON.parse(readFileSync(out, "utf8")).contributions).toHaveLength(3);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
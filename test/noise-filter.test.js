@@ -0,0 +1,105 @@
+import { describe, it, expect } from "vitest";
+import { filterNoise, formatNoiseReport } from "../lib/noise-filter.ts";
+
+const TIMEFRAME = { start_date: "2025-01-01", end_date: "2025-12-31" };
+let n = 0;
+const pr = (title, extra = {}) => ({
+  id: `o/r#${++n}`,
+  type: "pull_request",
+  title,
+  url: `https://github.com/o/r/pull/${n}`,
+  repo: "o/r",
+  merged_at: `2025-03-${String(10 + n).padStart(2, "0")}T00:00:00Z`,
+  additions: 50,
+  deletions: 10,
+  files_changed: 3,
+  ...extra,
+});
+const evidence = (contributions) => ({ timeframe: TIMEFRAME, contributions });
+
+describe("filterNoise", () => {
+  it("drops dependency bumps, release PRs and typo fixes by title and label", () => {
+    const kept = pr("Add billing export");
+    const { evidence: out, report } = filterNoise(
+      evidence([
+        kept,
+        pr("chore(deps): bump vite from 6.0.0 to 6.4.1"),
+        pr("Bump lodash from 4.17.20 to 4.17.21"),
+        pr("chore(main): release 2.3.0"),
+        pr("Fix typo in README"),
+        pr("Upgrade the SDK", { labels: ["Dependencies"] }),
+        { id: "o/r#9", type: "review", title: "Bump lodash from 1 to 2", url: "u", repo: "o/r" },
+      ])
+    );
+    expect(out.contributions.map((c) => c.id)).toEqual([kept.id, "o/r#9"]);
+    expect(report.removed.map((r) => r.reason)).toEqual(["title", "title", "title", "title", "label"]);
+    expect(report.removed[4].detail).toBe("Dependencies");
+  });
+
+  it("drops PRs below the size threshold but keeps PRs without line counts", () => {
+    const tiny = pr("Tweak timeout", { additions: 1, deletions: 0, files_changed: 1 });
+    const unknown = pr("Imported PR", { additions: 0, deletions: 0, files_changed: 0 });
+    const { evidence: out, report } = filterNoise(evidence([tiny, unknown]));
+    expect(out.contributions).toEqual([unknown]);
+    expect(report.removed[0]).toMatchObject({ id: tiny.id, reason: "size", detail: "1 changed lines" });
+    expect(filterNoise(evidence([tiny]), { minLines: 0 }).evidence.contributions).toHaveLength(1);
+  });
+
+  it("drops PRs closed without merging unless opted in, keeping open and draft PRs", () => {
+    const closed = pr("Spike: new cache", { merged_at: null, state: "closed" });
+    const replaced = pr("Cache v1", { merged_at: null, state: "closed", superseded_by: "o/r#99" });
+    const open = pr("Add cache warmup", { merged_at: null, state: "open" });
+    const draft = pr("Cache metrics", { merged_at: null, state: "draft" });
+    const { evidence: out, report } = filterNoise(evidence([closed, replaced, open, draft]));
+    expect(out.contributions).toEqual([open, draft]);
+    expect(report.removed.map((r) => [r.id, r.reason, r.detail])).toEqual([
+      [closed.id, "unmerged", "closed without merging"],
+      [replaced.id, "unmerged", "superseded by o/r#99"],
+    ]);
+    expect(filterNoise(evidence([closed]), { includeUnmerged: true }).evidence.contributions).toEqual([closed]);
+  });
+
+  it("treats PRs without state or merge date as closed (evidence collected before PR state)", () => {
+    const legacy = pr("Spike: new cache", { merged_at: null });
+    expect(filterNoise(evidence([legacy])).report.removed[0]).toMatchObject({ reason: "unmerged", detail: "not merged" });
+    expect(filterNoise(evidence([legacy]), { includeUnmerged: true }).evidence.contributions).toEqual([legacy]);
+  });
+
+  it("collapses a change, its revert and the re-land into the re-land", () => {
+    const original = pr("Add retries to the webhook worker (#40)");
+    const revert = pr('Revert "Add retries to the webhook worker (#40)" (#41)');
+    const reland = pr('Reapply "Add retries to the webhook worker"');
+    const other = pr("Unrelated change");
+    const { evidence: out, report } = filterNoise(evidence([original, revert, reland, other]));
+    expect(out.contributions.map((c) => c.id)).toEqual([reland.id, other.id]);
+    expect(out.contributions[0].meta).toEqual({ reverted: false, collapsed_ids: `${original.id}, ${revert.id}` });
+    expect(report.removed.map((r) => [r.id, r.reason, r.detail])).toEqual([
+      [original.id, "revert", `collapsed into ${reland.id}`],
+      [revert.id, "revert", `collapsed into ${reland.id}`],
+    ]);
+  });
+
+  it("keeps the original, marked reverted, when a change stayed reverted", () => {
+    const original = pr("Switch to the new search index");
+    const revert = pr('Revert "Switch to the new search index"');
+    const { evidence: out } = filterNoise(evidence([original, revert]));
+    expect(out.contributions).toEqual([{ ...original, meta: { reverted: true, collapsed_ids: revert.id } }]);
+    expect(filterNoise(evidence([original, revert]), { collapseReverts: false }).evidence.contributions).toHaveLength(2);
+  });
+
+  it("never filters or collapses pinned contributions", () => {
+    const bump = pr("Bump lodash from 4.17.20 to 4.17.21", { pinned: true });
+    const closed = pr("Spike: new cache", { merged_at: null, state: "closed", pinned: true });
+    const original = pr("Switch to the new search index", { pinned: true });
+    const revert = pr('Revert "Switch to the new search index"');
+    const { evidence: out, report } = filterNoise(evidence([bump, closed, original, revert]));
+    expect(out.contributions).toEqual([bump, closed, original, revert]);
+    expect(report.removed).toEqual([]);
+  });
+
+  it("summarizes removals by reason", () => {
+    const { report } = filterNoise(evidence([pr("Add export"), pr("Fix typos"), pr("WIP", { merged_at: null })]));
+    expect(formatNoiseReport(report)).toBe("Filtered 2 of 3 contributions: 1 excluded by title (bumps, releases, typos), 1 PRs closed without merging.");
+    expect(formatNoiseReport(filterNoise(evidence([])).report)).toBe("No noise filtered (0 contributions).");
+  });
+});
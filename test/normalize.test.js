@@ -4,7 +4,7 @@ import { join } from "path";
 import { tmpdir } from "os";
 import { randomUUID } from "crypto";
 import { execSync } from "child_process";
-import { normalize } from "../scripts/normalize.ts";
+import { normalize, extractIssueRefs } from "../scripts/normalize.ts";
 
 describe("normalize", () => {
   it("outputs timeframe and contributions from empty raw", () => {
@@ -74,7 +74,7 @@ describe("normalize", () => {
     expect(issues).toHaveLength(0);
   });
 
-  it("keeps orphan commits as issue contributions", () => {
+  it("keeps orphan commits as commit contributions that cannot collide with issue IDs", () => {
     const raw = {
       commits: [
         { sha: "deadbeef", repository: { full_name: "org/r" }, commit: { author: { date: "2025-06-01T00:00:00Z" }, message: "direct commit" } },
@@ -82,8 +82,48 @@ describe("normalize", () => {
     };
     const evidence = normalize(raw, null, null);
     expect(evidence.contributions).toHaveLength(1);
-    expect(evidence.contributions[0].type).toBe("issue");
-    expect(evidence.contributions[0].id).toBe("org/r#deadbee");
+    expect(evidence.contributions[0]).toMatchObject({
+      id: "org/r@deadbee",
+      type: "commit",
+      source: "github",
+      meta: { sha: "deadbeef" },
+    });
+    expect(evidence.schema_version).toBe(2);
+  });
+});
+
+describe("normalize issues", () => {
+  it("normalizes authored issues and filters them by created date", () => {
+    const raw = {
+      issues: [
+        { number: 9, title: "RFC: queue redesign", body: "Design", html_url: "https://github.com/org/r/issues/9", created_at: "2025-05-01T00:00:00Z", repository: { full_name: "org/r" }, labels: [{ name: "rfc" }], comments: 3 },
+        { number: 10, title: "Old", html_url: "https://github.com/org/r/issues/10", created_at: "2024-05-01T00:00:00Z", repository: { full_name: "org/r" } },
+      ],
+    };
+    const evidence = normalize(raw, "2025-01-01", "2025-12-31");
+    expect(evidence.contributions).toHaveLength(1);
+    expect(evidence.contributions[0]).toMatchObject({
+      id: "org/r#9",
+      type: "issue",
+      title: "RFC: queue redesign",
+      merged_at: "2025-05-01T00:00:00Z",
+      labels: ["rfc"],
+    });
+  });
+
+  it("normalizes issue comments with a link back to the issue", () => {
+    const raw = {
+      issue_comments: [
+        { id: "IC_9", body: "Here is a plan", html_url: "https://github.com/org/r/issues/9#issuecomment-1", created_at: "2025-05-02T00:00:00Z", repository: { full_name: "org/r" }, issue_number: 9, issue_title: "RFC: queue redesign" },
+      ],
+    };
+    const evidence = normalize(raw, null, null);
+    expect(evidence.contributions[0]).toMatchObject({
+      id: "org/r#9-comment-IC_9",
+      type: "comment",
+      title: "Comment on RFC: queue redesign",
+      linked_issues: ["org/r#9"],
+    });
   });
 });
 
@@ -108,3 +148,324 @@ describe("normalize CLI", () => {
     rmSync(dir, { recursive: true });
   });
 });
+
+describe("normalize GHES host", () => {
+  it("qualifies ids, repos and linked issues with the host", () => {
+    const raw = {
+      host: "ghes.example.com",
+      timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" },
+      pull_requests: [
+        { number: 12, title: "Fix", body: "", html_url: "https://ghes.example.com/org/app/pull/12", merged_at: "2025-02-01T00:00:00Z", base: { repo: { full_name: "org/app" } }, labels: [] },
+      ],
+      issue_comments: [
+        { id: "IC_1", body: "Detailed proposal", html_url: "https://ghes.example.com/org/app/issues/3#c", created_at: "2025-02-02T00:00:00Z", repository: { full_name: "org/app" }, issue_number: 3, issue_title: "Slow", issue_url: "https://ghes.example.com/org/app/issues/3" },
+      ],
+    };
+    const { contributions } = normalize(raw);
+    expect(contributions.map((c) => c.id)).toEqual([
+      "ghes.example.com/org/app#12",
+      "ghes.example.com/org/app#3-comment-IC_1",
+    ]);
+    expect(contributions[0].repo).toBe("ghes.example.com/org/app");
+    expect(contributions[1].linked_issues).toEqual(["ghes.example.com/org/app#3"]);
+  });
+});
+
+describe("linked issues", () => {
+  it("extractIssueRefs finds closing keywords, cross-repo refs and Jira keys", () => {
+    const text = [
+      "PROJ-12: Fixes #123 and closes org/other#45.",
+      "Resolves https://github.com/a/b/issues/9; see acme/web#7.",
+      "Handles UTF-8 and SHA-256; fixed 3 flaky tests.",
+      "```\nfixes #999 OPS-1\n```",
+      "Mentions #88 without a keyword.",
+    ].join("\n");
+    expect(extractIssueRefs(text, "org/app")).toEqual([
+      "org/app#123",
+      "org/other#45",
+      "a/b#9",
+      "acme/web#7",
+      "PROJ-12",
+    ]);
+  });
+
+  it("PR contributions combine closingIssuesReferences with refs from title and body", () => {
+    const raw = {
+      pull_requests: [
+        {
+          number: 5,
+          title: "BILL-7 Retry webhooks",
+          body: "Fixes #41, part of org/platform#3",
+          html_url: "https://github.com/org/app/pull/5",
+          merged_at: "2025-03-01T00:00:00Z",
+          base: { repo: { full_name: "org/app" } },
+          closing_issues: [{ number: 41, repository: { full_name: "org/app" } }, { number: 2, repository: { full_name: "org/infra" } }],
+        },
+      ],
+    };
+    const { contributions } = normalize(raw);
+    expect(contributions[0].linked_issues).toEqual(["org/app#41", "org/infra#2", "org/platform#3", "BILL-7"]);
+  });
+
+  it("GHES host qualifies GitHub refs but leaves Jira keys alone", () => {
+    const raw = {
+      host: "ghes.example.com",
+      pull_requests: [
+        { number: 5, title: "OPS-9 tune", body: "fixes #1", merged_at: "2025-03-01T00:00:00Z", base: { repo: { full_name: "org/app" } } },
+      ],
+    };
+    expect(normalize(raw).contributions[0].linked_issues).toEqual(["ghes.example.com/org/app#1", "OPS-9"]);
+  });
+});
+
+describe("review metrics", () => {
+  const pr = (extra) => ({
+    number: 8,
+    title: "Rework billing",
+    body: "",
+    html_url: "https://github.com/org/app/pull/8",
+    created_at: "2025-03-01T00:00:00Z",
+    merged_at: "2025-03-03T12:00:00Z",
+    base: { repo: { full_name: "org/app" } },
+    user: { login: "me" },
+    ...extra,
+  });
+
+  it("derives approvals, changes-requested rounds, reviewers and timings from the PR's reviews", () => {
+    const reviews = [
+      { state: "COMMENTED", submitted_at: "2025-03-01T06:00:00Z", user: { login: "me" } },
+      { state: "CHANGES_REQUESTED", submitted_at: "2025-03-01T09:30:00Z", user: { login: "ann" } },
+      { state: "CHANGES_REQUESTED", submitted_at: "2025-03-02T10:00:00Z", user: { login: "ann" } },
+      { state: "COMMENTED", submitted_at: "2025-03-02T11:00:00Z", user: { login: "raj" } },
+      { state: "APPROVED", submitted_at: "2025-03-03T09:00:00Z", user: { login: "ann" } },
+      { state: "APPROVED", submitted_at: "2025-03-03T10:00:00Z", user: { login: "ann" } },
+      { state: "APPROVED", submitted_at: "2025-03-03T11:00:00Z", user: { login: "lee" } },
+    ];
+    const [c] = normalize({ pull_requests: [pr({ reviews })] }).contributions;
+    expect(c).toMatchObject({
+      approvals_count: 2,
+      changes_requested_count: 2,
+      reviewers_count: 3,
+      hours_to_first_review: 9.5,
+      hours_to_merge: 60,
+    });
+  });
+
+  it("falls back to the flat reviews list for raw files without per-PR reviews", () => {
+    const raw = {
+      pull_requests: [pr({ user: undefined })],
+      reviews: [
+        { id: "R1", state: "APPROVED", submitted_at: "2025-03-02T00:00:00Z", repository: { full_name: "org/app" }, pull_number: 8 },
+        { id: "R2", state: "APPROVED", submitted_at: "2025-03-02T01:00:00Z", repository: { full_name: "org/app" }, pull_number: 9 },
+      ],
+    };
+    const c = normalize(raw).contributions.find((x) => x.type === "pull_request");
+    expect(c.approvals_count).toBe(1);
+    expect(c.hours_to_first_review).toBe(24);
+    expect(c.reviewers_count).toBeUndefined();
+  });
+
+  it("counts a repeat approver in the flat reviews list once", () => {
+    const review = (id, login, at) => ({
+      id, state: "APPROVED", submitted_at: at, repository: { full_name: "org/app" }, pull_number: 8, user: { login },
+    });
+    const raw = {
+      pull_requests: [pr({ user: undefined })],
+      // ann approves, the approval is dismissed by a new push, and she approves again.
+      reviews: [review("R1", "ann", "2025-03-02T00:00:00Z"), review("R2", "ann", "2025-03-03T00:00:00Z"), review("R3", "lee", "2025-03-03T01:00:00Z")],
+    };
+    const c = normalize(raw).contributions.find((x) => x.type === "pull_request");
+    expect(c.approvals_count).toBe(2);
+    expect(c.reviewers_count).toBe(2);
+  });
+});
+
+
+describe("PR state", () => {
+  const pr = (number, extra) => ({
+    number,
+    title: `PR ${number}`,
+    body: "",
+    html_url: `https://github.com/org/app/pull/${number}`,
+    base: { repo: { full_name: "org/app" } },
+    created_at: `2025-03-${String(number).padStart(2, "0")}T00:00:00Z`,
+    merged_at: null,
+    labels: [],
+    ...extra,
+  });
+
+  it("records merged, open, draft and closed PRs with their dates", () => {
+    const { contributions } = normalize({
+      pull_requests: [
+        pr(1, { state: "closed", merged_at: "2025-03-02T00:00:00Z", closed_at: "2025-03-02T00:00:00Z" }),
+        pr(2, { state: "open" }),
+        pr(3, { state: "open", draft: true }),
+        pr(4, { state: "closed", closed_at: "2025-03-09T00:00:00Z" }),
+      ],
+    });
+    expect(contributions.map((c) => [c.state, c.created_at, c.closed_at])).toEqual([
+      ["merged", "2025-03-01T00:00:00Z", "2025-03-02T00:00:00Z"],
+      ["open", "2025-03-02T00:00:00Z", undefined],
+      ["draft", "2025-03-03T00:00:00Z", undefined],
+      ["closed", "2025-03-04T00:00:00Z", "2025-03-09T00:00:00Z"],
+    ]);
+    expect(contributions.every((c) => c.superseded_by === undefined)).toBe(true);
+  });
+
+  it("leaves state out for raw files that predate it, unless the PR was merged", () => {
+    const { contributions } = normalize({ pull_requests: [pr(1), pr(2, { merged_at: "2025-03-05T00:00:00Z" })] });
+    expect(contributions[0].state).toBeUndefined();
+    expect(contributions[1].state).toBe("merged");
+  });
+
+  it("marks closed PRs superseded by a later PR via references, reused branch or title", () => {
+    const { contributions } = normalize({
+      pull_requests: [
+        pr(1, { state: "closed", title: "Rate limiter" }),
+        pr(2, { state: "closed", merged_at: "2025-03-06T00:00:00Z", title: "Token bucket rate limiter", body: "Supersedes #1" }),
+        pr(3, { state: "closed", body: "Superseded by #9" }),
+        pr(4, { state: "closed", head: { ref: "me/search" } }),
+        pr(5, { state: "open", head: { ref: "me/search" } }),
+        pr(6, { state: "closed", title: "Add audit log" }),
+        pr(7, { state: "closed", merged_at: "2025-03-08T00:00:00Z", title: "Add audit log" }),
+        pr(8, { state: "closed", title: "Abandoned idea" }),
+        pr(9, { state: "closed", merged_at: "2025-03-10T00:00:00Z" }),
+      ],
+    });
+    const superseded = Object.fromEntries(contributions.map((c) => [c.id, c.superseded_by]));
+    expect(superseded).toEqual({
+      "org/app#1": "org/app#2",
+      "org/app#2": undefined,
+      "org/app#3": "org/app#9",
+      "org/app#4": "org/app#5",
+      "org/app#5": undefined,
+      "org/app#6": "org/app#7",
+      "org/app#7": undefined,
+      "org/app#8": undefined,
+      "org/app#9": undefined,
+    });
+  });
+
+  it("maps GitLab MR states, including drafts", () => {
+    const mr = (iid, extra) => ({
+      iid,
+      project_path: "acme/web",
+      title: `MR ${iid}`,
+      description: "",
+      web_url: `https://gitlab.com/acme/web/-/merge_requests/${iid}`,
+      created_at: "2025-03-01T00:00:00Z",
+      merged_at: null,
+      labels: [],
+      user_notes_count: 0,
+      approved_by: [],
+      ...extra,
+    });
+    const { contributions } = normalize({
+      source: "gitlab",
+      merge_requests: [
+        mr(1, { state: "opened", title: "Draft: New importer" }),
+        mr(2, { state: "closed", closed_at: "2025-03-04T00:00:00Z", source_branch: "importer" }),
+        mr(3, { state: "opened", draft: false, source_branch: "importer", created_at: "2025-03-05T00:00:00Z" }),
+      ],
+    });
+    expect(contributions.map((c) => [c.state, c.superseded_by])).toEqual([
+      ["draft", undefined],
+      ["closed", "gitlab:acme/web!3"],
+      ["open", undefined],
+    ]);
+  });
+});
+
+describe("changed paths and areas", () => {
+  const pr = (extra = {}) => ({
+    number: 3,
+    title: "Charge retries",
+    html_url: "https://github.com/org/app/pull/3",
+    merged_at: "2025-03-04T00:00:00Z",
+    base: { repo: { full_name: "org/app" } },
+    ...extra,
+  });
+
+  it("derives directories, languages and components from the PR's files", () => {
+    const files = [{ filename: "services/billing/retry.go" }, { filename: "services/billing/retry_test.go" }, { filename: "web/retry.ts" }];
+    const [c] = normalize({ pull_requests: [pr({ files })] }, null, null, {
+      componentRules: [{ glob: "services/billing/**", name: "Billing", pattern: /^services\/billing\/.*$/ }],
+    }).contributions;
+    expect(c.changed_paths).toHaveLength(3);
+    expect(c.directories).toEqual(["services/billing", "web"]);
+    expect(c.languages).toEqual(["Go", "TypeScript"]);
+    expect(c.components).toEqual(["Billing"]);
+  });
+
+  it("omits area fields when files were not collected", () => {
+    const [c] = normalize({ pull_requests: [pr()] }).contributions;
+    expect(c.changed_paths).toBeUndefined();
+    expect(c.directories).toBeUndefined();
+    expect(c.components).toBeUndefined();
+  });
+});
+
+describe("normalize GitLab", () => {
+  const raw = {
+    source: "gitlab",
+    host: "gitlab.com",
+    username: "me",
+    timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" },
+    merge_requests: [
+      {
+        iid: 12,
+        project_path: "acme/web",
+        title: "Add SSO",
+        description: "Closes #3 and PROJ-9",
+        web_url: "https://gitlab.com/acme/web/-/merge_requests/12",
+        state: "merged",
+        created_at: "2025-03-01T00:00:00Z",
+        merged_at: "2025-03-03T00:00:00Z",
+        labels: ["auth"],
+        user_notes_count: 4,
+        approved_by: ["ann", "me", "lee"],
+      },
+    ],
+    reviews: [
+      {
+        project_path: "acme/api",
+        mr_iid: 5,
+        mr_title: "Fix cache",
+        mr_web_url: "https://gitlab.com/acme/api/-/merge_requests/5",
+        approved_at: "2025-04-02T00:00:00Z",
+        notes: [{ id: 900, body: "Should this expire?", created_at: "2025-04-01T00:00:00Z", path: "cache.go" }],
+      },
+    ],
+    releases: [
+      { project_path: "acme/web", tag_name: "v2.0", name: "2.0", description: "SSO", released_at: "2025-03-10T00:00:00Z", web_url: "https://gitlab.com/acme/web/-/releases/v2.0" },
+    ],
+  };
+
+  it("maps MRs, reviews and releases with gitlab: IDs", () => {
+    const { contributions } = normalize(raw, "2025-01-01", "2025-12-31");
+    expect(contributions.map((c) => c.id)).toEqual(["gitlab:acme/web!12", "gitlab:acme/api!5-review", "gitlab:acme/web@v2.0"]);
+    expect(contributions[0]).toMatchObject({
+      type: "pull_request",
+      repo: "acme/web",
+      approvals_count: 2,
+      review_comments_count: 4,
+      hours_to_merge: 48,
+      linked_issues: ["gitlab:acme/web#3", "PROJ-9"],
+    });
+    expect(contributions[1]).toMatchObject({
+      type: "review",
+      title: "Reviewed: Fix cache",
+      body: "cache.go: Should this expire?",
+      approvals_count: 1,
+      merged_at: "2025-04-02T00:00:00Z",
+    });
+  });
+
+  it("qualifies self-managed IDs with the host and filters by date", () => {
+    const { contributions } = normalize({ ...raw, host: "gitlab.example.com" }, "2025-03-05", "2025-12-31");
+    expect(contributions.map((c) => c.id)).toEqual([
+      "gitlab:gitlab.example.com/acme/api!5-review",
+      "gitlab:gitlab.example.com/acme/web@v2.0",
+    ]);
+  });
+});
@@ -49,4 +49,13 @@ describe("parseArgs", () => {
     expect(out.input).toBe("/default/evidence.json");
     expect(out.outDir).toBe("/default/out");
   });
+
+  it("collects remaining positionals into an array for a rest positional", () => {
+    const schema = {
+      flags: [{ name: "output", option: "--output", type: "string" }],
+      positionals: [{ name: "inputs", rest: true }],
+    };
+    expect(parseArgs(schema, ["a.json", "--output", "out.json", "b.json"]).inputs).toEqual(["a.json", "b.json"]);
+    expect(parseArgs(schema, []).inputs).toEqual([]);
+  });
 });
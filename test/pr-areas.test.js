@@ -0,0 +1,56 @@
+import { describe, it, expect } from "vitest";
+import { writeFileSync, mkdirSync, rmSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { randomUUID } from "crypto";
+import { globToRegExp, parseComponentRules, loadComponentRules, deriveAreas } from "../lib/pr-areas.ts";
+
+describe("globToRegExp", () => {
+  it("matches ** across directories and * within one segment", () => {
+    expect(globToRegExp("services/billing/**").test("services/billing/api/charge.go")).toBe(true);
+    expect(globToRegExp("services/billing/**").test("services/billing-v2/x.go")).toBe(false);
+    expect(globToRegExp("web/*.ts").test("web/app.ts")).toBe(true);
+    expect(globToRegExp("web/*.ts").test("web/src/app.ts")).toBe(false);
+    expect(globToRegExp("**/*.sql").test("schema.sql")).toBe(true);
+    expect(globToRegExp("**/*.sql").test("db/migrations/001.sql")).toBe(true);
+  });
+});
+
+describe("deriveAreas", () => {
+  it("ranks directories (package roots in monorepos) and languages by files touched", () => {
+    const areas = deriveAreas([
+      "packages/ui/src/Button.tsx",
+      "packages/ui/src/Button.test.tsx",
+      "packages/api/index.ts",
+      "docs/buttons.md",
+      "README.md",
+    ]);
+    expect(areas.directories).toEqual(["packages/ui", "docs", "packages/api"]);
+    expect(areas.languages).toEqual(["TypeScript", "Markdown"]);
+    expect(areas.components).toEqual([]);
+  });
+
+  it("names components with the first matching rule", () => {
+    const rules = parseComponentRules({ "services/billing/**": "Billing", "services/**": "Platform" });
+    const areas = deriveAreas(["services/billing/a.go", "services/billing/b.go", "services/auth/c.go"], rules);
+    expect(areas.components).toEqual(["Billing", "Platform"]);
+  });
+});
+
+describe("loadComponentRules", () => {
+  it("reads a JSON object and rejects anything else", () => {
+    const dir = join(tmpdir(), `pr-areas-${randomUUID()}`);
+    mkdirSync(dir, { recursive: true });
+    try {
+      const good = join(dir, "components.json");
+      writeFileSync(good, JSON.stringify({ "infra/**": "Infrastructure" }));
+      expect(loadComponentRules(good).map((r) => r.name)).toEqual(["Infrastructure"]);
+      const bad = join(dir, "bad.json");
+      writeFileSync(bad, "[]");
+      expect(() => loadComponentRules(bad)).toThrow(/must be a JSON object/);
+      expect(() => loadComponentRules(join(dir, "missing.json"))).toThrow(/Could not read component config/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect } from "vitest";
+import { parseRepoList, repoMatcher, searchScope } from "../lib/repo-filter.ts";
+
+describe("parseRepoList", () => {
+  it("splits on commas and whitespace", () => {
+    expect(parseRepoList(" acme/api, acme/web\nacme/docs,,")).toEqual(["acme/api", "acme/web", "acme/docs"]);
+    expect(parseRepoList(undefined)).toEqual([]);
+  });
+});
+
+describe("repoMatcher", () => {
+  it("matches everything without a selection", () => {
+    expect(repoMatcher()("any/repo")).toBe(true);
+    expect(repoMatcher({ repos: [], orgs: [] })("any/repo")).toBe(true);
+  });
+
+  it("keeps included repos and repos under included orgs (and GitLab subgroups), case-insensitively", () => {
+    const inScope = repoMatcher({ repos: ["Other/Lib"], orgs: ["acme"] });
+    expect(["acme/api", "acme/platform/infra", "other/lib", "other/app", "acme-labs/x"].map(inScope)).toEqual([
+      true,
+      true,
+      true,
+      false,
+      false,
+    ]);
+  });
+
+  it("lets exclusions win over the include lists", () => {
+    const inScope = repoMatcher({ orgs: ["acme"], repos: ["acme/sandbox"], excludeRepos: ["ACME/sandbox"] });
+    expect(inScope("acme/sandbox")).toBe(false);
+    expect(inScope("acme/api")).toBe(true);
+    expect(repoMatcher({ excludeRepos: ["acme/sandbox"] })("else/where")).toBe(true);
+  });
+});
+
+describe("searchScope", () => {
+  it("turns include lists into search qualifiers, leaving exclusions to the filter", () => {
+    expect(searchScope({ repos: ["acme/api"], orgs: ["tools"], excludeRepos: ["acme/sandbox"] })).toBe(
+      " repo:acme/api user:tools"
+    );
+    expect(searchScope({ excludeRepos: ["acme/sandbox"] })).toBe("");
+  });
+
+  it("gives up on lists too long for one query", () => {
+    const repos = Array.from({ length: 20 }, (_, i) => `acme/service-${i}`);
+    expect(searchScope({ repos })).toBe("");
+  });
+});
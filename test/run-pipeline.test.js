@@ -1,13 +1,27 @@
-import { describe, it, expect, vi } from "vitest";
-import { extractJson, runPipeline, clearPipelineCache } from "../lib/run-pipeline.js";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { readFileSync } from "fs";
+import { checkStepOutput, extractJson, regenerateSection, runPipeline, clearPipelineCache, StepOutputError } from "../lib/run-pipeline.js";
 
 const mockThemes = { themes: [{ theme_id: "t1", theme_name: "Reliability" }] };
 const mockBullets = { bullets_by_theme: [], top_10_bullets_overall: [] };
 const mockStories = { stories: [] };
 const mockSelfEval = { sections: { summary: { text: "Done" } } };
+/** runPipeline's result for the mocks above: nothing is cited, so citation checking flags the theme and summary. */
+const expectedResult = {
+  themes: { themes: [{ ...mockThemes.themes[0], unverified: true }] },
+  bullets: mockBullets,
+  stories: mockStories,
+  self_eval: { sections: { summary: { text: "Done", unverified: true } } },
+  verification: expect.objectContaining({ references: 0, unverified_claims: 2 }),
+};
 
 let createCallCount = 0;
 let lastCreateArgs = [];
+/** Replies returned (in order) before falling back to the valid output for the step being asked. */
+let queuedReplies = [];
+const stepPrompts = ["10_theme_cluster.md", "20_impact_bullets.md", "30_star_stories.md", "40_self_eval_sections.md"].map(
+  (f) => readFileSync(new URL(`../prompts/${f}`, import.meta.url), "utf8").trim()
+);
 function MockOpenAI() {
   const contents = [
     JSON.stringify(mockThemes),
@@ -15,13 +29,14 @@ function MockOpenAI() {
     JSON.stringify(mockStories),
     JSON.stringify(mockSelfEval),
   ];
-  let i = 0;
   this.chat = {
     completions: {
       create: (args) => {
         createCallCount++;
         lastCreateArgs.push(args);
-        return Promise.resolve({ choices: [{ message: { content: contents[i++ % 4] } }] });
+        const step = stepPrompts.findIndex((p) => args.messages[1].content.startsWith(p));
+        const content = queuedReplies.length ? queuedReplies.shift() : contents[step];
+        return Promise.resolve({ choices: [{ message: { content } }] });
       },
     },
   };
@@ -51,10 +66,30 @@ describe("extractJson", () => {
   });
 });
 
+describe("checkStepOutput", () => {
+  it("accepts output matching the step's schema", () => {
+    expect(checkStepOutput("themes", JSON.stringify(mockThemes))).toEqual({ data: mockThemes, problems: [] });
+    expect(checkStepOutput("self_eval", JSON.stringify(mockSelfEval)).problems).toEqual([]);
+  });
+
+  it("lists every schema problem with its path", () => {
+    const bullets = {
+      bullets_by_theme: [{ theme_id: "t1", bullets: [{ text: "Did X", evidence: [{ url: "u" }], impact_level: "huge" }] }],
+    };
+    expect(checkStepOutput("bullets", JSON.stringify(bullets)).problems).toEqual([
+      "/bullets_by_theme/0/bullets/0/evidence/0: must have required property 'id'",
+      "/bullets_by_theme/0/bullets/0/impact_level: must be equal to one of the allowed values (high, medium, low)",
+    ]);
+    expect(checkStepOutput("stories", "{}").problems).toEqual(["/: must have required property 'stories'"]);
+    expect(checkStepOutput("stories", "Sorry, I can't").problems[0]).toMatch(/^reply is not a JSON object/);
+  });
+});
+
 describe("runPipeline", () => {
   beforeEach(() => {
     createCallCount = 0;
     lastCreateArgs = [];
+    queuedReplies = [];
     clearPipelineCache();
     process.env.POSTHOG_API_KEY = "ph_test";
   });
@@ -83,7 +118,7 @@ describe("runPipeline", () => {
         contributions: [],
       };
       const result = await runPipeline(evidence);
-      expect(result).toEqual({ themes: mockThemes, bullets: mockBullets, stories: mockStories, self_eval: mockSelfEval });
+      expect(result).toEqual(expectedResult);
     } finally {
       if (origOR !== undefined) process.env.OPENROUTER_API_KEY = origOR;
       else delete process.env.OPENROUTER_API_KEY;
@@ -126,7 +161,7 @@ describe("runPipeline", () => {
       contributions: [],
     };
     const result = await runPipeline(evidence, { apiKey: "sk-test" });
-    expect(result).toEqual({ themes: mockThemes, bullets: mockBullets, stories: mockStories, self_eval: mockSelfEval });
+    expect(result).toEqual(expectedResult);
     expect(createCallCount).toBe(4);
   });
 
@@ -138,7 +173,7 @@ describe("runPipeline", () => {
     const result1 = await runPipeline(evidence, { apiKey: "sk-test" });
     const result2 = await runPipeline(evidence, { apiKey: "sk-test" });
     expect(result1).toEqual(result2);
-    expect(result2).toEqual({ themes: mockThemes, bullets: mockBullets, stories: mockStories, self_eval: mockSelfEval });
+    expect(result2).toEqual(expectedResult);
     expect(createCallCount).toBe(4);
   });
 
@@ -149,7 +184,7 @@ describe("runPipeline", () => {
       contributions: [],
     };
     const result = await runPipeline(evidence, { apiKey: "sk-test" });
-    expect(result).toEqual({ themes: mockThemes, bullets: mockBullets, stories: mockStories, self_eval: mockSelfEval });
+    expect(result).toEqual(expectedResult);
     expect(createCallCount).toBe(4);
   });
 
@@ -164,6 +199,102 @@ describe("runPipeline", () => {
     expect(createCallCount).toBe(4);
   });
 
+  it("drops excluded contributions and keeps the pinned flag in every step's payload", async () => {
+    const c = (id, extra) => ({ id, type: "pull_request", title: `PR ${id}`, url: `https://x/y/pull/${id}`, repo: "x/y", ...extra });
+    const evidence = {
+      timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" },
+      contributions: [c("x/y#1", { pinned: true }), c("x/y#2", { excluded: true })],
+    };
+    await runPipeline(evidence, { apiKey: "sk-test" });
+    const payload = (i) => JSON.parse(lastCreateArgs[i].messages[1].content.split("INPUT JSON:\n").pop());
+    for (const i of [0, 1]) {
+      expect(payload(i).contributions).toEqual([expect.objectContaining({ id: "x/y#1", pinned: true })]);
+    }
+  });
+
+  it("passes context_answers to every step", async () => {
+    const context_answers = [{ question: "How many teams use the SDK?", answer: "Six" }];
+    await runPipeline(
+      { timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" }, contributions: [], context_answers },
+      { apiKey: "sk-test" }
+    );
+    expect(lastCreateArgs).toHaveLength(4);
+    for (const args of lastCreateArgs) {
+      expect(JSON.parse(args.messages[1].content.split("INPUT JSON:\n").pop()).context_answers).toEqual(context_answers);
+    }
+  });
+
+  it("checks citations against the evidence, fixing known ones and removing fabricated ones", async () => {
+    const evidence = {
+      timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" },
+      contributions: [{ id: "x/y#1", type: "pull_request", title: "Retry queue", url: "https://x/y/pull/1", repo: "x/y" }],
+    };
+    queuedReplies = [
+      JSON.stringify({
+        themes: [{ theme_id: "t1", theme_name: "Reliability", evidence_ids: ["X/Y#1", "x/y#42"] }],
+      }),
+    ];
+    const result = await runPipeline(evidence, { apiKey: "sk-test" });
+    expect(result.themes.themes[0]).toEqual({ theme_id: "t1", theme_name: "Reliability", evidence_ids: ["x/y#1"] });
+    expect(result.verification).toMatchObject({ references: 2, valid: 1, fixed: 1, fabricated: 1, unverified_claims: 1 });
+    expect(result.verification.issues.find((i) => i.kind === "fabricated")).toMatchObject({ path: "themes.themes[0]", id: "x/y#42" });
+  });
+
+  it("sends schema errors back to the model and uses the repaired output", async () => {
+    const evidence = { timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" }, contributions: [] };
+    queuedReplies = ["Here are the themes: none", JSON.stringify({ themes: [{ theme_id: "t1" }] })];
+    const labels = [];
+    const result = await runPipeline(evidence, { apiKey: "sk-test", onProgress: (p) => labels.push(p.label) });
+    expect(result.themes).toEqual(expectedResult.themes);
+    expect(createCallCount).toBe(6);
+    const repair = lastCreateArgs[2].messages;
+    expect(repair.slice(2).map((m) => m.role)).toEqual(["assistant", "user", "assistant", "user"]);
+    expect(repair[3].content).toMatch(/not a JSON object/);
+    expect(repair[5].content).toContain("/themes/0: must have required property 'theme_name'");
+    expect(labels).toContain("Themes (repairing output, attempt 2)");
+  });
+
+  it("fails with a per-step error once repairs run out", async () => {
+    const evidence = { timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" }, contributions: [] };
+    const bad = JSON.stringify({ bullets_by_theme: [{ theme_id: "t1", bullets: [{ evidence: [] }] }] });
+    queuedReplies = [JSON.stringify(mockThemes), bad, bad, bad];
+    const run = runPipeline(evidence, { apiKey: "sk-test" });
+    await expect(run).rejects.toBeInstanceOf(StepOutputError);
+    await expect(run).rejects.toMatchObject({
+      step: "bullets",
+      message: "Impact bullets step failed: the model's output was invalid after 2 repair attempts: /bullets_by_theme/0/bullets/0: must have required property 'text'",
+    });
+    expect(createCallCount).toBe(4);
+  });
+
+  it("resumes a failed run from the step that failed", async () => {
+    const evidence = { timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" }, contributions: [] };
+    const bad = JSON.stringify({ bullets_by_theme: [{ theme_id: "t1", bullets: [{ evidence: [] }] }] });
+    queuedReplies = [JSON.stringify(mockThemes), bad, bad, bad];
+    await expect(runPipeline(evidence, { apiKey: "sk-test" })).rejects.toBeInstanceOf(StepOutputError);
+    createCallCount = 0;
+    const labels = [];
+    const result = await runPipeline(evidence, { apiKey: "sk-test", onProgress: (p) => labels.push(p.label) });
+    expect(result).toEqual(expectedResult);
+    expect(createCallCount).toBe(3);
+    expect(labels[0]).toBe("Themes (cached)");
+  });
+
+  it("reruns from --from-step on and bypasses the cache entirely when disabled", async () => {
+    const evidence = { timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" }, contributions: [] };
+    await runPipeline(evidence, { apiKey: "sk-test" });
+    createCallCount = 0;
+    lastCreateArgs = [];
+    await runPipeline(evidence, { apiKey: "sk-test", fromStep: "stories" });
+    expect(lastCreateArgs.map((a) => stepPrompts.findIndex((p) => a.messages[1].content.startsWith(p)))).toEqual([2, 3]);
+    createCallCount = 0;
+    await runPipeline(evidence, { apiKey: "sk-test", cache: false });
+    expect(createCallCount).toBe(4);
+    await expect(runPipeline(evidence, { apiKey: "sk-test", fromStep: "summary" })).rejects.toThrow(
+      'Unknown step "summary" (expected one of themes, bullets, stories, self_eval)'
+    );
+  });
+
   it("premium flag uses a different model than free tier", async () => {
     const evidence = {
       timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" },
@@ -179,3 +310,88 @@ describe("runPipeline", () => {
     expect(premiumModel).not.toBe(freeModel);
   });
 });
+
+describe("regenerateSection", () => {
+  const evidence = {
+    timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" },
+    contributions: [{ id: "x/y#1", type: "pull_request", title: "Queue", url: "https://x/y/pull/1", repo: "x/y" }],
+  };
+  const ev = [{ id: "x/y#1", url: "https://x/y/pull/1" }];
+  const story = (title) => ({ title, situation: "S", task: "T", actions: ["A"], results: ["R"], evidence: ev });
+  const previous = {
+    themes: { themes: [{ theme_id: "t1", theme_name: "Reliability", evidence_ids: ["x/y#1"] }] },
+    bullets: {
+      bullets_by_theme: [
+        { theme_id: "t1", bullets: [{ text: "Old t1", evidence: ev }] },
+        { theme_id: "t2", bullets: [{ text: "Old t2", evidence: ev }] },
+      ],
+      top_10_bullets_overall: [{ text: "Old t1", evidence: ev }],
+    },
+    stories: { stories: [story("First"), story("Second")] },
+    self_eval: { sections: { summary: { text: "Done", evidence: ev } } },
+  };
+
+  beforeEach(() => {
+    createCallCount = 0;
+    lastCreateArgs = [];
+    queuedReplies = [];
+    clearPipelineCache();
+  });
+
+  it("replaces one story and keeps every other output", async () => {
+    queuedReplies = [JSON.stringify({ stories: [story("Second, now about cost")] })];
+    const labels = [];
+    const result = await regenerateSection(evidence, previous, { step: "stories", story_index: 1 }, "Focus on cost", {
+      apiKey: "sk-test",
+      onProgress: (p) => labels.push(p.label),
+    });
+    expect(result.stories.stories.map((s) => s.title)).toEqual(["First", "Second, now about cost"]);
+    expect(result).toMatchObject({ themes: previous.themes, bullets: previous.bullets, self_eval: previous.self_eval });
+    expect(result.verification).toMatchObject({ fabricated: 0, unverified_claims: 0 });
+    expect(createCallCount).toBe(1);
+    expect(labels).toEqual(["Regenerating STAR story 2"]);
+    const prompt = lastCreateArgs[0].messages[1].content;
+    expect(prompt).toContain("CURRENT SECTION:\n" + JSON.stringify(story("Second"), null, 2));
+    expect(prompt).toContain("FEEDBACK:\nFocus on cost");
+    expect(prompt).toMatch(/exactly one story/);
+  });
+
+  it("replaces one theme's bullets, leaving other themes and the top 10 alone", async () => {
+    queuedReplies = [JSON.stringify({ bullets_by_theme: [{ theme_id: "t1", bullets: [{ text: "New t1", evidence: ev }] }] })];
+    const result = await regenerateSection(evidence, previous, { step: "bullets", theme_id: "t1" }, "Shorter", { apiKey: "sk-test" });
+    expect(result.bullets.bullets_by_theme.map((g) => g.bullets[0].text)).toEqual(["New t1", "Old t2"]);
+    expect(result.bullets.top_10_bullets_overall).toEqual(previous.bullets.top_10_bullets_overall);
+  });
+
+  it("keeps a theme's bullets or a story when the model replies with an empty list", async () => {
+    queuedReplies = [JSON.stringify({ bullets_by_theme: [] })];
+    const bullets = await regenerateSection(evidence, previous, { step: "bullets", theme_id: "t1" }, "Shorter", { apiKey: "sk-test" });
+    expect(bullets.bullets.bullets_by_theme).toEqual(previous.bullets.bullets_by_theme);
+
+    queuedReplies = [JSON.stringify({ stories: [] })];
+    const stories = await regenerateSection(evidence, previous, { step: "stories", story_index: 0 }, "Shorter", { apiKey: "sk-test" });
+    expect(stories.stories).toEqual(previous.stories);
+  });
+
+  it("replaces a whole step, and is neither read from nor written to the step cache", async () => {
+    await runPipeline(evidence, { apiKey: "sk-test" });
+    createCallCount = 0;
+    queuedReplies = [JSON.stringify({ themes: [{ theme_id: "t9", theme_name: "Platform", evidence_ids: ["x/y#1"] }] })];
+    const result = await regenerateSection(evidence, previous, { step: "themes" }, "One theme only", { apiKey: "sk-test" });
+    expect(result.themes).toEqual({ themes: [{ theme_id: "t9", theme_name: "Platform", evidence_ids: ["x/y#1"] }] });
+    expect(result.stories).toEqual(previous.stories);
+    expect(createCallCount).toBe(1);
+    await runPipeline(evidence, { apiKey: "sk-test" });
+    expect(createCallCount).toBe(1);
+  });
+
+  it("fails for a section the previous result does not have", async () => {
+    await expect(
+      regenerateSection(evidence, previous, { step: "bullets", theme_id: "t7" }, "x", { apiKey: "sk-test" })
+    ).rejects.toThrow('No bullets for theme "t7" in the previous result');
+    await expect(
+      regenerateSection(evidence, previous, { step: "stories", story_index: 5 }, "x", { apiKey: "sk-test" })
+    ).rejects.toThrow("No story 6 in the previous result");
+    expect(createCallCount).toBe(0);
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect } from "vitest";
+import { readFileSync, readdirSync, statSync, writeFileSync, mkdirSync, rmSync } from "fs";
+import { join, relative } from "path";
+import { tmpdir } from "os";
+import { randomUUID } from "crypto";
+import { deflateRawSync } from "zlib";
+import { execSync } from "child_process";
+import { readZip } from "../lib/zip.ts";
+import { importSlack, loadSlackExport, slackPermalink } from "../lib/slack-export.ts";
+import { validateEvidence } from "../lib/validate-evidence.ts";
+
+const EXPORT_DIR = join(__dirname, "fixtures", "slack-export");
+const YEAR = { start: "2025-01-01", end: "2025-12-31" };
+
+/** Deflated ZIP of the given files, nested under `root` like some export tools do (CRCs left at zero). */
+function buildZip(files, root = "") {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of files) {
+    const path = Buffer.from(root + name);
+    const data = deflateRawSync(Buffer.from(content));
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(Buffer.byteLength(content), 22);
+    local.writeUInt16LE(path.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(Buffer.byteLength(content), 24);
+    central.writeUInt16LE(path.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, path, data);
+    centrals.push(central, path);
+    offset += local.length + path.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, eocd]);
+}
+
+function fixtureFiles(dir = EXPORT_DIR) {
+  return readdirSync(dir).flatMap((name) => {
+    const full = join(dir, name);
+    return statSync(full).isDirectory() ? fixtureFiles(full) : [[relative(EXPORT_DIR, full), readFileSync(full, "utf8")]];
+  });
+}
+
+describe("readZip", () => {
+  it("reads deflated entries and rejects non-ZIP input", () => {
+    const entries = readZip(buildZip([["a.txt", "hello"], ["dir/b.json", "[1]"]]));
+    expect([...entries.keys()]).toEqual(["a.txt", "dir/b.json"]);
+    expect(entries.get("dir/b.json").toString()).toBe("[1]");
+    expect(() => readZip(Buffer.from("not a zip at all, just some text"))).toThrow(/Not a ZIP/);
+  });
+});
+
+describe("importSlack", () => {
+  const files = loadSlackExport(EXPORT_DIR);
+
+  it("collapses each thread the user took part in into one contribution with a permalink", () => {
+    const { contributions, channels } = importSlack(files, { userId: "U0JANE", ...YEAR, workspaceUrl: "https://acme.slack.com/" });
+    expect(channels).toEqual(["incidents", "random", "secret-project"]);
+    expect(contributions.map((c) => c.id)).toEqual([
+      "slack#C01INC#1741000100.000200",
+      "slack#C02RND#1743500000.000100",
+      "slack#G03SEC#1746100000.000100",
+    ]);
+    expect(contributions[0]).toEqual({
+      id: "slack#C01INC#1741000100.000200",
+      type: "discussion",
+      source: "slack",
+      title: "Checkout is returning 500s for EU customers, anyone looking?",
+      url: "https://acme.slack.com/archives/C01INC/p1741000100000200",
+      repo: "incidents",
+      channel: "incidents",
+      merged_at: "2025-03-03T11:10:00.000Z",
+      summary:
+        "On it. Rolling back the payment config from #secret-project & paging @Bob Roe.\n" +
+        "Rolled back; error rate is back under 0.1%. Postmortem: PM-42 (https://docs.example.com/pm/42)",
+      body:
+        "Bob Roe: Checkout is returning 500s for EU customers, anyone looking?\n\n" +
+        "On it. Rolling back the payment config from #secret-project & paging @Bob Roe.\n\n" +
+        "Rolled back; error rate is back under 0.1%. Postmortem: PM-42 (https://docs.example.com/pm/42)",
+      review_comments_count: 2,
+      meta: { channel_id: "C01INC", thread_ts: "1741000100.000200" },
+    });
+  });
+
+  it("limits to the chosen channels by name or ID and never reads DMs", () => {
+    const { contributions } = importSlack(files, { userId: "U0JANE", ...YEAR, channels: ["#random", "G03SEC", "D0DM"] });
+    expect(contributions.map((c) => c.repo)).toEqual(["random", "secret-project"]);
+  });
+
+  it("redacts private channel names in repo and message text", () => {
+    const { contributions, channels } = importSlack(files, { userId: "U0JANE", ...YEAR, redactChannels: "private" });
+    expect(channels).toEqual(["incidents", "random", "private-channel-1"]);
+    expect(contributions[0].body).toContain("#private-channel-1");
+    expect(contributions[2].repo).toBe("private-channel-1");
+    expect(JSON.stringify(contributions)).not.toContain("secret-project");
+
+    const all = importSlack(files, { userId: "U0JANE", ...YEAR, redactChannels: "all" });
+    expect(all.contributions.map((c) => c.repo)).toEqual(["channel-1", "channel-2", "private-channel-3"]);
+  });
+
+  it("reads the same export from a ZIP nested in a folder", () => {
+    const dir = join(tmpdir(), randomUUID());
+    mkdirSync(dir, { recursive: true });
+    try {
+      const zip = join(dir, "export.zip");
+      writeFileSync(zip, buildZip(fixtureFiles(), "Acme Slack export/"));
+      const fromZip = importSlack(loadSlackExport(zip), { userId: "U0JANE", ...YEAR });
+      expect(fromZip).toEqual(importSlack(files, { userId: "U0JANE", ...YEAR }));
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("produces evidence that passes the schema", () => {
+    const { contributions } = importSlack(files, { userId: "U0JANE", ...YEAR });
+    const evidence = { timeframe: { start_date: YEAR.start, end_date: YEAR.end }, contributions };
+    expect(validateEvidence(evidence)).toEqual({ valid: true });
+  });
+
+  it("rejects a directory that is not a Slack export", () => {
+    expect(() => importSlack(new Map([["users.json", "[]"]]), { userId: "U0JANE" })).toThrow(/Not a Slack export/);
+  });
+});
+
+describe("slackPermalink", () => {
+  it("defaults to slack.com when no workspace URL is given", () => {
+    expect(slackPermalink(undefined, "C01", "1741000100.000200")).toBe("https://slack.com/archives/C01/p1741000100000200");
+  });
+});
+
+describe("import-slack CLI", () => {
+  it("writes evidence from an export directory", () => {
+    const dir = join(tmpdir(), randomUUID());
+    mkdirSync(dir, { recursive: true });
+    const out = join(dir, "evidence.json");
+    try {
+      execSync(
+        `node --import tsx/esm scripts/import-slack.ts --input test/fixtures/slack-export --user U0JANE --channels incidents --start 2025-01-01 --end 2025-12-31 --output ${out}`,
+        { cwd: process.cwd(), env: { ...process.env, NODE_OPTIONS: "" }, stdio: "pipe" }
+      );
+      const evidence = JSON.parse(readFileSync(out, "utf8"));
+      expect(evidence.schema_version).toBe(2);
+      expect(evidence.timeframe).toEqual({ start_date: "2025-01-01", end_date: "2025-12-31" });
+      expect(evidence.contributions.map((c) => c.id)).toEqual(["slack#C01INC#1741000100.000200"]);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
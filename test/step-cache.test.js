@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  clearStepCache,
+  getCachedStep,
+  pruneStepCache,
+  setCachedStep,
+  stepCacheKey,
+} from "../lib/step-cache.ts";
+
+const DAY = 24 * 60 * 60 * 1000;
+const limits = { ttlMs: 7 * DAY, maxBytes: 1024 * 1024 };
+
+describe("step cache", () => {
+  beforeEach(() => clearStepCache());
+
+  it("keys on prompt, model and input", () => {
+    const base = { prompt: "Cluster themes", model: "gpt-4o-mini", input: '{"contributions":[]}' };
+    const key = stepCacheKey(base);
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(stepCacheKey({ ...base })).toBe(key);
+    expect(stepCacheKey({ ...base, prompt: "Cluster themes!" })).not.toBe(key);
+    expect(stepCacheKey({ ...base, model: "gpt-4o" })).not.toBe(key);
+    expect(stepCacheKey({ ...base, input: '{"contributions":[1]}' })).not.toBe(key);
+  });
+
+  it("round-trips step outputs and replaces an entry on rewrite", () => {
+    expect(getCachedStep("k")).toBeUndefined();
+    setCachedStep("k", "themes", { themes: [{ theme_id: "t1" }] });
+    expect(getCachedStep("k")).toEqual({ themes: [{ theme_id: "t1" }] });
+    setCachedStep("k", "themes", { themes: [] });
+    expect(getCachedStep("k")).toEqual({ themes: [] });
+  });
+
+  it("expires entries after the TTL", () => {
+    const t0 = Date.UTC(2025, 0, 1);
+    setCachedStep("old", "themes", { a: 1 }, t0, limits);
+    expect(getCachedStep("old", t0 + 6 * DAY, limits)).toEqual({ a: 1 });
+    expect(getCachedStep("old", t0 + 8 * DAY, limits)).toBeUndefined();
+    // Gone for good, not just hidden.
+    expect(getCachedStep("old", t0, limits)).toBeUndefined();
+  });
+
+  it("evicts the least recently used entries beyond the size limit", () => {
+    const t0 = Date.UTC(2025, 0, 1);
+    const value = { text: "x".repeat(90) }; // 101 bytes as JSON
+    const small = { ttlMs: limits.ttlMs, maxBytes: 250 };
+    setCachedStep("a", "themes", value, t0, small);
+    setCachedStep("b", "bullets", value, t0 + 1, small);
+    getCachedStep("a", t0 + 2, small);
+    setCachedStep("c", "stories", value, t0 + 3, small);
+    expect(getCachedStep("b", t0 + 4, small)).toBeUndefined();
+    expect(getCachedStep("a", t0 + 4, small)).toEqual(value);
+    expect(getCachedStep("c", t0 + 4, small)).toEqual(value);
+    expect(pruneStepCache({ ttlMs: limits.ttlMs, maxBytes: 150 }, t0 + 5)).toBe(1);
+    expect(getCachedStep("c", t0 + 6, small)).toEqual(value);
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect } from "vitest";
+import { readFileSync, mkdirSync, rmSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { randomUUID } from "crypto";
+import { execSync } from "child_process";
+import { parseCsv } from "../lib/csv.ts";
+import { detectTicketFormat, importTickets, parseExportDate } from "../lib/ticket-import.ts";
+import { validateEvidence } from "../lib/validate-evidence.ts";
+
+const fixture = (name) => readFileSync(join(__dirname, "fixtures", name), "utf8");
+const YEAR = { start: "2025-01-01", end: "2025-12-31" };
+
+describe("parseCsv", () => {
+  it("handles quotes, doubled quotes, embedded newlines and CRLF", () => {
+    expect(parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\r\n')).toEqual([
+      ["a", "b"],
+      ["x, y", 'say "hi"\nthere'],
+    ]);
+  });
+});
+
+describe("parseExportDate", () => {
+  it("reads Jira's dd/MMM/yy h:mm AM format and Linear's Date strings", () => {
+    expect(parseExportDate("20/Mar/25 4:30 PM")).toBe("2025-03-20T16:30:00.000Z");
+    expect(parseExportDate("03/Feb/25 12:05 AM")).toBe("2025-02-03T00:05:00.000Z");
+    expect(parseExportDate("Fri Jan 24 2025 17:00:00 GMT+0000 (Coordinated Universal Time)")).toBe("2025-01-24T17:00:00.000Z");
+    expect(parseExportDate("")).toBeNull();
+  });
+});
+
+describe("detectTicketFormat", () => {
+  it("recognises the three export formats", () => {
+    expect(detectTicketFormat(fixture("jira-export.json"))).toBe("jira-json");
+    expect(detectTicketFormat(fixture("jira-export.csv"))).toBe("jira-csv");
+    expect(detectTicketFormat(fixture("linear-export.csv"))).toBe("linear-csv");
+    expect(detectTicketFormat("name,email\n")).toBeNull();
+  });
+});
+
+describe("importTickets", () => {
+  it("keeps the user's Jira CSV issues in the timeframe with project, status, labels and resolution date", () => {
+    const { contributions, total } = importTickets(fixture("jira-export.csv"), "jira-csv", {
+      users: ["jane doe"],
+      ...YEAR,
+      baseUrl: "https://acme.atlassian.net/",
+    });
+    expect(total).toBe(4);
+    expect(contributions.map((c) => c.id)).toEqual(["jira#BILL-42", "jira#BILL-43"]);
+    expect(contributions[0]).toEqual({
+      id: "jira#BILL-42",
+      type: "issue",
+      source: "jira",
+      title: "Migrate billing to Stripe",
+      url: "https://acme.atlassian.net/browse/BILL-42",
+      repo: "BILL",
+      project: "BILL",
+      status: "Done",
+      merged_at: "2025-03-20T16:30:00.000Z",
+      resolved_at: "2025-03-20T16:30:00.000Z",
+      labels: ["payments", "migration"],
+      summary: 'Move charges to Stripe.\nKeeps "legacy" invoices.',
+      body: 'Move charges to Stripe.\nKeeps "legacy" invoices.',
+      linked_issues: ["BILL-42"],
+    });
+    // Unresolved: dated by its last update, no resolution date.
+    expect(contributions[1]).toMatchObject({ status: "In Progress", resolved_at: null, merged_at: "2025-05-02T11:00:00.000Z" });
+  });
+
+  it("counts Jira JSON issues the user resolved per the changelog, with links from the export", () => {
+    const { contributions } = importTickets(fixture("jira-export.json"), "jira-json", { users: ["jane@acme.com"], ...YEAR });
+    expect(contributions).toHaveLength(1);
+    expect(contributions[0]).toMatchObject({
+      id: "jira#OPS-7",
+      url: "https://acme.atlassian.net/browse/OPS-7",
+      body: "Alert when checkout errors exceed 2%.",
+      resolved_at: "2025-06-02T10:00:00.000Z",
+    });
+  });
+
+  it("imports Linear CSV issues assigned to the user and skips canceled ones", () => {
+    const { contributions } = importTickets(fixture("linear-export.csv"), "linear-csv", {
+      users: ["JANE@acme.com"],
+      ...YEAR,
+      baseUrl: "https://linear.app/acme",
+    });
+    expect(contributions).toHaveLength(1);
+    expect(contributions[0]).toMatchObject({
+      id: "linear#ENG-101",
+      source: "linear",
+      url: "https://linear.app/acme/issue/ENG-101",
+      project: "ENG",
+      labels: ["Feature", "UI"],
+      resolved_at: "2025-01-24T17:00:00.000Z",
+    });
+  });
+
+  it("produces evidence that passes the schema", () => {
+    const { contributions } = importTickets(fixture("jira-export.csv"), "jira-csv", { users: ["5f1a"], ...YEAR });
+    const evidence = { timeframe: { start_date: YEAR.start, end_date: YEAR.end }, contributions };
+    expect(validateEvidence(evidence)).toEqual({ valid: true });
+  });
+});
+
+describe("import-tickets CLI", () => {
+  it("writes evidence from an export file", () => {
+    const dir = join(tmpdir(), randomUUID());
+    mkdirSync(dir, { recursive: true });
+    const out = join(dir, "evidence.json");
+    try {
+      execSync(
+        `node --import tsx/esm scripts/import-tickets.ts --input test/fixtures/linear-export.csv --user jane@acme.com --start 2025-01-01 --end 2025-12-31 --output ${out}`,
+        { cwd: process.cwd(), env: { ...process.env, NODE_OPTIONS: "" }, stdio: "pipe" }
+      );
+      const evidence = JSON.parse(readFileSync(out, "utf8"));
+      expect(evidence.timeframe).toEqual({ start_date: "2025-01-01", end_date: "2025-12-31" });
+      expect(evidence.contributions.map((c) => c.id)).toEqual(["linear#ENG-101"]);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
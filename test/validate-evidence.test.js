@@ -1,5 +1,6 @@
 import { describe, it, expect } from "vitest";
 import { validateEvidence } from "../lib/validate-evidence.js";
+import { migrateEvidence, SCHEMA_VERSION } from "../lib/migrate-evidence.js";
 
 describe("validateEvidence", () => {
   it("accepts valid evidence with timeframe and contributions", () => {
@@ -60,3 +61,46 @@ describe("validateEvidence", () => {
     expect(result.valid).toBe(false);
   });
 });
+
+describe("migrateEvidence", () => {
+  const v1 = {
+    timeframe: { start_date: "2025-01-01", end_date: "2025-12-31" },
+    contributions: [
+      { id: "org/r#deadbee", type: "issue", title: "direct commit", url: "https://github.com/org/r/commit/deadbeef", repo: "org/r" },
+      { id: "org/r#9", type: "issue", title: "RFC", url: "https://github.com/org/r/issues/9", repo: "org/r" },
+      { id: "slack#C1#1.2", type: "discussion", source: "slack", title: "Outage", url: "https://slack.com/archives/C1/p12", repo: "incidents" },
+    ],
+  };
+
+  it("upgrades v1 commits and Slack threads to v2", () => {
+    const migrated = migrateEvidence(v1);
+    expect(migrated.schema_version).toBe(SCHEMA_VERSION);
+    expect(migrated.contributions.map((c) => [c.id, c.type])).toEqual([
+      ["org/r@deadbee", "commit"],
+      ["org/r#9", "issue"],
+      ["slack#C1#1.2", "discussion"],
+    ]);
+    expect(migrated.contributions[2].channel).toBe("incidents");
+    expect(v1.schema_version).toBeUndefined();
+  });
+
+  it("leaves current evidence and non-evidence untouched", () => {
+    const current = { ...v1, schema_version: 2 };
+    expect(migrateEvidence(current)).toBe(current);
+    expect(migrateEvidence(null)).toBeNull();
+  });
+
+  it("lets validateEvidence accept v1 files and v2 fields", () => {
+    expect(validateEvidence(v1)).toEqual({ valid: true });
+    const v2 = {
+      schema_version: 2,
+      timeframe: v1.timeframe,
+      contributions: [
+        { ...v1.contributions[2], type: "discussion", channel: "incidents", meta: { thread_ts: "1.2" } },
+        { id: "org/r@deadbee", type: "commit", source: "git", title: "c", url: "https://github.com/org/r/commit/deadbeef", repo: "org/r" },
+      ],
+    };
+    expect(validateEvidence(v2)).toEqual({ valid: true });
+    expect(validateEvidence({ ...v2, schema_version: 3 }).valid).toBe(false);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect } from "vitest";
+import { formatCitationReport, verifyCitations } from "../lib/verify-citations.ts";
+
+const contributions = [
+  { id: "org/api#12", type: "pull_request", title: "Add retry queue", url: "https://github.com/org/api/pull/12", repo: "org/api" },
+  { id: "org/web#7", type: "pull_request", title: "Dark mode", url: "https://github.com/org/web/pull/7", repo: "org/web" },
+  { id: "manual#2025-04-12-talk", type: "manual", title: "Talk", url: "", repo: "" },
+];
+
+describe("verifyCitations", () => {
+  it("corrects URLs, titles and IDs from the evidence and removes fabricated references", () => {
+    const outputs = {
+      themes: {
+        themes: [
+          {
+            theme_id: "rel",
+            theme_name: "Reliability",
+            evidence_ids: ["org/api#12", "org/api#999"],
+            anchor_evidence: [{ id: "ORG/API#12", url: "https://github.com/org/api/pull/13", title: "Retry", repo: "org/api" }],
+          },
+        ],
+      },
+      bullets: {
+        bullets_by_theme: [
+          {
+            theme_id: "rel",
+            bullets: [
+              { text: "Added retries", evidence: [{ id: "pr-12", url: "https://github.com/org/api/pull/12/" }, { id: "org/api#12" }] },
+              { text: "Cut costs by 40%", evidence: [{ id: "org/billing#1", url: "https://github.com/org/billing/pull/1" }] },
+            ],
+          },
+        ],
+        top_10_bullets_overall: [{ text: "Gave a talk", evidence: [{ id: "manual#2025-04-12-talk", url: "" }] }],
+      },
+      stories: { stories: [{ title: "Retry queue", situation: "", task: "", actions: [], results: [], evidence: [] }] },
+      self_eval: {
+        sections: {
+          summary: { text: "Solid year", evidence: [{ id: "org/web#7", url: "https://github.com/org/web/pull/7" }] },
+          next_year_goals: [{ text: "Lead the migration", evidence: [] }],
+        },
+      },
+    };
+    const before = structuredClone(outputs);
+    const { outputs: out, report } = verifyCitations(outputs, contributions);
+    expect(outputs).toEqual(before);
+
+    expect(out.themes.themes[0].evidence_ids).toEqual(["org/api#12"]);
+    expect(out.themes.themes[0].anchor_evidence).toEqual([
+      { id: "org/api#12", url: "https://github.com/org/api/pull/12", title: "Add retry queue", repo: "org/api" },
+    ]);
+    const [added, costs] = out.bullets.bullets_by_theme[0].bullets;
+    expect(added).toEqual({ text: "Added retries", evidence: [{ id: "org/api#12", url: "https://github.com/org/api/pull/12" }] });
+    expect(costs).toEqual({ text: "Cut costs by 40%", evidence: [], unverified: true });
+    expect(out.bullets.top_10_bullets_overall[0].unverified).toBeUndefined();
+    expect(out.stories.stories[0].unverified).toBe(true);
+    expect(out.self_eval.sections.summary.unverified).toBeUndefined();
+    expect(out.self_eval.sections.next_year_goals[0].unverified).toBeUndefined();
+
+    expect(report).toMatchObject({ references: 8, valid: 6, fixed: 3, fabricated: 2, unverified_claims: 2 });
+    expect(report.issues.filter((i) => i.kind === "fabricated").map((i) => [i.path, i.id])).toEqual([
+      ["themes.themes[0]", "org/api#999"],
+      ["bullets.bullets_by_theme[0].bullets[1]", "org/billing#1"],
+    ]);
+    expect(report.issues.find((i) => i.kind === "fixed").detail).toBe(
+      "id → org/api#12, url → https://github.com/org/api/pull/12, title → Add retry queue"
+    );
+  });
+
+  it("summarizes the report in one line", () => {
+    const clean = verifyCitations({ bullets: { bullets_by_theme: [] } }, contributions).report;
+    expect(formatCitationReport(clean)).toBe("0 citations checked: all valid");
+    expect(
+      formatCitationReport({ references: 9, valid: 8, fixed: 2, fabricated: 1, unverified_claims: 1, issues: [] })
+    ).toBe("9 citations checked: 2 corrected, 1 fabricated removed, 1 claim unverified");
+  });
+});
@@ -20,16 +20,44 @@ export interface RoleContext {
   focus_areas?: string[];
 }
 
-export type ContributionType = "pull_request" | "review" | "release" | "issue";
+export type ContributionType =
+  | "pull_request"
+  | "review"
+  | "release"
+  | "issue"
+  /** Comment on an issue (not a PR review). */
+  | "comment"
+  /** Commit that reached the default branch without a PR. */
+  | "commit"
+  /** Chat thread or message (Slack). */
+  | "discussion"
+  /** Work logged by hand: talks, docs, mentoring, interviewing, on-call. */
+  | "manual";
+
+/** What a manual contribution was. */
+export type ManualCategory = "talk" | "design_doc" | "mentoring" | "interviewing" | "on_call" | "other";
+
+/** Where a PR stands: merged, still in flight (open or draft), or closed without merging. */
+export type PullRequestState = "open" | "draft" | "closed" | "merged";
 
 export interface Contribution {
   /** e.g. "repo#1234" */
   id: string;
   type: ContributionType;
+  /** Where the item came from: "github", "gitlab", "git", "jira", "linear", "slack"…; GitHub when absent. */
+  source?: string;
   title: string;
   url: string;
   repo: string;
   merged_at?: DateTimeString | null;
+  /** PR outcome; absent for other types and for evidence collected before it was recorded. */
+  state?: PullRequestState;
+  /** When the PR was opened. */
+  created_at?: DateTimeString | null;
+  /** When the PR was closed (merged or not); null while open. */
+  closed_at?: DateTimeString | null;
+  /** ID of the PR that replaced this closed one. */
+  superseded_by?: string;
   labels?: string[];
   files_changed?: number;
   additions?: number;
@@ -38,13 +66,56 @@ export interface Contribution {
   body?: string;
   linked_issues?: string[];
   review_comments_count?: number;
+  /** Distinct reviewers who approved (PRs). */
   approvals_count?: number;
+  /** Reviews that requested changes (PRs). */
+  changes_requested_count?: number;
+  /** Distinct people who reviewed, excluding the author (PRs). */
+  reviewers_count?: number;
+  /** Hours from opening the PR to its first review. */
+  hours_to_first_review?: number;
+  /** Hours from opening the PR to merge. */
+  hours_to_merge?: number;
+  /** Changed file paths (PRs; capped by the collector). */
+  changed_paths?: string[];
+  /** Top-level directories or monorepo packages touched, most files first. */
+  directories?: string[];
+  /** Languages by file extension, most files first. */
+  languages?: string[];
+  /** Component names from the path-glob config, most files first. */
+  components?: string[];
+  /** Chat channel name (or its redacted alias), e.g. "incidents". */
+  channel?: string;
+  /** Tracker project key (Jira project, Linear team), e.g. "PROJ". */
+  project?: string;
+  /** Kind of manual contribution. */
+  category?: ManualCategory;
+  /** Tracker status at export time, e.g. "Done". */
+  status?: string;
+  /** When the tracker issue was resolved / completed; null while open. */
+  resolved_at?: DateTimeString | null;
+  /** Marked important by the user: never filtered as noise, kept under budget pressure, featured by the steps. */
+  pinned?: boolean;
+  /** Left out by the user; the pipeline drops it. */
+  excluded?: boolean;
+  /** Source-specific extras (e.g. Slack thread_ts, commit sha), passed through to prompts and display. */
+  meta?: Record<string, unknown>;
 }
 
 export interface Evidence {
+  /** Contract version; absent means 1. See lib/migrate-evidence.ts. */
+  schema_version?: number;
   timeframe: Timeframe;
   role_context_optional?: RoleContext | null;
   /** Optional annual goals, one per line. Used to frame themes, bullets, and stories. */
   goals?: string;
+  /** The person's answers to earlier runs' missing_info_questions, passed to every step. See lib/context-answers.ts. */
+  context_answers?: ContextAnswer[];
   contributions: Contribution[];
 }
+
+export interface ContextAnswer {
+  /** The question as the model asked it. */
+  question: string;
+  answer: string;
+}
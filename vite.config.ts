@@ -1,10 +1,11 @@
 // Dev server: serves the React app and API routes.
 // Auth: GET /api/auth/github, GET /api/auth/callback/github, GET /api/auth/me, POST /api/auth/logout.
-// POST /api/collect → 202 { job_id }; POST /api/generate → 202 { job_id }. Poll GET /api/jobs/:id for status/result.
+// With GHES_URL/GHES_CLIENT_ID/GHES_CLIENT_SECRET set: GET /api/auth/ghes, GET /api/auth/callback/ghes.
+// POST /api/collect → 202 { job_id }; POST /api/collect/repos → { repos }; POST /api/generate → 202 { job_id }; POST /api/generate/section → 202 { job_id }. Poll GET /api/jobs/:id for status/result.
 import { defineConfig, loadEnv, type ConfigEnv, type ViteDevServer } from "vite";
 import react from "@vitejs/plugin-react";
-import { runPipeline } from "./lib/run-pipeline.js";
-import { collectAndNormalize } from "./lib/collect-and-normalize.js";
+import { regenerateSection, runPipeline } from "./lib/run-pipeline.js";
+import { collectAndNormalize, discoverRepos } from "./lib/collect-and-normalize.js";
 import { validateEvidence } from "./lib/validate-evidence.js";
 import {
   createJob,
@@ -18,7 +19,9 @@ import {
   destroySession,
   setOAuthState,
   getAndRemoveOAuthState,
+  addSessionConnection,
 } from "./lib/session-store.js";
+import { githubEndpoints } from "./lib/github-hosts.js";
 import {
   getAuthRedirectUrl,
   exchangeCodeForToken,
@@ -61,6 +64,12 @@ function apiRoutesPlugin() {
       const clientId = env.GITHUB_CLIENT_ID || process.env.GITHUB_CLIENT_ID;
       const clientSecret =
         env.GITHUB_CLIENT_SECRET || process.env.GITHUB_CLIENT_SECRET;
+      const endpoints = githubEndpoints(env.GITHUB_URL || process.env.GITHUB_URL);
+      const ghesUrl = env.GHES_URL || process.env.GHES_URL;
+      const ghesEndpoints = ghesUrl ? githubEndpoints(ghesUrl) : undefined;
+      const ghesClientId = env.GHES_CLIENT_ID || process.env.GHES_CLIENT_ID;
+      const ghesClientSecret =
+        env.GHES_CLIENT_SECRET || process.env.GHES_CLIENT_SECRET;
 
       function getRequestContext(req: { headers: Record<string, string | string[] | undefined> }) {
         const isSecure = req.headers["x-forwarded-proto"] === "https";
@@ -81,6 +90,18 @@ function apiRoutesPlugin() {
           sessionSecret,
           clientId,
           clientSecret,
+          endpoints,
+          ghes:
+            ghesEndpoints && ghesClientId && ghesClientSecret
+              ? {
+                  endpoints: ghesEndpoints,
+                  clientId: ghesClientId,
+                  exchangeCodeForToken: (code, uri) =>
+                    exchangeCodeForToken(code, uri, ghesClientId, ghesClientSecret, fetch, ghesEndpoints),
+                  getGitHubUser: (token) => getGitHubUser(token, fetch, ghesEndpoints),
+                }
+              : undefined,
+          addSessionConnection,
           getRequestContext,
           getSessionIdFromRequest: (r) =>
             getSessionIdFromRequest(r, sessionSecret),
@@ -96,8 +117,8 @@ function apiRoutesPlugin() {
           setOAuthState,
           createSession,
           exchangeCodeForToken: (code, uri) =>
-            exchangeCodeForToken(code, uri, clientId!, clientSecret!, fetch),
-          getGitHubUser: (token) => getGitHubUser(token, fetch),
+            exchangeCodeForToken(code, uri, clientId!, clientSecret!, fetch, endpoints),
+          getGitHubUser: (token) => getGitHubUser(token, fetch, endpoints),
           handleCallback,
           handleMe,
           handleLogout,
@@ -129,6 +150,7 @@ function apiRoutesPlugin() {
           createJob,
           runInBackground,
           runPipeline,
+          regenerateSection,
         })
       );
 
@@ -143,7 +165,10 @@ function apiRoutesPlugin() {
           getSession,
           createJob,
           runInBackground,
+          githubUrls: [env.GITHUB_URL || process.env.GITHUB_URL, ghesUrl].filter((u): u is string => !!u),
+          gitlabUrl: env.GITLAB_URL || process.env.GITLAB_URL,
           collectAndNormalize,
+          discoverRepos,
         })
       );
     },